@@ -1,61 +1,37 @@
 // =====================================================
-// DATABASE CONFIGURATION FOR SQL SERVER (SSMS)
+// SHARED DATABASE POOL
+// One pool for the whole API (SQL Server, or embedded SQLite with DB_CLIENT=sqlite; see db/).
+// Routers and services call getPool() when they run, so they always see the connected pool.
 // =====================================================
 
 const sql = require('mssql');
-require('dotenv').config();
-
-// Database Configuration from .env file
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_NAME,
-    port: parseInt(process.env.DB_PORT || 1433),
-    options: {
-        encrypt: false,               // Set to true if using Azure
-        trustServerCertificate: true, // Required for local SQL Server
-        enableArithAbort: true
-    },
-    pool: {
-        max: 10,    // Maximum number of connections in pool
-        min: 0,     // Minimum number of connections in pool
-        idleTimeoutMillis: 30000  // Close idle connections after 30 seconds
-    }
-};
+const { connectDatabase } = require('../db');
 
 // Connection pool variable
 let pool = null;
 
-// Connect to database
-async function connectDB() {
-    try {
-        if (pool) {
-            return pool; // Return existing connection
-        }
-        pool = await sql.connect(dbConfig);
-        console.log('Connected to SQL Server database successfully');
-        return pool;
-    } catch (err) {
-        console.error('Database connection failed:', err.message);
-        throw err;
+// Connect to the configured database, or adopt one already opened (tests pass an in-memory SQLite)
+async function connectDB(database) {
+    if (database) {
+        pool = database;
+    } else if (!pool) {
+        pool = await connectDatabase();
     }
+    return pool;
 }
 
 // Close database connection
 async function closeDB() {
-    try {
-        if (pool) {
-            await pool.close();
-            pool = null;
-            console.log('Database connection closed');
-        }
-    } catch (err) {
-        console.error('Error closing database connection:', err.message);
-        throw err;
+    if (pool) {
+        const open = pool;
+        pool = null;
+        await open.close();
     }
 }
 
+// True once connectDB() has finished
+const isConnected = () => pool !== null;
+
 // Get the connection pool
 function getPool() {
     if (!pool) {
@@ -66,8 +42,8 @@ function getPool() {
 
 module.exports = {
     sql,
-    dbConfig,
     connectDB,
     closeDB,
+    isConnected,
     getPool
 };
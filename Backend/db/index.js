@@ -0,0 +1,28 @@
+// =====================================================
+// DATA ACCESS
+// DB_CLIENT picks the database the API runs against:
+//   mssql  - SQL Server (default)
+//   sqlite - embedded SQLite, in memory or in SQLITE_FILE; no server needed
+// Both return an object with the mssql pool surface the routes use:
+// request().input(...).query(...) / .execute(...) / .batch(...), transaction() and close().
+// The schema comes from migrations/<DB_CLIENT>/ (see migrate.js).
+// =====================================================
+
+const DB_CLIENTS = {
+    mssql: () => require('./mssql'),
+    sqlite: () => require('./sqlite')
+};
+
+// Connect to the configured database (options go to the client's connect())
+async function connectDatabase(client = process.env.DB_CLIENT || 'mssql', options = {}) {
+    const load = DB_CLIENTS[client];
+    if (!load) {
+        throw new Error(`Unknown DB_CLIENT "${client}". Use one of: ${Object.keys(DB_CLIENTS).join(', ')}`);
+    }
+    return load().connect(options);
+}
+
+module.exports = {
+    DB_CLIENTS,
+    connectDatabase
+};
@@ -0,0 +1,318 @@
+// =====================================================
+// SCHEMA MIGRATIONS
+// Scripts live in migrations/<DB_CLIENT>/ as NNNN_name.up.sql with a matching .down.sql.
+// They run in version order, each in one transaction with its row in SchemaMigrations;
+// the row keeps a checksum of the up script, so editing a migration after it ran is
+// reported instead of silently skipped. SQL Server scripts are split into batches on GO.
+//   npm run migrate [-- <version>]         apply pending migrations (up to a version)
+//   npm run migrate:down [-- <version>]    roll back the latest migration (or down to a version)
+//   npm run migrate:status                 list applied, pending and changed migrations
+//   npm run migrate:baseline               adopt a database built with the old AssetManagament.sql
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.up\.sql$/;
+const BATCH_SEPARATOR_PATTERN = /^\s*GO\s*$/gim;
+
+// The statements that differ per client: creating the history table, spotting a schema
+// built before migrations existed (tables present, history empty) and listing its columns
+const CLIENT_STATEMENTS = {
+    mssql: {
+        createHistory: `
+            IF OBJECT_ID('dbo.SchemaMigrations', 'U') IS NULL
+            CREATE TABLE SchemaMigrations (
+                Version INT NOT NULL PRIMARY KEY,
+                Name NVARCHAR(200) NOT NULL,
+                Checksum CHAR(64) NOT NULL,
+                AppliedAt DATETIME2 NOT NULL DEFAULT GETDATE()
+            )`,
+        findExistingSchema: "SELECT 1 AS Found FROM sys.tables WHERE name = 'Employees'",
+        listColumns: 'SELECT t.name AS TableName, c.name AS ColumnName FROM sys.tables t JOIN sys.columns c ON c.object_id = t.object_id'
+    },
+    sqlite: {
+        createHistory: `
+            CREATE TABLE IF NOT EXISTS SchemaMigrations (
+                Version INT NOT NULL PRIMARY KEY,
+                Name NVARCHAR(200) NOT NULL,
+                Checksum CHAR(64) NOT NULL,
+                AppliedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+            )`,
+        findExistingSchema: "SELECT 1 AS Found FROM sqlite_master WHERE type = 'table' AND name = 'Employees'",
+        listColumns: "SELECT m.name AS TableName, p.name AS ColumnName FROM sqlite_master m JOIN pragma_table_info(m.name) p WHERE m.type = 'table'"
+    }
+};
+
+// Tables and columns migration 0001 creates: the schema after the last step (16) of the old
+// AssetManagament.sql. Baseline only adopts a database that has all of them.
+const BASELINE_SCHEMA = {
+    Employees: ['EmployeeId', 'FullName', 'Email', 'CreatedAt', 'Position', 'IsActive', 'DeactivatedAt'],
+    AssetTypes: ['AssetTypeId', 'Name', 'Description', 'CreatedAt', 'FieldSchema', 'DepreciationMethod', 'UsefulLifeYears', 'TagTemplate', 'TypeCode'],
+    Assets: [
+        'AssetId', 'AssetName', 'AssetType', 'SerialNumber', 'CreatedAt', 'ArchivedAt', 'ArchiveDisposition', 'ArchiveReason',
+        'Status', 'StatusNote', 'StatusChangedAt', 'CustomFields', 'Vendor', 'InvoiceNumber', 'PurchaseDate', 'PurchaseCost',
+        'WarrantyExpiresAt', 'LeaseEndsAt', 'ManufacturerSerial', 'Location'
+    ],
+    AssetAssignments: ['AssignmentId', 'AssetId', 'EmployeeId', 'AssignedAt', 'ReturnedAt', 'ReceiptConfirmedAt'],
+    AuditLog: ['AuditId', 'Actor', 'Action', 'EntityType', 'EntityId', 'BeforeValue', 'AfterValue', 'Summary', 'Method', 'Path', 'CreatedAt'],
+    Users: ['UserId', 'Username', 'PasswordHash', 'Role', 'EmployeeId', 'IsActive', 'LastLoginAt', 'CreatedAt'],
+    PortalLinks: ['PortalLinkId', 'EmployeeId', 'TokenHash', 'ExpiresAt', 'UsedAt', 'CreatedBy', 'CreatedAt'],
+    ServiceRequests: [
+        'RequestId', 'AssignmentId', 'EmployeeId', 'AssetId', 'RequestType', 'Status', 'Note', 'ResolutionNote',
+        'ResolvedBy', 'CreatedAt', 'ResolvedAt'
+    ],
+    AssetRequests: [
+        'RequestId', 'EmployeeId', 'AssetType', 'Justification', 'RequestedBy', 'Status', 'DecisionNote', 'DecidedBy',
+        'DecidedAt', 'AssetId', 'AssignmentId', 'FulfilledBy', 'FulfilledAt', 'CreatedAt'
+    ],
+    Alerts: ['AlertId', 'AssetId', 'AlertType', 'ExpiresAt', 'WindowDays', 'CreatedAt', 'AcknowledgedAt', 'AcknowledgedBy'],
+    TagSequences: ['SequenceKey', 'LastValue', 'UpdatedAt']
+};
+
+// Helper to name a migration the way its files are named, e.g. 0001_baseline
+const migrationLabel = ({ version, name }) => `${String(version).padStart(4, '0')}_${name}`;
+
+// Helper to fingerprint a script; line endings are ignored so a checkout on Windows matches
+const checksum = (script) => crypto.createHash('sha256').update(script.replace(/\r\n/g, '\n')).digest('hex');
+
+// Helper to split a script into the batches SQL Server runs one by one (CREATE PROCEDURE must start its own)
+const splitBatches = (script) => script
+    .split(BATCH_SEPARATOR_PATTERN)
+    .map(batch => batch.trim())
+    .filter(Boolean);
+
+// Helper to read a version argument from the command line
+function parseVersion(value) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`"${value}" is not a migration version (expected a number such as 1 or 0001)`);
+    }
+    return parseInt(value, 10);
+}
+
+// Read the migrations available for a client, in version order
+function loadMigrations(client, dir = path.join(MIGRATIONS_DIR, client)) {
+    if (!fs.existsSync(dir)) {
+        throw new Error(`No migrations folder for DB_CLIENT "${client}" (${dir})`);
+    }
+
+    const migrations = fs.readdirSync(dir)
+        .map(file => MIGRATION_FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const up = fs.readFileSync(path.join(dir, file), 'utf8');
+            const downFile = path.join(dir, `${version}_${name}.down.sql`);
+            return {
+                version: parseInt(version, 10),
+                name,
+                up,
+                down: fs.existsSync(downFile) ? fs.readFileSync(downFile, 'utf8') : null,
+                checksum: checksum(up)
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migrations[i - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}: ${migrationLabel(migrations[i - 1])} and ${migrationLabel(migration)}`);
+        }
+    });
+
+    return migrations;
+}
+
+// Read SchemaMigrations, creating it on first use
+async function getAppliedMigrations(pool, client) {
+    await pool.request().batch(CLIENT_STATEMENTS[client].createHistory);
+    const result = await pool.request().query(`
+        SELECT Version, Name, Checksum, AppliedAt
+        FROM SchemaMigrations
+        ORDER BY Version
+    `);
+    return result.recordset;
+}
+
+// Compare the files with the history: every migration is applied, pending or changed,
+// and history rows without a file are listed as missing
+async function getMigrationStatus(pool, { client }) {
+    const migrations = loadMigrations(client);
+    const applied = new Map((await getAppliedMigrations(pool, client)).map(row => [row.Version, row]));
+
+    const status = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        applied.delete(migration.version);
+
+        if (!row) return { ...migration, state: 'pending', appliedAt: null };
+        return {
+            ...migration,
+            state: row.Checksum === migration.checksum ? 'applied' : 'changed',
+            appliedAt: row.AppliedAt
+        };
+    });
+
+    for (const row of applied.values()) {
+        status.push({ version: row.Version, name: row.Name, up: null, down: null, checksum: row.Checksum, state: 'missing', appliedAt: row.AppliedAt });
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+}
+
+// Run a script and its SchemaMigrations change in one transaction, so a failure leaves neither
+async function runMigration(pool, label, script, recordChange) {
+    const transaction = pool.transaction();
+    await transaction.begin();
+
+    try {
+        for (const batch of splitBatches(script)) {
+            await transaction.request().batch(batch);
+        }
+        await recordChange(transaction.request());
+        await transaction.commit();
+    } catch (err) {
+        try {
+            await transaction.rollback();
+        } catch {
+            // SQL Server already rolled back after the error
+        }
+        throw new Error(`Migration ${label} failed: ${err.message}`);
+    }
+}
+
+// Apply pending migrations in order, up to target (all by default)
+async function migrateUp(pool, { client, target = Infinity, log = console.log }) {
+    const status = await getMigrationStatus(pool, { client });
+
+    const changed = status.filter(migration => migration.state === 'changed');
+    if (changed.length > 0) {
+        throw new Error(`Applied migrations were edited afterwards: ${changed.map(migrationLabel).join(', ')}. Add a new migration instead of changing one that has run.`);
+    }
+
+    const pending = status.filter(migration => migration.state === 'pending' && migration.version <= target);
+    if (pending.length > 0 && !status.some(migration => migration.state !== 'pending')) {
+        const existing = await pool.request().query(CLIENT_STATEMENTS[client].findExistingSchema);
+        if (existing.recordset.length > 0) {
+            throw new Error('The database already has tables but no migration history. If it was built with AssetManagament.sql, run "npm run migrate:baseline" once to adopt it.');
+        }
+    }
+
+    for (const migration of pending) {
+        const label = migrationLabel(migration);
+        log(`Applying migration ${label}`);
+        await runMigration(pool, label, migration.up, (request) => request
+            .input('version', migration.version)
+            .input('name', migration.name)
+            .input('checksum', migration.checksum)
+            .query('INSERT INTO SchemaMigrations (Version, Name, Checksum) VALUES (@version, @name, @checksum)'));
+    }
+
+    return pending;
+}
+
+// Roll back applied migrations newest first, down to target (by default only the latest)
+async function migrateDown(pool, { client, target, log = console.log }) {
+    const applied = (await getMigrationStatus(pool, { client }))
+        .filter(migration => migration.state !== 'pending')
+        .reverse();
+
+    const stopAt = target === undefined ? (applied.length > 1 ? applied[1].version : 0) : target;
+    const rollbacks = applied.filter(migration => migration.version > stopAt);
+
+    for (const migration of rollbacks) {
+        const label = migrationLabel(migration);
+        if (!migration.down) {
+            throw new Error(`Migration ${label} has no down script, so it cannot be rolled back`);
+        }
+
+        log(`Rolling back migration ${label}`);
+        await runMigration(pool, label, migration.down, (request) => request
+            .input('version', migration.version)
+            .query('DELETE FROM SchemaMigrations WHERE Version = @version'));
+    }
+
+    return rollbacks;
+}
+
+// Helper to list what BASELINE_SCHEMA expects but the database lacks, e.g. ['Users', 'Assets.Status']
+async function findMissingBaselineSchema(pool, client) {
+    const result = await pool.request().query(CLIENT_STATEMENTS[client].listColumns);
+    const present = new Set(result.recordset.map(row => `${row.TableName}.${row.ColumnName}`.toLowerCase()));
+    const tables = new Set(result.recordset.map(row => row.TableName.toLowerCase()));
+
+    return Object.entries(BASELINE_SCHEMA).flatMap(([table, columns]) => (!tables.has(table.toLowerCase())
+        ? [table]
+        : columns.map(column => `${table}.${column}`).filter(name => !present.has(name.toLowerCase()))));
+}
+
+// Record the baseline as applied without running it, for a database that already has the
+// full schema from AssetManagament.sql (every step up to 16). Later migrations then run as usual.
+async function baselineExisting(pool, { client, log = console.log }) {
+    const [baseline] = loadMigrations(client);
+    const applied = await getAppliedMigrations(pool, client);
+
+    if (applied.length > 0) {
+        throw new Error('The database already has a migration history; nothing to adopt');
+    }
+
+    const missing = await findMissingBaselineSchema(pool, client);
+    if (missing.length > 0) {
+        throw new Error(`The database does not have the full schema of ${migrationLabel(baseline)}, so it cannot be adopted. Missing: ${missing.join(', ')}. Baseline needs every step (1-16) of the last AssetManagament.sql to have run; finish those steps first, or build a new database with "npm run migrate".`);
+    }
+
+    await pool.request()
+        .input('version', baseline.version)
+        .input('name', baseline.name)
+        .input('checksum', baseline.checksum)
+        .query('INSERT INTO SchemaMigrations (Version, Name, Checksum) VALUES (@version, @name, @checksum)');
+
+    log(`Marked ${migrationLabel(baseline)} as applied`);
+    return baseline;
+}
+
+// Command line entry point (see the scripts in package.json)
+async function main([command = 'up', version]) {
+    require('dotenv').config();
+    const { connectDatabase } = require('./index');
+
+    const client = process.env.DB_CLIENT || 'mssql';
+    const target = parseVersion(version);
+    const pool = await connectDatabase(client, { migrate: false });
+
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(pool, { client, target });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else if (command === 'down') {
+            const rolledBack = await migrateDown(pool, { client, target });
+            console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+        } else if (command === 'status') {
+            for (const migration of await getMigrationStatus(pool, { client })) {
+                const appliedAt = migration.appliedAt ? `  ${migration.appliedAt.toISOString()}` : '';
+                console.log(`${migration.state.padEnd(8)} ${migrationLabel(migration)}${appliedAt}`);
+            }
+        } else if (command === 'baseline') {
+            await baselineExisting(pool, { client });
+        } else {
+            throw new Error(`Unknown command "${command}". Use one of: up, down, status, baseline`);
+        }
+    } finally {
+        await pool.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    baselineExisting
+};
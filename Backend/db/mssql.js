@@ -0,0 +1,27 @@
+// =====================================================
+// SQL SERVER DATABASE (DB_CLIENT=mssql, the default)
+// Schema and stored procedures come from migrations/mssql (npm run migrate)
+// =====================================================
+
+const sql = require('mssql');
+
+// Database Configuration from .env file
+const dbConfig = {
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    server: process.env.DB_SERVER,
+    database: process.env.DB_NAME,
+    port: parseInt(process.env.DB_PORT || 1433),
+    options: {
+        encrypt: false,
+        trustServerCertificate: true
+    }
+};
+
+// Open a connection pool; the routes use its request() and transaction()
+const connect = () => new sql.ConnectionPool(dbConfig).connect();
+
+module.exports = {
+    dbConfig,
+    connect
+};
@@ -0,0 +1,197 @@
+// =====================================================
+// T-SQL TO SQLITE TRANSLATION
+// Rewrites the T-SQL the API sends into SQLite's dialect, one statement at a time.
+// Only the constructs the routes use are covered; anything else passes through as written.
+// =====================================================
+
+// GETDATE() as ISO-8601 text in UTC, the form DATETIME2 columns are stored in
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// DATEADD parts and the SQLite modifier each maps to
+const DATE_PARTS = {
+    year: 'years', yy: 'years', yyyy: 'years',
+    month: 'months', mm: 'months', m: 'months',
+    day: 'days', dd: 'days', d: 'days',
+    hour: 'hours', hh: 'hours',
+    minute: 'minutes', mi: 'minutes', n: 'minutes',
+    second: 'seconds', ss: 'seconds', s: 'seconds'
+};
+
+// Locking hints mean nothing to SQLite: writers are serialized by the database module
+const TABLE_HINT_PATTERN = /\s+WITH\s*\(\s*(?:UPDLOCK|ROWLOCK|HOLDLOCK|NOLOCK|READPAST|XLOCK)(?:\s*,\s*(?:UPDLOCK|ROWLOCK|HOLDLOCK|NOLOCK|READPAST|XLOCK))*\s*\)/gi;
+
+const OUTPUT_PATTERN = /\s+OUTPUT\s+((?:INSERTED|DELETED)\.(?:\*|\w+)(?:\s+AS\s+\w+)?(?:\s*,\s*(?:INSERTED|DELETED)\.(?:\*|\w+)(?:\s+AS\s+\w+)?)*)/i;
+
+// UPDATE alias SET ... FROM Table alias JOIN Other o ON ... WHERE ...
+const UPDATE_FROM_PATTERN = /^UPDATE\s+(\w+)\s+SET\s+([\s\S]+?)\s+FROM\s+(\w+)\s+(\w+)\s+(?:INNER\s+)?JOIN\s+(\w+)\s+(\w+)\s+ON\s+([\s\S]+?)\s+WHERE\s+([\s\S]+)$/i;
+
+// Helper to swap string literals for placeholders so rewrites never touch their contents
+function protectStrings(text) {
+    const literals = [];
+    const protectedText = text.replace(/(^|[^\w'])N?('(?:[^']|'')*')/g, (match, before, literal) => {
+        literals.push(literal);
+        return `${before}\u0000${literals.length - 1}\u0000`;
+    });
+    return { text: protectedText, literals };
+}
+
+const restoreStrings = (text, literals) =>
+    text.replace(/\u0000(\d+)\u0000/g, (match, index) => literals[index]);
+
+// Helper to split a script on top-level semicolons (string literals are already protected)
+const splitStatements = (text) => text
+    .split(';')
+    .map(statement => statement.trim())
+    .filter(Boolean);
+
+// Helper to find the parenthesis closing the one at openIndex
+function findClosingParen(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')' && --depth === 0) return i;
+    }
+    throw new Error(`Unbalanced parentheses in query: ${text}`);
+}
+
+// Helper to split function arguments on top-level commas
+function splitArgs(text) {
+    const args = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')') depth--;
+        if (text[i] === ',' && depth === 0) {
+            args.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    args.push(text.slice(start).trim());
+    return args;
+}
+
+// Helper to rewrite every call of a function; rewrite gets the raw argument text
+// and returns the replacement, or null to leave the call as it is
+function rewriteCalls(text, name, rewrite) {
+    const pattern = new RegExp(`\\b${name}\\s*\\(`, 'gi');
+    let result = '';
+    let position = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        const open = match.index + match[0].length - 1;
+        const close = findClosingParen(text, open);
+        const replacement = rewrite(text.slice(open + 1, close));
+
+        if (replacement !== null) {
+            result += text.slice(position, match.index) + replacement;
+            position = close + 1;
+            pattern.lastIndex = close + 1;
+        }
+    }
+
+    return result + text.slice(position);
+}
+
+// CAST(x AS DATE) -> date(x); other casts are valid SQLite already
+const rewriteCasts = (text) => rewriteCalls(text, 'CAST', (inner) => {
+    const match = /^([\s\S]+)\s+AS\s+DATE$/i.exec(inner.trim());
+    return match ? `date(${match[1]})` : null;
+});
+
+// DATEDIFF(DAY, a, b) counts the midnights between two dates, like SQL Server
+const rewriteDateDiffs = (text) => rewriteCalls(text, 'DATEDIFF', (inner) => {
+    const [part, from, to] = splitArgs(inner);
+    if (DATE_PARTS[part.toLowerCase()] !== 'days') {
+        throw new Error(`DATEDIFF(${part}) is not supported by the SQLite backend`);
+    }
+    return `CAST(julianday(date(${to})) - julianday(date(${from})) AS INTEGER)`;
+});
+
+const rewriteDateAdds = (text) => rewriteCalls(text, 'DATEADD', (inner) => {
+    const [part, amount, date] = splitArgs(inner);
+    const unit = DATE_PARTS[part.toLowerCase()];
+    if (!unit) {
+        throw new Error(`DATEADD(${part}) is not supported by the SQLite backend`);
+    }
+    return `strftime('%Y-%m-%dT%H:%M:%fZ', ${date}, (${amount}) || ' ${unit}')`;
+});
+
+// SELECT TOP n ... -> SELECT ... LIMIT n, closing the query's own scope (it may be a subquery)
+function rewriteTop(text) {
+    const match = /\bSELECT\s+TOP\s*(\([^()]*\)|\d+)\s+/i.exec(text);
+    if (!match) return text;
+
+    const bodyStart = match.index + match[0].length;
+    let depth = 0;
+    let end = text.length;
+    for (let i = bodyStart; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')' && depth-- === 0) {
+            end = i;
+            break;
+        }
+    }
+
+    return rewriteTop(
+        `${text.slice(0, match.index)}SELECT ${text.slice(bodyStart, end).trimEnd()} LIMIT ${match[1]}${text.slice(end)}`
+    );
+}
+
+// OUTPUT INSERTED.* -> RETURNING *, moved to the end of the statement
+function rewriteOutput(statement) {
+    const match = OUTPUT_PATTERN.exec(statement);
+    if (!match) return rewriteUpdateFrom(statement);
+
+    if (/DELETED\./i.test(match[1])) {
+        throw new Error('OUTPUT DELETED is not supported by the SQLite backend');
+    }
+
+    const columns = splitArgs(match[1]).map(column => column.replace(/^INSERTED\./i, ''));
+    const withoutOutput = statement.slice(0, match.index) + statement.slice(match.index + match[0].length);
+    return `${rewriteUpdateFrom(withoutOutput)} RETURNING ${columns.join(', ')}`;
+}
+
+// UPDATE alias ... FROM Table alias JOIN ... -> UPDATE Table AS alias ... FROM ... (one join)
+function rewriteUpdateFrom(statement) {
+    const match = UPDATE_FROM_PATTERN.exec(statement);
+    if (!match) return statement;
+
+    const [, alias, sets, table, tableAlias, joinTable, joinAlias, on, where] = match;
+    if (alias !== tableAlias) return statement;
+
+    return `UPDATE ${table} AS ${alias} SET ${sets} FROM ${joinTable} ${joinAlias} WHERE (${on}) AND (${where})`;
+}
+
+function translateStatement(statement) {
+    let text = statement
+        .replace(TABLE_HINT_PATTERN, '')
+        .replace(/\bGETDATE\s*\(\s*\)/gi, NOW)
+        .replace(/\bOPENJSON\s*\(/gi, 'json_each(')
+        .replace(
+            /\bOFFSET\s+(\S+)\s+ROWS?\s+FETCH\s+(?:NEXT|FIRST)\s+(\S+)\s+ROWS?\s+ONLY\b/gi,
+            'LIMIT $2 OFFSET $1'
+        );
+
+    text = rewriteCasts(text);
+    text = rewriteDateDiffs(text);
+    text = rewriteDateAdds(text);
+    text = rewriteTop(text);
+    return rewriteOutput(text);
+}
+
+// Translate a T-SQL batch into a list of SQLite statements
+function translate(sqlText) {
+    const { text, literals } = protectStrings(sqlText);
+    const withoutComments = text.replace(/--[^\n]*/g, '');
+
+    return splitStatements(withoutComments)
+        .map(translateStatement)
+        .map(statement => restoreStrings(statement, literals));
+}
+
+module.exports = {
+    NOW,
+    translate
+};
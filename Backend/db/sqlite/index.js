@@ -0,0 +1,346 @@
+// =====================================================
+// EMBEDDED SQLITE DATABASE (DB_CLIENT=sqlite)
+// Offers the part of the mssql pool the routes use: request().input().query() / .execute(),
+// transaction() with begin/commit/rollback, and close(). Queries are written in T-SQL and
+// translated (see dialect.js); constraint errors come back shaped like SQL Server's.
+// batch() runs SQLite as written, for the scripts in migrations/sqlite.
+// Runs in memory unless SQLITE_FILE names a file to load and save.
+// =====================================================
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const sql = require('mssql');
+const { translate } = require('./dialect');
+const procedures = require('./procedures');
+
+// Computed DATETIME2 values (e.g. MAX(AssignedAt)) still come back as dates
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const DATETIME_DECLARATIONS = ['datetime', 'datetime2', 'smalldatetime', 'datetimeoffset'];
+
+// Helper to store a parameter the way the schema keeps it (dates as ISO text, bits as 0/1)
+function toSqliteValue(type, value) {
+    if (value === undefined || value === null) return null;
+
+    const declaration = type && (type.declaration || (type.type && type.type.declaration));
+
+    if (declaration === 'date') {
+        const date = value instanceof Date ? value : new Date(value);
+        return Number.isNaN(date.getTime()) ? value : date.toISOString().slice(0, 10);
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (DATETIME_DECLARATIONS.includes(declaration)) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? value : date.toISOString();
+    }
+    if (typeof value === 'boolean' || declaration === 'bit') return value ? 1 : 0;
+    if (Buffer.isBuffer(value)) return new Uint8Array(value);
+    return value;
+}
+
+// Helper to return a stored value the way mssql would (Date objects, booleans for BIT)
+function fromSqliteValue(kind, value) {
+    if (value === null) return null;
+    if (kind === 'bit') return Boolean(value);
+    if (kind === 'date' && typeof value === 'string') return new Date(value);
+    if (typeof value === 'string' && ISO_DATETIME_PATTERN.test(value)) return new Date(value);
+    if (value instanceof Uint8Array) return Buffer.from(value);
+    return value;
+}
+
+// Helper to run a one-off statement and get its rows as arrays
+const selectValues = (db, text) => (db.exec(text)[0] || { values: [] }).values;
+
+// Helper to read what the results need from the schema: which columns hold dates or bits,
+// and which columns each unique index covers (to name it in duplicate key errors)
+function readSchema(db) {
+    const columnKinds = new Map();
+    const uniqueIndexes = new Map();
+
+    const tables = selectValues(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+    for (const [table] of tables) {
+        for (const [, column, type] of selectValues(db, `PRAGMA table_info("${table}")`)) {
+            if (/^date/i.test(type)) columnKinds.set(column, 'date');
+            if (/^bit$/i.test(type)) columnKinds.set(column, 'bit');
+        }
+
+        for (const [, index, unique, origin] of selectValues(db, `PRAGMA index_list("${table}")`)) {
+            if (!unique) continue;
+            const columns = selectValues(db, `PRAGMA index_info("${index}")`).map(([, , column]) => column);
+            uniqueIndexes.set(`${table}(${columns.join(',')})`.toLowerCase(), {
+                name: origin === 'pk' ? `PK_${table}` : index,
+                primaryKey: origin === 'pk'
+            });
+        }
+    }
+
+    return { columnKinds, uniqueIndexes };
+}
+
+// Helper to word an SQLite error the way SQL Server reports the same violation,
+// so the routes' checks (UNIQUE / duplicate / constraint names) behave the same
+function describeError(message, statement, uniqueIndexes) {
+    const verb = (/^\s*(INSERT|UPDATE|DELETE)\b/i.exec(statement) || [null, 'INSERT'])[1].toUpperCase();
+    let match;
+
+    if ((match = /^UNIQUE constraint failed: (.+)$/.exec(message))) {
+        const columns = match[1].split(', ').map(column => column.split('.'));
+        const table = columns[0][0];
+        const index = uniqueIndexes.get(`${table}(${columns.map(([, column]) => column).join(',')})`.toLowerCase());
+
+        if (index && index.primaryKey) {
+            return [`Violation of PRIMARY KEY constraint '${index.name}'. Cannot insert duplicate key in object 'dbo.${table}'.`, 2627];
+        }
+        return [`Cannot insert duplicate key row in object 'dbo.${table}' with unique index '${index ? index.name : 'unknown'}'.`, 2601];
+    }
+    if ((match = /^CHECK constraint failed: (\w+)/.exec(message))) {
+        return [`The ${verb} statement conflicted with the CHECK constraint "${match[1]}".`, 547];
+    }
+    if (message === 'FOREIGN KEY constraint failed') {
+        return verb === 'DELETE'
+            ? ['The DELETE statement conflicted with a REFERENCE constraint.', 547]
+            : [`The ${verb} statement conflicted with a FOREIGN KEY constraint.`, 547];
+    }
+    if ((match = /^NOT NULL constraint failed: (\w+)\.(\w+)$/.exec(message))) {
+        return [`Cannot insert the value NULL into column '${match[2]}', table 'dbo.${match[1]}'; column does not allow nulls. ${verb} fails.`, 515];
+    }
+    return [message, undefined];
+}
+
+// Helper to hand out the database one caller at a time. A transaction holds it from
+// begin() to commit()/rollback(), so other requests wait instead of seeing its writes.
+function createLock() {
+    let tail = Promise.resolve();
+    return () => {
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const acquired = tail.then(() => release);
+        tail = tail.then(() => held);
+        return acquired;
+    };
+}
+
+function createDatabase(db, file) {
+    let schema = readSchema(db);
+    let dirty = false;
+    const acquire = createLock();
+    const translations = new Map();
+
+    const toRequestError = (err, statement) => {
+        if (err instanceof sql.RequestError) return err;
+        const [message, number] = describeError(err.message, statement, schema.uniqueIndexes);
+        const error = new sql.RequestError(message, 'EREQUEST');
+        error.number = number || err.number;
+        return error;
+    };
+
+    const toRow = (columns, values) => {
+        const row = {};
+        columns.forEach((column, i) => {
+            row[column] = fromSqliteValue(schema.columnKinds.get(column), values[i]);
+        });
+        return row;
+    };
+
+    // Run one SQLite statement; rows is null when it returns no result set
+    function runStatement(statement, params) {
+        let prepared;
+        try {
+            prepared = db.prepare(statement);
+            prepared.bind(params);
+
+            const columns = prepared.getColumnNames();
+            const rows = [];
+            while (prepared.step()) {
+                rows.push(toRow(columns, prepared.get()));
+            }
+
+            if (!/^\s*SELECT\b/i.test(statement)) dirty = true;
+            if (/^\s*(CREATE|ALTER|DROP)\b/i.test(statement)) schema = readSchema(db);
+
+            return columns.length > 0
+                ? { rows, rowsAffected: rows.length }
+                : { rows: null, rowsAffected: db.getRowsModified() };
+        } catch (err) {
+            throw toRequestError(err, statement);
+        } finally {
+            if (prepared) prepared.free();
+        }
+    }
+
+    // Run a T-SQL batch and shape the outcome like an mssql result
+    function runBatch(text, params) {
+        if (!translations.has(text)) {
+            translations.set(text, translate(text));
+        }
+
+        const recordsets = [];
+        const rowsAffected = [];
+        for (const statement of translations.get(text)) {
+            const { rows, rowsAffected: affected } = runStatement(statement, params);
+            if (rows) recordsets.push(rows);
+            rowsAffected.push(affected);
+        }
+
+        return { recordsets, recordset: recordsets[0], rowsAffected, output: {} };
+    }
+
+    // Run a script written for SQLite, without translation (migrations)
+    function runScript(text) {
+        try {
+            db.exec(text);
+        } catch (err) {
+            throw toRequestError(err, '');
+        }
+        dirty = true;
+        schema = readSchema(db);
+        return { recordsets: [], recordset: undefined, rowsAffected: [], output: {} };
+    }
+
+    // Run a stored procedure inside a savepoint, so a failure leaves no partial writes
+    function runProcedure(name, params) {
+        const procedure = procedures[name];
+        if (!procedure) {
+            throw new sql.RequestError(`Could not find stored procedure '${name}'.`, 'EREQUEST');
+        }
+
+        const args = Object.fromEntries(Object.entries(params).map(([key, value]) => [key.slice(1), value]));
+        const run = (statement, values = {}) => {
+            const bound = Object.fromEntries(Object.entries(values).map(([key, value]) => [`@${key}`, value]));
+            return runStatement(statement, bound).rows || [];
+        };
+
+        db.run('SAVEPOINT sp');
+        try {
+            const recordsets = procedure(args, run);
+            db.run('RELEASE sp');
+            return { recordsets, recordset: recordsets[0], rowsAffected: [], output: {}, returnValue: 0 };
+        } catch (err) {
+            db.run('ROLLBACK TO sp');
+            db.run('RELEASE sp');
+            throw toRequestError(err, '');
+        }
+    }
+
+    // Write the database to SQLITE_FILE after changes (export() reopens it, hence the pragma)
+    function persist() {
+        if (!file || !dirty) return;
+        fs.writeFileSync(file, Buffer.from(db.export()));
+        db.run('PRAGMA foreign_keys = ON');
+        dirty = false;
+    }
+
+    function createRequest(runWork) {
+        const params = {};
+        const request = {
+            input(name, type, value) {
+                if (arguments.length === 2) {
+                    value = type;
+                    type = null;
+                }
+                params[`@${name}`] = toSqliteValue(type, value);
+                return request;
+            },
+            query: (text) => runWork(() => runBatch(text, params)),
+            execute: (name) => runWork(() => runProcedure(name, params)),
+            batch: (text) => runWork(() => runScript(text))
+        };
+        return request;
+    }
+
+    // Requests outside a transaction wait their turn and save afterwards
+    const runAlone = async (work) => {
+        const release = await acquire();
+        try {
+            const result = work();
+            persist();
+            return result;
+        } finally {
+            release();
+        }
+    };
+
+    function createTransaction() {
+        let release = null;
+
+        const ensureBegun = () => {
+            if (!release) {
+                throw new sql.TransactionError('Transaction has not begun. Call begin() first.', 'ENOTBEGUN');
+            }
+        };
+
+        const finish = (statement) => {
+            try {
+                db.run(statement);
+                persist();
+            } catch (err) {
+                // A failed COMMIT leaves the transaction open; end it before letting others in
+                if (statement === 'COMMIT') {
+                    try { db.run('ROLLBACK'); } catch {
+                        // Already rolled back by SQLite
+                    }
+                }
+                throw toRequestError(err, '');
+            } finally {
+                const done = release;
+                release = null;
+                done();
+            }
+        };
+
+        const transaction = {
+            async begin() {
+                release = await acquire();
+                db.run('BEGIN');
+                return transaction;
+            },
+            async commit() {
+                ensureBegun();
+                finish('COMMIT');
+            },
+            async rollback() {
+                ensureBegun();
+                finish('ROLLBACK');
+            },
+            request: () => createRequest(async (work) => {
+                ensureBegun();
+                return work();
+            })
+        };
+        return transaction;
+    }
+
+    return {
+        client: 'sqlite',
+        request: () => createRequest(runAlone),
+        transaction: createTransaction,
+        async close() {
+            const release = await acquire();
+            persist();
+            db.close();
+            release();
+        }
+    };
+}
+
+// Open the database (SQLITE_FILE when it exists, otherwise a new one) and bring its schema
+// up to date; pass migrate: false to leave that to the caller, as the migrate command does
+async function connect({ file = process.env.SQLITE_FILE, migrate = true } = {}) {
+    const SQL = await initSqlJs();
+    const db = file && fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+    db.run('PRAGMA foreign_keys = ON');
+
+    const database = createDatabase(db, file);
+    console.log(`Using embedded SQLite database (${file || 'in memory'})`);
+
+    if (migrate) {
+        // Required here: migrate.js loads this module when it runs as the migrate command
+        const { migrateUp } = require('../migrate');
+        await migrateUp(database, { client: 'sqlite' });
+    }
+    return database;
+}
+
+module.exports = {
+    connect
+};
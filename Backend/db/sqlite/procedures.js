@@ -0,0 +1,124 @@
+// =====================================================
+// STORED PROCEDURES FOR THE EMBEDDED SQLITE DATABASE
+// SQLite has no procedures, so these follow the latest versions in migrations/mssql.
+// Each gets the caller's parameters and a runner for SQLite statements, and returns
+// its result sets. The database runs them inside a savepoint: an error undoes their writes.
+// =====================================================
+
+const { NOW } = require('./dialect');
+
+// RAISERROR('...', 16, 1) from a procedure
+const raiseError = (message) => Object.assign(new Error(message), { number: 50000 });
+
+// Helper to escape LIKE wildcards (patterns below use ESCAPE '\')
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+const procedures = {
+    // Only in-stock assets of active employees can be assigned; assigning moves the asset to Assigned
+    sp_AssignAsset({ AssetId, EmployeeId }, run) {
+        if (run('SELECT 1 FROM Employees WHERE EmployeeId = @EmployeeId AND IsActive = 1', { EmployeeId }).length === 0) {
+            throw raiseError('Employee is deactivated or does not exist');
+        }
+
+        // PRINT 'Asset already assigned'
+        if (run('SELECT 1 FROM AssetAssignments WHERE AssetId = @AssetId AND ReturnedAt IS NULL', { AssetId }).length > 0) {
+            return [];
+        }
+
+        if (run("SELECT 1 FROM Assets WHERE AssetId = @AssetId AND Status = 'InStock'", { AssetId }).length === 0) {
+            throw raiseError('Asset is not in stock and cannot be assigned');
+        }
+
+        run('INSERT INTO AssetAssignments (AssetId, EmployeeId) VALUES (@AssetId, @EmployeeId)', { AssetId, EmployeeId });
+        run(
+            `UPDATE Assets SET Status = 'Assigned', StatusNote = NULL, StatusChangedAt = ${NOW} WHERE AssetId = @AssetId`,
+            { AssetId }
+        );
+        return [];
+    },
+
+    // Returning puts the asset back in stock
+    sp_ReturnAsset({ AssignmentId }, run) {
+        const returned = run(
+            `UPDATE AssetAssignments SET ReturnedAt = ${NOW}
+             WHERE AssignmentId = @AssignmentId AND ReturnedAt IS NULL
+             RETURNING AssetId`,
+            { AssignmentId }
+        );
+
+        // PRINT 'Assignment not found or already returned'
+        if (returned.length === 0) return [];
+
+        run(
+            `UPDATE Assets SET Status = 'InStock', StatusChangedAt = ${NOW} WHERE AssetId = @AssetId AND Status = 'Assigned'`,
+            { AssetId: returned[0].AssetId }
+        );
+        return [];
+    },
+
+    sp_GetActiveAssignments(params, run) {
+        return [run(`
+            SELECT aa.AssignmentId, a.AssetName, e.FullName, aa.AssignedAt
+            FROM AssetAssignments aa
+            JOIN Assets a ON aa.AssetId = a.AssetId
+            JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+            WHERE aa.ReturnedAt IS NULL
+            ORDER BY aa.AssignedAt DESC
+        `)];
+    },
+
+    sp_GetAssetHistory({ AssetId }, run) {
+        return [run(`
+            SELECT aa.AssignmentId, e.FullName, aa.AssignedAt, aa.ReturnedAt
+            FROM AssetAssignments aa
+            JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+            WHERE aa.AssetId = @AssetId
+            ORDER BY aa.AssignedAt DESC
+        `, { AssetId })];
+    },
+
+    sp_GetEmployeeHistory({ EmployeeId }, run) {
+        return [run(`
+            SELECT
+                aa.AssignmentId,
+                aa.AssetId,
+                a.AssetName,
+                a.AssetType,
+                a.SerialNumber,
+                aa.AssignedAt,
+                aa.ReturnedAt,
+                CAST(julianday(date(COALESCE(aa.ReturnedAt, ${NOW}))) - julianday(date(aa.AssignedAt)) AS INTEGER) AS DurationDays
+            FROM AssetAssignments aa
+            JOIN Assets a ON aa.AssetId = a.AssetId
+            WHERE aa.EmployeeId = @EmployeeId
+            ORDER BY aa.AssignedAt DESC
+        `, { EmployeeId })];
+    },
+
+    // Hands out the next number of a tag pattern. A new pattern starts after the highest
+    // number existing tags already use (Prefix + digits + Suffix), so older tags are never reissued.
+    sp_NextTagSequence({ SequenceKey, Prefix, Suffix }, run) {
+        if (run('SELECT 1 FROM TagSequences WHERE SequenceKey = @SequenceKey', { SequenceKey }).length === 0) {
+            const [{ Seed }] = run(`
+                SELECT COALESCE(MAX(CAST(Digits AS INTEGER)), 0) AS Seed
+                FROM (
+                    SELECT substr(SerialNumber, length(@Prefix) + 1, length(SerialNumber) - length(@Prefix) - length(@Suffix)) AS Digits
+                    FROM Assets
+                    WHERE SerialNumber LIKE @Pattern ESCAPE '\\' AND length(SerialNumber) > length(@Prefix) + length(@Suffix)
+                )
+                WHERE Digits NOT GLOB '*[^0-9]*'
+            `, { Prefix, Suffix, Pattern: `${escapeLike(Prefix)}%${escapeLike(Suffix)}` });
+
+            run('INSERT INTO TagSequences (SequenceKey, LastValue) VALUES (@SequenceKey, @Seed)', { SequenceKey, Seed });
+        }
+
+        return [run(
+            `UPDATE TagSequences SET LastValue = LastValue + 1, UpdatedAt = ${NOW}
+             WHERE SequenceKey = @SequenceKey
+             RETURNING LastValue AS NextValue`,
+            { SequenceKey }
+        )];
+    }
+};
+
+module.exports = procedures;
@@ -0,0 +1,106 @@
+// =====================================================
+// AUDIT TRAIL
+// =====================================================
+
+const { isConnected } = require('../config/database');
+const { AUDIT_ENTITIES, loadAuditSnapshot, recordAuditEntry } = require('../services/audit');
+const { invalidateSearchIndex } = require('../services/search');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Default action recorded for a write when the route does not name one
+const DEFAULT_AUDIT_ACTIONS = { POST: 'CREATE', PUT: 'UPDATE', PATCH: 'UPDATE', DELETE: 'DELETE' };
+
+// Helper to drop token fields from a response body before it is written to the log
+const withoutTokens = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    const { token, ...rest } = value;
+    return rest;
+};
+
+// Helper to identify who made a request
+const getActor = (req) => (req.user ? req.user.username : req.ip || 'unknown');
+
+// Middleware (route level) naming the entity a write touches and snapshotting it beforehand
+const auditEntity = (entityType, { idParam, action } = {}) => async (req, res, next) => {
+    const entityId = idParam ? req.params[idParam] : null;
+    req.audit = { entityType, entityId, action, before: null };
+
+    try {
+        req.audit.before = await loadAuditSnapshot(entityType, entityId);
+    } catch (err) {
+        console.error('Audit snapshot error:', err);
+    }
+    next();
+};
+
+// Middleware (global) recording every successful write to the append-only AuditLog table
+const auditTrail = (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    // Capture the response body so the "after" state can be recorded
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        res.locals.auditBody = body;
+        return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+        // Failed writes, checks that change nothing (import dry runs) and sign-ins are not recorded
+        if (res.statusCode >= 400 || !isConnected() || res.locals.skipAudit) return;
+
+        try {
+            const body = res.locals.auditBody || {};
+            const audit = req.audit || {
+                // Unannotated write: fall back to the resource segment of the path
+                entityType: req.path.split('/')[2] || 'Unknown',
+                entityId: null,
+                before: null
+            };
+
+            const entity = AUDIT_ENTITIES[audit.entityType];
+            const entityId = audit.entityId || (entity && body.data ? body.data[entity.key] : null);
+
+            let after = entity ? await loadAuditSnapshot(audit.entityType, entityId) : null;
+            if (!after) {
+                const { success, message, ...rest } = withoutTokens(body);
+                const data = withoutTokens(body.data);
+                after = data || (Object.keys(rest).length > 0 ? rest : null);
+            }
+
+            await recordAuditEntry({
+                actor: getActor(req),
+                action: audit.action || DEFAULT_AUDIT_ACTIONS[req.method],
+                entityType: audit.entityType,
+                entityId,
+                before: audit.before,
+                after,
+                summary: body.message,
+                method: req.method,
+                path: req.originalUrl
+            });
+        } catch (err) {
+            console.error('Audit log error:', err);
+        }
+    });
+
+    next();
+};
+
+// Middleware (global) marking the search index stale after any successful write
+const searchIndexInvalidation = (req, res, next) => {
+    if (AUDITED_METHODS.includes(req.method)) {
+        res.on('finish', () => {
+            if (res.statusCode < 400) invalidateSearchIndex();
+        });
+    }
+    next();
+};
+
+module.exports = {
+    auditEntity,
+    auditTrail,
+    searchIndexInvalidation
+};
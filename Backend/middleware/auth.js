@@ -0,0 +1,125 @@
+// =====================================================
+// AUTHENTICATION & ROLES
+// =====================================================
+
+const jwt = require('jsonwebtoken');
+const { sql, getPool, isConnected } = require('../config/database');
+const { sendError, sendErrorCode } = require('../routes/respond');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+const ROLES = {
+    ADMIN: 'admin',
+    IT_STAFF: 'it_staff',
+    READ_ONLY: 'read_only',
+    EMPLOYEE: 'employee'
+};
+
+// Role groups used on routes
+const STAFF_ROLES = [ROLES.ADMIN, ROLES.IT_STAFF];
+const READ_ROLES = [ROLES.ADMIN, ROLES.IT_STAFF, ROLES.READ_ONLY];
+
+// Helper to shape a Users row for API responses (never expose the hash)
+const toPublicUser = (user) => ({
+    userId: user.UserId,
+    username: user.Username,
+    role: user.Role,
+    employeeId: user.EmployeeId,
+    isActive: user.IsActive,
+    lastLoginAt: user.LastLoginAt,
+    createdAt: user.CreatedAt
+});
+
+// Middleware to check database connection
+const checkDbConnection = (req, res, next) => {
+    if (!isConnected()) {
+        return sendErrorCode(res, 'DATABASE_UNAVAILABLE', 'Database not connected yet. Please wait.');
+    }
+    next();
+};
+
+// Middleware to verify the bearer token and load the signed-in user
+const authenticate = async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    if (!token) {
+        return sendErrorCode(res, 'UNAUTHENTICATED', 'Authentication required');
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch {
+        return sendErrorCode(res, 'UNAUTHENTICATED', 'Invalid or expired token');
+    }
+
+    try {
+        // Magic-link sessions belong to an employee rather than a Users row
+        if (payload.kind === 'portal') {
+            const employeeResult = await getPool().request()
+                .input('employeeId', sql.Int, payload.sub)
+                .query('SELECT EmployeeId, Email, IsActive FROM Employees WHERE EmployeeId = @employeeId');
+
+            const employee = employeeResult.recordset[0];
+            if (!employee || !employee.IsActive) {
+                return sendErrorCode(res, 'UNAUTHENTICATED', 'Account is disabled');
+            }
+
+            req.user = {
+                userId: null,
+                username: employee.Email,
+                role: ROLES.EMPLOYEE,
+                employeeId: employee.EmployeeId
+            };
+            return next();
+        }
+
+        // Re-read the user so deactivation and role changes apply immediately
+        const result = await getPool().request()
+            .input('userId', sql.Int, payload.sub)
+            .query('SELECT * FROM Users WHERE UserId = @userId');
+
+        const user = result.recordset[0];
+        if (!user || !user.IsActive) {
+            return sendErrorCode(res, 'UNAUTHENTICATED', 'Account is disabled');
+        }
+
+        req.user = toPublicUser(user);
+        next();
+    } catch (err) {
+        sendError(res, err, 'Authentication');
+    }
+};
+
+// Middleware to allow only the given roles (use after authenticate)
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return sendErrorCode(res, 'FORBIDDEN', 'You do not have permission to do this');
+    }
+    next();
+};
+
+// authenticate + authorize in one, for route definitions
+const requireRole = (...roles) => [authenticate, authorize(...roles)];
+
+// Self-service routes act on the signed-in user's own Employees row
+const requireEmployee = [authenticate, (req, res, next) => {
+    if (!req.user.employeeId) {
+        return sendErrorCode(res, 'FORBIDDEN', 'Your account is not linked to an employee');
+    }
+    next();
+}];
+
+module.exports = {
+    JWT_SECRET,
+    ROLES,
+    STAFF_ROLES,
+    READ_ROLES,
+    toPublicUser,
+    checkDbConnection,
+    authenticate,
+    authorize,
+    requireRole,
+    requireEmployee
+};
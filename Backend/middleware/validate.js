@@ -0,0 +1,118 @@
+// =====================================================
+// REQUEST VALIDATION
+// Routes declare what they accept per source (params, query, body) and a failed check
+// answers 400 { success: false, code: 'VALIDATION_FAILED', message, errors } before the handler runs, e.g.
+//   validate({ body: { fullName: { required: true, type: 'string' } } })
+//
+// Field rules:
+//   required            value must be present (not undefined, null or blank text)
+//   type                'string' | 'integer' | 'number' | 'boolean' | 'date' | 'array' | 'object'
+//                       (integer and number also accept their text form, as query strings send them;
+//                       boolean accepts 'true'/'false' in params and query only, bodies must send JSON true/false)
+//   oneOf               allowed values (text is compared case-insensitively when ignoreCase is set)
+//   minLength/maxLength length of text or arrays
+//   min/max             numeric bounds
+//   pattern             RegExp text must match
+//   message             replaces the generated message: text for any failed rule of the field,
+//                       or per rule, e.g. { required: 'Name is required', oneOf: 'Unknown role' }
+// =====================================================
+
+const { sendErrorCode } = require('../routes/respond');
+
+// Helper to check for "nothing sent" (blank text counts as missing)
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Type checks; each accepts the JSON value or, where it has one, its query-string form
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    integer: (value) => (typeof value === 'number' || (typeof value === 'string' && /^-?\d+$/.test(value.trim()))) && Number.isInteger(Number(value)),
+    number: (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value)),
+    boolean: (value) => typeof value === 'boolean' || value === 'true' || value === 'false',
+    date: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime()),
+    array: (value) => Array.isArray(value),
+    object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+// Body overrides: text 'false' is truthy, so JSON bodies must send real booleans
+const BODY_TYPE_CHECKS = {
+    boolean: (value) => typeof value === 'boolean'
+};
+
+const TYPE_NAMES = {
+    string: 'text',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+    date: 'a date (YYYY-MM-DD)',
+    array: 'a list',
+    object: 'an object'
+};
+
+// Helper to check one value from a source (params, query, body) against its rules; returns the error message or null
+function checkField(field, value, rules, source) {
+    const fail = (rule, reason) => {
+        const { message } = rules;
+        return (message && typeof message === 'object' ? message[rule] : message) || reason;
+    };
+
+    if (isMissing(value)) {
+        return rules.required ? fail('required', `${field} is required`) : null;
+    }
+    const typeCheck = (source === 'body' && BODY_TYPE_CHECKS[rules.type]) || TYPE_CHECKS[rules.type];
+    if (rules.type && !typeCheck(value)) {
+        return fail('type', `${field} must be ${TYPE_NAMES[rules.type]}`);
+    }
+    if (rules.oneOf) {
+        const matches = rules.ignoreCase
+            ? rules.oneOf.some(option => String(option).toLowerCase() === String(value).toLowerCase())
+            : rules.oneOf.includes(value);
+        if (!matches) {
+            return fail('oneOf', `${field} must be one of: ${rules.oneOf.join(', ')}`);
+        }
+    }
+
+    const length = typeof value === 'string' ? value.length : Array.isArray(value) ? value.length : null;
+    if (rules.minLength !== undefined && length !== null && length < rules.minLength) {
+        return fail('minLength', `${field} must be at least ${rules.minLength} characters`);
+    }
+    if (rules.maxLength !== undefined && length !== null && length > rules.maxLength) {
+        return fail('maxLength', `${field} must be at most ${rules.maxLength} characters`);
+    }
+    if (rules.min !== undefined && Number(value) < rules.min) {
+        return fail('min', `${field} must be at least ${rules.min}`);
+    }
+    if (rules.max !== undefined && Number(value) > rules.max) {
+        return fail('max', `${field} must be at most ${rules.max}`);
+    }
+    if (rules.pattern && !rules.pattern.test(String(value))) {
+        return fail('pattern', `${field} is not valid`);
+    }
+    return null;
+}
+
+// Middleware factory: schema is { params?, query?, body? }, each mapping field names to rules
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+
+    for (const source of ['params', 'query', 'body']) {
+        const fields = schema[source];
+        if (!fields) continue;
+
+        const values = req[source] || {};
+        for (const [field, rules] of Object.entries(fields)) {
+            const error = checkField(field, values[field], rules, source);
+            if (error) errors.push(error);
+        }
+    }
+
+    if (errors.length > 0) {
+        // Fields sharing one message (e.g. "Username and password are required") report it once
+        const unique = [...new Set(errors)];
+        return sendErrorCode(res, 'VALIDATION_FAILED', unique.join('. '), { errors: unique });
+    }
+    next();
+};
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,25 @@
+-- =====================================================
+-- MIGRATION 0001: BASELINE (SQL Server) - DOWN
+-- Drops everything the baseline created, dependents first. All data is lost.
+-- =====================================================
+
+DROP PROCEDURE IF EXISTS sp_NextTagSequence;
+DROP PROCEDURE IF EXISTS sp_GetEmployeeHistory;
+DROP PROCEDURE IF EXISTS sp_GetAssetHistory;
+DROP PROCEDURE IF EXISTS sp_GetActiveAssignments;
+DROP PROCEDURE IF EXISTS sp_ReturnAsset;
+DROP PROCEDURE IF EXISTS sp_AssignAsset;
+GO
+
+DROP TABLE IF EXISTS TagSequences;
+DROP TABLE IF EXISTS Alerts;
+DROP TABLE IF EXISTS AssetRequests;
+DROP TABLE IF EXISTS ServiceRequests;
+DROP TABLE IF EXISTS PortalLinks;
+DROP TABLE IF EXISTS Users;
+DROP TABLE IF EXISTS AuditLog;
+DROP TABLE IF EXISTS AssetAssignments;
+DROP TABLE IF EXISTS Assets;
+DROP TABLE IF EXISTS AssetTypes;
+DROP TABLE IF EXISTS Employees;
+GO
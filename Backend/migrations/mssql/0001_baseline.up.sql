@@ -0,0 +1,420 @@
+-- =====================================================
+-- MIGRATION 0001: BASELINE (SQL Server)
+-- The schema and stored procedures AssetManagament.sql used to build in steps 1-16,
+-- consolidated into their final shape. Runs inside the database named by DB_NAME;
+-- creating the database and its login is left to AssetManagament.sql.
+-- =====================================================
+
+-- Employees are never deleted, only deactivated, so assignment history stays intact
+CREATE TABLE Employees (
+    EmployeeId INT IDENTITY(1,1) PRIMARY KEY,
+    FullName NVARCHAR(100) NOT NULL,
+    Email NVARCHAR(100) NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    Position NVARCHAR(100) NULL,
+    IsActive BIT NOT NULL CONSTRAINT DF_Employees_IsActive DEFAULT 1,
+    DeactivatedAt DATETIME2 NULL,
+
+    CONSTRAINT UQ_Employees_Email UNIQUE (Email)
+);
+GO
+
+-- Assets keep the type name; the foreign key (with ON UPDATE CASCADE) makes renames follow automatically
+-- FieldSchema: JSON list of { key, label, type (text|number|date|enum), required, options }
+-- TagTemplate: tokens {TYPE}, {YYYY}, {YY}, {LOCATION} and one {SEQ} / {SEQ:n} (NULL = {TYPE}-{YYYY}-{SEQ:3})
+-- TypeCode: what {TYPE} prints (NULL = first two letters of the name, e.g. LA for Laptop)
+CREATE TABLE AssetTypes (
+    AssetTypeId INT IDENTITY(1,1) PRIMARY KEY,
+    Name NVARCHAR(50) NOT NULL,
+    Description NVARCHAR(200) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    FieldSchema NVARCHAR(MAX) NULL,
+    DepreciationMethod NVARCHAR(20) NOT NULL CONSTRAINT DF_AssetTypes_DepreciationMethod DEFAULT 'StraightLine',
+    UsefulLifeYears INT NOT NULL CONSTRAINT DF_AssetTypes_UsefulLifeYears DEFAULT 3,
+    TagTemplate NVARCHAR(60) NULL,
+    TypeCode NVARCHAR(10) NULL,
+
+    CONSTRAINT UQ_AssetTypes_Name UNIQUE (Name),
+    CONSTRAINT CK_AssetTypes_FieldSchema CHECK (FieldSchema IS NULL OR ISJSON(FieldSchema) = 1),
+    CONSTRAINT CK_AssetTypes_DepreciationMethod CHECK (DepreciationMethod IN ('StraightLine', 'DecliningBalance')),
+    CONSTRAINT CK_AssetTypes_UsefulLifeYears CHECK (UsefulLifeYears BETWEEN 1 AND 50)
+);
+GO
+
+CREATE UNIQUE INDEX UQ_AssetTypes_TypeCode ON AssetTypes(TypeCode) WHERE TypeCode IS NOT NULL;
+GO
+
+INSERT INTO AssetTypes (Name)
+SELECT Name FROM (VALUES
+    ('Laptop'), ('Mobile'), ('Monitor'), ('Keyboard'), ('Mouse'),
+    ('Headset'), ('Tablet'), ('Camera'), ('Printer'), ('Other')
+) AS Defaults(Name);
+GO
+
+-- Status: InStock -> Assigned / InRepair / Lost / Retired, enforced by the API and the procedures below
+-- Archived assets (soft delete) always carry a disposition and a reason; history is never removed
+-- SerialNumber is the internal asset tag; the maker's serial is stored in ManufacturerSerial
+-- CustomFields: JSON object of values keyed by field key, validated by the API against the type
+CREATE TABLE Assets (
+    AssetId INT IDENTITY(1,1) PRIMARY KEY,
+    AssetName NVARCHAR(100) NOT NULL,
+    AssetType NVARCHAR(50) NOT NULL,
+    SerialNumber NVARCHAR(100) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    ArchivedAt DATETIME2 NULL,
+    ArchiveDisposition NVARCHAR(20) NULL,
+    ArchiveReason NVARCHAR(500) NULL,
+    Status NVARCHAR(20) NOT NULL CONSTRAINT DF_Assets_Status DEFAULT 'InStock',
+    StatusNote NVARCHAR(500) NULL,
+    StatusChangedAt DATETIME2 NULL,
+    CustomFields NVARCHAR(MAX) NULL,
+    Vendor NVARCHAR(100) NULL,
+    InvoiceNumber NVARCHAR(50) NULL,
+    PurchaseDate DATE NULL,
+    PurchaseCost DECIMAL(12, 2) NULL,
+    WarrantyExpiresAt DATE NULL,
+    LeaseEndsAt DATE NULL,
+    ManufacturerSerial NVARCHAR(100) NULL,
+    Location NVARCHAR(100) NULL,
+
+    CONSTRAINT UQ_Assets_SerialNumber UNIQUE (SerialNumber),
+    CONSTRAINT FK_Assets_AssetType FOREIGN KEY (AssetType) REFERENCES AssetTypes(Name) ON UPDATE CASCADE,
+    CONSTRAINT CK_Assets_ArchiveDisposition CHECK (ArchiveDisposition IS NULL OR ArchiveDisposition IN ('Retired', 'Disposed')),
+    CONSTRAINT CK_Assets_ArchiveComplete CHECK (
+        (ArchivedAt IS NULL AND ArchiveDisposition IS NULL AND ArchiveReason IS NULL) OR
+        (ArchivedAt IS NOT NULL AND ArchiveDisposition IS NOT NULL AND ArchiveReason IS NOT NULL)
+    ),
+    CONSTRAINT CK_Assets_Status CHECK (Status IN ('InStock', 'Assigned', 'InRepair', 'Lost', 'Retired')),
+    CONSTRAINT CK_Assets_CustomFields CHECK (CustomFields IS NULL OR ISJSON(CustomFields) = 1),
+    CONSTRAINT CK_Assets_PurchaseCost CHECK (PurchaseCost IS NULL OR PurchaseCost >= 0)
+);
+GO
+
+CREATE INDEX IX_Assets_ManufacturerSerial ON Assets(ManufacturerSerial);
+GO
+
+CREATE TABLE AssetAssignments (
+    AssignmentId INT IDENTITY(1,1) PRIMARY KEY,
+    AssetId INT NOT NULL,
+    EmployeeId INT NOT NULL,
+    AssignedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    ReturnedAt DATETIME2 NULL,
+    ReceiptConfirmedAt DATETIME2 NULL,
+
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+
+    -- Prevent returning before assigned
+    CONSTRAINT CK_ReturnedAfterAssigned CHECK (ReturnedAt IS NULL OR ReturnedAt >= AssignedAt)
+);
+GO
+
+-- Critical: One asset = One active assignment at a time
+CREATE UNIQUE INDEX UQ_OneAssetOneEmployee
+ON AssetAssignments(AssetId)
+WHERE ReturnedAt IS NULL;
+GO
+
+-- Append-only record of every write made through the API
+CREATE TABLE AuditLog (
+    AuditId BIGINT IDENTITY(1,1) PRIMARY KEY,
+    Actor NVARCHAR(100) NOT NULL,
+    Action NVARCHAR(50) NOT NULL,
+    EntityType NVARCHAR(50) NOT NULL,
+    EntityId NVARCHAR(100) NULL,
+    BeforeValue NVARCHAR(MAX) NULL,
+    AfterValue NVARCHAR(MAX) NULL,
+    Summary NVARCHAR(500) NULL,
+    Method NVARCHAR(10) NOT NULL,
+    Path NVARCHAR(400) NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX IX_AuditLog_Entity ON AuditLog(EntityType, EntityId);
+CREATE INDEX IX_AuditLog_CreatedAt ON AuditLog(CreatedAt);
+GO
+
+-- Rows can be inserted but never changed or removed
+CREATE TRIGGER TR_AuditLog_AppendOnly
+ON AuditLog
+INSTEAD OF UPDATE, DELETE
+AS
+BEGIN
+    THROW 50001, 'AuditLog is append-only', 1;
+END
+GO
+
+-- Passwords are stored as bcrypt hashes by the API
+CREATE TABLE Users (
+    UserId INT IDENTITY(1,1) PRIMARY KEY,
+    Username NVARCHAR(100) NOT NULL,
+    PasswordHash NVARCHAR(200) NOT NULL,
+    Role NVARCHAR(20) NOT NULL,
+    EmployeeId INT NULL,
+    IsActive BIT NOT NULL DEFAULT 1,
+    LastLoginAt DATETIME2 NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+    CONSTRAINT UQ_Users_Username UNIQUE (Username),
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+    CONSTRAINT CK_Users_Role CHECK (Role IN ('admin', 'it_staff', 'read_only', 'employee'))
+);
+GO
+
+-- One-time sign-in links; only a SHA-256 hash of the token is stored
+CREATE TABLE PortalLinks (
+    PortalLinkId INT IDENTITY(1,1) PRIMARY KEY,
+    EmployeeId INT NOT NULL,
+    TokenHash CHAR(64) NOT NULL,
+    ExpiresAt DATETIME2 NOT NULL,
+    UsedAt DATETIME2 NULL,
+    CreatedBy NVARCHAR(100) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+    CONSTRAINT UQ_PortalLinks_TokenHash UNIQUE (TokenHash),
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId)
+);
+GO
+
+-- Damaged / lost reports and return requests raised by employees, worked by IT staff
+CREATE TABLE ServiceRequests (
+    RequestId INT IDENTITY(1,1) PRIMARY KEY,
+    AssignmentId INT NOT NULL,
+    EmployeeId INT NOT NULL,
+    AssetId INT NOT NULL,
+    RequestType NVARCHAR(20) NOT NULL,
+    Status NVARCHAR(20) NOT NULL DEFAULT 'Open',
+    Note NVARCHAR(500) NULL,
+    ResolutionNote NVARCHAR(500) NULL,
+    ResolvedBy NVARCHAR(100) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    ResolvedAt DATETIME2 NULL,
+
+    FOREIGN KEY (AssignmentId) REFERENCES AssetAssignments(AssignmentId),
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    CONSTRAINT CK_ServiceRequests_Type CHECK (RequestType IN ('Damaged', 'Lost', 'Return')),
+    CONSTRAINT CK_ServiceRequests_Status CHECK (Status IN ('Open', 'Resolved', 'Dismissed'))
+);
+GO
+
+CREATE INDEX IX_ServiceRequests_Status ON ServiceRequests(Status, CreatedAt);
+GO
+
+-- Pending -> Approved/Rejected -> Fulfilled, or Cancelled
+CREATE TABLE AssetRequests (
+    RequestId INT IDENTITY(1,1) PRIMARY KEY,
+    EmployeeId INT NOT NULL,
+    AssetType NVARCHAR(50) NOT NULL,
+    Justification NVARCHAR(500) NULL,
+    RequestedBy NVARCHAR(100) NOT NULL,
+    Status NVARCHAR(20) NOT NULL DEFAULT 'Pending',
+    DecisionNote NVARCHAR(500) NULL,
+    DecidedBy NVARCHAR(100) NULL,
+    DecidedAt DATETIME2 NULL,
+    AssetId INT NULL,
+    AssignmentId INT NULL,
+    FulfilledBy NVARCHAR(100) NULL,
+    FulfilledAt DATETIME2 NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    FOREIGN KEY (AssignmentId) REFERENCES AssetAssignments(AssignmentId),
+    CONSTRAINT FK_AssetRequests_AssetType FOREIGN KEY (AssetType) REFERENCES AssetTypes(Name) ON UPDATE CASCADE,
+    CONSTRAINT CK_AssetRequests_Status CHECK (Status IN ('Pending', 'Approved', 'Rejected', 'Fulfilled', 'Cancelled'))
+);
+GO
+
+CREATE INDEX IX_AssetRequests_Status ON AssetRequests(Status, CreatedAt);
+GO
+
+-- Raised by the backend's expiry check; one row per asset, date and window reached
+CREATE TABLE Alerts (
+    AlertId INT IDENTITY(1,1) PRIMARY KEY,
+    AssetId INT NOT NULL,
+    AlertType NVARCHAR(20) NOT NULL,
+    ExpiresAt DATE NOT NULL,
+    WindowDays INT NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT GETDATE(),
+    AcknowledgedAt DATETIME2 NULL,
+    AcknowledgedBy NVARCHAR(100) NULL,
+
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    CONSTRAINT CK_Alerts_Type CHECK (AlertType IN ('WarrantyExpiry', 'LeaseEnd')),
+    CONSTRAINT UQ_Alerts_AssetWindow UNIQUE (AssetId, AlertType, ExpiresAt, WindowDays)
+);
+GO
+
+CREATE INDEX IX_Alerts_Open ON Alerts(AcknowledgedAt, ExpiresAt);
+GO
+
+-- One counter per rendered tag pattern, e.g. 'LA-2025-{SEQ}'
+CREATE TABLE TagSequences (
+    SequenceKey NVARCHAR(200) NOT NULL PRIMARY KEY,
+    LastValue INT NOT NULL,
+    UpdatedAt DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+GO
+
+
+-- STORED PROCEDURES
+
+-- Only in-stock assets of active employees can be assigned; assigning moves the asset to Assigned
+CREATE PROCEDURE sp_AssignAsset
+    @AssetId INT,
+    @EmployeeId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    IF NOT EXISTS (SELECT 1 FROM Employees WHERE EmployeeId = @EmployeeId AND IsActive = 1)
+    BEGIN
+        RAISERROR('Employee is deactivated or does not exist', 16, 1);
+        RETURN;
+    END
+
+    IF EXISTS (SELECT 1 FROM AssetAssignments WHERE AssetId = @AssetId AND ReturnedAt IS NULL)
+    BEGIN
+        PRINT 'Asset already assigned';
+        RETURN;
+    END
+
+    IF NOT EXISTS (SELECT 1 FROM Assets WHERE AssetId = @AssetId AND Status = 'InStock')
+    BEGIN
+        RAISERROR('Asset is not in stock and cannot be assigned', 16, 1);
+        RETURN;
+    END
+
+    BEGIN TRANSACTION;
+
+    INSERT INTO AssetAssignments (AssetId, EmployeeId)
+    VALUES (@AssetId, @EmployeeId);
+
+    UPDATE Assets
+    SET Status = 'Assigned', StatusNote = NULL, StatusChangedAt = GETDATE()
+    WHERE AssetId = @AssetId;
+
+    COMMIT TRANSACTION;
+
+    PRINT 'Asset assigned successfully';
+END
+GO
+
+-- Returning puts the asset back in stock
+CREATE PROCEDURE sp_ReturnAsset
+    @AssignmentId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    DECLARE @AssetId INT;
+
+    BEGIN TRANSACTION;
+
+    UPDATE AssetAssignments
+    SET ReturnedAt = GETDATE(), @AssetId = AssetId
+    WHERE AssignmentId = @AssignmentId AND ReturnedAt IS NULL;
+
+    IF @@ROWCOUNT = 0
+    BEGIN
+        COMMIT TRANSACTION;
+        PRINT 'Assignment not found or already returned';
+        RETURN;
+    END
+
+    UPDATE Assets
+    SET Status = 'InStock', StatusChangedAt = GETDATE()
+    WHERE AssetId = @AssetId AND Status = 'Assigned';
+
+    COMMIT TRANSACTION;
+
+    PRINT 'Asset returned successfully';
+END
+GO
+
+CREATE PROCEDURE sp_GetActiveAssignments
+AS
+BEGIN
+    SELECT aa.AssignmentId, a.AssetName, e.FullName, aa.AssignedAt
+    FROM AssetAssignments aa
+    JOIN Assets a ON aa.AssetId = a.AssetId
+    JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+    WHERE aa.ReturnedAt IS NULL
+    ORDER BY aa.AssignedAt DESC;
+END
+GO
+
+CREATE PROCEDURE sp_GetAssetHistory
+    @AssetId INT
+AS
+BEGIN
+    SELECT aa.AssignmentId, e.FullName, aa.AssignedAt, aa.ReturnedAt
+    FROM AssetAssignments aa
+    JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+    WHERE aa.AssetId = @AssetId
+    ORDER BY aa.AssignedAt DESC;
+END
+GO
+
+-- Inverse of sp_GetAssetHistory
+CREATE PROCEDURE sp_GetEmployeeHistory
+    @EmployeeId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        aa.AssignmentId,
+        aa.AssetId,
+        a.AssetName,
+        a.AssetType,
+        a.SerialNumber,
+        aa.AssignedAt,
+        aa.ReturnedAt,
+        DATEDIFF(DAY, aa.AssignedAt, COALESCE(aa.ReturnedAt, GETDATE())) AS DurationDays
+    FROM AssetAssignments aa
+    JOIN Assets a ON aa.AssetId = a.AssetId
+    WHERE aa.EmployeeId = @EmployeeId
+    ORDER BY aa.AssignedAt DESC;
+END
+GO
+
+-- Hands out the next number of a pattern. A new pattern starts after the highest
+-- number existing tags already use (@Prefix + digits + @Suffix), so older tags are never reissued.
+CREATE PROCEDURE sp_NextTagSequence
+    @SequenceKey NVARCHAR(200),
+    @Prefix NVARCHAR(100),
+    @Suffix NVARCHAR(100)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    IF NOT EXISTS (SELECT 1 FROM TagSequences WHERE SequenceKey = @SequenceKey)
+    BEGIN
+        DECLARE @Pattern NVARCHAR(300) =
+            REPLACE(REPLACE(REPLACE(@Prefix, '[', '[[]'), '%', '[%]'), '_', '[_]') + '%' +
+            REPLACE(REPLACE(REPLACE(@Suffix, '[', '[[]'), '%', '[%]'), '_', '[_]');
+
+        DECLARE @Seed INT = ISNULL((
+            SELECT MAX(TRY_CAST(SUBSTRING(SerialNumber, LEN(@Prefix) + 1, LEN(SerialNumber) - LEN(@Prefix) - LEN(@Suffix)) AS INT))
+            FROM Assets
+            WHERE SerialNumber LIKE @Pattern AND LEN(SerialNumber) > LEN(@Prefix) + LEN(@Suffix)
+        ), 0);
+
+        BEGIN TRY
+            INSERT INTO TagSequences (SequenceKey, LastValue) VALUES (@SequenceKey, @Seed);
+        END TRY
+        BEGIN CATCH
+            -- Another request created the counter first; use theirs
+            IF ERROR_NUMBER() NOT IN (2601, 2627) THROW;
+        END CATCH
+    END
+
+    -- The row lock makes this increment atomic across concurrent requests
+    UPDATE TagSequences
+    SET LastValue = LastValue + 1, UpdatedAt = GETDATE()
+    OUTPUT INSERTED.LastValue AS NextValue
+    WHERE SequenceKey = @SequenceKey;
+END
+GO
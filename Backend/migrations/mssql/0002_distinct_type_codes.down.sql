@@ -0,0 +1,16 @@
+-- =====================================================
+-- MIGRATION 0002: DISTINCT TYPE CODES (SQL Server) - DOWN
+-- Clears the codes 0002 set, so the default types derive theirs from the name again.
+-- =====================================================
+
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Laptop' AND TypeCode = 'LA';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Mobile' AND TypeCode = 'MO';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Monitor' AND TypeCode = 'MN';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Keyboard' AND TypeCode = 'KE';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Mouse' AND TypeCode = 'MS';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Headset' AND TypeCode = 'HE';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Tablet' AND TypeCode = 'TA';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Camera' AND TypeCode = 'CA';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Printer' AND TypeCode = 'PR';
+UPDATE AssetTypes SET TypeCode = NULL WHERE Name = 'Other' AND TypeCode = 'OT';
+GO
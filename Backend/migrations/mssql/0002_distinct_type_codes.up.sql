@@ -0,0 +1,28 @@
+-- =====================================================
+-- MIGRATION 0002: DISTINCT TYPE CODES (SQL Server)
+-- Gives each default type its own {TYPE} code. Derived from the name, Mobile, Monitor
+-- and Mouse all printed MO and shared one tag sequence.
+-- Types that already have a code, and codes another type already uses, are left alone.
+-- =====================================================
+
+UPDATE AssetTypes SET TypeCode = 'LA' WHERE Name = 'Laptop' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'LA');
+UPDATE AssetTypes SET TypeCode = 'MO' WHERE Name = 'Mobile' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'MO');
+UPDATE AssetTypes SET TypeCode = 'MN' WHERE Name = 'Monitor' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'MN');
+UPDATE AssetTypes SET TypeCode = 'KE' WHERE Name = 'Keyboard' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'KE');
+UPDATE AssetTypes SET TypeCode = 'MS' WHERE Name = 'Mouse' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'MS');
+UPDATE AssetTypes SET TypeCode = 'HE' WHERE Name = 'Headset' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'HE');
+UPDATE AssetTypes SET TypeCode = 'TA' WHERE Name = 'Tablet' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'TA');
+UPDATE AssetTypes SET TypeCode = 'CA' WHERE Name = 'Camera' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'CA');
+UPDATE AssetTypes SET TypeCode = 'PR' WHERE Name = 'Printer' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'PR');
+UPDATE AssetTypes SET TypeCode = 'OT' WHERE Name = 'Other' AND TypeCode IS NULL
+    AND NOT EXISTS (SELECT 1 FROM AssetTypes WHERE TypeCode = 'OT');
+GO
@@ -0,0 +1,16 @@
+-- =====================================================
+-- MIGRATION 0001: BASELINE (SQLite) - DOWN
+-- Drops everything the baseline created, dependents first. All data is lost.
+-- =====================================================
+
+DROP TABLE IF EXISTS TagSequences;
+DROP TABLE IF EXISTS Alerts;
+DROP TABLE IF EXISTS AssetRequests;
+DROP TABLE IF EXISTS ServiceRequests;
+DROP TABLE IF EXISTS PortalLinks;
+DROP TABLE IF EXISTS Users;
+DROP TABLE IF EXISTS AuditLog;
+DROP TABLE IF EXISTS AssetAssignments;
+DROP TABLE IF EXISTS Assets;
+DROP TABLE IF EXISTS AssetTypes;
+DROP TABLE IF EXISTS Employees;
@@ -0,0 +1,232 @@
+-- =====================================================
+-- MIGRATION 0001: BASELINE (SQLite)
+-- The schema of mssql/0001_baseline.up.sql for DB_CLIENT=sqlite.
+-- Keep both in step: every migration has a twin with the same version in each folder.
+-- Text columns use NOCASE to match SQL Server's case-insensitive default collation;
+-- dates are stored as ISO-8601 text (DATETIME2 in UTC, DATE as YYYY-MM-DD).
+-- =====================================================
+
+CREATE TABLE Employees (
+    EmployeeId INTEGER PRIMARY KEY AUTOINCREMENT,
+    FullName NVARCHAR(100) COLLATE NOCASE NOT NULL,
+    Email NVARCHAR(100) COLLATE NOCASE NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    Position NVARCHAR(100) COLLATE NOCASE NULL,
+    IsActive BIT NOT NULL DEFAULT 1,
+    DeactivatedAt DATETIME2 NULL
+);
+
+CREATE UNIQUE INDEX UQ_Employees_Email ON Employees(Email);
+
+-- Assets keep the type name; the foreign key (with ON UPDATE CASCADE) makes renames follow automatically
+CREATE TABLE AssetTypes (
+    AssetTypeId INTEGER PRIMARY KEY AUTOINCREMENT,
+    Name NVARCHAR(50) COLLATE NOCASE NOT NULL,
+    Description NVARCHAR(200) COLLATE NOCASE NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    FieldSchema NVARCHAR NULL,
+    DepreciationMethod NVARCHAR(20) COLLATE NOCASE NOT NULL DEFAULT 'StraightLine',
+    UsefulLifeYears INT NOT NULL DEFAULT 3,
+    TagTemplate NVARCHAR(60) NULL,
+    TypeCode NVARCHAR(10) COLLATE NOCASE NULL,
+
+    CONSTRAINT CK_AssetTypes_FieldSchema CHECK (FieldSchema IS NULL OR json_valid(FieldSchema)),
+    CONSTRAINT CK_AssetTypes_DepreciationMethod CHECK (DepreciationMethod IN ('StraightLine', 'DecliningBalance')),
+    CONSTRAINT CK_AssetTypes_UsefulLifeYears CHECK (UsefulLifeYears BETWEEN 1 AND 50)
+);
+
+CREATE UNIQUE INDEX UQ_AssetTypes_Name ON AssetTypes(Name);
+CREATE UNIQUE INDEX UQ_AssetTypes_TypeCode ON AssetTypes(TypeCode) WHERE TypeCode IS NOT NULL;
+
+INSERT INTO AssetTypes (Name) VALUES
+    ('Laptop'), ('Mobile'), ('Monitor'), ('Keyboard'), ('Mouse'),
+    ('Headset'), ('Tablet'), ('Camera'), ('Printer'), ('Other');
+
+CREATE TABLE Assets (
+    AssetId INTEGER PRIMARY KEY AUTOINCREMENT,
+    AssetName NVARCHAR(100) COLLATE NOCASE NOT NULL,
+    AssetType NVARCHAR(50) COLLATE NOCASE NOT NULL,
+    SerialNumber NVARCHAR(100) COLLATE NOCASE NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ArchivedAt DATETIME2 NULL,
+    ArchiveDisposition NVARCHAR(20) COLLATE NOCASE NULL,
+    ArchiveReason NVARCHAR(500) COLLATE NOCASE NULL,
+    Status NVARCHAR(20) COLLATE NOCASE NOT NULL DEFAULT 'InStock',
+    StatusNote NVARCHAR(500) COLLATE NOCASE NULL,
+    StatusChangedAt DATETIME2 NULL,
+    CustomFields NVARCHAR NULL,
+    Vendor NVARCHAR(100) COLLATE NOCASE NULL,
+    InvoiceNumber NVARCHAR(50) COLLATE NOCASE NULL,
+    PurchaseDate DATE NULL,
+    PurchaseCost DECIMAL(12, 2) NULL,
+    WarrantyExpiresAt DATE NULL,
+    LeaseEndsAt DATE NULL,
+    ManufacturerSerial NVARCHAR(100) COLLATE NOCASE NULL,
+    Location NVARCHAR(100) COLLATE NOCASE NULL,
+
+    CONSTRAINT FK_Assets_AssetType FOREIGN KEY (AssetType) REFERENCES AssetTypes(Name) ON UPDATE CASCADE,
+    CONSTRAINT CK_Assets_ArchiveDisposition CHECK (ArchiveDisposition IS NULL OR ArchiveDisposition IN ('Retired', 'Disposed')),
+    CONSTRAINT CK_Assets_ArchiveComplete CHECK (
+        (ArchivedAt IS NULL AND ArchiveDisposition IS NULL AND ArchiveReason IS NULL) OR
+        (ArchivedAt IS NOT NULL AND ArchiveDisposition IS NOT NULL AND ArchiveReason IS NOT NULL)
+    ),
+    CONSTRAINT CK_Assets_Status CHECK (Status IN ('InStock', 'Assigned', 'InRepair', 'Lost', 'Retired')),
+    CONSTRAINT CK_Assets_CustomFields CHECK (CustomFields IS NULL OR json_valid(CustomFields)),
+    CONSTRAINT CK_Assets_PurchaseCost CHECK (PurchaseCost IS NULL OR PurchaseCost >= 0)
+);
+
+CREATE UNIQUE INDEX UQ_Assets_SerialNumber ON Assets(SerialNumber);
+CREATE INDEX IX_Assets_ManufacturerSerial ON Assets(ManufacturerSerial);
+
+CREATE TABLE AssetAssignments (
+    AssignmentId INTEGER PRIMARY KEY AUTOINCREMENT,
+    AssetId INT NOT NULL,
+    EmployeeId INT NOT NULL,
+    AssignedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ReturnedAt DATETIME2 NULL,
+    ReceiptConfirmedAt DATETIME2 NULL,
+
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+
+    -- Prevent returning before assigned
+    CONSTRAINT CK_ReturnedAfterAssigned CHECK (ReturnedAt IS NULL OR ReturnedAt >= AssignedAt)
+);
+
+-- Critical: One asset = One active assignment at a time
+CREATE UNIQUE INDEX UQ_OneAssetOneEmployee ON AssetAssignments(AssetId) WHERE ReturnedAt IS NULL;
+
+-- Append-only record of every write made through the API
+CREATE TABLE AuditLog (
+    AuditId INTEGER PRIMARY KEY AUTOINCREMENT,
+    Actor NVARCHAR(100) COLLATE NOCASE NOT NULL,
+    Action NVARCHAR(50) COLLATE NOCASE NOT NULL,
+    EntityType NVARCHAR(50) COLLATE NOCASE NOT NULL,
+    EntityId NVARCHAR(100) COLLATE NOCASE NULL,
+    BeforeValue NVARCHAR NULL,
+    AfterValue NVARCHAR NULL,
+    Summary NVARCHAR(500) NULL,
+    Method NVARCHAR(10) NOT NULL,
+    Path NVARCHAR(400) NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_AuditLog_Entity ON AuditLog(EntityType, EntityId);
+CREATE INDEX IX_AuditLog_CreatedAt ON AuditLog(CreatedAt);
+
+-- Rows can be inserted but never changed or removed
+CREATE TRIGGER TR_AuditLog_NoUpdate BEFORE UPDATE ON AuditLog
+BEGIN
+    SELECT RAISE(ABORT, 'AuditLog is append-only');
+END;
+
+CREATE TRIGGER TR_AuditLog_NoDelete BEFORE DELETE ON AuditLog
+BEGIN
+    SELECT RAISE(ABORT, 'AuditLog is append-only');
+END;
+
+-- Passwords are stored as bcrypt hashes by the API
+CREATE TABLE Users (
+    UserId INTEGER PRIMARY KEY AUTOINCREMENT,
+    Username NVARCHAR(100) COLLATE NOCASE NOT NULL,
+    PasswordHash NVARCHAR(200) NOT NULL,
+    Role NVARCHAR(20) COLLATE NOCASE NOT NULL,
+    EmployeeId INT NULL,
+    IsActive BIT NOT NULL DEFAULT 1,
+    LastLoginAt DATETIME2 NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+    CONSTRAINT CK_Users_Role CHECK (Role IN ('admin', 'it_staff', 'read_only', 'employee'))
+);
+
+CREATE UNIQUE INDEX UQ_Users_Username ON Users(Username);
+
+-- One-time sign-in links; only a SHA-256 hash of the token is stored
+CREATE TABLE PortalLinks (
+    PortalLinkId INTEGER PRIMARY KEY AUTOINCREMENT,
+    EmployeeId INT NOT NULL,
+    TokenHash CHAR(64) NOT NULL,
+    ExpiresAt DATETIME2 NOT NULL,
+    UsedAt DATETIME2 NULL,
+    CreatedBy NVARCHAR(100) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId)
+);
+
+CREATE UNIQUE INDEX UQ_PortalLinks_TokenHash ON PortalLinks(TokenHash);
+
+-- Damaged / lost reports and return requests raised by employees, worked by IT staff
+CREATE TABLE ServiceRequests (
+    RequestId INTEGER PRIMARY KEY AUTOINCREMENT,
+    AssignmentId INT NOT NULL,
+    EmployeeId INT NOT NULL,
+    AssetId INT NOT NULL,
+    RequestType NVARCHAR(20) COLLATE NOCASE NOT NULL,
+    Status NVARCHAR(20) COLLATE NOCASE NOT NULL DEFAULT 'Open',
+    Note NVARCHAR(500) COLLATE NOCASE NULL,
+    ResolutionNote NVARCHAR(500) COLLATE NOCASE NULL,
+    ResolvedBy NVARCHAR(100) NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    ResolvedAt DATETIME2 NULL,
+
+    FOREIGN KEY (AssignmentId) REFERENCES AssetAssignments(AssignmentId),
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    CONSTRAINT CK_ServiceRequests_Type CHECK (RequestType IN ('Damaged', 'Lost', 'Return')),
+    CONSTRAINT CK_ServiceRequests_Status CHECK (Status IN ('Open', 'Resolved', 'Dismissed'))
+);
+
+CREATE INDEX IX_ServiceRequests_Status ON ServiceRequests(Status, CreatedAt);
+
+-- Pending -> Approved/Rejected -> Fulfilled, or Cancelled
+CREATE TABLE AssetRequests (
+    RequestId INTEGER PRIMARY KEY AUTOINCREMENT,
+    EmployeeId INT NOT NULL,
+    AssetType NVARCHAR(50) COLLATE NOCASE NOT NULL,
+    Justification NVARCHAR(500) COLLATE NOCASE NULL,
+    RequestedBy NVARCHAR(100) NOT NULL,
+    Status NVARCHAR(20) COLLATE NOCASE NOT NULL DEFAULT 'Pending',
+    DecisionNote NVARCHAR(500) COLLATE NOCASE NULL,
+    DecidedBy NVARCHAR(100) NULL,
+    DecidedAt DATETIME2 NULL,
+    AssetId INT NULL,
+    AssignmentId INT NULL,
+    FulfilledBy NVARCHAR(100) NULL,
+    FulfilledAt DATETIME2 NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+
+    FOREIGN KEY (EmployeeId) REFERENCES Employees(EmployeeId),
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    FOREIGN KEY (AssignmentId) REFERENCES AssetAssignments(AssignmentId),
+    CONSTRAINT FK_AssetRequests_AssetType FOREIGN KEY (AssetType) REFERENCES AssetTypes(Name) ON UPDATE CASCADE,
+    CONSTRAINT CK_AssetRequests_Status CHECK (Status IN ('Pending', 'Approved', 'Rejected', 'Fulfilled', 'Cancelled'))
+);
+
+CREATE INDEX IX_AssetRequests_Status ON AssetRequests(Status, CreatedAt);
+
+-- Raised by the backend's expiry check; one row per asset, date and window reached
+CREATE TABLE Alerts (
+    AlertId INTEGER PRIMARY KEY AUTOINCREMENT,
+    AssetId INT NOT NULL,
+    AlertType NVARCHAR(20) COLLATE NOCASE NOT NULL,
+    ExpiresAt DATE NOT NULL,
+    WindowDays INT NOT NULL,
+    CreatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    AcknowledgedAt DATETIME2 NULL,
+    AcknowledgedBy NVARCHAR(100) NULL,
+
+    FOREIGN KEY (AssetId) REFERENCES Assets(AssetId),
+    CONSTRAINT CK_Alerts_Type CHECK (AlertType IN ('WarrantyExpiry', 'LeaseEnd'))
+);
+
+CREATE UNIQUE INDEX UQ_Alerts_AssetWindow ON Alerts(AssetId, AlertType, ExpiresAt, WindowDays);
+CREATE INDEX IX_Alerts_Open ON Alerts(AcknowledgedAt, ExpiresAt);
+
+-- One counter per rendered tag pattern, e.g. 'LA-2025-{SEQ}' (see sp_NextTagSequence)
+CREATE TABLE TagSequences (
+    SequenceKey NVARCHAR(200) COLLATE NOCASE NOT NULL PRIMARY KEY,
+    LastValue INT NOT NULL,
+    UpdatedAt DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
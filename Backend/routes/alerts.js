@@ -0,0 +1,52 @@
+// =====================================================
+// EXPIRY ALERTS (warranty and lease end dates)
+// =====================================================
+
+const express = require('express');
+const { ROLES, STAFF_ROLES, READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const alertService = require('../services/alerts');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/alerts - Open expiry alerts, soonest first (?includeAcknowledged=true for all)
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await alertService.listAlerts({ includeAcknowledged: req.query.includeAcknowledged === 'true' }));
+    } catch (err) {
+        sendError(res, err, 'Get alerts');
+    }
+});
+
+// POST /api/alerts/:alertId/acknowledge - Dismiss an alert so it stops showing
+router.post('/:alertId/acknowledge', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Alert', { idParam: 'alertId', action: 'ACKNOWLEDGE' }), async (req, res) => {
+    try {
+        const alert = await alertService.acknowledgeAlert(req.params.alertId, req.user.username);
+
+        res.json({
+            success: true,
+            message: 'Alert acknowledged',
+            data: alert
+        });
+    } catch (err) {
+        sendError(res, err, 'Acknowledge alert');
+    }
+});
+
+// POST /api/alerts/run - Run the expiry check now instead of waiting for the timer
+router.post('/run', checkDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const created = await alertService.runExpiryAlertCheck();
+
+        res.json({
+            success: true,
+            message: `${created} new alert(s)`,
+            data: { created }
+        });
+    } catch (err) {
+        sendError(res, err, 'Run expiry check');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// =====================================================
+// ASSET REQUESTS (request -> approval -> fulfillment)
+// Employees file theirs through /api/me/asset-requests (routes/portal.js)
+// =====================================================
+
+const express = require('express');
+const { STAFF_ROLES, READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/asset-requests');
+const assetRequestService = require('../services/asset-requests');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/asset-requests - Requests inbox (?status=Pending)
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await assetRequestService.listAssetRequests(req.query.status));
+    } catch (err) {
+        sendError(res, err, 'Get asset requests');
+    }
+});
+
+// POST /api/asset-requests - File a request on behalf of an employee
+router.post('/', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('AssetRequest'), validate(schemas.createAssetRequest), async (req, res) => {
+    try {
+        const request = await assetRequestService.createAssetRequest(req.body, req.user.username);
+
+        res.status(201).json({
+            success: true,
+            message: 'Request filed',
+            data: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Create asset request');
+    }
+});
+
+// PUT /api/asset-requests/:requestId/status - Approve, reject or cancel a request
+router.put('/:requestId/status', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('AssetRequest', { idParam: 'requestId', action: 'STATUS_CHANGE' }), validate(schemas.decideAssetRequest), async (req, res) => {
+    try {
+        const { status } = req.body;
+        const request = await assetRequestService.decideAssetRequest(req.params.requestId, req.body, req.user.username);
+
+        res.json({
+            success: true,
+            message: `Request ${status.toLowerCase()}`,
+            data: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Update asset request');
+    }
+});
+
+// POST /api/asset-requests/:requestId/fulfill - Hand over an available item for an approved request
+router.post('/:requestId/fulfill', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('AssetRequest', { idParam: 'requestId', action: 'FULFILL' }), validate(schemas.fulfillAssetRequest), async (req, res) => {
+    try {
+        const { request, assignment } = await assetRequestService.fulfillAssetRequest(req.params.requestId, req.body.assetId, req.user.username);
+
+        res.json({
+            success: true,
+            message: `${assignment.AssetName} assigned to ${assignment.EmployeeName}`,
+            data: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Fulfill asset request');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// =====================================================
+// ASSET TYPES (CRUD)
+// =====================================================
+
+const express = require('express');
+const { ROLES, READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/asset-types');
+const assetTypeService = require('../services/asset-types');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/asset-types - Asset type catalog with usage counts
+router.get('/', checkDbConnection, requireRole(...READ_ROLES, ROLES.EMPLOYEE), async (req, res) => {
+    try {
+        res.json(await assetTypeService.listAssetTypes());
+    } catch (err) {
+        sendError(res, err, 'Get asset types');
+    }
+});
+
+// GET /api/asset-types/:typeId - Get one asset type
+router.get('/:typeId', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await assetTypeService.getAssetType(req.params.typeId));
+    } catch (err) {
+        sendError(res, err, 'Get asset type');
+    }
+});
+
+// POST /api/asset-types - Add a type to the catalog (optionally with its custom fields)
+router.post('/', checkDbConnection, requireRole(ROLES.ADMIN), auditEntity('AssetType'), validate(schemas.createAssetType), async (req, res) => {
+    try {
+        const type = await assetTypeService.createAssetType(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: `Type "${type.Name}" added`,
+            data: type
+        });
+    } catch (err) {
+        sendError(res, err, 'Create asset type');
+    }
+});
+
+// PUT /api/asset-types/:typeId - Rename, describe, set depreciation or tag format, or redefine the custom fields of a type
+router.put('/:typeId', checkDbConnection, requireRole(ROLES.ADMIN), auditEntity('AssetType', { idParam: 'typeId' }), validate(schemas.updateAssetType), async (req, res) => {
+    try {
+        const type = await assetTypeService.updateAssetType(req.params.typeId, req.body);
+
+        res.json({
+            success: true,
+            message: `Type saved. ${type.AssetCount} asset(s) use "${type.Name}".`,
+            data: type
+        });
+    } catch (err) {
+        sendError(res, err, 'Update asset type');
+    }
+});
+
+// DELETE /api/asset-types/:typeId - Delete a type (only if nothing uses it)
+router.delete('/:typeId', checkDbConnection, requireRole(ROLES.ADMIN), auditEntity('AssetType', { idParam: 'typeId' }), async (req, res) => {
+    try {
+        const type = await assetTypeService.deleteAssetType(req.params.typeId);
+
+        res.json({
+            success: true,
+            message: `Type "${type.Name}" deleted`
+        });
+    } catch (err) {
+        sendError(res, err, 'Delete asset type');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+// =====================================================
+// ASSETS
+// =====================================================
+
+const express = require('express');
+const { STAFF_ROLES, READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/assets');
+const { exportRequest } = require('../validation/exports');
+const { assetLabel } = require('../validation/labels');
+const assetService = require('../services/assets');
+const exportService = require('../services/exports');
+const labelService = require('../services/labels');
+const { sendError, sendExport } = require('./respond');
+
+const router = express.Router();
+
+// POST /api/assets - Create asset; its tag (SerialNumber) comes from the type's tag template
+router.post('/', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Asset'), validate(schemas.createAsset), async (req, res) => {
+    try {
+        const asset = await assetService.createAsset(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Asset created successfully',
+            data: asset
+        });
+    } catch (err) {
+        sendError(res, err, 'Create asset');
+    }
+});
+
+// GET /api/assets - List assets with the current holder.
+// Filters: ?type=, ?status=, ?search=, ?includeArchived=true. Sorting: ?sort=<field>&order=asc|desc.
+// With ?page= or ?limit= the response is { items, total, page, limit, totalPages }, otherwise a plain array.
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.listAssets), async (req, res) => {
+    try {
+        res.json(await assetService.listAssets(req.query));
+    } catch (err) {
+        sendError(res, err, 'Get assets');
+    }
+});
+
+// GET /api/assets/export - Asset list as CSV/XLSX (?format=, ?type=, ?status=, ?search= as on the dashboard)
+router.get('/export', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.exportAssets), async (req, res) => {
+    try {
+        await sendExport(res, req.query.format, await exportService.exportAssets(req.query));
+    } catch (err) {
+        sendError(res, err, 'Export assets');
+    }
+});
+
+// GET /api/assets/available - Get available assets (in stock: not assigned, in repair, lost or retired)
+router.get('/available', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await assetService.listAvailableAssets());
+    } catch (err) {
+        sendError(res, err, 'Get available assets');
+    }
+});
+
+// GET /api/assets/lookup?serial= - Find one asset by its scanned tag, manufacturer serial or AST-### label, with its current holder
+router.get('/lookup', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.lookupAsset), async (req, res) => {
+    try {
+        res.json(await assetService.lookupAsset(req.query.serial.trim()));
+    } catch (err) {
+        sendError(res, err, 'Asset lookup');
+    }
+});
+
+// GET /api/assets/:assetId - One asset (archived included) with its current holder
+router.get('/:assetId', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await assetService.getAsset(req.params.assetId));
+    } catch (err) {
+        sendError(res, err, 'Get asset');
+    }
+});
+
+// GET /api/assets/:assetId/valuation - Book value and depreciation schedule (?asOf=, ?method=, ?usefulLifeYears=)
+router.get('/:assetId/valuation', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.assetValuation), async (req, res) => {
+    try {
+        res.json(await assetService.getAssetValuation(req.params.assetId, req.query));
+    } catch (err) {
+        sendError(res, err, 'Get asset valuation');
+    }
+});
+
+// GET /api/assets/:assetId/history - Get asset assignment history
+router.get('/:assetId/history', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await assetService.getAssetHistory(req.params.assetId));
+    } catch (err) {
+        sendError(res, err, 'Get asset history');
+    }
+});
+
+// GET /api/assets/:assetId/history/export - One asset's assignment history as CSV/XLSX (?format=)
+router.get('/:assetId/history/export', checkDbConnection, requireRole(...READ_ROLES), validate(exportRequest), async (req, res) => {
+    try {
+        await sendExport(res, req.query.format, await exportService.exportAssetHistory(req.params.assetId));
+    } catch (err) {
+        sendError(res, err, 'Export asset history');
+    }
+});
+
+// GET /api/assets/:assetId/label - QR code or barcode for one asset (?symbology=qr|code128, ?format=svg|png)
+router.get('/:assetId/label', checkDbConnection, requireRole(...READ_ROLES), validate(assetLabel), async (req, res) => {
+    try {
+        const { contentType, code } = await labelService.renderAssetLabel(req.params.assetId, req.query);
+        res.setHeader('Content-Type', contentType);
+        res.send(code);
+    } catch (err) {
+        sendError(res, err, 'Asset label');
+    }
+});
+
+// PUT /api/assets/:assetId - Update asset
+router.put('/:assetId', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Asset', { idParam: 'assetId' }), validate(schemas.updateAsset), async (req, res) => {
+    try {
+        const asset = await assetService.updateAsset(req.params.assetId, req.body);
+
+        res.json({
+            success: true,
+            message: 'Asset updated successfully',
+            data: asset
+        });
+    } catch (err) {
+        sendError(res, err, 'Update asset');
+    }
+});
+
+// DELETE /api/assets/:assetId - Archive asset (retire/dispose, only if not currently assigned)
+// The asset row and its assignment history are kept so audits can still query them.
+router.delete('/:assetId', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Asset', { idParam: 'assetId', action: 'ARCHIVE' }), validate(schemas.archiveAsset), async (req, res) => {
+    try {
+        const asset = await assetService.archiveAsset(req.params.assetId, req.body);
+
+        res.json({
+            success: true,
+            message: `Asset ${asset.ArchiveDisposition.toLowerCase()} successfully`,
+            data: asset
+        });
+    } catch (err) {
+        sendError(res, err, 'Archive asset');
+    }
+});
+
+// POST /api/assets/:assetId/restore - Bring an archived asset back into inventory
+router.post('/:assetId/restore', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Asset', { idParam: 'assetId', action: 'RESTORE' }), async (req, res) => {
+    try {
+        const asset = await assetService.restoreAsset(req.params.assetId);
+
+        res.json({
+            success: true,
+            message: 'Asset restored successfully',
+            data: asset
+        });
+    } catch (err) {
+        sendError(res, err, 'Restore asset');
+    }
+});
+
+// PUT /api/assets/:assetId/status - Move an asset through its lifecycle (repair, lost, back in stock)
+router.put('/:assetId/status', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Asset', { idParam: 'assetId', action: 'STATUS_CHANGE' }), validate(schemas.changeAssetStatus), async (req, res) => {
+    try {
+        const asset = await assetService.changeAssetStatus(req.params.assetId, req.body);
+
+        res.json({
+            success: true,
+            message: `Asset marked as ${assetService.ASSET_STATUS_LABELS[asset.Status]}`,
+            data: asset
+        });
+    } catch (err) {
+        sendError(res, err, 'Update asset status');
+    }
+});
+
+module.exports = router;
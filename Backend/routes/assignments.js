@@ -0,0 +1,65 @@
+// =====================================================
+// ASSIGNMENTS
+// =====================================================
+
+const express = require('express');
+const { STAFF_ROLES, READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/assignments');
+const assignmentService = require('../services/assignments');
+const exportService = require('../services/exports');
+const { sendError, sendExport } = require('./respond');
+
+const router = express.Router();
+
+// POST /api/assignments - Assign asset to employee (using stored procedure)
+router.post('/', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Assignment', { action: 'ASSIGN' }), validate(schemas.createAssignment), async (req, res) => {
+    try {
+        const { assetId, employeeId } = req.body;
+        const assignment = await assignmentService.createAssignment(assetId, employeeId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Asset assigned successfully',
+            data: assignment
+        });
+    } catch (err) {
+        sendError(res, err, 'Assign asset');
+    }
+});
+
+// POST /api/assignments/:assignmentId/return - Return asset (using stored procedure)
+router.post('/:assignmentId/return', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Assignment', { idParam: 'assignmentId', action: 'RETURN' }), async (req, res) => {
+    try {
+        const assignment = await assignmentService.returnAssignment(req.params.assignmentId);
+
+        res.json({
+            success: true,
+            message: 'Asset returned successfully',
+            data: assignment
+        });
+    } catch (err) {
+        sendError(res, err, 'Return asset');
+    }
+});
+
+// GET /api/assignments/active - Get active assignments with employee details
+router.get('/active', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await assignmentService.listActiveAssignments());
+    } catch (err) {
+        sendError(res, err, 'Get active assignments');
+    }
+});
+
+// GET /api/assignments/active/export - Active assignments as CSV/XLSX (?format=, ?type=, ?search=)
+router.get('/active/export', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.exportActiveAssignments), async (req, res) => {
+    try {
+        await sendExport(res, req.query.format, await exportService.exportActiveAssignments(req.query));
+    } catch (err) {
+        sendError(res, err, 'Export active assignments');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// =====================================================
+// AUDIT LOG
+// =====================================================
+
+const express = require('express');
+const { ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/audit');
+const auditService = require('../services/audit');
+const exportService = require('../services/exports');
+const { sendError, sendExport } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/audit - Browse the audit trail (filter by entityType, entityId, action, actor, from, to)
+router.get('/', checkDbConnection, requireRole(ROLES.ADMIN), validate(schemas.listAudit), async (req, res) => {
+    try {
+        res.json(await auditService.listAuditEntries(req.query));
+    } catch (err) {
+        sendError(res, err, 'Get audit log');
+    }
+});
+
+// GET /api/audit/export - Audit trail as CSV/XLSX (same filters as GET /api/audit)
+router.get('/export', checkDbConnection, requireRole(ROLES.ADMIN), validate(schemas.exportAudit), async (req, res) => {
+    try {
+        await sendExport(res, req.query.format, await exportService.exportAuditLog(req.query));
+    } catch (err) {
+        sendError(res, err, 'Export audit log');
+    }
+});
+
+module.exports = router;
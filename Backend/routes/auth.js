@@ -0,0 +1,72 @@
+// =====================================================
+// AUTH
+// =====================================================
+
+const express = require('express');
+const { checkDbConnection, authenticate } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/auth');
+const authService = require('../services/auth');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// POST /api/auth/login - Exchange username/password for a token
+router.post('/login', checkDbConnection, validate(schemas.login), async (req, res) => {
+    // Sign-in is not a data change and the response carries a token
+    res.locals.skipAudit = true;
+
+    try {
+        const { username, password } = req.body;
+        const { token, user } = await authService.signIn(username, password);
+
+        res.json({
+            success: true,
+            message: 'Signed in',
+            token,
+            user
+        });
+    } catch (err) {
+        sendError(res, err, 'Login');
+    }
+});
+
+// POST /api/auth/magic-link - Exchange a one-time portal link for an employee session
+router.post('/magic-link', checkDbConnection, validate(schemas.magicLink), async (req, res) => {
+    res.locals.skipAudit = true;
+
+    try {
+        const { token, user } = await authService.signInWithPortalLink(req.body.token);
+
+        res.json({
+            success: true,
+            message: 'Signed in',
+            token,
+            user
+        });
+    } catch (err) {
+        sendError(res, err, 'Magic link');
+    }
+});
+
+// GET /api/auth/me - Current user
+router.get('/me', checkDbConnection, authenticate, (req, res) => {
+    res.json(req.user);
+});
+
+// POST /api/auth/change-password - Change own password
+router.post('/change-password', checkDbConnection, authenticate, auditEntity('User', { action: 'CHANGE_PASSWORD' }), validate(schemas.changePassword), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        await authService.changePassword(req.user.userId, currentPassword, newPassword);
+        req.audit.entityId = req.user.userId;
+
+        res.json({ success: true, message: 'Password changed' });
+    } catch (err) {
+        sendError(res, err, 'Change password');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// =====================================================
+// DASHBOARD
+// =====================================================
+
+const express = require('express');
+const { READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const dashboardService = require('../services/dashboard');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/dashboard - Get summary stats
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await dashboardService.getDashboardStats());
+    } catch (err) {
+        sendError(res, err, 'Dashboard');
+    }
+});
+
+module.exports = router;
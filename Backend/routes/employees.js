@@ -0,0 +1,145 @@
+// =====================================================
+// EMPLOYEES
+// =====================================================
+
+const express = require('express');
+const { STAFF_ROLES, READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/employees');
+const employeeService = require('../services/employees');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// POST /api/employees - Create employee
+router.post('/', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Employee'), validate(schemas.createEmployee), async (req, res) => {
+    try {
+        const employee = await employeeService.createEmployee(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Employee created',
+            data: employee
+        });
+    } catch (err) {
+        sendError(res, err, 'Create employee');
+    }
+});
+
+// GET /api/employees - Get all employees (active only unless ?includeInactive=true)
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await employeeService.listEmployees({ includeInactive: req.query.includeInactive === 'true' }));
+    } catch (err) {
+        sendError(res, err, 'Get employees');
+    }
+});
+
+// GET /api/employees/:employeeId - Get one employee with their open assignment count
+router.get('/:employeeId', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await employeeService.getEmployee(req.params.employeeId));
+    } catch (err) {
+        sendError(res, err, 'Get employee');
+    }
+});
+
+// PUT /api/employees/:employeeId - Update employee details
+router.put('/:employeeId', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Employee', { idParam: 'employeeId' }), validate(schemas.updateEmployee), async (req, res) => {
+    try {
+        const employee = await employeeService.updateEmployee(req.params.employeeId, req.body);
+
+        res.json({
+            success: true,
+            message: 'Employee updated successfully',
+            data: employee
+        });
+    } catch (err) {
+        sendError(res, err, 'Update employee');
+    }
+});
+
+// DELETE /api/employees/:employeeId - Deactivate employee (soft delete, only if holding no assets)
+router.delete('/:employeeId', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Employee', { idParam: 'employeeId', action: 'DEACTIVATE' }), async (req, res) => {
+    try {
+        const employee = await employeeService.deactivateEmployee(req.params.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Employee deactivated successfully',
+            data: employee
+        });
+    } catch (err) {
+        sendError(res, err, 'Deactivate employee');
+    }
+});
+
+// POST /api/employees/:employeeId/reactivate - Bring a deactivated employee back
+router.post('/:employeeId/reactivate', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Employee', { idParam: 'employeeId', action: 'REACTIVATE' }), async (req, res) => {
+    try {
+        const employee = await employeeService.reactivateEmployee(req.params.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Employee reactivated successfully',
+            data: employee
+        });
+    } catch (err) {
+        sendError(res, err, 'Reactivate employee');
+    }
+});
+
+// GET /api/employees/:employeeId/offboarding - List every asset the employee still holds
+router.get('/:employeeId/offboarding', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await employeeService.getOffboarding(req.params.employeeId));
+    } catch (err) {
+        sendError(res, err, 'Get offboarding');
+    }
+});
+
+// POST /api/employees/:employeeId/offboard - Optionally return all held assets, then deactivate
+router.post('/:employeeId/offboard', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Employee', { idParam: 'employeeId', action: 'OFFBOARD' }), validate(schemas.offboardEmployee), async (req, res) => {
+    try {
+        const { employee, returned } = await employeeService.offboardEmployee(req.params.employeeId, req.body);
+
+        res.json({
+            success: true,
+            message: `Employee offboarded. ${returned.length} asset(s) returned.`,
+            data: employee,
+            returned
+        });
+    } catch (err) {
+        sendError(res, err, 'Offboard employee');
+    }
+});
+
+// POST /api/employees/:employeeId/portal-link - Create a one-time self-service sign-in link
+router.post('/:employeeId/portal-link', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('Employee', { idParam: 'employeeId', action: 'PORTAL_LINK' }), async (req, res) => {
+    try {
+        const { employee, link, expiresAt } = await employeeService.createPortalLink(req.params.employeeId, req.user.username);
+
+        res.status(201).json({
+            success: true,
+            message: `Portal link created for ${employee.FullName}`,
+            data: {
+                link,
+                expiresAt
+            }
+        });
+    } catch (err) {
+        sendError(res, err, 'Create portal link');
+    }
+});
+
+// GET /api/employees/:employeeId/history - Every asset the employee has held (open and returned)
+router.get('/:employeeId/history', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await employeeService.getEmployeeHistory(req.params.employeeId));
+    } catch (err) {
+        sendError(res, err, 'Get employee history');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// =====================================================
+// IMPORT (CSV)
+// =====================================================
+
+const express = require('express');
+const { STAFF_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const importService = require('../services/imports');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// Helper to answer an import: a dry run reports every row, a real run what was created
+async function sendImport(req, res, kind) {
+    const result = await importService.runImport(kind, req.body);
+
+    if (result.dryRun) {
+        // Checks that change nothing are not audited
+        res.locals.skipAudit = true;
+        return res.json({
+            success: true,
+            dryRun: true,
+            message: result.message,
+            data: result.report
+        });
+    }
+
+    // The audit entry keeps what was created, not the whole report
+    req.audit = { entityType: 'Import', entityId: null, before: null, action: `IMPORT_${kind.toUpperCase()}` };
+    res.status(201).json({
+        success: true,
+        message: result.message,
+        data: { imported: result.imported }
+    });
+}
+
+// POST /api/import/assets - Import assets from CSV ({ csv, mapping, dryRun }; dryRun defaults to true)
+router.post('/assets', checkDbConnection, requireRole(...STAFF_ROLES), async (req, res) => {
+    try {
+        await sendImport(req, res, 'assets');
+    } catch (err) {
+        sendError(res, err, 'Import assets');
+    }
+});
+
+// POST /api/import/employees - Import employees from CSV ({ csv, mapping, dryRun }; dryRun defaults to true)
+router.post('/employees', checkDbConnection, requireRole(...STAFF_ROLES), async (req, res) => {
+    try {
+        await sendImport(req, res, 'employees');
+    } catch (err) {
+        sendError(res, err, 'Import employees');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// =====================================================
+// LABELS (QR codes and Code128 barcodes)
+// One asset's label is served by routes/assets.js (GET /api/assets/:assetId/label)
+// =====================================================
+
+const express = require('express');
+const { READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/labels');
+const labelService = require('../services/labels');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/labels?assetIds=1,2,3 - Codes for a batch of assets, for the printable label sheet
+// (?symbology=qr|code128, ?format=svg|png; SVG comes back as markup, PNG as a data URL)
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.labelSheet), async (req, res) => {
+    try {
+        res.json(await labelService.renderLabelSheet(req.query.assetIds, req.query));
+    } catch (err) {
+        sendError(res, err, 'Label batch');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// =====================================================
+// SELF-SERVICE PORTAL (employee's own assets)
+// Mounted at /api/me; every route acts on the signed-in employee
+// =====================================================
+
+const express = require('express');
+const { checkDbConnection, requireEmployee } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const serviceRequestSchemas = require('../validation/service-requests');
+const assetRequestSchemas = require('../validation/asset-requests');
+const portalService = require('../services/portal');
+const serviceRequestService = require('../services/service-requests');
+const assetRequestService = require('../services/asset-requests');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/me/assets - Items the signed-in employee currently holds
+router.get('/assets', checkDbConnection, requireEmployee, async (req, res) => {
+    try {
+        res.json(await portalService.listMyAssets(req.user.employeeId));
+    } catch (err) {
+        sendError(res, err, 'Get my assets');
+    }
+});
+
+// GET /api/me/requests - Requests the signed-in employee has raised
+router.get('/requests', checkDbConnection, requireEmployee, async (req, res) => {
+    try {
+        res.json(await serviceRequestService.listMyServiceRequests(req.user.employeeId));
+    } catch (err) {
+        sendError(res, err, 'Get my requests');
+    }
+});
+
+// POST /api/me/assignments/:assignmentId/confirm - Confirm receipt of an assigned item
+router.post('/assignments/:assignmentId/confirm', checkDbConnection, requireEmployee, auditEntity('Assignment', { idParam: 'assignmentId', action: 'CONFIRM_RECEIPT' }), async (req, res) => {
+    try {
+        const assignment = await portalService.confirmReceipt(req.params.assignmentId, req.user.employeeId);
+
+        res.json({
+            success: true,
+            message: 'Receipt confirmed',
+            data: assignment
+        });
+    } catch (err) {
+        sendError(res, err, 'Confirm receipt');
+    }
+});
+
+// POST /api/me/assignments/:assignmentId/requests - Report an item damaged/lost or ask to return it
+router.post('/assignments/:assignmentId/requests', checkDbConnection, requireEmployee, auditEntity('ServiceRequest'), validate(serviceRequestSchemas.createServiceRequest), async (req, res) => {
+    try {
+        const request = await serviceRequestService.createServiceRequest(req.params.assignmentId, req.user.employeeId, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Request sent to IT',
+            data: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Create service request');
+    }
+});
+
+// GET /api/me/asset-requests - Requests filed for the signed-in employee
+router.get('/asset-requests', checkDbConnection, requireEmployee, async (req, res) => {
+    try {
+        res.json(await assetRequestService.listEmployeeAssetRequests(req.user.employeeId));
+    } catch (err) {
+        sendError(res, err, 'Get my asset requests');
+    }
+});
+
+// POST /api/me/asset-requests - Signed-in employee asks for an item
+router.post('/asset-requests', checkDbConnection, requireEmployee, auditEntity('AssetRequest'), validate(assetRequestSchemas.createOwnAssetRequest), async (req, res) => {
+    try {
+        const request = await assetRequestService.createOwnAssetRequest(req.user.employeeId, req.body, req.user.username);
+
+        res.status(201).json({
+            success: true,
+            message: 'Request sent for approval',
+            data: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Create my asset request');
+    }
+});
+
+module.exports = router;
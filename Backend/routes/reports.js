@@ -0,0 +1,23 @@
+// =====================================================
+// REPORTS
+// =====================================================
+
+const express = require('express');
+const { READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/reports');
+const { getFleetValuation } = require('../services/valuation');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/reports/book-value - Fleet-wide purchase cost and book value by type (?asOf=)
+router.get('/book-value', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.bookValue), async (req, res) => {
+    try {
+        res.json(await getFleetValuation(req.query.asOf ? new Date(req.query.asOf) : new Date()));
+    } catch (err) {
+        sendError(res, err, 'Book value report');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// =====================================================
+// ROUTE RESPONSES
+// Reads answer with the resource, writes with { success: true, message, data } and every
+// failure with { success: false, code, message, ...extra } (codes in services/errors.js)
+// =====================================================
+
+const { ServiceError, toServiceError } = require('../services/errors');
+const { buildExportFile } = require('../services/exports');
+
+// Helper to answer a failure with its code and status (unexpected errors are logged, 500)
+function sendError(res, err, context) {
+    const error = toServiceError(err);
+    if (error.status >= 500) {
+        console.error(`${context} error:`, err);
+    }
+    res.status(error.status).json({ success: false, code: error.code, message: error.message, ...error.extra });
+}
+
+// Helper to answer without a service call (middleware refusing a request)
+const sendErrorCode = (res, code, message, extra) => sendError(res, new ServiceError(code, message, extra));
+
+// Helper to send an export as a CSV (default) or XLSX download (format checked by validation/exports.js)
+async function sendExport(res, format, exportData) {
+    const file = await buildExportFile((format || 'csv').toLowerCase(), exportData);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+}
+
+module.exports = {
+    sendError,
+    sendErrorCode,
+    sendExport
+};
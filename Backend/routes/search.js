@@ -0,0 +1,26 @@
+// =====================================================
+// SEARCH (global, typo tolerant)
+// =====================================================
+
+const express = require('express');
+const { READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/search');
+const searchService = require('../services/search');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/search?q= - Ranked search across assets, employees, assignments and notes (?limit=, default 20)
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), validate(schemas.search), async (req, res) => {
+    try {
+        const query = req.query.q.trim();
+        const limit = parseInt(req.query.limit, 10) || 20;
+
+        res.json({ query, results: await searchService.search(query, limit) });
+    } catch (err) {
+        sendError(res, err, 'Search');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// =====================================================
+// SERVICE REQUESTS (IT queue)
+// =====================================================
+
+const express = require('express');
+const { STAFF_ROLES, READ_ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/service-requests');
+const serviceRequestService = require('../services/service-requests');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/service-requests - Requests raised from the portal (?status=Open)
+router.get('/', checkDbConnection, requireRole(...READ_ROLES), async (req, res) => {
+    try {
+        res.json(await serviceRequestService.listServiceRequests(req.query.status));
+    } catch (err) {
+        sendError(res, err, 'Get service requests');
+    }
+});
+
+// PUT /api/service-requests/:requestId - Resolve or dismiss a request (applyToAsset also returns / repairs / marks lost)
+router.put('/:requestId', checkDbConnection, requireRole(...STAFF_ROLES), auditEntity('ServiceRequest', { idParam: 'requestId' }), validate(schemas.decideServiceRequest), async (req, res) => {
+    try {
+        const { status } = req.body;
+        const request = await serviceRequestService.decideServiceRequest(req.params.requestId, req.body, req.user.username);
+
+        res.json({
+            success: true,
+            message: `Request ${status.toLowerCase()}`,
+            data: request
+        });
+    } catch (err) {
+        sendError(res, err, 'Update service request');
+    }
+});
+
+module.exports = router;
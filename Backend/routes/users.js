@@ -0,0 +1,54 @@
+// =====================================================
+// USERS (admin only)
+// =====================================================
+
+const express = require('express');
+const { ROLES, checkDbConnection, requireRole } = require('../middleware/auth');
+const { auditEntity } = require('../middleware/audit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/users');
+const userService = require('../services/users');
+const { sendError } = require('./respond');
+
+const router = express.Router();
+
+// GET /api/users - List user accounts
+router.get('/', checkDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        res.json(await userService.listUsers());
+    } catch (err) {
+        sendError(res, err, 'Get users');
+    }
+});
+
+// POST /api/users - Create a user account
+router.post('/', checkDbConnection, requireRole(ROLES.ADMIN), auditEntity('User'), validate(schemas.createUser), async (req, res) => {
+    try {
+        const user = await userService.createUser(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'User created',
+            data: user
+        });
+    } catch (err) {
+        sendError(res, err, 'Create user');
+    }
+});
+
+// PUT /api/users/:userId - Change role, link to employee, enable/disable or reset password
+router.put('/:userId', checkDbConnection, requireRole(ROLES.ADMIN), auditEntity('User', { idParam: 'userId' }), validate(schemas.updateUser), async (req, res) => {
+    try {
+        const user = await userService.updateUser(req.params.userId, req.body, req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'User updated',
+            data: user
+        });
+    } catch (err) {
+        sendError(res, err, 'Update user');
+    }
+});
+
+module.exports = router;
@@ -1,42 +1,37 @@
 // =====================================================
 // ASSET TRACKING BACKEND - SIMPLE API
 // Connects to SQL Server stored procedures
+//
+// Layout: routes/ (one router per resource) -> services/ (business rules and SQL),
+// with middleware/ (auth, audit trail, request validation) and validation/ (request schemas)
 // =====================================================
 
 require('dotenv').config();
 const express = require('express');
-const sql = require('mssql');
 const cors = require('cors');
+const { connectDB } = require('./config/database');
+const { JWT_SECRET } = require('./middleware/auth');
+const { auditTrail, searchIndexInvalidation } = require('./middleware/audit');
+const { ensureBootstrapAdmin } = require('./services/auth');
+const { sendErrorCode } = require('./routes/respond');
+const { INTERNAL_ERROR_MESSAGE } = require('./services/errors');
+const { startAlertScheduler } = require('./services/alerts');
 
 const app = express();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Only the configured frontends may call the API from a browser
+const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
 
-// Database Configuration
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_SERVER,
-    database: process.env.DB_NAME,
-    port: parseInt(process.env.DB_PORT || 1433),
-    options: {
-        encrypt: false,
-        trustServerCertificate: true
-    }
-};
+// Middleware
+app.use(cors({ origin: allowedOrigins, exposedHeaders: ['Content-Disposition'] })); // Exports name their file
+app.use(express.json({ limit: '5mb' })); // CSV imports arrive as JSON text
 
-// Database Connection Pool
-let pool;
-
-// Middleware to check database connection
-const checkDbConnection = (req, res, next) => {
-    if (!pool) {
-        return res.status(503).json({ error: 'Database not connected yet. Please wait.' });
-    }
-    next();
-};
+// Every successful write is audited and makes the global search index stale
+app.use(auditTrail);
+app.use(searchIndexInvalidation);
 
 // =====================================================
 // API ENDPOINTS
@@ -47,535 +42,60 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', message: 'API is running' });
 });
 
-// =====================================================
-// EMPLOYEES
-// =====================================================
-
-// POST /api/employees - Create employee
-app.post('/api/employees', checkDbConnection, async (req, res) => {
-    try {
-        const { fullName, email, position } = req.body;
-
-        const result = await pool.request()
-            .input('fullName', sql.NVarChar, fullName)
-            .input('email', sql.NVarChar, email)
-            .input('position', sql.NVarChar, position || null)
-            .query(`
-        INSERT INTO Employees (FullName, Email, Position)
-        OUTPUT INSERTED.EmployeeId, INSERTED.FullName, INSERTED.Email, INSERTED.Position, INSERTED.CreatedAt
-        VALUES (@fullName, @email, @position)
-      `);
-
-        res.status(201).json({
-            success: true,
-            message: 'Employee created',
-            data: result.recordset[0]
-        });
-    } catch (err) {
-        console.error('Create employee error:', err);
-        res.status(400).json({ success: false, message: err.message });
-    }
-});
-
-// GET /api/employees - Get all employees
-app.get('/api/employees', checkDbConnection, async (req, res) => {
-    try {
-        const result = await pool.request()
-            .query('SELECT * FROM Employees ORDER BY FullName');
-        res.json(result.recordset);
-    } catch (err) {
-        console.error('Get employees error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// =====================================================
-// ASSETS
-// =====================================================
-
-// Helper function to generate unique serial number from asset type
-async function generateSerialNumber(assetType) {
-    // Get first 2 letters of asset type (uppercase), handle short names
-    const prefix = assetType
-        .replace(/[^a-zA-Z]/g, '') // Remove non-letters
-        .substring(0, 2)
-        .toUpperCase()
-        .padEnd(2, 'X'); // Pad with X if less than 2 chars
-
-    const year = new Date().getFullYear();
-    const basePattern = `${prefix}-${year}-`;
-
-    // Find the highest existing number for this prefix-year combination
-    const result = await pool.request()
-        .input('pattern', sql.NVarChar, `${basePattern}%`)
-        .query(`
-            SELECT TOP 1 SerialNumber 
-            FROM Assets 
-            WHERE SerialNumber LIKE @pattern 
-            ORDER BY CAST(RIGHT(SerialNumber, 3) AS INT) DESC
-        `);
-
-    let nextNumber = 1;
-
-    if (result.recordset.length > 0) {
-        const lastSerial = result.recordset[0].SerialNumber;
-        const parts = lastSerial.split('-');
-        if (parts.length === 3) {
-            const lastNum = parseInt(parts[2], 10);
-            if (!isNaN(lastNum)) {
-                nextNumber = lastNum + 1;
-            }
-        }
-    }
-
-    // Format: XX-2025-001 (padded to 3 digits, can grow beyond 999)
-    const serialNumber = `${basePattern}${nextNumber.toString().padStart(3, '0')}`;
-
-    // Double-check uniqueness (security measure)
-    const existsCheck = await pool.request()
-        .input('serial', sql.NVarChar, serialNumber)
-        .query('SELECT COUNT(*) as cnt FROM Assets WHERE SerialNumber = @serial');
-
-    if (existsCheck.recordset[0].cnt > 0) {
-        // Extremely rare: collision detected, recursively try next number
-        return generateSerialNumber(assetType);
-    }
-
-    return serialNumber;
-}
-
-// POST /api/assets - Create asset with auto-generated serial number
-app.post('/api/assets', checkDbConnection, async (req, res) => {
-    try {
-        const { assetName, assetType } = req.body;
-
-        if (!assetName || !assetType) {
-            return res.status(400).json({
-                success: false,
-                message: 'Asset name and type are required'
-            });
-        }
-
-        // Auto-generate unique serial number
-        const serialNumber = await generateSerialNumber(assetType);
-
-        const result = await pool.request()
-            .input('assetName', sql.NVarChar, assetName)
-            .input('assetType', sql.NVarChar, assetType)
-            .input('serialNumber', sql.NVarChar, serialNumber)
-            .query(`
-                INSERT INTO Assets (AssetName, AssetType, SerialNumber)
-                OUTPUT INSERTED.*
-                VALUES (@assetName, @assetType, @serialNumber)
-            `);
-
-        res.status(201).json({
-            success: true,
-            message: 'Asset created successfully',
-            data: result.recordset[0]
-        });
-    } catch (err) {
-        console.error('Create asset error:', err);
-
-        if (err.message.includes('UNIQUE') || err.message.includes('duplicate')) {
-            return res.status(400).json({
-                success: false,
-                message: 'Serial number conflict. Please try again.'
-            });
-        }
-
-        res.status(400).json({ success: false, message: err.message });
-    }
-});
-
-// GET /api/assets - Get all assets
-app.get('/api/assets', checkDbConnection, async (req, res) => {
-    try {
-        const result = await pool.request()
-            .query('SELECT * FROM Assets ORDER BY AssetName');
-        res.json(result.recordset);
-    } catch (err) {
-        console.error('Get assets error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// GET /api/assets/available - Get available assets (not assigned)
-app.get('/api/assets/available', checkDbConnection, async (req, res) => {
-    try {
-        const result = await pool.request()
-            .query(`
-        SELECT a.*
-        FROM Assets a
-        WHERE NOT EXISTS (
-          SELECT 1 FROM AssetAssignments aa
-          WHERE aa.AssetId = a.AssetId AND aa.ReturnedAt IS NULL
-        )
-        ORDER BY a.AssetName
-      `);
-        res.json(result.recordset);
-    } catch (err) {
-        console.error('Get available assets error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// GET /api/assets/:assetId/history - Get asset assignment history
-app.get('/api/assets/:assetId/history', checkDbConnection, async (req, res) => {
-    try {
-        const { assetId } = req.params;
-
-        // Using stored procedure
-        const result = await pool.request()
-            .input('AssetId', sql.Int, assetId)
-            .execute('sp_GetAssetHistory');
-
-        res.json(result.recordset);
-    } catch (err) {
-        console.error('Get asset history error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// PUT /api/assets/:assetId - Update asset
-app.put('/api/assets/:assetId', checkDbConnection, async (req, res) => {
-    try {
-        const { assetId } = req.params;
-        const { assetName, assetType } = req.body;
-
-        if (!assetName || !assetType) {
-            return res.status(400).json({
-                success: false,
-                message: 'Asset name and type are required'
-            });
-        }
-
-        const result = await pool.request()
-            .input('assetId', sql.Int, assetId)
-            .input('assetName', sql.NVarChar, assetName)
-            .input('assetType', sql.NVarChar, assetType)
-            .query(`
-                UPDATE Assets 
-                SET AssetName = @assetName, AssetType = @assetType
-                OUTPUT INSERTED.*
-                WHERE AssetId = @assetId
-            `);
-
-        if (result.recordset.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Asset not found'
-            });
-        }
-
-        res.json({
-            success: true,
-            message: 'Asset updated successfully',
-            data: result.recordset[0]
-        });
-    } catch (err) {
-        console.error('Update asset error:', err);
-        res.status(400).json({ success: false, message: err.message });
-    }
-});
-
-// DELETE /api/assets/:assetId - Delete asset (only if not currently assigned)
-app.delete('/api/assets/:assetId', checkDbConnection, async (req, res) => {
-    try {
-        const { assetId } = req.params;
-
-        // Check if asset is currently assigned
-        const assignmentCheck = await pool.request()
-            .input('assetId', sql.Int, assetId)
-            .query(`
-                SELECT COUNT(*) as cnt 
-                FROM AssetAssignments 
-                WHERE AssetId = @assetId AND ReturnedAt IS NULL
-            `);
-
-        if (assignmentCheck.recordset[0].cnt > 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot delete asset. It is currently assigned to an employee. Return it first.'
-            });
-        }
-
-        // Delete assignment history first (if any)
-        await pool.request()
-            .input('assetId', sql.Int, assetId)
-            .query('DELETE FROM AssetAssignments WHERE AssetId = @assetId');
-
-        // Delete the asset
-        const result = await pool.request()
-            .input('assetId', sql.Int, assetId)
-            .query('DELETE FROM Assets WHERE AssetId = @assetId');
-
-        if (result.rowsAffected[0] === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Asset not found'
-            });
-        }
-
-        res.json({
-            success: true,
-            message: 'Asset deleted successfully'
-        });
-    } catch (err) {
-        console.error('Delete asset error:', err);
-        res.status(400).json({ success: false, message: err.message });
-    }
-});
-
-// =====================================================
-// ASSIGNMENTS
-// =====================================================
-
-// POST /api/assignments - Assign asset to employee (using stored procedure)
-app.post('/api/assignments', checkDbConnection, async (req, res) => {
-    try {
-        const { assetId, employeeId } = req.body;
-
-        // Use the stored procedure sp_AssignAsset
-        await pool.request()
-            .input('AssetId', sql.Int, assetId)
-            .input('EmployeeId', sql.Int, employeeId)
-            .execute('sp_AssignAsset');
-
-        // Get the newly created assignment
-        const result = await pool.request()
-            .input('assetId', sql.Int, assetId)
-            .query(`
-        SELECT TOP 1 aa.*, e.FullName as EmployeeName, a.AssetName
-        FROM AssetAssignments aa
-        JOIN Employees e ON aa.EmployeeId = e.EmployeeId
-        JOIN Assets a ON aa.AssetId = a.AssetId
-        WHERE aa.AssetId = @assetId AND aa.ReturnedAt IS NULL
-        ORDER BY aa.AssignedAt DESC
-      `);
-
-        res.status(201).json({
-            success: true,
-            message: 'Asset assigned successfully',
-            data: result.recordset[0]
-        });
-    } catch (err) {
-        console.error('Assign asset error:', err);
-        if (err.message.includes('already assigned')) {
-            res.status(409).json({ success: false, message: 'Asset is already assigned' });
-        } else {
-            res.status(400).json({ success: false, message: err.message });
-        }
-    }
-});
-
-// POST /api/assignments/:assignmentId/return - Return asset (using stored procedure)
-app.post('/api/assignments/:assignmentId/return', checkDbConnection, async (req, res) => {
-    try {
-        const { assignmentId } = req.params;
-
-        // Use the stored procedure sp_ReturnAsset
-        await pool.request()
-            .input('AssignmentId', sql.Int, assignmentId)
-            .execute('sp_ReturnAsset');
-
-        // Get the updated assignment
-        const result = await pool.request()
-            .input('assignmentId', sql.Int, assignmentId)
-            .query(`
-        SELECT * FROM AssetAssignments WHERE AssignmentId = @assignmentId
-      `);
-
-        res.json({
-            success: true,
-            message: 'Asset returned successfully',
-            data: result.recordset[0]
-        });
-    } catch (err) {
-        console.error('Return asset error:', err);
-        res.status(400).json({ success: false, message: err.message });
-    }
-});
-
-// GET /api/assignments/active - Get active assignments with employee details
-app.get('/api/assignments/active', checkDbConnection, async (req, res) => {
-    try {
-        // Use direct query to include all employee details
-        const result = await pool.request()
-            .query(`
-                SELECT 
-                    aa.AssignmentId,
-                    aa.AssetId,
-                    aa.EmployeeId,
-                    aa.AssignedAt,
-                    aa.ReturnedAt,
-                    a.AssetName,
-                    a.AssetType,
-                    a.SerialNumber,
-                    e.FullName AS EmployeeName,
-                    e.Email AS EmployeeEmail,
-                    e.Position AS EmployeePosition
-                FROM AssetAssignments aa
-                JOIN Assets a ON aa.AssetId = a.AssetId
-                JOIN Employees e ON aa.EmployeeId = e.EmployeeId
-                WHERE aa.ReturnedAt IS NULL
-                ORDER BY aa.AssignedAt DESC
-            `);
-
-        res.json(result.recordset);
-    } catch (err) {
-        console.error('Get active assignments error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// =====================================================
-// ASSET TYPES (CRUD)
-// =====================================================
-
-// GET /api/asset-types - Get all unique asset types (from Assets table + defaults)
-app.get('/api/asset-types', checkDbConnection, async (req, res) => {
-    try {
-        const result = await pool.request()
-            .query(`
-                SELECT DISTINCT AssetType 
-                FROM Assets 
-                WHERE AssetType IS NOT NULL AND AssetType != ''
-                ORDER BY AssetType
-            `);
-
-        // Default types
-        const defaultTypes = ['Laptop', 'Mobile', 'Monitor', 'Keyboard', 'Mouse', 'Headset', 'Tablet', 'Camera', 'Printer', 'Other'];
-        const dbTypes = result.recordset.map(r => r.AssetType);
-
-        // Merge and deduplicate
-        const allTypes = [...new Set([...defaultTypes, ...dbTypes])].sort();
-
-        res.json(allTypes);
-    } catch (err) {
-        console.error('Get asset types error:', err);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// PUT /api/asset-types/rename - Rename an asset type (updates all assets with that type)
-app.put('/api/asset-types/rename', checkDbConnection, async (req, res) => {
-    try {
-        const { oldType, newType } = req.body;
-
-        if (!oldType || !newType) {
-            return res.status(400).json({
-                success: false,
-                message: 'Old type and new type are required'
-            });
-        }
-
-        if (oldType === newType) {
-            return res.status(400).json({
-                success: false,
-                message: 'New type must be different from old type'
-            });
-        }
-
-        // Check if new type already exists (to prevent duplicates)
-        const existsCheck = await pool.request()
-            .input('newType', sql.NVarChar, newType)
-            .query('SELECT COUNT(*) as cnt FROM Assets WHERE AssetType = @newType');
-
-        if (existsCheck.recordset[0].cnt > 0) {
-            return res.status(400).json({
-                success: false,
-                message: `Type "${newType}" already exists. Cannot create duplicate.`
-            });
-        }
-
-        // Update all assets with the old type
-        const result = await pool.request()
-            .input('oldType', sql.NVarChar, oldType)
-            .input('newType', sql.NVarChar, newType)
-            .query(`
-                UPDATE Assets 
-                SET AssetType = @newType 
-                WHERE AssetType = @oldType
-            `);
-
-        res.json({
-            success: true,
-            message: `Renamed "${oldType}" to "${newType}". ${result.rowsAffected[0]} asset(s) updated.`,
-            count: result.rowsAffected[0]
-        });
-    } catch (err) {
-        console.error('Rename asset type error:', err);
-        res.status(400).json({ success: false, message: err.message });
-    }
-});
-
-// DELETE /api/asset-types/:type - Delete a type (only if no assets use it)
-app.delete('/api/asset-types/:type', checkDbConnection, async (req, res) => {
-    try {
-        const { type } = req.params;
-
-        // Check if any assets use this type
-        const countCheck = await pool.request()
-            .input('type', sql.NVarChar, type)
-            .query('SELECT COUNT(*) as cnt FROM Assets WHERE AssetType = @type');
-
-        if (countCheck.recordset[0].cnt > 0) {
-            return res.status(400).json({
-                success: false,
-                message: `Cannot delete "${type}". ${countCheck.recordset[0].cnt} asset(s) are using this type. Rename or reassign them first.`
-            });
-        }
-
-        // Type is not in use, just return success (it's only in our default list)
-        res.json({
-            success: true,
-            message: `Type "${type}" is not used by any assets.`
-        });
-    } catch (err) {
-        console.error('Delete asset type error:', err);
-        res.status(400).json({ success: false, message: err.message });
-    }
-});
-
-// =====================================================
-// DASHBOARD
-// =====================================================
-
-// GET /api/dashboard - Get summary stats
-app.get('/api/dashboard', checkDbConnection, async (req, res) => {
-    try {
-        const result = await pool.request()
-            .query(`
-        SELECT 
-          (SELECT COUNT(*) FROM Assets) AS TotalAssets,
-          (SELECT COUNT(*) FROM AssetAssignments WHERE ReturnedAt IS NULL) AS AssignedAssets,
-          (SELECT COUNT(*) FROM Assets) - 
-          (SELECT COUNT(*) FROM AssetAssignments WHERE ReturnedAt IS NULL) AS AvailableAssets
-      `);
-
-        res.json(result.recordset[0]);
-    } catch (err) {
-        console.error('Dashboard error:', err);
-        res.status(500).json({ error: err.message });
-    }
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/employees', require('./routes/employees'));
+app.use('/api/assets', require('./routes/assets'));
+app.use('/api/assignments', require('./routes/assignments'));
+app.use('/api/me', require('./routes/portal'));
+app.use('/api/service-requests', require('./routes/service-requests'));
+app.use('/api/asset-requests', require('./routes/asset-requests'));
+app.use('/api/asset-types', require('./routes/asset-types'));
+app.use('/api/import', require('./routes/imports'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/labels', require('./routes/labels'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/reports', require('./routes/reports'));
+
+// Unknown API routes answer in the same error format
+app.use('/api', (req, res) => {
+    sendErrorCode(res, 'NOT_FOUND', `No API route ${req.method} ${req.originalUrl}`);
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // A body express.json() cannot parse is the client's mistake, not a server error
+    if (err.type === 'entity.parse.failed') {
+        return sendErrorCode(res, 'VALIDATION_FAILED', 'Request body is not valid JSON');
+    }
     console.error('Unhandled error:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    sendErrorCode(res, 'INTERNAL_ERROR', INTERNAL_ERROR_MESSAGE);
 });
 
 // Start server after database connection
 const PORT = process.env.PORT || 3000;
 
+// Connect the database (or use the one given, as the tests do) and create the first admin
+async function initialize(database) {
+    await connectDB(database);
+    await ensureBootstrapAdmin();
+    return app;
+}
+
 async function startServer() {
     try {
+        if (!JWT_SECRET) {
+            throw new Error('JWT_SECRET is not set. Add it to your .env file.');
+        }
+
         // Connect to database first
-        pool = await sql.connect(dbConfig);
+        await initialize();
         console.log('Database connected successfully');
 
+        startAlertScheduler();
+
         // Then start the server
         app.listen(PORT, () => {
             console.log('');
@@ -587,16 +107,41 @@ async function startServer() {
             console.log('===========================================');
             console.log('');
             console.log('Endpoints:');
+            console.log('  POST /api/auth/login - Sign in');
+            console.log('  GET  /api/auth/me - Current user');
+            console.log('  GET  /api/users - User accounts (admin)');
+            console.log('  GET  /api/me/assets - Self-service: my assets');
+            console.log('  GET  /api/service-requests - IT request queue');
+            console.log('  GET  /api/asset-requests - Asset requests inbox');
             console.log('  POST /api/employees - Create employee');
             console.log('  GET  /api/employees - Get all employees');
+            console.log('  GET  /api/employees/:id - Get employee');
+            console.log('  PUT  /api/employees/:id - Update employee');
+            console.log('  DEL  /api/employees/:id - Deactivate employee');
+            console.log('  POST /api/employees/:id/offboard - Offboard employee');
             console.log('  POST /api/assets - Create asset');
             console.log('  GET  /api/assets - Get all assets');
             console.log('  GET  /api/assets/available - Get available assets');
+            console.log('  DEL  /api/assets/:id - Archive asset');
+            console.log('  POST /api/assets/:id/restore - Restore archived asset');
+            console.log('  PUT  /api/assets/:id/status - Change asset lifecycle status');
             console.log('  GET  /api/assets/:id/history - Get asset history');
+            console.log('  GET  /api/employees/:id/history - Get employee history');
             console.log('  POST /api/assignments - Assign asset');
             console.log('  POST /api/assignments/:id/return - Return asset');
             console.log('  GET  /api/assignments/active - Active assignments');
+            console.log('  GET  /api/asset-types - Asset type catalog');
             console.log('  GET  /api/dashboard - Dashboard stats');
+            console.log('  GET  /api/assets/:id/valuation - Asset book value');
+            console.log('  GET  /api/reports/book-value - Fleet book value');
+            console.log('  GET  /api/alerts - Warranty/lease expiry alerts');
+            console.log('  POST /api/import/assets - CSV import of assets');
+            console.log('  POST /api/import/employees - CSV import of employees');
+            console.log('  GET  /api/assets/export - CSV/XLSX exports (also assignments, history, audit)');
+            console.log('  GET  /api/search?q= - Global search');
+            console.log('  GET  /api/assets/lookup?serial= - Scan lookup by serial number');
+            console.log('  GET  /api/labels?assetIds= - QR/Code128 labels (one asset: /api/assets/:id/label)');
+            console.log('  GET  /api/audit - Audit trail');
             console.log('');
         });
     } catch (err) {
@@ -605,4 +150,12 @@ async function startServer() {
     }
 }
 
-startServer();
\ No newline at end of file
+// "node server.js" starts listening; requiring the file (tests) only builds the app
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    app,
+    initialize
+};
@@ -0,0 +1,150 @@
+// =====================================================
+// EXPIRY ALERTS SERVICE (warranty and lease end dates)
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Days before expiry at which an alert is raised, widest first (e.g. ALERT_WINDOWS_DAYS=90,30,7)
+const ALERT_WINDOWS_DAYS = (process.env.ALERT_WINDOWS_DAYS || '90,30,7')
+    .split(',')
+    .map(days => parseInt(days, 10))
+    .filter(days => Number.isInteger(days) && days > 0)
+    .sort((a, b) => b - a);
+
+// How often the backend looks for newly expiring items
+const ALERT_CHECK_INTERVAL_MINUTES = parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES || 60);
+
+// Kinds of alert and the Assets column each one watches
+const ALERT_TYPES = {
+    WarrantyExpiry: 'WarrantyExpiresAt',
+    LeaseEnd: 'LeaseEndsAt'
+};
+
+// Find items expiring within the configured windows and record one alert per window reached.
+// Only the narrowest window an item falls into applies; reaching it closes the wider alert.
+async function runExpiryAlertCheck() {
+    let created = 0;
+
+    for (const [index, windowDays] of ALERT_WINDOWS_DAYS.entries()) {
+        const narrowerWindow = ALERT_WINDOWS_DAYS[index + 1] ?? -1;
+
+        for (const [alertType, column] of Object.entries(ALERT_TYPES)) {
+            const transaction = getPool().transaction();
+            try {
+                await transaction.begin();
+
+                const inserted = await transaction.request()
+                    .input('alertType', sql.NVarChar, alertType)
+                    .input('windowDays', sql.Int, windowDays)
+                    .input('narrowerWindow', sql.Int, narrowerWindow)
+                    .query(`
+                        INSERT INTO Alerts (AssetId, AlertType, ExpiresAt, WindowDays)
+                        OUTPUT INSERTED.AlertId, INSERTED.AssetId, INSERTED.ExpiresAt
+                        SELECT a.AssetId, @alertType, a.${column}, @windowDays
+                        FROM Assets a
+                        WHERE a.Status <> 'Retired'
+                          AND a.${column} IS NOT NULL
+                          AND DATEDIFF(DAY, CAST(GETDATE() AS DATE), a.${column}) BETWEEN 0 AND @windowDays
+                          AND DATEDIFF(DAY, CAST(GETDATE() AS DATE), a.${column}) > @narrowerWindow
+                          AND NOT EXISTS (
+                              SELECT 1 FROM Alerts al
+                              WHERE al.AssetId = a.AssetId
+                                AND al.AlertType = @alertType
+                                AND al.ExpiresAt = a.${column}
+                                AND al.WindowDays = @windowDays
+                          )
+                    `);
+
+                // The new, closer alert replaces any wider one still showing for the same date
+                await transaction.request()
+                    .input('alertType', sql.NVarChar, alertType)
+                    .input('windowDays', sql.Int, windowDays)
+                    .query(`
+                        UPDATE old
+                        SET AcknowledgedAt = GETDATE(), AcknowledgedBy = 'system'
+                        FROM Alerts old
+                        JOIN Alerts newer
+                          ON newer.AssetId = old.AssetId
+                         AND newer.AlertType = old.AlertType
+                         AND newer.ExpiresAt = old.ExpiresAt
+                         AND newer.WindowDays = @windowDays
+                        WHERE old.AlertType = @alertType
+                          AND old.WindowDays > @windowDays
+                          AND old.AcknowledgedAt IS NULL
+                    `);
+
+                await transaction.commit();
+                created += inserted.recordset.length;
+            } catch (err) {
+                try { await transaction.rollback(); } catch {
+                    // Transaction was never started or already rolled back
+                }
+                throw err;
+            }
+        }
+    }
+
+    return created;
+}
+
+// Run the check on startup and then on a timer (the timer does not keep the process alive)
+function startAlertScheduler() {
+    const run = async () => {
+        try {
+            const created = await runExpiryAlertCheck();
+            if (created > 0) {
+                console.log(`Expiry check: ${created} new alert(s)`);
+            }
+        } catch (err) {
+            console.error('Expiry check error:', err);
+        }
+    };
+
+    run();
+    setInterval(run, ALERT_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+// Expiry alerts, soonest first (acknowledged ones only when asked for)
+async function listAlerts({ includeAcknowledged }) {
+    const result = await getPool().request()
+        .input('includeAcknowledged', sql.Bit, includeAcknowledged)
+        .query(`
+            SELECT
+                al.*,
+                a.AssetName,
+                a.AssetType,
+                a.SerialNumber,
+                DATEDIFF(DAY, CAST(GETDATE() AS DATE), al.ExpiresAt) AS DaysLeft
+            FROM Alerts al
+            JOIN Assets a ON a.AssetId = al.AssetId
+            WHERE al.AcknowledgedAt IS NULL OR @includeAcknowledged = 1
+            ORDER BY al.ExpiresAt, a.AssetName
+        `);
+    return result.recordset;
+}
+
+// Dismiss an alert so it stops showing
+async function acknowledgeAlert(alertId, acknowledgedBy) {
+    const result = await getPool().request()
+        .input('alertId', sql.Int, alertId)
+        .input('acknowledgedBy', sql.NVarChar, acknowledgedBy)
+        .query(`
+            UPDATE Alerts
+            SET AcknowledgedAt = GETDATE(), AcknowledgedBy = @acknowledgedBy
+            OUTPUT INSERTED.*
+            WHERE AlertId = @alertId AND AcknowledgedAt IS NULL
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Alert not found or already acknowledged');
+    }
+    return result.recordset[0];
+}
+
+module.exports = {
+    runExpiryAlertCheck,
+    startAlertScheduler,
+    listAlerts,
+    acknowledgeAlert
+};
@@ -0,0 +1,218 @@
+// =====================================================
+// ASSET REQUESTS SERVICE (request -> approval -> fulfillment)
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { ServiceError } = require('./errors');
+const { isKnownAssetType } = require('./asset-types');
+const { checkAssignable, assignAsset } = require('./assignments');
+
+// Allowed moves between request states; Fulfilled only happens through fulfillAssetRequest
+const ASSET_REQUEST_TRANSITIONS = {
+    Pending: ['Approved', 'Rejected', 'Cancelled'],
+    Approved: ['Fulfilled', 'Cancelled'],
+    Rejected: [],
+    Fulfilled: [],
+    Cancelled: []
+};
+
+// States a reviewer can set directly
+const ASSET_REQUEST_DECISIONS = ['Approved', 'Rejected', 'Cancelled'];
+
+const ASSET_REQUEST_SELECT = `
+    SELECT
+        r.*,
+        e.FullName AS EmployeeName,
+        e.Email AS EmployeeEmail,
+        a.AssetName,
+        a.SerialNumber
+    FROM AssetRequests r
+    JOIN Employees e ON r.EmployeeId = e.EmployeeId
+    LEFT JOIN Assets a ON r.AssetId = a.AssetId
+`;
+
+// Helper to refuse requests for types the catalog does not know
+async function requireKnownType(assetType) {
+    if (!(await isKnownAssetType(assetType))) {
+        throw new ServiceError('VALIDATION_FAILED', `Unknown asset type "${assetType}"`);
+    }
+}
+
+// Helper to file a request for an employee
+async function insertAssetRequest({ employeeId, assetType, justification, requestedBy }) {
+    const result = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .input('assetType', sql.NVarChar, assetType)
+        .input('justification', sql.NVarChar, justification || null)
+        .input('requestedBy', sql.NVarChar, requestedBy)
+        .query(`
+            INSERT INTO AssetRequests (EmployeeId, AssetType, Justification, RequestedBy)
+            OUTPUT INSERTED.*
+            VALUES (@employeeId, @assetType, @justification, @requestedBy)
+        `);
+    return result.recordset[0];
+}
+
+// Requests inbox, newest first (optionally one status only)
+async function listAssetRequests(status) {
+    const result = await getPool().request()
+        .input('status', sql.NVarChar, status || null)
+        .query(`
+            ${ASSET_REQUEST_SELECT}
+            WHERE @status IS NULL OR r.Status = @status
+            ORDER BY r.CreatedAt DESC
+        `);
+    return result.recordset;
+}
+
+// Requests filed for one employee, newest first
+async function listEmployeeAssetRequests(employeeId) {
+    const result = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            ${ASSET_REQUEST_SELECT}
+            WHERE r.EmployeeId = @employeeId
+            ORDER BY r.CreatedAt DESC
+        `);
+    return result.recordset;
+}
+
+// File a request on behalf of an (active) employee
+async function createAssetRequest({ employeeId, assetType, justification }, requestedBy) {
+    await requireKnownType(assetType);
+
+    const employeeCheck = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .query('SELECT IsActive FROM Employees WHERE EmployeeId = @employeeId');
+
+    if (employeeCheck.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+
+    if (!employeeCheck.recordset[0].IsActive) {
+        throw new ServiceError('EMPLOYEE_INACTIVE', 'Employee is deactivated and cannot receive new assets');
+    }
+
+    return insertAssetRequest({ employeeId, assetType, justification, requestedBy });
+}
+
+// File a request from the portal for the signed-in employee
+async function createOwnAssetRequest(employeeId, { assetType, justification }, requestedBy) {
+    await requireKnownType(assetType);
+    return insertAssetRequest({ employeeId, assetType, justification, requestedBy });
+}
+
+// Approve, reject or cancel a request
+async function decideAssetRequest(requestId, { status, note }, decidedBy) {
+    const pool = getPool();
+    const current = await pool.request()
+        .input('requestId', sql.Int, requestId)
+        .query('SELECT Status FROM AssetRequests WHERE RequestId = @requestId');
+
+    if (current.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Request not found');
+    }
+
+    const currentStatus = current.recordset[0].Status;
+    if (!ASSET_REQUEST_TRANSITIONS[currentStatus].includes(status)) {
+        throw new ServiceError('INVALID_STATUS_TRANSITION', `Cannot move a ${currentStatus.toLowerCase()} request to ${status.toLowerCase()}`);
+    }
+
+    // Guard on the status we read so two reviewers cannot both decide
+    const result = await pool.request()
+        .input('requestId', sql.Int, requestId)
+        .input('status', sql.NVarChar, status)
+        .input('currentStatus', sql.NVarChar, currentStatus)
+        .input('note', sql.NVarChar, note || null)
+        .input('decidedBy', sql.NVarChar, decidedBy)
+        .query(`
+            UPDATE AssetRequests
+            SET Status = @status, DecisionNote = @note, DecidedBy = @decidedBy, DecidedAt = GETDATE()
+            OUTPUT INSERTED.*
+            WHERE RequestId = @requestId AND Status = @currentStatus
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('CONFLICT', 'Request was changed by someone else, refresh and try again');
+    }
+    return result.recordset[0];
+}
+
+// Hand over an available item for an approved request; returns { request, assignment }.
+// One transaction: if another fulfilment wins the race, the assignment made here is rolled back.
+async function fulfillAssetRequest(requestId, assetId, fulfilledBy) {
+    const transaction = getPool().transaction();
+
+    try {
+        await transaction.begin();
+
+        const requestResult = await transaction.request()
+            .input('requestId', sql.Int, requestId)
+            .query('SELECT * FROM AssetRequests WHERE RequestId = @requestId');
+
+        const request = requestResult.recordset[0];
+        if (!request) {
+            throw new ServiceError('NOT_FOUND', 'Request not found');
+        }
+
+        if (request.Status !== 'Approved') {
+            throw new ServiceError('INVALID_STATUS_TRANSITION', `Only approved requests can be fulfilled (this one is ${request.Status.toLowerCase()})`);
+        }
+
+        const assetResult = await transaction.request()
+            .input('assetId', sql.Int, assetId)
+            .query('SELECT AssetType FROM Assets WHERE AssetId = @assetId');
+
+        if (assetResult.recordset.length > 0 && assetResult.recordset[0].AssetType !== request.AssetType) {
+            throw new ServiceError('VALIDATION_FAILED', `Request is for a ${request.AssetType}, not a ${assetResult.recordset[0].AssetType}`);
+        }
+
+        const problem = await checkAssignable(assetId, request.EmployeeId, transaction);
+        if (problem) {
+            throw problem;
+        }
+
+        const assignment = await assignAsset(assetId, request.EmployeeId, transaction);
+
+        if (!assignment || assignment.EmployeeId !== request.EmployeeId) {
+            throw new ServiceError('ASSET_ALREADY_ASSIGNED', 'Asset is already assigned');
+        }
+
+        const result = await transaction.request()
+            .input('requestId', sql.Int, requestId)
+            .input('assetId', sql.Int, assetId)
+            .input('assignmentId', sql.Int, assignment.AssignmentId)
+            .input('fulfilledBy', sql.NVarChar, fulfilledBy)
+            .query(`
+                UPDATE AssetRequests
+                SET Status = 'Fulfilled', AssetId = @assetId, AssignmentId = @assignmentId,
+                    FulfilledBy = @fulfilledBy, FulfilledAt = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE RequestId = @requestId AND Status = 'Approved'
+            `);
+
+        if (result.recordset.length === 0) {
+            throw new ServiceError('CONFLICT', 'Request was changed by someone else, refresh and try again');
+        }
+
+        await transaction.commit();
+        return { request: result.recordset[0], assignment };
+    } catch (err) {
+        try {
+            await transaction.rollback();
+        } catch {
+            // Transaction was never started or already rolled back
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    ASSET_REQUEST_DECISIONS,
+    listAssetRequests,
+    listEmployeeAssetRequests,
+    createAssetRequest,
+    createOwnAssetRequest,
+    decideAssetRequest,
+    fulfillAssetRequest
+};
@@ -0,0 +1,279 @@
+// =====================================================
+// ASSET TYPES SERVICE
+// The type catalog, each type's custom field definitions and the checks on their values
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { deriveTypeCode, getTakenTypeCodes, parseTagSettings } = require('./tags');
+const { parseDepreciationSettings } = require('./valuation');
+const { ServiceError, isDuplicateKeyError } = require('./errors');
+
+// Helper to check a type name is in the AssetTypes catalog
+async function isKnownAssetType(name) {
+    const result = await getPool().request()
+        .input('name', sql.NVarChar, name)
+        .query('SELECT COUNT(*) as cnt FROM AssetTypes WHERE Name = @name');
+    return result.recordset[0].cnt > 0;
+}
+
+// Kinds of custom field an asset type can define
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum'];
+
+// Helper to read a JSON column (FieldSchema / CustomFields), falling back on bad or empty data
+const parseJsonColumn = (value, fallback) => {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+};
+
+// Helpers to shape rows for API responses with their JSON columns parsed
+const withCustomFields = (asset) => ({ ...asset, CustomFields: parseJsonColumn(asset.CustomFields, {}) });
+const withFieldSchema = (type) => ({ ...type, FieldSchema: parseJsonColumn(type.FieldSchema, []) });
+
+// Helper to check a type's field definitions; returns the cleaned list or throws a readable error
+function normalizeFieldSchema(fields) {
+    if (!Array.isArray(fields)) {
+        throw new ServiceError('VALIDATION_FAILED', 'Fields must be a list');
+    }
+
+    const keys = new Set();
+    return fields.map((field, index) => {
+        const label = String(field.label || '').trim();
+        if (!label) {
+            throw new ServiceError('VALIDATION_FAILED', `Field ${index + 1} needs a label`);
+        }
+
+        // Keys are stable identifiers for stored values, derived from the label when not given
+        const key = String(field.key || label)
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        if (!key) {
+            throw new ServiceError('VALIDATION_FAILED', `Field "${label}" needs a key made of letters or digits`);
+        }
+        if (keys.has(key)) {
+            throw new ServiceError('VALIDATION_FAILED', `Field "${label}" is defined twice`);
+        }
+        keys.add(key);
+
+        if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+            throw new ServiceError('VALIDATION_FAILED', `Field "${label}" must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+        }
+
+        const normalized = { key, label, type: field.type, required: !!field.required };
+
+        if (field.type === 'enum') {
+            const options = [...new Set((field.options || []).map(o => String(o).trim()).filter(Boolean))];
+            if (options.length === 0) {
+                throw new ServiceError('VALIDATION_FAILED', `Field "${label}" needs at least one option`);
+            }
+            normalized.options = options;
+        }
+
+        return normalized;
+    });
+}
+
+// Helper to load a type's field definitions; null when the type is not in the catalog
+async function getAssetTypeFields(name) {
+    const result = await getPool().request()
+        .input('name', sql.NVarChar, name)
+        .query('SELECT FieldSchema FROM AssetTypes WHERE Name = @name');
+
+    if (result.recordset.length === 0) return null;
+    return parseJsonColumn(result.recordset[0].FieldSchema, []);
+}
+
+// Helper to validate custom field values against a type's fields.
+// Returns the values to store (keys the type does not define are dropped) and any errors.
+function validateCustomFields(fields, input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const values = {};
+    const errors = [];
+
+    for (const field of fields) {
+        const raw = source[field.key];
+        const text = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (!text) {
+            if (field.required) errors.push(`${field.label} is required`);
+            continue;
+        }
+
+        if (field.type === 'number') {
+            const number = Number(text);
+            if (!Number.isFinite(number)) {
+                errors.push(`${field.label} must be a number`);
+            } else {
+                values[field.key] = number;
+            }
+        } else if (field.type === 'date') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(text).getTime())) {
+                errors.push(`${field.label} must be a date (YYYY-MM-DD)`);
+            } else {
+                values[field.key] = text;
+            }
+        } else if (field.type === 'enum') {
+            if (!field.options.includes(text)) {
+                errors.push(`${field.label} must be one of: ${field.options.join(', ')}`);
+            } else {
+                values[field.key] = text;
+            }
+        } else {
+            values[field.key] = text;
+        }
+    }
+
+    return { values, errors };
+}
+
+// Helper to serialize validated values (NULL when the asset has none)
+const serializeCustomFields = (values) =>
+    Object.keys(values).length > 0 ? JSON.stringify(values) : null;
+
+// Helper to shape a catalog row with its usage counts
+const ASSET_TYPE_SELECT = `
+    SELECT
+        t.*,
+        (SELECT COUNT(*) FROM Assets a WHERE a.AssetType = t.Name) AS AssetCount,
+        (SELECT COUNT(*) FROM AssetRequests r WHERE r.AssetType = t.Name) AS RequestCount
+    FROM AssetTypes t
+`;
+
+// Helper to turn a unique index violation into the name or type code that is taken
+function toDuplicateTypeError(err, body) {
+    if (err.message.includes('UQ_AssetTypes_TypeCode')) {
+        return new ServiceError('DUPLICATE_TYPE_CODE', `Type code "${String(body.typeCode).toUpperCase()}" is already used by another type`);
+    }
+    if (isDuplicateKeyError(err)) {
+        return new ServiceError('DUPLICATE_TYPE', `Type "${body.name}" already exists`);
+    }
+    return err;
+}
+
+// Asset type catalog with usage counts
+async function listAssetTypes() {
+    const result = await getPool().request()
+        .query(`${ASSET_TYPE_SELECT} ORDER BY t.Name`);
+    return result.recordset.map(withFieldSchema);
+}
+
+// Get one asset type
+async function getAssetType(typeId) {
+    const result = await getPool().request()
+        .input('typeId', sql.Int, typeId)
+        .query(`${ASSET_TYPE_SELECT} WHERE t.AssetTypeId = @typeId`);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset type not found');
+    }
+    return withFieldSchema(result.recordset[0]);
+}
+
+// Add a type to the catalog (optionally with its custom fields, depreciation and tag settings;
+// without a type code it gets a free one derived from the name)
+async function createAssetType(body) {
+    const name = body.name.trim();
+    const fields = normalizeFieldSchema(body.fields || []);
+    const depreciation = parseDepreciationSettings(body) || { method: 'StraightLine', usefulLifeYears: 3 };
+    const tags = parseTagSettings(body) || { tagTemplate: null, typeCode: null };
+    const typeCode = tags.typeCode || deriveTypeCode(name, await getTakenTypeCodes());
+
+    try {
+        const result = await getPool().request()
+            .input('name', sql.NVarChar, name)
+            .input('description', sql.NVarChar, body.description || null)
+            .input('fieldSchema', sql.NVarChar(sql.MAX), fields.length > 0 ? JSON.stringify(fields) : null)
+            .input('depreciationMethod', sql.NVarChar, depreciation.method)
+            .input('usefulLifeYears', sql.Int, depreciation.usefulLifeYears)
+            .input('tagTemplate', sql.NVarChar, tags.tagTemplate)
+            .input('typeCode', sql.NVarChar, typeCode)
+            .query(`
+                INSERT INTO AssetTypes (Name, Description, FieldSchema, DepreciationMethod, UsefulLifeYears, TagTemplate, TypeCode)
+                OUTPUT INSERTED.*
+                VALUES (@name, @description, @fieldSchema, @depreciationMethod, @usefulLifeYears, @tagTemplate, @typeCode)
+            `);
+        return withFieldSchema(result.recordset[0]);
+    } catch (err) {
+        throw toDuplicateTypeError(err, { ...body, typeCode });
+    }
+}
+
+// Rename, describe, set depreciation or tag format, or redefine the custom fields of a type
+// (assets follow renames via ON UPDATE CASCADE; stored values are re-checked on their next save)
+async function updateAssetType(typeId, body) {
+    const name = body.name.trim();
+    const { description } = body;
+    const fields = body.fields !== undefined ? normalizeFieldSchema(body.fields) : null;
+    const depreciation = parseDepreciationSettings(body);
+    const tags = parseTagSettings(body);
+
+    let result;
+    try {
+        result = await getPool().request()
+            .input('typeId', sql.Int, typeId)
+            .input('name', sql.NVarChar, name)
+            .input('setDescription', sql.Bit, description !== undefined)
+            .input('description', sql.NVarChar, description || null)
+            .input('setFields', sql.Bit, fields !== null)
+            .input('fieldSchema', sql.NVarChar(sql.MAX), fields && fields.length > 0 ? JSON.stringify(fields) : null)
+            .input('setDepreciation', sql.Bit, depreciation !== null)
+            .input('depreciationMethod', sql.NVarChar, depreciation ? depreciation.method : null)
+            .input('usefulLifeYears', sql.Int, depreciation ? depreciation.usefulLifeYears : null)
+            .input('setTags', sql.Bit, tags !== null)
+            .input('tagTemplate', sql.NVarChar, tags ? tags.tagTemplate : null)
+            .input('typeCode', sql.NVarChar, tags ? tags.typeCode : null)
+            .query(`
+                UPDATE AssetTypes
+                SET Name = @name,
+                    Description = CASE WHEN @setDescription = 1 THEN @description ELSE Description END,
+                    FieldSchema = CASE WHEN @setFields = 1 THEN @fieldSchema ELSE FieldSchema END,
+                    DepreciationMethod = CASE WHEN @setDepreciation = 1 THEN @depreciationMethod ELSE DepreciationMethod END,
+                    UsefulLifeYears = CASE WHEN @setDepreciation = 1 THEN @usefulLifeYears ELSE UsefulLifeYears END,
+                    TagTemplate = CASE WHEN @setTags = 1 THEN @tagTemplate ELSE TagTemplate END,
+                    TypeCode = CASE WHEN @setTags = 1 THEN @typeCode ELSE TypeCode END
+                OUTPUT INSERTED.*
+                WHERE AssetTypeId = @typeId
+            `);
+    } catch (err) {
+        throw toDuplicateTypeError(err, body);
+    }
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset type not found');
+    }
+    return getAssetType(typeId);
+}
+
+// Delete a type (only if nothing uses it); returns the deleted type
+async function deleteAssetType(typeId) {
+    const type = await getAssetType(typeId);
+
+    // Archived assets and past requests still reference the type, so they count too
+    if (type.AssetCount > 0 || type.RequestCount > 0) {
+        throw new ServiceError('TYPE_IN_USE', `Cannot delete "${type.Name}". ${type.AssetCount} asset(s) and ${type.RequestCount} request(s) are using this type. Rename or reassign them first.`);
+    }
+
+    await getPool().request()
+        .input('typeId', sql.Int, typeId)
+        .query('DELETE FROM AssetTypes WHERE AssetTypeId = @typeId');
+    return type;
+}
+
+module.exports = {
+    isKnownAssetType,
+    parseJsonColumn,
+    withCustomFields,
+    getAssetTypeFields,
+    validateCustomFields,
+    serializeCustomFields,
+    listAssetTypes,
+    getAssetType,
+    createAssetType,
+    updateAssetType,
+    deleteAssetType
+};
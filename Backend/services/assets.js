@@ -0,0 +1,574 @@
+// =====================================================
+// ASSETS SERVICE
+// Inventory records, their lifecycle, purchase details and the dashboard list
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { allocateAssetTag } = require('./tags');
+const { calculateValuation, parseDepreciationSettings } = require('./valuation');
+const { parseJsonColumn, withCustomFields, getAssetTypeFields, validateCustomFields, serializeCustomFields } = require('./asset-types');
+const { toDateOnly } = require('./dates');
+const { ServiceError, isDuplicateKeyError } = require('./errors');
+
+// Allowed ways an asset can leave the inventory
+const ARCHIVE_DISPOSITIONS = ['Retired', 'Disposed'];
+
+// Asset lifecycle: every state and the states it may move to next
+const ASSET_STATUS_TRANSITIONS = {
+    InStock: ['Assigned', 'InRepair', 'Lost', 'Retired'],
+    Assigned: ['InStock', 'InRepair', 'Lost'],
+    InRepair: ['InStock', 'Lost', 'Retired'],
+    Lost: ['InStock', 'Retired'],
+    Retired: ['InStock']
+};
+
+// States staff may set directly (Assigned goes through assignments, Retired through archiving)
+const MANUAL_ASSET_STATUSES = ['InStock', 'InRepair', 'Lost'];
+
+const ASSET_STATUS_LABELS = {
+    InStock: 'in stock',
+    Assigned: 'assigned',
+    InRepair: 'in repair',
+    Lost: 'lost',
+    Retired: 'retired'
+};
+
+// Helper to check a lifecycle transition
+const canTransitionAsset = (fromStatus, toStatus) =>
+    (ASSET_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Helper to read purchase, warranty and lease details from a request body.
+// Keys missing from the body keep the asset's current values (pass the current row on updates).
+function parsePurchaseFields(body, current = {}) {
+    const pick = (key, column) => (body[key] !== undefined ? body[key] : current[column]);
+    const text = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+    const errors = [];
+
+    const values = {
+        vendor: text(pick('vendor', 'Vendor')),
+        invoiceNumber: text(pick('invoiceNumber', 'InvoiceNumber')),
+        purchaseDate: toDateOnly(pick('purchaseDate', 'PurchaseDate')),
+        warrantyExpiresAt: toDateOnly(pick('warrantyExpiresAt', 'WarrantyExpiresAt')),
+        leaseEndsAt: toDateOnly(pick('leaseEndsAt', 'LeaseEndsAt')),
+        purchaseCost: null
+    };
+
+    for (const [key, label] of [['purchaseDate', 'Purchase date'], ['warrantyExpiresAt', 'Warranty expiry'], ['leaseEndsAt', 'Lease end']]) {
+        if (values[key] && (!/^\d{4}-\d{2}-\d{2}$/.test(values[key]) || isNaN(new Date(values[key]).getTime()))) {
+            errors.push(`${label} must be a date (YYYY-MM-DD)`);
+        }
+    }
+
+    const cost = pick('purchaseCost', 'PurchaseCost');
+    if (cost !== undefined && cost !== null && String(cost).trim() !== '') {
+        const number = Number(cost);
+        if (!Number.isFinite(number) || number < 0) {
+            errors.push('Purchase cost must be a positive number');
+        } else {
+            values.purchaseCost = number;
+        }
+    }
+
+    if (values.purchaseDate && values.warrantyExpiresAt && values.warrantyExpiresAt < values.purchaseDate) {
+        errors.push('Warranty expiry cannot be before the purchase date');
+    }
+
+    return { values, errors };
+}
+
+// Helper to add purchase inputs to a request
+const addPurchaseInputs = (request, values) => request
+    .input('vendor', sql.NVarChar, values.vendor)
+    .input('invoiceNumber', sql.NVarChar, values.invoiceNumber)
+    .input('purchaseDate', sql.Date, values.purchaseDate)
+    .input('purchaseCost', sql.Decimal(12, 2), values.purchaseCost)
+    .input('warrantyExpiresAt', sql.Date, values.warrantyExpiresAt)
+    .input('leaseEndsAt', sql.Date, values.leaseEndsAt);
+
+// Helper to read the manufacturer serial and location from a request body
+// (keys missing from the body keep the current row's values, like parsePurchaseFields)
+function parseAssetIdentity(body, current = {}) {
+    const pick = (key, column) => (body[key] !== undefined ? body[key] : current[column]);
+    const text = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+    return {
+        manufacturerSerial: text(pick('manufacturerSerial', 'ManufacturerSerial')),
+        location: text(pick('location', 'Location'))
+    };
+}
+
+// Helper to add identity inputs to a request
+const addIdentityInputs = (request, values) => request
+    .input('manufacturerSerial', sql.NVarChar, values.manufacturerSerial)
+    .input('location', sql.NVarChar, values.location);
+
+// Dashboard status filter keys -> Assets.Status ("assigned" is accepted for "active")
+const ASSET_STATUS_FILTERS = {
+    active: 'Assigned',
+    assigned: 'Assigned',
+    available: 'InStock',
+    'in-repair': 'InRepair',
+    lost: 'Lost',
+    archived: 'Retired'
+};
+
+// Sortable asset list fields -> column (anything else is rejected)
+const ASSET_SORT_COLUMNS = {
+    name: 'a.AssetName',
+    type: 'a.AssetType',
+    serial: 'a.SerialNumber',
+    status: 'a.Status',
+    assignedTo: 'e.FullName',
+    createdAt: 'a.CreatedAt'
+};
+
+// Most assets one page of GET /api/assets may hold
+const ASSET_PAGE_MAX = 200;
+
+// FROM clause shared by the asset list and export: each asset with its current holder (if any)
+const ASSET_LIST_FROM = `
+    FROM Assets a
+    LEFT JOIN AssetAssignments aa ON aa.AssetId = a.AssetId AND aa.ReturnedAt IS NULL
+    LEFT JOIN Employees e ON e.EmployeeId = aa.EmployeeId
+`;
+
+// Helper to add the dashboard filters (?type=, ?status=, ?search=) to a request.
+// Returns the WHERE clause, or throws on an unknown status. Without a status archived
+// assets are hidden unless includeArchived is set; search matches name, tag, manufacturer
+// serial, type, holder and custom field values.
+function addAssetListFilters(request, { type, status, search, includeArchived }) {
+    if (status && status !== 'all' && !ASSET_STATUS_FILTERS[status]) {
+        throw new ServiceError('VALIDATION_FAILED', `status must be one of: all, ${Object.keys(ASSET_STATUS_FILTERS).join(', ')}`);
+    }
+
+    request
+        .input('type', sql.NVarChar, type && type !== 'All' ? type : null)
+        .input('status', sql.NVarChar, status && status !== 'all' ? ASSET_STATUS_FILTERS[status] : null)
+        .input('includeArchived', sql.Bit, includeArchived === true || includeArchived === 'true')
+        .input('search', sql.NVarChar, search && search.trim() ? `%${search.trim()}%` : null);
+
+    return `
+        WHERE (@type IS NULL OR a.AssetType = @type)
+          AND ((@status IS NULL AND (a.Status <> 'Retired' OR @includeArchived = 1)) OR a.Status = @status)
+          AND (@search IS NULL
+               OR a.AssetName LIKE @search
+               OR a.SerialNumber LIKE @search
+               OR a.ManufacturerSerial LIKE @search
+               OR a.AssetType LIKE @search
+               OR e.FullName LIKE @search
+               OR a.CustomFields LIKE @search)
+    `;
+}
+
+// Helper to load a type's field definitions, refusing types that are not in the catalog
+async function requireTypeFields(assetType) {
+    const fields = await getAssetTypeFields(assetType);
+    if (!fields) {
+        throw new ServiceError('VALIDATION_FAILED', `Unknown asset type "${assetType}". Add it under Manage Types first.`);
+    }
+    return fields;
+}
+
+// Helper to check custom field values and purchase details (current: the stored row on updates).
+// Throws a 400 listing every problem; returns the values to store.
+function checkAssetDetails(fields, body, current) {
+    // Without customFields in the body the stored values are kept (and re-checked against the type)
+    const { values, errors } = validateCustomFields(
+        fields,
+        body.customFields === undefined && current ? parseJsonColumn(current.CustomFields, {}) : body.customFields
+    );
+    const purchase = parsePurchaseFields(body, current);
+    errors.push(...purchase.errors);
+    if (errors.length > 0) {
+        throw new ServiceError('VALIDATION_FAILED', errors.join('. '), { errors });
+    }
+
+    return { customFields: values, purchase: purchase.values };
+}
+
+// Create an asset; its tag (SerialNumber) comes from the type's tag template
+async function createAsset(body) {
+    const { assetName, assetType } = body;
+    const details = checkAssetDetails(await requireTypeFields(assetType), body);
+
+    // Allocate the asset tag from the type's template
+    const identity = parseAssetIdentity(body);
+    const serialNumber = await allocateAssetTag(assetType, { location: identity.location });
+
+    try {
+        const result = await addIdentityInputs(addPurchaseInputs(getPool().request(), details.purchase), identity)
+            .input('assetName', sql.NVarChar, assetName)
+            .input('assetType', sql.NVarChar, assetType)
+            .input('serialNumber', sql.NVarChar, serialNumber)
+            .input('customFields', sql.NVarChar(sql.MAX), serializeCustomFields(details.customFields))
+            .query(`
+                INSERT INTO Assets (AssetName, AssetType, SerialNumber, ManufacturerSerial, Location, CustomFields,
+                                    Vendor, InvoiceNumber, PurchaseDate, PurchaseCost, WarrantyExpiresAt, LeaseEndsAt)
+                OUTPUT INSERTED.*
+                VALUES (@assetName, @assetType, @serialNumber, @manufacturerSerial, @location, @customFields,
+                        @vendor, @invoiceNumber, @purchaseDate, @purchaseCost, @warrantyExpiresAt, @leaseEndsAt)
+            `);
+        return withCustomFields(result.recordset[0]);
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            throw new ServiceError('DUPLICATE_SERIAL', 'Serial number conflict. Please try again.');
+        }
+        throw err;
+    }
+}
+
+// List assets with the current holder (filters, sorting and optional paging as on the dashboard).
+// With page or limit the result is { items, total, page, limit, totalPages }, otherwise a plain array.
+async function listAssets(query) {
+    const { sort = 'name', order = 'asc' } = query;
+    const paged = query.page !== undefined || query.limit !== undefined;
+    const page = parseInt(query.page, 10) || 1;
+    const limit = parseInt(query.limit, 10) || 25;
+
+    const request = getPool().request();
+    const where = addAssetListFilters(request, query);
+
+    // Ties are broken by AssetId so pages never overlap
+    const orderBy = `ORDER BY ${ASSET_SORT_COLUMNS[sort]} ${String(order).toUpperCase()}, a.AssetId`;
+    const select = `
+        SELECT a.*, e.EmployeeId AS AssignedEmployeeId, e.FullName AS AssignedTo, aa.AssignedAt
+        ${ASSET_LIST_FROM}
+        ${where}
+        ${orderBy}
+    `;
+
+    if (!paged) {
+        const result = await request.query(select);
+        return result.recordset.map(withCustomFields);
+    }
+
+    const result = await request
+        .input('offset', sql.Int, (page - 1) * limit)
+        .input('limit', sql.Int, limit)
+        .query(`
+            SELECT COUNT(*) AS Total ${ASSET_LIST_FROM} ${where};
+            ${select}
+            OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;
+        `);
+
+    const total = result.recordsets[0][0].Total;
+    return {
+        items: result.recordsets[1].map(withCustomFields),
+        total,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(total / limit))
+    };
+}
+
+// One asset (archived included) with its current holder, as the dashboard list shows it
+async function getAsset(assetId) {
+    const result = await getPool().request()
+        .input('assetId', sql.Int, assetId)
+        .query(`
+            SELECT a.*, e.EmployeeId AS AssignedEmployeeId, e.FullName AS AssignedTo, aa.AssignedAt
+            ${ASSET_LIST_FROM}
+            WHERE a.AssetId = @assetId
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+    return withCustomFields(result.recordset[0]);
+}
+
+// Available assets (in stock: not assigned, in repair, lost or retired)
+async function listAvailableAssets() {
+    const result = await getPool().request()
+        .query(`
+            SELECT a.*
+            FROM Assets a
+            WHERE a.Status = 'InStock'
+            ORDER BY a.AssetName
+        `);
+    return result.recordset.map(withCustomFields);
+}
+
+// Find one asset by its scanned tag, manufacturer serial or AST-### label, with its current holder
+async function lookupAsset(serial) {
+    const pool = getPool();
+
+    // Assets without a serial are labelled with their AST-### id instead
+    const labelMatch = serial.match(/^AST-(\d+)$/i);
+
+    const result = await pool.request()
+        .input('serial', sql.NVarChar, serial)
+        .input('assetId', sql.Int, labelMatch ? parseInt(labelMatch[1], 10) : null)
+        .query(`
+            SELECT TOP 1 a.*
+            FROM Assets a
+            WHERE a.SerialNumber = @serial
+               OR a.ManufacturerSerial = @serial
+               OR (@assetId IS NOT NULL AND a.AssetId = @assetId AND a.SerialNumber IS NULL)
+            ORDER BY CASE WHEN a.SerialNumber = @serial THEN 0 ELSE 1 END
+        `);
+
+    const asset = result.recordset[0];
+    if (!asset) {
+        throw new ServiceError('NOT_FOUND', `No asset with serial "${serial}"`);
+    }
+
+    const detail = await pool.request()
+        .input('assetId', sql.Int, asset.AssetId)
+        .query(`
+            SELECT aa.AssignmentId, aa.AssignedAt, aa.ReceiptConfirmedAt,
+                   e.EmployeeId, e.FullName AS EmployeeName, e.Email AS EmployeeEmail, e.Position AS EmployeePosition
+            FROM AssetAssignments aa
+            JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+            WHERE aa.AssetId = @assetId AND aa.ReturnedAt IS NULL;
+
+            SELECT TOP 5 aa.AssignmentId, aa.AssignedAt, aa.ReturnedAt, e.FullName
+            FROM AssetAssignments aa
+            JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+            WHERE aa.AssetId = @assetId
+            ORDER BY aa.AssignedAt DESC;
+        `);
+
+    return {
+        asset: withCustomFields(asset),
+        assignment: detail.recordsets[0][0] || null,
+        recentHistory: detail.recordsets[1]
+    };
+}
+
+// Book value and depreciation schedule of one asset. The type's settings apply unless
+// the caller asks "what if" with another method or useful life.
+async function getAssetValuation(assetId, { asOf, method, usefulLifeYears }) {
+    const result = await getPool().request()
+        .input('assetId', sql.Int, assetId)
+        .query(`
+            SELECT a.*, t.DepreciationMethod, t.UsefulLifeYears
+            FROM Assets a
+            JOIN AssetTypes t ON t.Name = a.AssetType
+            WHERE a.AssetId = @assetId
+        `);
+
+    const asset = result.recordset[0];
+    if (!asset) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+
+    if (asset.PurchaseCost === null || !asset.PurchaseDate) {
+        throw new ServiceError('VALIDATION_FAILED', 'Record a purchase cost and date to value this asset');
+    }
+
+    const settings = parseDepreciationSettings({
+        depreciationMethod: method || asset.DepreciationMethod,
+        usefulLifeYears: usefulLifeYears !== undefined ? usefulLifeYears : asset.UsefulLifeYears
+    });
+
+    return {
+        assetId: asset.AssetId,
+        assetName: asset.AssetName,
+        assetType: asset.AssetType,
+        ...calculateValuation({
+            purchaseCost: asset.PurchaseCost,
+            purchaseDate: asset.PurchaseDate,
+            method: settings.method,
+            usefulLifeYears: settings.usefulLifeYears,
+            asOf: asOf ? new Date(asOf) : new Date()
+        })
+    };
+}
+
+// Asset assignment history (using stored procedure sp_GetAssetHistory)
+async function getAssetHistory(assetId) {
+    const result = await getPool().request()
+        .input('AssetId', sql.Int, assetId)
+        .execute('sp_GetAssetHistory');
+    return result.recordset;
+}
+
+// Update an asset's details
+async function updateAsset(assetId, body) {
+    const { assetName, assetType } = body;
+
+    const fields = await requireTypeFields(assetType);
+    const current = await getPool().request()
+        .input('assetId', sql.Int, assetId)
+        .query('SELECT * FROM Assets WHERE AssetId = @assetId');
+
+    if (current.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+
+    const details = checkAssetDetails(fields, body, current.recordset[0]);
+
+    // The asset tag never changes once printed; the manufacturer serial and location can
+    const identity = parseAssetIdentity(body, current.recordset[0]);
+
+    const result = await addIdentityInputs(addPurchaseInputs(getPool().request(), details.purchase), identity)
+        .input('assetId', sql.Int, assetId)
+        .input('assetName', sql.NVarChar, assetName)
+        .input('assetType', sql.NVarChar, assetType)
+        .input('customFields', sql.NVarChar(sql.MAX), serializeCustomFields(details.customFields))
+        .query(`
+            UPDATE Assets
+            SET AssetName = @assetName, AssetType = @assetType, CustomFields = @customFields,
+                ManufacturerSerial = @manufacturerSerial, Location = @location,
+                Vendor = @vendor, InvoiceNumber = @invoiceNumber, PurchaseDate = @purchaseDate,
+                PurchaseCost = @purchaseCost, WarrantyExpiresAt = @warrantyExpiresAt, LeaseEndsAt = @leaseEndsAt
+            OUTPUT INSERTED.*
+            WHERE AssetId = @assetId
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+    return withCustomFields(result.recordset[0]);
+}
+
+// Archive an asset (retire/dispose, only if not currently assigned).
+// The asset row and its assignment history are kept so audits can still query them.
+async function archiveAsset(assetId, { reason, disposition = 'Retired', archivedAt }) {
+    const pool = getPool();
+    const assetCheck = await pool.request()
+        .input('assetId', sql.Int, assetId)
+        .query('SELECT Status FROM Assets WHERE AssetId = @assetId');
+
+    if (assetCheck.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+
+    const currentStatus = assetCheck.recordset[0].Status;
+
+    if (currentStatus === 'Assigned') {
+        throw new ServiceError('ASSET_ALREADY_ASSIGNED', 'Cannot archive asset. It is currently assigned to an employee. Return it first.');
+    }
+
+    if (!canTransitionAsset(currentStatus, 'Retired')) {
+        throw new ServiceError('INVALID_STATUS_TRANSITION', `Cannot archive an asset that is ${ASSET_STATUS_LABELS[currentStatus]}`);
+    }
+
+    const result = await pool.request()
+        .input('assetId', sql.Int, assetId)
+        .input('reason', sql.NVarChar, reason.trim())
+        .input('disposition', sql.NVarChar, disposition)
+        .input('archivedAt', sql.DateTime2, archivedAt ? new Date(archivedAt) : null)
+        .query(`
+            UPDATE Assets
+            SET ArchivedAt = COALESCE(@archivedAt, GETDATE()),
+                ArchiveDisposition = @disposition,
+                ArchiveReason = @reason,
+                Status = 'Retired',
+                StatusNote = @reason,
+                StatusChangedAt = GETDATE()
+            OUTPUT INSERTED.*
+            WHERE AssetId = @assetId AND ArchivedAt IS NULL
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found or already archived');
+    }
+    return result.recordset[0];
+}
+
+// Bring an archived asset back into inventory
+async function restoreAsset(assetId) {
+    const result = await getPool().request()
+        .input('assetId', sql.Int, assetId)
+        .query(`
+            UPDATE Assets
+            SET ArchivedAt = NULL, ArchiveDisposition = NULL, ArchiveReason = NULL,
+                Status = 'InStock', StatusNote = NULL, StatusChangedAt = GETDATE()
+            OUTPUT INSERTED.*
+            WHERE AssetId = @assetId AND Status = 'Retired'
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found or not archived');
+    }
+    return result.recordset[0];
+}
+
+// Move an asset through its lifecycle (repair, lost, back in stock)
+async function changeAssetStatus(assetId, { status, note }) {
+    const transaction = getPool().transaction();
+
+    try {
+        await transaction.begin();
+
+        const assetResult = await transaction.request()
+            .input('assetId', sql.Int, assetId)
+            .query('SELECT Status FROM Assets WITH (UPDLOCK) WHERE AssetId = @assetId');
+
+        if (assetResult.recordset.length === 0) {
+            throw new ServiceError('NOT_FOUND', 'Asset not found');
+        }
+
+        const currentStatus = assetResult.recordset[0].Status;
+
+        // Archived assets keep their disposition and reason until restored, so only restoreAsset brings them back
+        if (currentStatus === 'Retired') {
+            throw new ServiceError('INVALID_STATUS_TRANSITION', 'Archived assets come back through restore, not a status change');
+        }
+
+        if (!canTransitionAsset(currentStatus, status)) {
+            throw new ServiceError('INVALID_STATUS_TRANSITION', `Cannot move an asset from ${ASSET_STATUS_LABELS[currentStatus]} to ${ASSET_STATUS_LABELS[status]}`);
+        }
+
+        // Leaving "Assigned" closes the open assignment (item handed in for repair or reported lost)
+        if (currentStatus === 'Assigned') {
+            await transaction.request()
+                .input('assetId', sql.Int, assetId)
+                .query(`
+                    UPDATE AssetAssignments
+                    SET ReturnedAt = GETDATE()
+                    WHERE AssetId = @assetId AND ReturnedAt IS NULL
+                `);
+        }
+
+        const result = await transaction.request()
+            .input('assetId', sql.Int, assetId)
+            .input('status', sql.NVarChar, status)
+            .input('note', sql.NVarChar, note || null)
+            .query(`
+                UPDATE Assets
+                SET Status = @status, StatusNote = @note, StatusChangedAt = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE AssetId = @assetId
+            `);
+
+        await transaction.commit();
+        return result.recordset[0];
+    } catch (err) {
+        try {
+            await transaction.rollback();
+        } catch {
+            // Transaction was never started or already rolled back
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    ARCHIVE_DISPOSITIONS,
+    MANUAL_ASSET_STATUSES,
+    ASSET_STATUS_LABELS,
+    ASSET_STATUS_FILTERS,
+    ASSET_SORT_COLUMNS,
+    ASSET_PAGE_MAX,
+    ASSET_LIST_FROM,
+    canTransitionAsset,
+    parsePurchaseFields,
+    addPurchaseInputs,
+    parseAssetIdentity,
+    addIdentityInputs,
+    addAssetListFilters,
+    createAsset,
+    listAssets,
+    getAsset,
+    listAvailableAssets,
+    lookupAsset,
+    getAssetValuation,
+    getAssetHistory,
+    updateAsset,
+    archiveAsset,
+    restoreAsset,
+    changeAssetStatus
+};
@@ -0,0 +1,145 @@
+// =====================================================
+// ASSIGNMENTS SERVICE
+// Who may receive which asset, and assigning/returning through the stored procedures
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { canTransitionAsset, ASSET_STATUS_LABELS } = require('./assets');
+const { ServiceError } = require('./errors');
+
+// Helper to check an asset can go to an employee; returns the ServiceError to throw when it cannot
+// (runner: the pool or a transaction)
+async function checkAssignable(assetId, employeeId, runner = getPool()) {
+    // Only assets in stock can be assigned
+    const assetCheck = await runner.request()
+        .input('assetId', sql.Int, assetId)
+        .query('SELECT Status FROM Assets WHERE AssetId = @assetId');
+
+    if (assetCheck.recordset.length === 0) {
+        return new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+
+    const assetStatus = assetCheck.recordset[0].Status;
+
+    if (assetStatus === 'Assigned') {
+        return new ServiceError('ASSET_ALREADY_ASSIGNED', 'Asset is already assigned');
+    }
+
+    if (!canTransitionAsset(assetStatus, 'Assigned')) {
+        return new ServiceError('INVALID_STATUS_TRANSITION', `Asset is ${ASSET_STATUS_LABELS[assetStatus]} and cannot be assigned`);
+    }
+
+    // Deactivated employees cannot receive new assets
+    const employeeCheck = await runner.request()
+        .input('employeeId', sql.Int, employeeId)
+        .query('SELECT IsActive FROM Employees WHERE EmployeeId = @employeeId');
+
+    if (employeeCheck.recordset.length === 0) {
+        return new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+
+    if (!employeeCheck.recordset[0].IsActive) {
+        return new ServiceError('EMPLOYEE_INACTIVE', 'Employee is deactivated and cannot receive new assets');
+    }
+
+    return null;
+}
+
+// Helper to assign through sp_AssignAsset and return the new open assignment
+// (runner: the pool or a transaction)
+async function assignAsset(assetId, employeeId, runner = getPool()) {
+    await runner.request()
+        .input('AssetId', sql.Int, assetId)
+        .input('EmployeeId', sql.Int, employeeId)
+        .execute('sp_AssignAsset');
+
+    const result = await runner.request()
+        .input('assetId', sql.Int, assetId)
+        .query(`
+            SELECT TOP 1 aa.*, e.FullName as EmployeeName, a.AssetName
+            FROM AssetAssignments aa
+            JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+            JOIN Assets a ON aa.AssetId = a.AssetId
+            WHERE aa.AssetId = @assetId AND aa.ReturnedAt IS NULL
+            ORDER BY aa.AssignedAt DESC
+        `);
+
+    return result.recordset[0];
+}
+
+// Assign an asset after checking it can go to the employee; returns the new open assignment
+async function createAssignment(assetId, employeeId) {
+    const problem = await checkAssignable(assetId, employeeId);
+    if (problem) {
+        throw problem;
+    }
+
+    try {
+        return await assignAsset(assetId, employeeId);
+    } catch (err) {
+        if (err.message.includes('already assigned')) {
+            throw new ServiceError('ASSET_ALREADY_ASSIGNED', 'Asset is already assigned');
+        }
+        throw err;
+    }
+}
+
+// Return an assigned asset (using stored procedure sp_ReturnAsset); returns the closed assignment
+async function returnAssignment(assignmentId) {
+    // sp_ReturnAsset only PRINTs when nothing matches, so check the assignment first
+    const existing = await getPool().request()
+        .input('assignmentId', sql.Int, assignmentId)
+        .query('SELECT ReturnedAt FROM AssetAssignments WHERE AssignmentId = @assignmentId');
+
+    if (existing.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Assignment not found');
+    }
+
+    if (existing.recordset[0].ReturnedAt) {
+        throw new ServiceError('INVALID_STATUS_TRANSITION', 'Assignment was already returned');
+    }
+
+    await getPool().request()
+        .input('AssignmentId', sql.Int, assignmentId)
+        .execute('sp_ReturnAsset');
+
+    // Get the updated assignment
+    const result = await getPool().request()
+        .input('assignmentId', sql.Int, assignmentId)
+        .query('SELECT * FROM AssetAssignments WHERE AssignmentId = @assignmentId');
+    return result.recordset[0];
+}
+
+// Active assignments with employee details
+async function listActiveAssignments() {
+    const result = await getPool().request()
+        .query(`
+            SELECT
+                aa.AssignmentId,
+                aa.AssetId,
+                aa.EmployeeId,
+                aa.AssignedAt,
+                aa.ReturnedAt,
+                aa.ReceiptConfirmedAt,
+                a.AssetName,
+                a.AssetType,
+                a.SerialNumber,
+                e.FullName AS EmployeeName,
+                e.Email AS EmployeeEmail,
+                e.Position AS EmployeePosition
+            FROM AssetAssignments aa
+            JOIN Assets a ON aa.AssetId = a.AssetId
+            JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+            WHERE aa.ReturnedAt IS NULL
+            ORDER BY aa.AssignedAt DESC
+        `);
+    return result.recordset;
+}
+
+module.exports = {
+    checkAssignable,
+    assignAsset,
+    createAssignment,
+    returnAssignment,
+    listActiveAssignments
+};
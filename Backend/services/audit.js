@@ -0,0 +1,105 @@
+// =====================================================
+// AUDIT TRAIL SERVICE
+// Snapshots of audited rows and the append-only AuditLog table
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+
+// Entities the audit trail can snapshot before and after a write
+// (omit lists columns that must never be written to the log)
+const AUDIT_ENTITIES = {
+    Employee: { table: 'Employees', key: 'EmployeeId' },
+    Asset: { table: 'Assets', key: 'AssetId' },
+    Assignment: { table: 'AssetAssignments', key: 'AssignmentId' },
+    ServiceRequest: { table: 'ServiceRequests', key: 'RequestId' },
+    AssetRequest: { table: 'AssetRequests', key: 'RequestId' },
+    AssetType: { table: 'AssetTypes', key: 'AssetTypeId' },
+    Alert: { table: 'Alerts', key: 'AlertId' },
+    User: { table: 'Users', key: 'UserId', omit: ['PasswordHash'] }
+};
+
+// Most rows an audit export will include
+const AUDIT_EXPORT_LIMIT = 50000;
+
+// Most rows the audit viewer shows at once
+const AUDIT_LIST_MAX = 1000;
+
+// Helper to load the current row of an audited entity
+async function loadAuditSnapshot(entityType, entityId) {
+    const entity = AUDIT_ENTITIES[entityType];
+    if (!entity || entityId === undefined || entityId === null) return null;
+
+    const result = await getPool().request()
+        .input('id', sql.Int, entityId)
+        .query(`SELECT * FROM ${entity.table} WHERE ${entity.key} = @id`);
+
+    const row = result.recordset[0];
+    if (!row) return null;
+    (entity.omit || []).forEach(column => delete row[column]);
+    return row;
+}
+
+// Append one entry to the AuditLog table
+async function recordAuditEntry({ actor, action, entityType, entityId, before, after, summary, method, path }) {
+    await getPool().request()
+        .input('actor', sql.NVarChar, actor)
+        .input('action', sql.NVarChar, action)
+        .input('entityType', sql.NVarChar, entityType)
+        .input('entityId', sql.NVarChar, entityId !== null && entityId !== undefined ? String(entityId) : null)
+        .input('beforeValue', sql.NVarChar(sql.MAX), before ? JSON.stringify(before) : null)
+        .input('afterValue', sql.NVarChar(sql.MAX), after ? JSON.stringify(after) : null)
+        .input('summary', sql.NVarChar, summary || null)
+        .input('method', sql.NVarChar, method)
+        .input('path', sql.NVarChar, path)
+        .query(`
+            INSERT INTO AuditLog (Actor, Action, EntityType, EntityId, BeforeValue, AfterValue, Summary, Method, Path)
+            VALUES (@actor, @action, @entityType, @entityId, @beforeValue, @afterValue, @summary, @method, @path)
+        `);
+}
+
+// Helper to read the audit trail with the viewer's filters (newest first)
+async function queryAuditLog({ entityType, entityId, action, actor, from, to }, limit) {
+    const result = await getPool().request()
+        .input('entityType', sql.NVarChar, entityType || null)
+        .input('entityId', sql.NVarChar, entityId || null)
+        .input('action', sql.NVarChar, action || null)
+        .input('actor', sql.NVarChar, actor ? `%${actor}%` : null)
+        .input('from', sql.DateTime2, from ? new Date(from) : null)
+        .input('to', sql.DateTime2, to ? new Date(to) : null)
+        .input('limit', sql.Int, limit)
+        .query(`
+            SELECT TOP (@limit) *
+            FROM AuditLog
+            WHERE (@entityType IS NULL OR EntityType = @entityType)
+              AND (@entityId IS NULL OR EntityId = @entityId)
+              AND (@action IS NULL OR Action = @action)
+              AND (@actor IS NULL OR Actor LIKE @actor)
+              AND (@from IS NULL OR CreatedAt >= @from)
+              AND (@to IS NULL OR CreatedAt < DATEADD(DAY, 1, @to))
+            ORDER BY CreatedAt DESC, AuditId DESC
+        `);
+    return result.recordset;
+}
+
+// Browse the audit trail (at most AUDIT_LIST_MAX rows, 200 by default) with its snapshots parsed
+async function listAuditEntries(query) {
+    const limit = Math.min(parseInt(query.limit, 10) || 200, AUDIT_LIST_MAX);
+    const rows = await queryAuditLog(query, limit);
+
+    // Before/after snapshots are stored as JSON text
+    return rows.map(row => ({
+        ...row,
+        BeforeValue: row.BeforeValue ? JSON.parse(row.BeforeValue) : null,
+        AfterValue: row.AfterValue ? JSON.parse(row.AfterValue) : null
+    }));
+}
+
+module.exports = {
+    AUDIT_ENTITIES,
+    AUDIT_EXPORT_LIMIT,
+    AUDIT_LIST_MAX,
+    loadAuditSnapshot,
+    recordAuditEntry,
+    queryAuditLog,
+    listAuditEntries
+};
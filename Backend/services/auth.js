@@ -0,0 +1,140 @@
+// =====================================================
+// AUTH SERVICE
+// Password and magic-link sign-in, the bootstrap admin and password changes
+// =====================================================
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { sql, getPool } = require('../config/database');
+const { JWT_SECRET, ROLES, toPublicUser } = require('../middleware/auth');
+const { ServiceError } = require('./errors');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+// Helper to hash magic-link tokens (only the hash is stored)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist yet
+async function ensureBootstrapAdmin() {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+
+    const countResult = await getPool().request().query('SELECT COUNT(*) as cnt FROM Users');
+    if (countResult.recordset[0].cnt > 0) return;
+
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.warn('No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+        return;
+    }
+
+    const passwordHash = await bcrypt.hash(ADMIN_PASSWORD, 12);
+    await getPool().request()
+        .input('username', sql.NVarChar, ADMIN_USERNAME)
+        .input('passwordHash', sql.NVarChar, passwordHash)
+        .input('role', sql.NVarChar, ROLES.ADMIN)
+        .query(`
+            INSERT INTO Users (Username, PasswordHash, Role)
+            VALUES (@username, @passwordHash, @role)
+        `);
+    console.log(`Created bootstrap admin user "${ADMIN_USERNAME}"`);
+}
+
+// Check a username and password; returns a token and the public user
+async function signIn(username, password) {
+    const pool = getPool();
+    const result = await pool.request()
+        .input('username', sql.NVarChar, username)
+        .query('SELECT * FROM Users WHERE Username = @username');
+
+    const user = result.recordset[0];
+    const passwordOk = user ? await bcrypt.compare(password, user.PasswordHash) : false;
+
+    if (!user || !passwordOk || !user.IsActive) {
+        throw new ServiceError('INVALID_CREDENTIALS', 'Invalid username or password');
+    }
+
+    await pool.request()
+        .input('userId', sql.Int, user.UserId)
+        .query('UPDATE Users SET LastLoginAt = GETDATE() WHERE UserId = @userId');
+
+    const token = jwt.sign({ sub: user.UserId, role: user.Role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    return { token, user: toPublicUser(user) };
+}
+
+// Exchange a one-time portal link for an employee session; returns a token and the session user
+async function signInWithPortalLink(token) {
+    const pool = getPool();
+
+    // Claim the link in one statement so it cannot be used twice
+    const result = await pool.request()
+        .input('tokenHash', sql.NVarChar, hashToken(token))
+        .query(`
+            UPDATE PortalLinks
+            SET UsedAt = GETDATE()
+            OUTPUT INSERTED.EmployeeId
+            WHERE TokenHash = @tokenHash AND UsedAt IS NULL AND ExpiresAt > GETDATE()
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('INVALID_CREDENTIALS', 'This link is invalid, expired or already used');
+    }
+
+    const employeeResult = await pool.request()
+        .input('employeeId', sql.Int, result.recordset[0].EmployeeId)
+        .query('SELECT * FROM Employees WHERE EmployeeId = @employeeId AND IsActive = 1');
+
+    const employee = employeeResult.recordset[0];
+    if (!employee) {
+        throw new ServiceError('INVALID_CREDENTIALS', 'This link is invalid, expired or already used');
+    }
+
+    const sessionToken = jwt.sign(
+        { sub: employee.EmployeeId, kind: 'portal', role: ROLES.EMPLOYEE },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+
+    return {
+        token: sessionToken,
+        user: {
+            userId: null,
+            username: employee.Email,
+            role: ROLES.EMPLOYEE,
+            employeeId: employee.EmployeeId
+        }
+    };
+}
+
+// Change a user's own password after checking the current one
+async function changePassword(userId, currentPassword, newPassword) {
+    // Self-service link sessions have no Users account, so no password to change
+    if (!userId) {
+        throw new ServiceError('FORBIDDEN', 'Self-service sessions have no password to change');
+    }
+
+    const pool = getPool();
+    const result = await pool.request()
+        .input('userId', sql.Int, userId)
+        .query('SELECT PasswordHash FROM Users WHERE UserId = @userId');
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'User not found');
+    }
+
+    if (!(await bcrypt.compare(currentPassword || '', result.recordset[0].PasswordHash))) {
+        throw new ServiceError('VALIDATION_FAILED', 'Current password is incorrect');
+    }
+
+    await pool.request()
+        .input('userId', sql.Int, userId)
+        .input('passwordHash', sql.NVarChar, await bcrypt.hash(newPassword, 12))
+        .query('UPDATE Users SET PasswordHash = @passwordHash WHERE UserId = @userId');
+}
+
+module.exports = {
+    hashToken,
+    ensureBootstrapAdmin,
+    signIn,
+    signInWithPortalLink,
+    changePassword
+};
@@ -0,0 +1,34 @@
+// =====================================================
+// DASHBOARD SERVICE
+// =====================================================
+
+const { getPool } = require('../config/database');
+const { getFleetValuation } = require('./valuation');
+
+// Summary stats: asset counts by status and the fleet's purchase cost and book value
+async function getDashboardStats() {
+    const result = await getPool().request()
+        .query(`
+            SELECT
+              COUNT(CASE WHEN Status <> 'Retired' THEN 1 END) AS TotalAssets,
+              COUNT(CASE WHEN Status = 'Assigned' THEN 1 END) AS AssignedAssets,
+              COUNT(CASE WHEN Status = 'InStock' THEN 1 END) AS AvailableAssets,
+              COUNT(CASE WHEN Status = 'InRepair' THEN 1 END) AS InRepairAssets,
+              COUNT(CASE WHEN Status = 'Lost' THEN 1 END) AS LostAssets,
+              COUNT(CASE WHEN Status = 'Retired' THEN 1 END) AS ArchivedAssets
+            FROM Assets
+        `);
+
+    const valuation = await getFleetValuation();
+
+    return {
+        ...result.recordset[0],
+        TotalPurchaseCost: valuation.totals.PurchaseCost,
+        TotalBookValue: valuation.totals.BookValue,
+        UnvaluedAssets: valuation.totals.AssetCount - valuation.totals.ValuedCount
+    };
+}
+
+module.exports = {
+    getDashboardStats
+};
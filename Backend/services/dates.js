@@ -0,0 +1,14 @@
+// =====================================================
+// DATE HELPERS
+// =====================================================
+
+// Helper to turn a DATE column or YYYY-MM-DD input into YYYY-MM-DD (null when empty)
+const toDateOnly = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value).trim() || null;
+};
+
+module.exports = {
+    toDateOnly
+};
@@ -0,0 +1,291 @@
+// =====================================================
+// EMPLOYEES SERVICE
+// Directory records, deactivation/offboarding rules and portal links
+// =====================================================
+
+const crypto = require('crypto');
+const { sql, getPool } = require('../config/database');
+const { hashToken } = require('./auth');
+const { ServiceError } = require('./errors');
+
+const PORTAL_LINK_TTL_HOURS = parseInt(process.env.PORTAL_LINK_TTL_HOURS || 72);
+const PORTAL_URL = process.env.PORTAL_URL || 'http://localhost:5173';
+
+// A plausible email address (checked on create, update and CSV import)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Create an employee
+async function createEmployee({ fullName, email, position }) {
+    const result = await getPool().request()
+        .input('fullName', sql.NVarChar, fullName)
+        .input('email', sql.NVarChar, email)
+        .input('position', sql.NVarChar, position || null)
+        .query(`
+            INSERT INTO Employees (FullName, Email, Position)
+            OUTPUT INSERTED.EmployeeId, INSERTED.FullName, INSERTED.Email, INSERTED.Position, INSERTED.CreatedAt
+            VALUES (@fullName, @email, @position)
+        `);
+    return result.recordset[0];
+}
+
+// List employees (active only unless includeInactive)
+async function listEmployees({ includeInactive }) {
+    const result = await getPool().request()
+        .input('includeInactive', sql.Bit, includeInactive)
+        .query(`
+            SELECT * FROM Employees
+            WHERE IsActive = 1 OR @includeInactive = 1
+            ORDER BY FullName
+        `);
+    return result.recordset;
+}
+
+// Get one employee with their open assignment count
+async function getEmployee(employeeId) {
+    const result = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            SELECT e.*,
+                (SELECT COUNT(*) FROM AssetAssignments aa
+                 WHERE aa.EmployeeId = e.EmployeeId AND aa.ReturnedAt IS NULL) AS ActiveAssignments
+            FROM Employees e
+            WHERE e.EmployeeId = @employeeId
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+    return result.recordset[0];
+}
+
+// Update employee details
+// (a taken email fails on UQ_Employees_Email and answers DUPLICATE_EMAIL, see services/errors.js)
+async function updateEmployee(employeeId, { fullName, email, position }) {
+    const result = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .input('fullName', sql.NVarChar, fullName)
+        .input('email', sql.NVarChar, email)
+        .input('position', sql.NVarChar, position || null)
+        .query(`
+            UPDATE Employees
+            SET FullName = @fullName, Email = @email, Position = @position
+            OUTPUT INSERTED.*
+            WHERE EmployeeId = @employeeId
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+    return result.recordset[0];
+}
+
+// Deactivate an employee (soft delete, only if holding no assets)
+async function deactivateEmployee(employeeId) {
+    const pool = getPool();
+    const assignmentCheck = await pool.request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            SELECT COUNT(*) as cnt
+            FROM AssetAssignments
+            WHERE EmployeeId = @employeeId AND ReturnedAt IS NULL
+        `);
+
+    if (assignmentCheck.recordset[0].cnt > 0) {
+        throw new ServiceError('EMPLOYEE_HAS_ASSETS', `Cannot deactivate employee. They still hold ${assignmentCheck.recordset[0].cnt} asset(s). Offboard them first.`);
+    }
+
+    const result = await pool.request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            UPDATE Employees
+            SET IsActive = 0, DeactivatedAt = COALESCE(DeactivatedAt, GETDATE())
+            OUTPUT INSERTED.*
+            WHERE EmployeeId = @employeeId
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+    return result.recordset[0];
+}
+
+// Bring a deactivated employee back
+async function reactivateEmployee(employeeId) {
+    const result = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            UPDATE Employees
+            SET IsActive = 1, DeactivatedAt = NULL
+            OUTPUT INSERTED.*
+            WHERE EmployeeId = @employeeId
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+    return result.recordset[0];
+}
+
+// List every asset the employee still holds
+async function getOffboarding(employeeId) {
+    const pool = getPool();
+    const employeeResult = await pool.request()
+        .input('employeeId', sql.Int, employeeId)
+        .query('SELECT * FROM Employees WHERE EmployeeId = @employeeId');
+
+    if (employeeResult.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+
+    const assignmentsResult = await pool.request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            SELECT
+                aa.AssignmentId,
+                aa.AssetId,
+                aa.AssignedAt,
+                a.AssetName,
+                a.AssetType,
+                a.SerialNumber
+            FROM AssetAssignments aa
+            JOIN Assets a ON aa.AssetId = a.AssetId
+            WHERE aa.EmployeeId = @employeeId AND aa.ReturnedAt IS NULL
+            ORDER BY aa.AssignedAt
+        `);
+
+    return {
+        employee: employeeResult.recordset[0],
+        openAssignments: assignmentsResult.recordset
+    };
+}
+
+// Optionally return all held assets, then deactivate; returns the employee and what was returned
+async function offboardEmployee(employeeId, { returnAssets }) {
+    const transaction = getPool().transaction();
+
+    try {
+        await transaction.begin();
+
+        const employeeResult = await transaction.request()
+            .input('employeeId', sql.Int, employeeId)
+            .query('SELECT * FROM Employees WHERE EmployeeId = @employeeId');
+
+        if (employeeResult.recordset.length === 0) {
+            throw new ServiceError('NOT_FOUND', 'Employee not found');
+        }
+
+        const openResult = await transaction.request()
+            .input('employeeId', sql.Int, employeeId)
+            .query(`
+                SELECT aa.AssignmentId, aa.AssetId, a.AssetName, a.SerialNumber
+                FROM AssetAssignments aa
+                JOIN Assets a ON aa.AssetId = a.AssetId
+                WHERE aa.EmployeeId = @employeeId AND aa.ReturnedAt IS NULL
+            `);
+
+        if (openResult.recordset.length > 0 && !returnAssets) {
+            throw new ServiceError(
+                'EMPLOYEE_HAS_ASSETS',
+                `Employee still holds ${openResult.recordset.length} asset(s). Return them first or set returnAssets to true.`,
+                { openAssignments: openResult.recordset }
+            );
+        }
+
+        // Bulk-return everything the employee still holds
+        let returned = [];
+        if (openResult.recordset.length > 0) {
+            await transaction.request()
+                .input('employeeId', sql.Int, employeeId)
+                .query(`
+                    UPDATE a
+                    SET Status = 'InStock', StatusChangedAt = GETDATE()
+                    FROM Assets a
+                    JOIN AssetAssignments aa ON aa.AssetId = a.AssetId
+                    WHERE aa.EmployeeId = @employeeId AND aa.ReturnedAt IS NULL AND a.Status = 'Assigned';
+
+                    UPDATE AssetAssignments
+                    SET ReturnedAt = GETDATE()
+                    WHERE EmployeeId = @employeeId AND ReturnedAt IS NULL;
+                `);
+            returned = openResult.recordset;
+        }
+
+        const result = await transaction.request()
+            .input('employeeId', sql.Int, employeeId)
+            .query(`
+                UPDATE Employees
+                SET IsActive = 0, DeactivatedAt = COALESCE(DeactivatedAt, GETDATE())
+                OUTPUT INSERTED.*
+                WHERE EmployeeId = @employeeId
+            `);
+
+        await transaction.commit();
+        return { employee: result.recordset[0], returned };
+    } catch (err) {
+        try {
+            await transaction.rollback();
+        } catch {
+            // Transaction was never started or already rolled back
+        }
+        throw err;
+    }
+}
+
+// Create a one-time self-service sign-in link (createdBy: the staff member's username)
+async function createPortalLink(employeeId, createdBy) {
+    const pool = getPool();
+    const employeeResult = await pool.request()
+        .input('employeeId', sql.Int, employeeId)
+        .query('SELECT FullName, IsActive FROM Employees WHERE EmployeeId = @employeeId');
+
+    const employee = employeeResult.recordset[0];
+    if (!employee) {
+        throw new ServiceError('NOT_FOUND', 'Employee not found');
+    }
+
+    if (!employee.IsActive) {
+        throw new ServiceError('EMPLOYEE_INACTIVE', 'Cannot create a portal link for a deactivated employee');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PORTAL_LINK_TTL_HOURS * 60 * 60 * 1000);
+
+    await pool.request()
+        .input('employeeId', sql.Int, employeeId)
+        .input('tokenHash', sql.NVarChar, hashToken(token))
+        .input('expiresAt', sql.DateTime2, expiresAt)
+        .input('createdBy', sql.NVarChar, createdBy)
+        .query(`
+            INSERT INTO PortalLinks (EmployeeId, TokenHash, ExpiresAt, CreatedBy)
+            VALUES (@employeeId, @tokenHash, @expiresAt, @createdBy)
+        `);
+
+    return {
+        employee,
+        link: `${PORTAL_URL}/?portal=${token}`,
+        expiresAt
+    };
+}
+
+// Every asset the employee has held (open and returned)
+async function getEmployeeHistory(employeeId) {
+    // Using stored procedure (includes DurationDays, open assignments count up to today)
+    const result = await getPool().request()
+        .input('EmployeeId', sql.Int, employeeId)
+        .execute('sp_GetEmployeeHistory');
+    return result.recordset;
+}
+
+module.exports = {
+    EMAIL_PATTERN,
+    createEmployee,
+    listEmployees,
+    getEmployee,
+    updateEmployee,
+    deactivateEmployee,
+    reactivateEmployee,
+    getOffboarding,
+    offboardEmployee,
+    createPortalLink,
+    getEmployeeHistory
+};
@@ -0,0 +1,99 @@
+// =====================================================
+// SERVICE ERRORS
+// Every failed request answers { success: false, code, message, ...extra } (see README "Errors").
+// Services throw a ServiceError naming one of ERROR_CODES; the code decides the HTTP status.
+// extra adds fields to the response body (e.g. errors, openAssignments).
+// =====================================================
+
+// Machine-readable error codes and the HTTP status each answers with
+const ERROR_CODES = {
+    VALIDATION_FAILED: 400,         // the request itself is wrong (missing field, bad value, bad file)
+    CONSTRAINT_VIOLATION: 400,      // a value the database refuses (CHECK constraint)
+    INVALID_REFERENCE: 400,         // points at a row that does not exist (FOREIGN KEY)
+    UNAUTHENTICATED: 401,           // no token, an expired token or a disabled account
+    INVALID_CREDENTIALS: 401,       // wrong username/password or an unusable sign-in link
+    FORBIDDEN: 403,                 // signed in, but the role may not do this
+    NOT_FOUND: 404,
+    ASSET_ALREADY_ASSIGNED: 409,    // the asset is held by an employee
+    INVALID_STATUS_TRANSITION: 409, // the asset or request cannot move to that status from its current one
+    EMPLOYEE_INACTIVE: 409,         // the employee is deactivated
+    EMPLOYEE_HAS_ASSETS: 409,       // the employee still holds assets
+    TYPE_IN_USE: 409,               // assets or requests still use the asset type
+    IN_USE: 409,                    // other rows still refer to it (REFERENCE constraint)
+    DUPLICATE_EMAIL: 409,
+    DUPLICATE_SERIAL: 409,
+    DUPLICATE_USERNAME: 409,
+    DUPLICATE_TYPE: 409,
+    DUPLICATE_TYPE_CODE: 409,
+    CONFLICT: 409,                  // changed by someone else meanwhile, or already requested
+    DATABASE_UNAVAILABLE: 503,
+    INTERNAL_ERROR: 500
+};
+
+// What clients are told about an unexpected failure; the details are only logged on the server
+const INTERNAL_ERROR_MESSAGE = 'Internal server error';
+
+class ServiceError extends Error {
+    constructor(code, message, extra = {}) {
+        super(message);
+        this.name = 'ServiceError';
+        this.code = code;
+        this.status = ERROR_CODES[code] || 500;
+        this.extra = extra;
+    }
+}
+
+// Unique indexes and constraints, and the error a duplicate row in each becomes
+const UNIQUE_CONSTRAINT_ERRORS = {
+    UQ_Employees_Email: ['DUPLICATE_EMAIL', 'Another employee already uses this email'],
+    UQ_Assets_SerialNumber: ['DUPLICATE_SERIAL', 'Another asset already uses this tag'],
+    UQ_Users_Username: ['DUPLICATE_USERNAME', 'Username is already taken'],
+    UQ_AssetTypes_Name: ['DUPLICATE_TYPE', 'A type with this name already exists'],
+    UQ_AssetTypes_TypeCode: ['DUPLICATE_TYPE_CODE', 'Type code is already used by another type'],
+    UQ_OneAssetOneEmployee: ['ASSET_ALREADY_ASSIGNED', 'Asset is already assigned']
+};
+
+// SQL Server error numbers: 2627 unique constraint, 2601 unique index, 547 CHECK / FOREIGN KEY / REFERENCE
+const DUPLICATE_KEY_NUMBERS = [2601, 2627];
+const CONSTRAINT_NUMBER = 547;
+
+// Helper to check a database error for a duplicate key (unique index or constraint)
+const isDuplicateKeyError = (err) =>
+    DUPLICATE_KEY_NUMBERS.includes(err.number) || err.message.includes('UNIQUE') || err.message.includes('duplicate');
+
+// Helper to turn a database constraint violation into a ServiceError; null for any other error
+function fromDatabaseError(err) {
+    if (isDuplicateKeyError(err)) {
+        const match = /(?:unique index|constraint) '([^']+)'/i.exec(err.message);
+        const [code, message] = (match && UNIQUE_CONSTRAINT_ERRORS[match[1]]) || ['CONFLICT', 'A record with these details already exists'];
+        return new ServiceError(code, message, { constraint: match ? match[1] : undefined });
+    }
+
+    if (err.number === CONSTRAINT_NUMBER || /conflicted with (?:the|a) (?:CHECK|FOREIGN KEY|REFERENCE) constraint/.test(err.message)) {
+        const constraint = (/constraint "([^"]+)"/.exec(err.message) || [])[1];
+        if (/REFERENCE constraint/.test(err.message)) {
+            return new ServiceError('IN_USE', 'Other records still refer to this item', { constraint });
+        }
+        if (/FOREIGN KEY constraint/.test(err.message)) {
+            return new ServiceError('INVALID_REFERENCE', 'A referenced record does not exist', { constraint });
+        }
+        return new ServiceError('CONSTRAINT_VIOLATION', `A value was not accepted${constraint ? ` (${constraint})` : ''}`, { constraint });
+    }
+
+    return null;
+}
+
+// Helper to get the ServiceError a failure answers with: its own, a mapped database error, or INTERNAL_ERROR
+function toServiceError(err) {
+    if (err instanceof ServiceError) return err;
+    return fromDatabaseError(err) || new ServiceError('INTERNAL_ERROR', INTERNAL_ERROR_MESSAGE);
+}
+
+module.exports = {
+    ERROR_CODES,
+    INTERNAL_ERROR_MESSAGE,
+    ServiceError,
+    isDuplicateKeyError,
+    fromDatabaseError,
+    toServiceError
+};
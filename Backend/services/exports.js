@@ -0,0 +1,225 @@
+// =====================================================
+// EXPORTS SERVICE (CSV / XLSX)
+// Each export returns { filename, sheetName, columns, rows }; buildExportFile renders it
+// =====================================================
+
+const ExcelJS = require('exceljs');
+const { sql, getPool } = require('../config/database');
+const { ASSET_LIST_FROM, addAssetListFilters } = require('./assets');
+const { parseJsonColumn, withCustomFields } = require('./asset-types');
+const { AUDIT_EXPORT_LIMIT, queryAuditLog } = require('./audit');
+const { toDateOnly } = require('./dates');
+const { ServiceError } = require('./errors');
+
+// Text a spreadsheet would run as a formula (names and notes are typed in by users)
+const FORMULA_START_PATTERN = /^[=+\-@\t\r]/;
+
+// Helper to keep user text from running as a formula: a leading ' makes the cell plain text
+const neutralizeFormula = (value) =>
+    (typeof value === 'string' && FORMULA_START_PATTERN.test(value) ? `'${value}` : value);
+
+// Helper to quote a CSV cell when needed (commas, quotes, line breaks)
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(neutralizeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper to render an export as a CSV or XLSX file.
+// columns: [{ header, key }]; rows: plain objects; format: 'csv' (default) or 'xlsx'
+async function buildExportFile(format, { filename, sheetName, columns, rows }) {
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(sheetName);
+        sheet.columns = columns.map(({ header, key }) => ({ header, key, width: Math.max(12, header.length + 2) }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.addRows(rows.map(row => Object.fromEntries(
+            Object.entries(row).map(([key, value]) => [key, neutralizeFormula(value)])
+        )));
+
+        return {
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            filename: `${filename}-${stamp}.xlsx`,
+            body: Buffer.from(await workbook.xlsx.writeBuffer())
+        };
+    }
+
+    const lines = [
+        columns.map(c => toCsvCell(c.header)).join(','),
+        ...rows.map(row => columns.map(c => toCsvCell(row[c.key])).join(','))
+    ];
+
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        filename: `${filename}-${stamp}.csv`,
+        // The byte order mark makes Excel open the file as UTF-8
+        body: '\uFEFF' + lines.join('\r\n')
+    };
+}
+
+// Asset list (same filters as the dashboard list, GET /api/assets), one column per custom field in use
+async function exportAssets(query) {
+    const request = getPool().request();
+    const where = addAssetListFilters(request, query);
+
+    const result = await request.query(`
+        SELECT a.*, e.FullName AS AssignedTo, e.Email AS AssignedToEmail, aa.AssignedAt
+        ${ASSET_LIST_FROM}
+        ${where}
+        ORDER BY a.AssetName, a.AssetId
+    `);
+
+    // One column per custom field used by the exported assets, headed by the field label
+    const typesResult = await getPool().request().query('SELECT FieldSchema FROM AssetTypes WHERE FieldSchema IS NOT NULL');
+    const fieldLabels = new Map();
+    typesResult.recordset.forEach(t => parseJsonColumn(t.FieldSchema, []).forEach(field => {
+        if (!fieldLabels.has(field.key)) fieldLabels.set(field.key, field.label);
+    }));
+
+    const rows = result.recordset.map(withCustomFields);
+    const customKeys = [...new Set(rows.flatMap(row => Object.keys(row.CustomFields)))];
+
+    return {
+        filename: 'assets',
+        sheetName: 'Assets',
+        columns: [
+            { header: 'Asset ID', key: 'AssetId' },
+            { header: 'Asset Name', key: 'AssetName' },
+            { header: 'Type', key: 'AssetType' },
+            { header: 'Asset Tag', key: 'SerialNumber' },
+            { header: 'Manufacturer Serial', key: 'ManufacturerSerial' },
+            { header: 'Location', key: 'Location' },
+            { header: 'Status', key: 'Status' },
+            { header: 'Assigned To', key: 'AssignedTo' },
+            { header: 'Assigned To Email', key: 'AssignedToEmail' },
+            { header: 'Assigned At', key: 'AssignedAt' },
+            { header: 'Vendor', key: 'Vendor' },
+            { header: 'Invoice Number', key: 'InvoiceNumber' },
+            { header: 'Purchase Date', key: 'PurchaseDate' },
+            { header: 'Purchase Cost', key: 'PurchaseCost' },
+            { header: 'Warranty Expires', key: 'WarrantyExpiresAt' },
+            { header: 'Lease Ends', key: 'LeaseEndsAt' },
+            { header: 'Archived At', key: 'ArchivedAt' },
+            { header: 'Archive Reason', key: 'ArchiveReason' },
+            { header: 'Created At', key: 'CreatedAt' },
+            ...customKeys.map(key => ({ header: fieldLabels.get(key) || key, key: `custom_${key}` }))
+        ],
+        rows: rows.map(row => ({
+            ...row,
+            PurchaseDate: toDateOnly(row.PurchaseDate),
+            WarrantyExpiresAt: toDateOnly(row.WarrantyExpiresAt),
+            LeaseEndsAt: toDateOnly(row.LeaseEndsAt),
+            ...Object.fromEntries(customKeys.map(key => [`custom_${key}`, row.CustomFields[key]]))
+        }))
+    };
+}
+
+// Active assignments (?type=, ?search=)
+async function exportActiveAssignments({ type, search }) {
+    const result = await getPool().request()
+        .input('type', sql.NVarChar, type && type !== 'All' ? type : null)
+        .input('search', sql.NVarChar, search ? `%${search.trim()}%` : null)
+        .query(`
+            SELECT
+                aa.AssignmentId, aa.AssignedAt, aa.ReceiptConfirmedAt,
+                a.AssetId, a.AssetName, a.AssetType, a.SerialNumber,
+                e.EmployeeId, e.FullName AS EmployeeName, e.Email AS EmployeeEmail, e.Position AS EmployeePosition,
+                DATEDIFF(DAY, aa.AssignedAt, GETDATE()) AS DaysHeld
+            FROM AssetAssignments aa
+            JOIN Assets a ON aa.AssetId = a.AssetId
+            JOIN Employees e ON aa.EmployeeId = e.EmployeeId
+            WHERE aa.ReturnedAt IS NULL
+              AND (@type IS NULL OR a.AssetType = @type)
+              AND (@search IS NULL
+                   OR a.AssetName LIKE @search
+                   OR a.SerialNumber LIKE @search
+                   OR a.AssetType LIKE @search
+                   OR e.FullName LIKE @search)
+            ORDER BY aa.AssignedAt DESC
+        `);
+
+    return {
+        filename: 'active-assignments',
+        sheetName: 'Active Assignments',
+        columns: [
+            { header: 'Assignment ID', key: 'AssignmentId' },
+            { header: 'Asset ID', key: 'AssetId' },
+            { header: 'Asset Name', key: 'AssetName' },
+            { header: 'Type', key: 'AssetType' },
+            { header: 'Serial Number', key: 'SerialNumber' },
+            { header: 'Employee ID', key: 'EmployeeId' },
+            { header: 'Employee', key: 'EmployeeName' },
+            { header: 'Email', key: 'EmployeeEmail' },
+            { header: 'Position', key: 'EmployeePosition' },
+            { header: 'Assigned At', key: 'AssignedAt' },
+            { header: 'Days Held', key: 'DaysHeld' },
+            { header: 'Receipt Confirmed At', key: 'ReceiptConfirmedAt' }
+        ],
+        rows: result.recordset
+    };
+}
+
+// One asset's assignment history
+async function exportAssetHistory(assetId) {
+    const assetResult = await getPool().request()
+        .input('assetId', sql.Int, assetId)
+        .query('SELECT AssetName, SerialNumber FROM Assets WHERE AssetId = @assetId');
+
+    const asset = assetResult.recordset[0];
+    if (!asset) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+
+    const result = await getPool().request()
+        .input('AssetId', sql.Int, assetId)
+        .execute('sp_GetAssetHistory');
+
+    return {
+        filename: `history-${asset.SerialNumber || assetId}`,
+        sheetName: 'Assignment History',
+        columns: [
+            { header: 'Assignment ID', key: 'AssignmentId' },
+            { header: 'Asset', key: 'AssetName' },
+            { header: 'Serial Number', key: 'SerialNumber' },
+            { header: 'Employee', key: 'FullName' },
+            { header: 'Assigned At', key: 'AssignedAt' },
+            { header: 'Returned At', key: 'ReturnedAt' }
+        ],
+        rows: result.recordset.map(row => ({ ...row, AssetName: asset.AssetName, SerialNumber: asset.SerialNumber }))
+    };
+}
+
+// Audit trail (same filters as GET /api/audit)
+async function exportAuditLog(query) {
+    const rows = await queryAuditLog(query, AUDIT_EXPORT_LIMIT);
+
+    return {
+        filename: 'audit-log',
+        sheetName: 'Audit Log',
+        columns: [
+            { header: 'Audit ID', key: 'AuditId' },
+            { header: 'When', key: 'CreatedAt' },
+            { header: 'Actor', key: 'Actor' },
+            { header: 'Action', key: 'Action' },
+            { header: 'Entity', key: 'EntityType' },
+            { header: 'Entity ID', key: 'EntityId' },
+            { header: 'Summary', key: 'Summary' },
+            { header: 'Method', key: 'Method' },
+            { header: 'Path', key: 'Path' },
+            { header: 'Before', key: 'BeforeValue' },
+            { header: 'After', key: 'AfterValue' }
+        ],
+        // Before/after snapshots stay as JSON text in their cells
+        rows
+    };
+}
+
+module.exports = {
+    buildExportFile,
+    exportAssets,
+    exportActiveAssignments,
+    exportAssetHistory,
+    exportAuditLog
+};
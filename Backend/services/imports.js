@@ -0,0 +1,383 @@
+// =====================================================
+// IMPORT (CSV) SERVICE
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { ServiceError, fromDatabaseError } = require('./errors');
+const { DEFAULT_TAG_TEMPLATE, toLocationCode, allocateAssetTag } = require('./tags');
+const { parseJsonColumn, validateCustomFields, serializeCustomFields } = require('./asset-types');
+const { parsePurchaseFields, addPurchaseInputs, parseAssetIdentity, addIdentityInputs } = require('./assets');
+const { EMAIL_PATTERN } = require('./employees');
+
+// Largest file accepted in one import
+const IMPORT_MAX_ROWS = 5000;
+
+// Columns each import understands; CSV headers match the column name or an alias
+// (compared without case, spaces or punctuation, so "Serial Number" matches serialNumber)
+const IMPORT_COLUMNS = {
+    assets: {
+        assetName: { label: 'Asset name', required: true, aliases: ['name', 'asset'] },
+        assetType: { label: 'Asset type', required: true, aliases: ['type', 'category'] },
+        serialNumber: { label: 'Asset tag', aliases: ['serial', 'serialnumber', 'sn', 'assettag', 'tag'] },
+        manufacturerSerial: { label: 'Manufacturer serial', aliases: ['manufacturersn', 'mfrserial', 'oemserial'] },
+        location: { label: 'Location', aliases: ['site', 'office'] },
+        vendor: { label: 'Vendor', aliases: ['supplier'] },
+        invoiceNumber: { label: 'Invoice number', aliases: ['invoice'] },
+        purchaseDate: { label: 'Purchase date', aliases: ['purchased'] },
+        purchaseCost: { label: 'Purchase cost', aliases: ['cost', 'price'] },
+        warrantyExpiresAt: { label: 'Warranty expiry', aliases: ['warranty', 'warrantyexpiry', 'warrantyends'] },
+        leaseEndsAt: { label: 'Lease end', aliases: ['lease', 'leaseend'] }
+    },
+    employees: {
+        fullName: { label: 'Full name', required: true, aliases: ['name', 'employee', 'employeename'] },
+        email: { label: 'Email', required: true, aliases: ['mail', 'emailaddress'] },
+        position: { label: 'Position', aliases: ['title', 'jobtitle'] }
+    }
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Helper to parse CSV text (quoted fields, "" escapes, CRLF or LF line ends) into rows of cells
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines are not rows
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Helper to turn an uploaded CSV into records keyed by import column.
+// mapping ({ column: 'CSV header' }) overrides the automatic header matching.
+function readImportCsv(kind, csv, mapping = {}) {
+    if (typeof csv !== 'string' || !csv.trim()) {
+        throw new ServiceError('VALIDATION_FAILED', 'CSV content is required');
+    }
+
+    const [headers, ...dataRows] = parseCsv(csv);
+    if (!headers) {
+        throw new ServiceError('VALIDATION_FAILED', 'The file has no header row');
+    }
+
+    const columns = IMPORT_COLUMNS[kind];
+    const normalizedHeaders = headers.map(normalizeHeader);
+    const resolved = {};
+
+    for (const [column, definition] of Object.entries(columns)) {
+        const mappedHeader = mapping[column];
+        let index;
+
+        if (mappedHeader) {
+            index = headers.findIndex(header => header.trim() === String(mappedHeader).trim());
+            if (index === -1) {
+                throw new ServiceError('VALIDATION_FAILED', `Column "${mappedHeader}" chosen for ${definition.label} is not in the file`);
+            }
+        } else {
+            index = normalizedHeaders.findIndex(header =>
+                header === normalizeHeader(column) || definition.aliases.includes(header)
+            );
+        }
+
+        if (index !== -1) resolved[column] = index;
+    }
+
+    const missing = Object.entries(columns)
+        .filter(([column, definition]) => definition.required && resolved[column] === undefined)
+        .map(([, definition]) => definition.label);
+    if (missing.length > 0) {
+        throw new ServiceError('VALIDATION_FAILED', `Missing required column(s): ${missing.join(', ')}`);
+    }
+
+    const records = dataRows.map((cells, index) => {
+        const values = {};
+        for (const [column, cellIndex] of Object.entries(resolved)) {
+            values[column] = (cells[cellIndex] || '').trim();
+        }
+
+        // Every cell by normalized header, for columns only known per row (custom fields)
+        const byHeader = {};
+        normalizedHeaders.forEach((header, cellIndex) => {
+            byHeader[header] = (cells[cellIndex] || '').trim();
+        });
+
+        // Row numbers as a spreadsheet shows them (the header is row 1)
+        return { row: index + 2, values, byHeader };
+    });
+
+    return {
+        headers,
+        mapping: Object.fromEntries(Object.entries(resolved).map(([column, index]) => [column, headers[index]])),
+        records
+    };
+}
+
+// Helper to find which of the given values already exist in a column (case-insensitive)
+async function findExistingValues(table, column, values) {
+    if (values.length === 0) return new Set();
+
+    const result = await getPool().request()
+        .input('values', sql.NVarChar(sql.MAX), JSON.stringify(values))
+        .query(`SELECT ${column} AS Value FROM ${table} WHERE ${column} IN (SELECT value FROM OPENJSON(@values))`);
+
+    return new Set(result.recordset.map(r => r.Value.toLowerCase()));
+}
+
+// Validate asset rows: known type, unique serial (in the database and in the file), purchase and custom fields
+async function validateAssetImport(records) {
+    const typesResult = await getPool().request().query('SELECT Name, FieldSchema, TagTemplate FROM AssetTypes');
+    const types = new Map(typesResult.recordset.map(t => [
+        t.Name.toLowerCase(),
+        { name: t.Name, fields: parseJsonColumn(t.FieldSchema, []), tagTemplate: t.TagTemplate || DEFAULT_TAG_TEMPLATE }
+    ]));
+
+    const existingSerials = await findExistingValues(
+        'Assets', 'SerialNumber', records.map(r => r.values.serialNumber).filter(Boolean)
+    );
+    const serialRows = new Map();
+
+    return records.map(({ row, values, byHeader }) => {
+        const errors = [];
+        const type = types.get((values.assetType || '').toLowerCase());
+
+        if (!values.assetName) errors.push('Asset name is required');
+
+        if (!values.assetType) {
+            errors.push('Asset type is required');
+        } else if (!type) {
+            errors.push(`Unknown asset type "${values.assetType}"`);
+        }
+
+        if (values.serialNumber) {
+            const serialKey = values.serialNumber.toLowerCase();
+            if (existingSerials.has(serialKey)) {
+                errors.push(`Serial number ${values.serialNumber} already exists`);
+            } else if (serialRows.has(serialKey)) {
+                errors.push(`Serial number ${values.serialNumber} repeats row ${serialRows.get(serialKey)}`);
+            } else {
+                serialRows.set(serialKey, row);
+            }
+        }
+
+        // Tags generated from a {LOCATION} template need the row's location
+        if (type && !values.serialNumber && type.tagTemplate.includes('{LOCATION}') && !toLocationCode(values.location)) {
+            errors.push(`Location is required: ${type.name} tags include {LOCATION}`);
+        }
+
+        const purchase = parsePurchaseFields(values);
+        errors.push(...purchase.errors);
+
+        // Custom fields come from columns named after the field label or key
+        let customFields = {};
+        if (type) {
+            const input = {};
+            for (const field of type.fields) {
+                input[field.key] = byHeader[normalizeHeader(field.label)] ?? byHeader[normalizeHeader(field.key)];
+            }
+            const custom = validateCustomFields(type.fields, input);
+            errors.push(...custom.errors);
+            customFields = custom.values;
+        }
+
+        return {
+            row,
+            values: { ...values, assetType: type ? type.name : values.assetType },
+            purchase: purchase.values,
+            customFields,
+            errors
+        };
+    });
+}
+
+// Insert validated asset rows; rows without a tag get one from their type's template like POST /api/assets
+async function insertImportedAssets(transaction, rows) {
+    // Tags the file itself supplies are skipped when numbering the others
+    const usedSerials = new Set(rows.map(r => r.values.serialNumber).filter(Boolean).map(s => s.toLowerCase()));
+    const imported = [];
+
+    for (const { row, values, purchase, customFields } of rows) {
+        const identity = parseAssetIdentity(values);
+        const serialNumber = values.serialNumber || await allocateAssetTag(values.assetType, {
+            location: identity.location,
+            runner: transaction,
+            skip: usedSerials
+        });
+
+        const result = await addIdentityInputs(addPurchaseInputs(transaction.request(), purchase), identity)
+            .input('assetName', sql.NVarChar, values.assetName)
+            .input('assetType', sql.NVarChar, values.assetType)
+            .input('serialNumber', sql.NVarChar, serialNumber)
+            .input('customFields', sql.NVarChar(sql.MAX), serializeCustomFields(customFields))
+            .query(`
+                INSERT INTO Assets (AssetName, AssetType, SerialNumber, ManufacturerSerial, Location, CustomFields,
+                                    Vendor, InvoiceNumber, PurchaseDate, PurchaseCost, WarrantyExpiresAt, LeaseEndsAt)
+                OUTPUT INSERTED.AssetId, INSERTED.SerialNumber
+                VALUES (@assetName, @assetType, @serialNumber, @manufacturerSerial, @location, @customFields,
+                        @vendor, @invoiceNumber, @purchaseDate, @purchaseCost, @warrantyExpiresAt, @leaseEndsAt)
+            `);
+
+        imported.push({ row, ...result.recordset[0] });
+    }
+
+    return imported;
+}
+
+// Validate employee rows: name, a plausible email, unique email (in the database and in the file)
+async function validateEmployeeImport(records) {
+    const existingEmails = await findExistingValues(
+        'Employees', 'Email', records.map(r => r.values.email).filter(Boolean)
+    );
+    const emailRows = new Map();
+
+    return records.map(({ row, values }) => {
+        const errors = [];
+
+        if (!values.fullName) errors.push('Full name is required');
+
+        if (!values.email) {
+            errors.push('Email is required');
+        } else if (!EMAIL_PATTERN.test(values.email)) {
+            errors.push(`"${values.email}" is not a valid email`);
+        } else {
+            const emailKey = values.email.toLowerCase();
+            if (existingEmails.has(emailKey)) {
+                errors.push(`Email ${values.email} already belongs to an employee`);
+            } else if (emailRows.has(emailKey)) {
+                errors.push(`Email ${values.email} repeats row ${emailRows.get(emailKey)}`);
+            } else {
+                emailRows.set(emailKey, row);
+            }
+        }
+
+        return { row, values, errors };
+    });
+}
+
+async function insertImportedEmployees(transaction, rows) {
+    const imported = [];
+
+    for (const { row, values } of rows) {
+        const result = await transaction.request()
+            .input('fullName', sql.NVarChar, values.fullName)
+            .input('email', sql.NVarChar, values.email)
+            .input('position', sql.NVarChar, values.position || null)
+            .query(`
+                INSERT INTO Employees (FullName, Email, Position)
+                OUTPUT INSERTED.EmployeeId, INSERTED.Email
+                VALUES (@fullName, @email, @position)
+            `);
+
+        imported.push({ row, ...result.recordset[0] });
+    }
+
+    return imported;
+}
+
+// What each kind of import validates and inserts, and how a row lost to a concurrent write is reported
+const IMPORTERS = {
+    assets: {
+        validateRows: validateAssetImport,
+        insertRows: insertImportedAssets,
+        duplicateMessage: 'A serial number was taken while importing. Nothing was imported; check the file again.'
+    },
+    employees: {
+        validateRows: validateEmployeeImport,
+        insertRows: insertImportedEmployees,
+        duplicateMessage: 'An email was taken while importing. Nothing was imported; check the file again.'
+    }
+};
+
+// Shared import flow: parse, validate every row, then either report (dry run, the default)
+// or insert all rows in one transaction. A file with any bad row imports nothing.
+// Returns { dryRun: true, message, report } or { dryRun: false, message, imported }.
+async function runImport(kind, { csv, mapping, dryRun }) {
+    const { validateRows, insertRows, duplicateMessage } = IMPORTERS[kind];
+    const parsed = readImportCsv(kind, csv, mapping || {});
+
+    if (parsed.records.length === 0) {
+        throw new ServiceError('VALIDATION_FAILED', 'The file has no data rows');
+    }
+
+    if (parsed.records.length > IMPORT_MAX_ROWS) {
+        throw new ServiceError('VALIDATION_FAILED', `The file has ${parsed.records.length} rows; split it into files of at most ${IMPORT_MAX_ROWS}`);
+    }
+
+    const rows = await validateRows(parsed.records);
+    const errorRows = rows.filter(r => r.errors.length > 0).length;
+    const report = {
+        headers: parsed.headers,
+        mapping: parsed.mapping,
+        totalRows: rows.length,
+        validRows: rows.length - errorRows,
+        errorRows,
+        rows: rows.map(({ row, values, errors }) => ({ row, values, errors }))
+    };
+
+    if (dryRun !== false) {
+        return {
+            dryRun: true,
+            message: errorRows > 0
+                ? `${errorRows} of ${rows.length} row(s) have errors`
+                : `All ${rows.length} row(s) are ready to import`,
+            report
+        };
+    }
+
+    if (errorRows > 0) {
+        throw new ServiceError('VALIDATION_FAILED', `Nothing imported: ${errorRows} of ${rows.length} row(s) have errors`, { data: report });
+    }
+
+    const transaction = getPool().transaction();
+    try {
+        await transaction.begin();
+        const imported = await insertRows(transaction, rows);
+        await transaction.commit();
+
+        return { dryRun: false, message: `Imported ${imported.length} ${kind}`, imported };
+    } catch (err) {
+        try { await transaction.rollback(); } catch {
+            // Transaction was never started or already rolled back
+        }
+        // A row taken by someone else meanwhile keeps its code (DUPLICATE_SERIAL / DUPLICATE_EMAIL)
+        const duplicate = fromDatabaseError(err);
+        throw duplicate && duplicate.status === 409 ? new ServiceError(duplicate.code, duplicateMessage) : err;
+    }
+}
+
+module.exports = {
+    runImport
+};
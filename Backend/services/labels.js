@@ -0,0 +1,109 @@
+// =====================================================
+// LABELS SERVICE (QR codes and Code128 barcodes)
+// =====================================================
+
+const bwipjs = require('bwip-js');
+const { sql, getPool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Printed in the header of every label
+const LABEL_COMPANY_NAME = process.env.LABEL_COMPANY_NAME || 'Asset Management';
+
+// Most assets one batch request may render
+const LABEL_BATCH_MAX = 500;
+
+// Supported symbologies -> bwip-js encoder options
+const LABEL_SYMBOLOGIES = {
+    qr: { bcid: 'qrcode', eclevel: 'M', scale: 4 },
+    code128: { bcid: 'code128', includetext: true, textxalign: 'center', scale: 3, height: 10 }
+};
+
+// Helper to get the text a label encodes: the serial number, or the AST-### id when there is none
+const getLabelText = (asset) => asset.SerialNumber || `AST-${String(asset.AssetId).padStart(3, '0')}`;
+
+// Helper to render one code; SVG comes back as markup, PNG as a buffer
+async function renderLabelCode(text, symbology, format) {
+    const options = { ...LABEL_SYMBOLOGIES[symbology], text };
+    return format === 'png' ? bwipjs.toBuffer(options) : bwipjs.toSVG(options);
+}
+
+// Helper to read ?symbology= and ?format= of a label request (checked by validation/labels.js)
+const toLabelOptions = (query) => ({
+    symbology: (query.symbology || 'qr').toLowerCase(),
+    format: (query.format || 'svg').toLowerCase()
+});
+
+// QR code or barcode for one asset; returns the content type and the rendered code
+async function renderAssetLabel(assetId, query) {
+    const options = toLabelOptions(query);
+
+    const result = await getPool().request()
+        .input('assetId', sql.Int, assetId)
+        .query('SELECT AssetId, SerialNumber FROM Assets WHERE AssetId = @assetId');
+
+    const asset = result.recordset[0];
+    if (!asset) {
+        throw new ServiceError('NOT_FOUND', 'Asset not found');
+    }
+
+    return {
+        contentType: options.format === 'png' ? 'image/png' : 'image/svg+xml',
+        code: await renderLabelCode(getLabelText(asset), options.symbology, options.format)
+    };
+}
+
+// Codes for a batch of assets (assetIds: comma separated), for the printable label sheet.
+// SVG comes back as markup, PNG as a data URL; unknown ids are listed in missingAssetIds.
+async function renderLabelSheet(assetIdList, query) {
+    const options = toLabelOptions(query);
+
+    const assetIds = [...new Set(String(assetIdList || '')
+        .split(',')
+        .map(id => parseInt(id, 10))
+        .filter(id => Number.isInteger(id) && id > 0))];
+
+    if (assetIds.length === 0) {
+        throw new ServiceError('VALIDATION_FAILED', 'assetIds is required (comma separated)');
+    }
+    if (assetIds.length > LABEL_BATCH_MAX) {
+        throw new ServiceError('VALIDATION_FAILED', `At most ${LABEL_BATCH_MAX} labels per request`);
+    }
+
+    const result = await getPool().request()
+        .input('assetIds', sql.NVarChar(sql.MAX), JSON.stringify(assetIds))
+        .query(`
+            SELECT a.AssetId, a.AssetName, a.AssetType, a.SerialNumber
+            FROM Assets a
+            JOIN OPENJSON(@assetIds) ids ON a.AssetId = CAST(ids.value AS INT)
+        `);
+
+    // Keep the order the assets were asked for
+    const byId = new Map(result.recordset.map(asset => [asset.AssetId, asset]));
+    const labels = [];
+    for (const assetId of assetIds) {
+        const asset = byId.get(assetId);
+        if (!asset) continue;
+
+        const text = getLabelText(asset);
+        const code = await renderLabelCode(text, options.symbology, options.format);
+        labels.push({
+            ...asset,
+            LabelText: text,
+            image: options.format === 'png' ? `data:image/png;base64,${code.toString('base64')}` : code
+        });
+    }
+
+    return {
+        companyName: LABEL_COMPANY_NAME,
+        symbology: options.symbology,
+        format: options.format,
+        labels,
+        missingAssetIds: assetIds.filter(id => !byId.has(id))
+    };
+}
+
+module.exports = {
+    LABEL_SYMBOLOGIES,
+    renderAssetLabel,
+    renderLabelSheet
+};
@@ -0,0 +1,52 @@
+// =====================================================
+// SELF-SERVICE PORTAL SERVICE (employee's own assets)
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Items the employee currently holds, with their open request count
+async function listMyAssets(employeeId) {
+    const result = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            SELECT
+                aa.AssignmentId,
+                aa.AssetId,
+                aa.AssignedAt,
+                aa.ReceiptConfirmedAt,
+                a.AssetName,
+                a.AssetType,
+                a.SerialNumber,
+                (SELECT COUNT(*) FROM ServiceRequests sr
+                 WHERE sr.AssignmentId = aa.AssignmentId AND sr.Status = 'Open') AS OpenRequests
+            FROM AssetAssignments aa
+            JOIN Assets a ON aa.AssetId = a.AssetId
+            WHERE aa.EmployeeId = @employeeId AND aa.ReturnedAt IS NULL
+            ORDER BY aa.AssignedAt DESC
+        `);
+    return result.recordset;
+}
+
+// Confirm receipt of an item assigned to the employee
+async function confirmReceipt(assignmentId, employeeId) {
+    const result = await getPool().request()
+        .input('assignmentId', sql.Int, assignmentId)
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            UPDATE AssetAssignments
+            SET ReceiptConfirmedAt = COALESCE(ReceiptConfirmedAt, GETDATE())
+            OUTPUT INSERTED.*
+            WHERE AssignmentId = @assignmentId AND EmployeeId = @employeeId AND ReturnedAt IS NULL
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Assignment not found');
+    }
+    return result.recordset[0];
+}
+
+module.exports = {
+    listMyAssets,
+    confirmReceipt
+};
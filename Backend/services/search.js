@@ -0,0 +1,242 @@
+// =====================================================
+// SEARCH SERVICE (global, typo tolerant)
+// An in-memory index of everything search can find, rebuilt when stale
+// =====================================================
+
+const { getPool } = require('../config/database');
+const { parseJsonColumn } = require('./asset-types');
+const { toDateOnly } = require('./dates');
+
+// The index is also rebuilt after this long, to pick up changes made outside the API
+const SEARCH_INDEX_TTL_MS = 60 * 1000;
+const SEARCH_MAX_RESULTS = 50;
+
+// Score of a query token against one word, by how it matches
+const SEARCH_MATCH_SCORES = { exact: 1, prefix: 0.8, contains: 0.5, typo1: 0.45, typo2: 0.25 };
+
+// Helper to lower-case, strip accents and split text into words
+const toSearchWords = (text) => String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Edit distance (with transpositions) between two words, giving up once it exceeds max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+// Helper to score one query token against one word (0 = no match).
+// Tokens of 3+ letters tolerate one typo against the whole word (two from 8 letters);
+// from 5 letters a typo in the start of a longer word counts too ("lenvo" finds "Lenovo")
+function scoreSearchWord(token, word) {
+    if (word === token) return SEARCH_MATCH_SCORES.exact;
+    if (word.startsWith(token)) return SEARCH_MATCH_SCORES.prefix;
+    if (token.length < 3) return 0;
+    if (word.includes(token)) return SEARCH_MATCH_SCORES.contains;
+
+    const maxTypos = token.length >= 8 ? 2 : 1;
+    let distance = editDistance(token, word, maxTypos);
+    if (token.length >= 5 && word.length > token.length) {
+        distance = Math.min(distance, editDistance(token, word.slice(0, token.length), maxTypos));
+    }
+    if (distance === 1) return SEARCH_MATCH_SCORES.typo1;
+    if (distance === 2 && maxTypos === 2) return SEARCH_MATCH_SCORES.typo2;
+    return 0;
+}
+
+// Helper to build a search document; fields are [text, weight] pairs
+const toSearchDocument = (doc, fields) => ({
+    ...doc,
+    fields: fields
+        .filter(([text]) => text !== null && text !== undefined && text !== '')
+        .map(([text, weight]) => ({ words: toSearchWords(text), weight }))
+});
+
+// Helper to load everything search can find: assets, employees, assignments and notes
+async function buildSearchIndex() {
+    const result = await getPool().request().query(`
+        SELECT AssetId, AssetName, AssetType, SerialNumber, ManufacturerSerial, Location, Status, Vendor, InvoiceNumber,
+               CustomFields, StatusNote, ArchiveReason
+        FROM Assets;
+
+        SELECT EmployeeId, FullName, Email, Position, IsActive
+        FROM Employees;
+
+        SELECT aa.AssignmentId, aa.AssetId, aa.EmployeeId, aa.AssignedAt, aa.ReturnedAt,
+               a.AssetName, a.SerialNumber, e.FullName
+        FROM AssetAssignments aa
+        JOIN Assets a ON aa.AssetId = a.AssetId
+        JOIN Employees e ON aa.EmployeeId = e.EmployeeId;
+
+        SELECT sr.RequestId, sr.AssetId, sr.EmployeeId, sr.RequestType, sr.Note, sr.ResolutionNote, sr.CreatedAt,
+               a.AssetName, e.FullName
+        FROM ServiceRequests sr
+        JOIN Assets a ON sr.AssetId = a.AssetId
+        JOIN Employees e ON sr.EmployeeId = e.EmployeeId
+        WHERE sr.Note IS NOT NULL OR sr.ResolutionNote IS NOT NULL;
+
+        SELECT ar.RequestId, ar.EmployeeId, ar.AssetType, ar.Justification, ar.DecisionNote, ar.CreatedAt, e.FullName
+        FROM AssetRequests ar
+        JOIN Employees e ON ar.EmployeeId = e.EmployeeId
+        WHERE ar.Justification IS NOT NULL OR ar.DecisionNote IS NOT NULL;
+    `);
+    const [assets, employees, assignments, serviceRequests, assetRequests] = result.recordsets;
+
+    const documents = [
+        ...assets.map(a => toSearchDocument({
+            kind: 'asset',
+            id: a.AssetId,
+            assetId: a.AssetId,
+            title: a.AssetName,
+            subtitle: `${a.AssetType} • ${a.SerialNumber || 'No Serial'} • ${a.Status}`
+        }, [
+            [a.AssetName, 3],
+            [a.SerialNumber, 3],
+            [a.ManufacturerSerial, 3],
+            [a.AssetType, 1.5],
+            [a.Location, 1],
+            [a.Vendor, 1],
+            [a.InvoiceNumber, 1],
+            [Object.values(parseJsonColumn(a.CustomFields, {})).join(' '), 1]
+        ])),
+        ...employees.map(e => toSearchDocument({
+            kind: 'employee',
+            id: e.EmployeeId,
+            employeeId: e.EmployeeId,
+            title: e.FullName,
+            subtitle: `${e.Email}${e.Position ? ` • ${e.Position}` : ''}${e.IsActive ? '' : ' • Deactivated'}`
+        }, [
+            [e.FullName, 3],
+            [e.Email, 2],
+            [e.Position, 1.5]
+        ])),
+        ...assignments.map(aa => toSearchDocument({
+            kind: 'assignment',
+            id: aa.AssignmentId,
+            assetId: aa.AssetId,
+            employeeId: aa.EmployeeId,
+            title: `${aa.AssetName} → ${aa.FullName}`,
+            subtitle: `${toDateOnly(aa.AssignedAt)} – ${aa.ReturnedAt ? toDateOnly(aa.ReturnedAt) : 'now'}`
+        }, [
+            [aa.AssetName, 1],
+            [aa.SerialNumber, 1],
+            [aa.FullName, 1]
+        ])),
+        ...assets.filter(a => a.StatusNote || a.ArchiveReason).map(a => toSearchDocument({
+            kind: 'note',
+            id: `asset-${a.AssetId}`,
+            assetId: a.AssetId,
+            title: a.ArchiveReason || a.StatusNote,
+            subtitle: `${a.ArchiveReason ? 'Archive reason' : 'Status note'} • ${a.AssetName}`
+        }, [
+            [a.StatusNote, 1],
+            [a.ArchiveReason, 1]
+        ])),
+        ...serviceRequests.map(sr => toSearchDocument({
+            kind: 'note',
+            id: `service-${sr.RequestId}`,
+            assetId: sr.AssetId,
+            employeeId: sr.EmployeeId,
+            requestType: 'service',
+            title: sr.Note || sr.ResolutionNote,
+            subtitle: `${sr.RequestType} report • ${sr.AssetName} • ${sr.FullName}`
+        }, [
+            [sr.Note, 1],
+            [sr.ResolutionNote, 1]
+        ])),
+        ...assetRequests.map(ar => toSearchDocument({
+            kind: 'note',
+            id: `request-${ar.RequestId}`,
+            employeeId: ar.EmployeeId,
+            requestType: 'asset',
+            title: ar.Justification || ar.DecisionNote,
+            subtitle: `${ar.AssetType} request • ${ar.FullName}`
+        }, [
+            [ar.Justification, 1],
+            [ar.DecisionNote, 1]
+        ]))
+    ];
+
+    return { documents, builtAt: Date.now() };
+}
+
+// Helper to rank documents for a query: every token must match some field,
+// and a document scores the sum of each token's best weighted match
+function rankSearchResults(documents, query, limit) {
+    const tokens = [...new Set(toSearchWords(query))];
+    if (tokens.length === 0) return [];
+
+    const results = [];
+    for (const doc of documents) {
+        let score = 0;
+        for (const token of tokens) {
+            let best = 0;
+            for (const field of doc.fields) {
+                for (const word of field.words) {
+                    best = Math.max(best, scoreSearchWord(token, word) * field.weight);
+                }
+            }
+            if (best === 0) {
+                score = 0;
+                break;
+            }
+            score += best;
+        }
+        if (score > 0) {
+            const { fields, ...result } = doc;
+            results.push({ ...result, score: Math.round(score * 100) / 100 });
+        }
+    }
+
+    return results
+        .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+        .slice(0, limit);
+}
+
+// Index built by buildSearchIndex; dropped after any successful write (see middleware/audit.js)
+let searchIndexCache = null;
+// Bumped on every invalidation, so a build that overlapped a write is not kept
+let searchIndexGeneration = 0;
+
+// Mark the index stale so the next search rebuilds it
+function invalidateSearchIndex() {
+    searchIndexCache = null;
+    searchIndexGeneration++;
+}
+
+// Ranked search across assets, employees, assignments and notes
+async function search(query, limit) {
+    let index = searchIndexCache;
+    if (!index || Date.now() - index.builtAt > SEARCH_INDEX_TTL_MS) {
+        const generation = searchIndexGeneration;
+        index = await buildSearchIndex();
+        if (generation === searchIndexGeneration) searchIndexCache = index;
+    }
+    return rankSearchResults(index.documents, query, Math.max(1, Math.min(limit, SEARCH_MAX_RESULTS)));
+}
+
+module.exports = {
+    invalidateSearchIndex,
+    search
+};
@@ -0,0 +1,171 @@
+// =====================================================
+// SERVICE REQUESTS SERVICE
+// Damaged/lost/return reports raised from the portal and the IT queue that decides them
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Kinds of request an employee can raise about an item they hold
+const SERVICE_REQUEST_TYPES = ['Damaged', 'Lost', 'Return'];
+const SERVICE_REQUEST_STATUSES = ['Open', 'Resolved', 'Dismissed'];
+
+// Lifecycle status applied to the asset when IT resolves a request "on the asset"
+const SERVICE_REQUEST_ASSET_STATUS = { Damaged: 'InRepair', Lost: 'Lost', Return: 'InStock' };
+
+// Requests an employee has raised
+async function listMyServiceRequests(employeeId) {
+    const result = await getPool().request()
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            SELECT sr.*, a.AssetName, a.SerialNumber
+            FROM ServiceRequests sr
+            JOIN Assets a ON sr.AssetId = a.AssetId
+            WHERE sr.EmployeeId = @employeeId
+            ORDER BY sr.CreatedAt DESC
+        `);
+    return result.recordset;
+}
+
+// Report an item the employee holds as damaged/lost or ask to return it (one open request per kind)
+async function createServiceRequest(assignmentId, employeeId, { requestType, note }) {
+    const pool = getPool();
+    const assignmentResult = await pool.request()
+        .input('assignmentId', sql.Int, assignmentId)
+        .input('employeeId', sql.Int, employeeId)
+        .query(`
+            SELECT AssetId FROM AssetAssignments
+            WHERE AssignmentId = @assignmentId AND EmployeeId = @employeeId AND ReturnedAt IS NULL
+        `);
+
+    if (assignmentResult.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'Assignment not found');
+    }
+
+    const openResult = await pool.request()
+        .input('assignmentId', sql.Int, assignmentId)
+        .input('requestType', sql.NVarChar, requestType)
+        .query(`
+            SELECT COUNT(*) as cnt FROM ServiceRequests
+            WHERE AssignmentId = @assignmentId AND RequestType = @requestType AND Status = 'Open'
+        `);
+
+    if (openResult.recordset[0].cnt > 0) {
+        throw new ServiceError('CONFLICT', 'You already have an open request of this kind for this item');
+    }
+
+    const result = await pool.request()
+        .input('assignmentId', sql.Int, assignmentId)
+        .input('employeeId', sql.Int, employeeId)
+        .input('assetId', sql.Int, assignmentResult.recordset[0].AssetId)
+        .input('requestType', sql.NVarChar, requestType)
+        .input('note', sql.NVarChar, note || null)
+        .query(`
+            INSERT INTO ServiceRequests (AssignmentId, EmployeeId, AssetId, RequestType, Note)
+            OUTPUT INSERTED.*
+            VALUES (@assignmentId, @employeeId, @assetId, @requestType, @note)
+        `);
+    return result.recordset[0];
+}
+
+// Requests raised from the portal, open ones first (optionally one status only)
+async function listServiceRequests(status) {
+    const result = await getPool().request()
+        .input('status', sql.NVarChar, status || null)
+        .query(`
+            SELECT
+                sr.*,
+                a.AssetName,
+                a.AssetType,
+                a.SerialNumber,
+                a.Status AS AssetStatus,
+                e.FullName AS EmployeeName,
+                e.Email AS EmployeeEmail
+            FROM ServiceRequests sr
+            JOIN Assets a ON sr.AssetId = a.AssetId
+            JOIN Employees e ON sr.EmployeeId = e.EmployeeId
+            WHERE @status IS NULL OR sr.Status = @status
+            ORDER BY CASE WHEN sr.Status = 'Open' THEN 0 ELSE 1 END, sr.CreatedAt DESC
+        `);
+    return result.recordset;
+}
+
+// Resolve or dismiss an open request (applyToAsset also returns / repairs / marks lost)
+async function decideServiceRequest(requestId, { status, resolutionNote, applyToAsset }, resolvedBy) {
+    const transaction = getPool().transaction();
+
+    try {
+        await transaction.begin();
+
+        const requestResult = await transaction.request()
+            .input('requestId', sql.Int, requestId)
+            .query('SELECT * FROM ServiceRequests WITH (UPDLOCK) WHERE RequestId = @requestId');
+
+        const request = requestResult.recordset[0];
+        if (!request) {
+            throw new ServiceError('NOT_FOUND', 'Request not found');
+        }
+
+        if (request.Status !== 'Open') {
+            throw new ServiceError('INVALID_STATUS_TRANSITION', `Request is already ${request.Status.toLowerCase()}`);
+        }
+
+        if (status === 'Resolved' && applyToAsset) {
+            const newStatus = SERVICE_REQUEST_ASSET_STATUS[request.RequestType];
+
+            // Only act if the employee still holds the item
+            const assignmentResult = await transaction.request()
+                .input('assignmentId', sql.Int, request.AssignmentId)
+                .query(`
+                    UPDATE AssetAssignments
+                    SET ReturnedAt = GETDATE()
+                    WHERE AssignmentId = @assignmentId AND ReturnedAt IS NULL
+                `);
+
+            if (assignmentResult.rowsAffected[0] === 0) {
+                throw new ServiceError('CONFLICT', 'The employee no longer holds this item');
+            }
+
+            await transaction.request()
+                .input('assetId', sql.Int, request.AssetId)
+                .input('status', sql.NVarChar, newStatus)
+                .input('note', sql.NVarChar, request.Note || `${request.RequestType} reported by employee`)
+                .query(`
+                    UPDATE Assets
+                    SET Status = @status, StatusNote = @note, StatusChangedAt = GETDATE()
+                    WHERE AssetId = @assetId
+                `);
+        }
+
+        const result = await transaction.request()
+            .input('requestId', sql.Int, requestId)
+            .input('status', sql.NVarChar, status)
+            .input('resolutionNote', sql.NVarChar, resolutionNote || null)
+            .input('resolvedBy', sql.NVarChar, resolvedBy)
+            .query(`
+                UPDATE ServiceRequests
+                SET Status = @status, ResolutionNote = @resolutionNote, ResolvedBy = @resolvedBy, ResolvedAt = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE RequestId = @requestId
+            `);
+
+        await transaction.commit();
+        return result.recordset[0];
+    } catch (err) {
+        try {
+            await transaction.rollback();
+        } catch {
+            // Transaction was never started or already rolled back
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    SERVICE_REQUEST_TYPES,
+    SERVICE_REQUEST_STATUSES,
+    listMyServiceRequests,
+    createServiceRequest,
+    listServiceRequests,
+    decideServiceRequest
+};
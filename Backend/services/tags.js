@@ -0,0 +1,164 @@
+// =====================================================
+// ASSET TAGS
+// Tags (Assets.SerialNumber) come from each type's template and an atomic counter per template
+// =====================================================
+
+const { sql, getPool } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Asset tags (Assets.SerialNumber) are built from the type's template, e.g. XX-2025-001
+const DEFAULT_TAG_TEMPLATE = '{TYPE}-{YYYY}-{SEQ:3}';
+
+// Template tokens; {SEQ:n} pads the counter to n digits (it can grow beyond them)
+const TAG_TOKEN_PATTERN = /\{(TYPE|YYYY|YY|LOCATION|SEQ(?::(\d{1,2}))?)\}/g;
+
+// Characters a template may use outside its tokens
+const TAG_LITERAL_PATTERN = /^[A-Za-z0-9\-_/.#]*$/;
+
+// Helper to derive a type's {TYPE} code when none is set, skipping codes in taken: the first
+// 2 letters, uppercase (padded with X), else the first letter and a later one, else a number
+function deriveTypeCode(assetType, taken = new Set()) {
+    const letters = assetType.replace(/[^a-zA-Z]/g, '').toUpperCase().padEnd(2, 'X');
+    const candidates = [letters.substring(0, 2)];
+    for (const letter of letters.substring(2)) {
+        candidates.push(letters[0] + letter);
+    }
+
+    const free = candidates.find(code => !taken.has(code));
+    if (free) return free;
+
+    for (let n = 2; ; n++) {
+        const code = `${candidates[0]}${n}`;
+        if (!taken.has(code)) return code;
+    }
+}
+
+// Helper to list the {TYPE} codes types already use (runner: the pool or a transaction)
+async function getTakenTypeCodes(runner = getPool()) {
+    const result = await runner.request()
+        .query('SELECT TypeCode FROM AssetTypes WHERE TypeCode IS NOT NULL');
+    return new Set(result.recordset.map(row => row.TypeCode.toUpperCase()));
+}
+
+// Helper to turn a location into its {LOCATION} form ("Berlin HQ" -> "BERLINHQ")
+const toLocationCode = (location) => String(location || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Helper to check a tag template; throws with the reason when it cannot be used
+function validateTagTemplate(template) {
+    if (template.length > 60) {
+        throw new ServiceError('VALIDATION_FAILED', 'Tag template must be 60 characters or fewer');
+    }
+
+    const seqTokens = [...template.matchAll(TAG_TOKEN_PATTERN)].filter(match => match[1].startsWith('SEQ'));
+    if (seqTokens.length !== 1) {
+        throw new ServiceError('VALIDATION_FAILED', 'Tag template must contain exactly one {SEQ} or {SEQ:n} token');
+    }
+
+    const digits = seqTokens[0][2] ? parseInt(seqTokens[0][2], 10) : 1;
+    if (digits < 1 || digits > 10) {
+        throw new ServiceError('VALIDATION_FAILED', '{SEQ:n} must pad to between 1 and 10 digits');
+    }
+
+    const literals = template.replace(TAG_TOKEN_PATTERN, '');
+    if (/[{}]/.test(literals)) {
+        throw new ServiceError('VALIDATION_FAILED', 'Unknown token in tag template. Use {TYPE}, {YYYY}, {YY}, {LOCATION} and {SEQ:n}');
+    }
+    if (!TAG_LITERAL_PATTERN.test(literals)) {
+        throw new ServiceError('VALIDATION_FAILED', 'Tag template may only contain letters, digits and - _ / . #');
+    }
+}
+
+// Helper to read a type's tag settings from a request body; null when none were sent
+function parseTagSettings(body) {
+    if (body.tagTemplate === undefined && body.typeCode === undefined) return null;
+
+    const tagTemplate = body.tagTemplate ? String(body.tagTemplate).trim() : null;
+    if (tagTemplate) validateTagTemplate(tagTemplate);
+
+    const typeCode = body.typeCode ? String(body.typeCode).trim().toUpperCase() : null;
+    if (typeCode && !/^[A-Z0-9]{1,10}$/.test(typeCode)) {
+        throw new ServiceError('VALIDATION_FAILED', 'Type code must be 1-10 letters or digits');
+    }
+
+    return { tagTemplate, typeCode };
+}
+
+// Helper to render a template around its counter. Returns the text before and after {SEQ},
+// the padding, and the key of the counter this combination of type, date and location uses.
+function renderTagTemplate(template, { typeCode, location, date = new Date() }) {
+    let digits = 1;
+    const rendered = template.replace(TAG_TOKEN_PATTERN, (token, name, pad) => {
+        if (name === 'TYPE') return typeCode;
+        if (name === 'YYYY') return String(date.getFullYear());
+        if (name === 'YY') return String(date.getFullYear()).slice(-2);
+        if (name === 'LOCATION') return toLocationCode(location);
+        digits = pad ? parseInt(pad, 10) : 1;
+        return '{SEQ}';
+    });
+
+    const [prefix, suffix] = rendered.split('{SEQ}');
+    return { prefix, suffix, digits, sequenceKey: rendered };
+}
+
+// Helper to load the tag settings of a type (runner: the pool or a transaction)
+async function getTagSettings(assetType, runner = getPool()) {
+    const result = await runner.request()
+        .input('name', sql.NVarChar, assetType)
+        .query('SELECT TagTemplate, TypeCode FROM AssetTypes WHERE Name = @name');
+
+    const type = result.recordset[0] || {};
+    let typeCode = type.TypeCode;
+
+    // A type without a code gets a free one, kept so its tags never share another type's sequence
+    if (!typeCode) {
+        typeCode = deriveTypeCode(assetType, await getTakenTypeCodes(runner));
+        if (result.recordset.length > 0) {
+            await runner.request()
+                .input('name', sql.NVarChar, assetType)
+                .input('typeCode', sql.NVarChar, typeCode)
+                .query('UPDATE AssetTypes SET TypeCode = @typeCode WHERE Name = @name AND TypeCode IS NULL');
+        }
+    }
+
+    return {
+        template: type.TagTemplate || DEFAULT_TAG_TEMPLATE,
+        typeCode
+    };
+}
+
+// Helper to allocate the next asset tag for a type from its atomic counter (sp_NextTagSequence).
+// Numbers already taken (tags typed in by hand or imported, or listed in skip) are passed over.
+async function allocateAssetTag(assetType, { location, runner = getPool(), skip = new Set() } = {}) {
+    const { template, typeCode } = await getTagSettings(assetType, runner);
+
+    if (template.includes('{LOCATION}') && !toLocationCode(location)) {
+        throw new ServiceError('VALIDATION_FAILED', `A location is required: ${assetType} tags include {LOCATION}`);
+    }
+
+    const { prefix, suffix, digits, sequenceKey } = renderTagTemplate(template, { typeCode, location });
+
+    for (;;) {
+        const result = await runner.request()
+            .input('SequenceKey', sql.NVarChar, sequenceKey)
+            .input('Prefix', sql.NVarChar, prefix)
+            .input('Suffix', sql.NVarChar, suffix)
+            .execute('sp_NextTagSequence');
+
+        const tag = `${prefix}${String(result.recordset[0].NextValue).padStart(digits, '0')}${suffix}`;
+        if (skip.has(tag.toLowerCase())) continue;
+
+        const existsCheck = await runner.request()
+            .input('tag', sql.NVarChar, tag)
+            .query('SELECT COUNT(*) AS cnt FROM Assets WHERE SerialNumber = @tag');
+        if (existsCheck.recordset[0].cnt === 0) return tag;
+    }
+}
+
+module.exports = {
+    DEFAULT_TAG_TEMPLATE,
+    toLocationCode,
+    deriveTypeCode,
+    getTakenTypeCodes,
+    parseTagSettings,
+    allocateAssetTag
+};
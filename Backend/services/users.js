@@ -0,0 +1,72 @@
+// =====================================================
+// USERS SERVICE (admin only)
+// =====================================================
+
+const bcrypt = require('bcryptjs');
+const { sql, getPool } = require('../config/database');
+const { ROLES, toPublicUser } = require('../middleware/auth');
+const { ServiceError } = require('./errors');
+
+// List user accounts with the employee each is linked to
+async function listUsers() {
+    const result = await getPool().request()
+        .query(`
+            SELECT u.*, e.FullName AS EmployeeName
+            FROM Users u
+            LEFT JOIN Employees e ON u.EmployeeId = e.EmployeeId
+            ORDER BY u.Username
+        `);
+    return result.recordset.map(user => ({ ...toPublicUser(user), employeeName: user.EmployeeName }));
+}
+
+// Create a user account
+// (a taken username fails on UQ_Users_Username and answers DUPLICATE_USERNAME, see services/errors.js)
+async function createUser({ username, password, role, employeeId }) {
+    const result = await getPool().request()
+        .input('username', sql.NVarChar, username)
+        .input('passwordHash', sql.NVarChar, await bcrypt.hash(password, 12))
+        .input('role', sql.NVarChar, role)
+        .input('employeeId', sql.Int, employeeId || null)
+        .query(`
+            INSERT INTO Users (Username, PasswordHash, Role, EmployeeId)
+            OUTPUT INSERTED.*
+            VALUES (@username, @passwordHash, @role, @employeeId)
+        `);
+    return toPublicUser(result.recordset[0]);
+}
+
+// Change role, link to employee, enable/disable or reset password (actingUserId: the admin doing it)
+async function updateUser(userId, { role, employeeId, isActive, password }, actingUserId) {
+    // Admins cannot lock themselves out
+    if (Number(userId) === actingUserId && (isActive === false || (role && role !== ROLES.ADMIN))) {
+        throw new ServiceError('VALIDATION_FAILED', 'You cannot disable or demote your own account');
+    }
+
+    const result = await getPool().request()
+        .input('userId', sql.Int, userId)
+        .input('role', sql.NVarChar, role || null)
+        .input('setEmployee', sql.Bit, employeeId !== undefined)
+        .input('employeeId', sql.Int, employeeId || null)
+        .input('isActive', sql.Bit, isActive === undefined ? null : isActive)
+        .input('passwordHash', sql.NVarChar, password ? await bcrypt.hash(password, 12) : null)
+        .query(`
+            UPDATE Users
+            SET Role = COALESCE(@role, Role),
+                EmployeeId = CASE WHEN @setEmployee = 1 THEN @employeeId ELSE EmployeeId END,
+                IsActive = COALESCE(@isActive, IsActive),
+                PasswordHash = COALESCE(@passwordHash, PasswordHash)
+            OUTPUT INSERTED.*
+            WHERE UserId = @userId
+        `);
+
+    if (result.recordset.length === 0) {
+        throw new ServiceError('NOT_FOUND', 'User not found');
+    }
+    return toPublicUser(result.recordset[0]);
+}
+
+module.exports = {
+    listUsers,
+    createUser,
+    updateUser
+};
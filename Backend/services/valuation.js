@@ -0,0 +1,159 @@
+// =====================================================
+// VALUATION (depreciation and book value)
+// =====================================================
+
+const { getPool } = require('../config/database');
+const { toDateOnly } = require('./dates');
+const { ServiceError } = require('./errors');
+
+// Depreciation methods a type can use (AssetTypes.DepreciationMethod)
+const DEPRECIATION_METHODS = ['StraightLine', 'DecliningBalance'];
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Helper to compute an asset's book value on a date.
+// Straight-line spreads the cost evenly over the useful life; declining-balance applies
+// double the straight-line rate to the remaining value each year, switching to straight-line
+// on the remaining value once that charges more. Both reach zero at the end of life, and
+// within a year the value falls evenly from that year's opening to its closing value.
+function calculateValuation({ purchaseCost, purchaseDate, method, usefulLifeYears, asOf = new Date() }) {
+    const cost = Number(purchaseCost);
+    const start = new Date(purchaseDate);
+    const ageYears = Math.max(0, (asOf - start) / MS_PER_YEAR);
+    const rate = 2 / usefulLifeYears;
+
+    // Value at the end of each year: yearEndValues[0] is the cost, yearEndValues[usefulLifeYears] is 0
+    const yearEndValues = [cost];
+    for (let year = 1; year <= usefulLifeYears; year++) {
+        const opening = yearEndValues[year - 1];
+        const straightLineCharge = opening / (usefulLifeYears - year + 1);
+        const charge = method === 'DecliningBalance'
+            ? Math.min(opening, Math.max(opening * rate, straightLineCharge))
+            : cost / usefulLifeYears;
+        yearEndValues.push(year === usefulLifeYears ? 0 : opening - charge);
+    }
+
+    const valueAfter = (years) => {
+        if (years >= usefulLifeYears) return 0;
+        const year = Math.floor(years);
+        const opening = yearEndValues[year];
+        return opening - (opening - yearEndValues[year + 1]) * (years - year);
+    };
+
+    const schedule = [];
+    for (let year = 1; year <= usefulLifeYears; year++) {
+        const openingValue = yearEndValues[year - 1];
+        const closingValue = yearEndValues[year];
+        schedule.push({
+            year,
+            startsOn: toDateOnly(new Date(Date.UTC(start.getUTCFullYear() + year - 1, start.getUTCMonth(), start.getUTCDate()))),
+            openingValue: roundMoney(openingValue),
+            depreciation: roundMoney(openingValue - closingValue),
+            closingValue: roundMoney(closingValue)
+        });
+    }
+
+    const bookValue = roundMoney(valueAfter(ageYears));
+
+    return {
+        method,
+        usefulLifeYears,
+        purchaseCost: roundMoney(cost),
+        purchaseDate: toDateOnly(start),
+        asOf: toDateOnly(asOf),
+        ageYears: Math.round(ageYears * 100) / 100,
+        accumulatedDepreciation: roundMoney(cost - bookValue),
+        bookValue,
+        fullyDepreciated: ageYears >= usefulLifeYears,
+        schedule
+    };
+}
+
+// Helper to read a type's depreciation settings from a request body; null when none were sent
+function parseDepreciationSettings(body) {
+    if (body.depreciationMethod === undefined && body.usefulLifeYears === undefined) return null;
+
+    const method = body.depreciationMethod || 'StraightLine';
+    if (!DEPRECIATION_METHODS.includes(method)) {
+        throw new ServiceError('VALIDATION_FAILED', `Depreciation method must be one of: ${DEPRECIATION_METHODS.join(', ')}`);
+    }
+
+    const usefulLifeYears = body.usefulLifeYears === undefined ? 3 : Number(body.usefulLifeYears);
+    if (!Number.isInteger(usefulLifeYears) || usefulLifeYears < 1 || usefulLifeYears > 50) {
+        throw new ServiceError('VALIDATION_FAILED', 'Useful life must be a whole number of years between 1 and 50');
+    }
+
+    return { method, usefulLifeYears };
+}
+
+// Helper to value every asset still in the fleet (archived ones are excluded), grouped by type
+async function getFleetValuation(asOf = new Date()) {
+    const result = await getPool().request()
+        .query(`
+            SELECT a.AssetId, a.AssetType, a.PurchaseCost, a.PurchaseDate,
+                   t.DepreciationMethod, t.UsefulLifeYears
+            FROM Assets a
+            JOIN AssetTypes t ON t.Name = a.AssetType
+            WHERE a.Status <> 'Retired'
+        `);
+
+    const byType = new Map();
+    const totals = { AssetCount: 0, ValuedCount: 0, PurchaseCost: 0, BookValue: 0, AccumulatedDepreciation: 0 };
+
+    for (const asset of result.recordset) {
+        if (!byType.has(asset.AssetType)) {
+            byType.set(asset.AssetType, {
+                AssetType: asset.AssetType,
+                DepreciationMethod: asset.DepreciationMethod,
+                UsefulLifeYears: asset.UsefulLifeYears,
+                AssetCount: 0,
+                ValuedCount: 0,
+                PurchaseCost: 0,
+                BookValue: 0,
+                AccumulatedDepreciation: 0
+            });
+        }
+        const group = byType.get(asset.AssetType);
+        group.AssetCount++;
+        totals.AssetCount++;
+
+        // Assets without a cost or purchase date are counted but cannot be valued
+        if (asset.PurchaseCost === null || !asset.PurchaseDate) continue;
+
+        const valuation = calculateValuation({
+            purchaseCost: asset.PurchaseCost,
+            purchaseDate: asset.PurchaseDate,
+            method: asset.DepreciationMethod,
+            usefulLifeYears: asset.UsefulLifeYears,
+            asOf
+        });
+
+        for (const target of [group, totals]) {
+            target.ValuedCount++;
+            target.PurchaseCost += valuation.purchaseCost;
+            target.BookValue += valuation.bookValue;
+            target.AccumulatedDepreciation += valuation.accumulatedDepreciation;
+        }
+    }
+
+    const roundTotals = (row) => ({
+        ...row,
+        PurchaseCost: roundMoney(row.PurchaseCost),
+        BookValue: roundMoney(row.BookValue),
+        AccumulatedDepreciation: roundMoney(row.AccumulatedDepreciation)
+    });
+
+    return {
+        asOf: toDateOnly(asOf),
+        types: [...byType.values()].map(roundTotals).sort((a, b) => b.BookValue - a.BookValue),
+        totals: roundTotals(totals)
+    };
+}
+
+module.exports = {
+    calculateValuation,
+    parseDepreciationSettings,
+    getFleetValuation
+};
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, createUser, createAsset } = require('./helpers');
+
+describe('asset types', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+
+    after(() => stopApp(ctx));
+
+    // Helper to add a type and return it
+    async function createType(body) {
+        const res = await ctx.admin.post('/api/asset-types', body);
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body.data;
+    }
+
+    it('GET /api/asset-types lists the default catalog with usage counts', async () => {
+        await createAsset(ctx.admin, { assetType: 'Mouse' });
+
+        const res = await ctx.admin.get('/api/asset-types');
+        const mouse = res.body.find(t => t.Name === 'Mouse');
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.some(t => t.Name === 'Laptop'));
+        assert.equal(mouse.AssetCount, 1);
+        assert.equal(mouse.RequestCount, 0);
+    });
+
+    it('GET /api/asset-types/:typeId returns one type', async () => {
+        const type = await createType({ name: 'Dock', description: 'USB-C docks' });
+
+        const res = await ctx.admin.get(`/api/asset-types/${type.AssetTypeId}`);
+        const missing = await ctx.admin.get('/api/asset-types/9999');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.Description, 'USB-C docks');
+        assert.equal(missing.status, 404);
+    });
+
+    it('POST /api/asset-types adds a type with custom fields and tag settings', async () => {
+        const type = await createType({
+            name: 'Server',
+            fields: [{ key: 'rack_unit', label: 'Rack unit', type: 'number', required: true }],
+            depreciationMethod: 'DecliningBalance',
+            usefulLifeYears: 5,
+            tagTemplate: '{TYPE}-{SEQ:4}',
+            typeCode: 'srv'
+        });
+
+        const asset = await createAsset(ctx.admin, { assetType: 'Server', customFields: { rack_unit: 4 } });
+        const missingField = await ctx.admin.post('/api/assets', { assetName: 'Blade', assetType: 'Server' });
+
+        assert.equal(type.TypeCode, 'SRV');
+        assert.equal(type.UsefulLifeYears, 5);
+        assert.equal(asset.SerialNumber, 'SRV-0001');
+        assert.equal(asset.CustomFields.rack_unit, 4);
+        assert.equal(missingField.status, 400);
+    });
+
+    it('gives every type its own tag code, so similar names never share a sequence', async () => {
+        const mouse = await createAsset(ctx.admin, { assetType: 'Mouse' });
+        const monitor = await createAsset(ctx.admin, { assetType: 'Monitor' });
+        const mousepad = await createType({ name: 'Mousepad' });
+        const pad = await createAsset(ctx.admin, { assetType: 'Mousepad' });
+
+        const prefixes = [mouse, monitor, pad].map(asset => asset.SerialNumber.split('-')[0]);
+
+        assert.deepEqual(prefixes, ['MS', 'MN', mousepad.TypeCode]);
+        assert.notEqual(mousepad.TypeCode, 'MO');
+        assert.equal(new Set(prefixes).size, 3);
+    });
+
+    it('POST /api/asset-types rejects a missing name, a taken name and a taken type code', async () => {
+        await createType({ name: 'Scanner', typeCode: 'SC' });
+
+        const noName = await ctx.admin.post('/api/asset-types', { name: '  ' });
+        const takenName = await ctx.admin.post('/api/asset-types', { name: 'scanner' });
+        const takenCode = await ctx.admin.post('/api/asset-types', { name: 'Scale', typeCode: 'sc' });
+
+        assert.equal(noName.status, 400);
+        assert.equal(takenName.status, 409);
+        assert.equal(takenCode.status, 409);
+        assert.match(takenCode.body.message, /Type code "SC"/);
+    });
+
+    it('PUT /api/asset-types/:typeId renames a type and its assets follow', async () => {
+        const type = await createType({ name: 'Phone' });
+        const asset = await createAsset(ctx.admin, { assetType: 'Phone' });
+
+        const res = await ctx.admin.put(`/api/asset-types/${type.AssetTypeId}`, { name: 'Smartphone' });
+        const { body: renamed } = await ctx.admin.get(`/api/assets/lookup?serial=${asset.SerialNumber}`);
+        const missing = await ctx.admin.put('/api/asset-types/9999', { name: 'Nothing' });
+        const taken = await ctx.admin.put(`/api/asset-types/${type.AssetTypeId}`, { name: 'Laptop' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.Name, 'Smartphone');
+        assert.equal(res.body.data.AssetCount, 1);
+        assert.equal(renamed.asset.AssetType, 'Smartphone');
+        assert.equal(missing.status, 404);
+        assert.equal(taken.status, 409);
+    });
+
+    it('DELETE /api/asset-types/:typeId refuses a type that is in use', async () => {
+        const type = await createType({ name: 'Projector' });
+        await createAsset(ctx.admin, { assetType: 'Projector' });
+
+        const res = await ctx.admin.delete(`/api/asset-types/${type.AssetTypeId}`);
+        const { body: stillThere } = await ctx.admin.get(`/api/asset-types/${type.AssetTypeId}`);
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'TYPE_IN_USE');
+        assert.match(res.body.message, /Cannot delete "Projector"\. 1 asset\(s\) and 0 request\(s\)/);
+        assert.equal(stillThere.Name, 'Projector');
+    });
+
+    it('DELETE /api/asset-types/:typeId deletes an unused type', async () => {
+        const type = await createType({ name: 'Whiteboard' });
+
+        const res = await ctx.admin.delete(`/api/asset-types/${type.AssetTypeId}`);
+        const gone = await ctx.admin.get(`/api/asset-types/${type.AssetTypeId}`);
+        const missing = await ctx.admin.delete(`/api/asset-types/${type.AssetTypeId}`);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.message, 'Type "Whiteboard" deleted');
+        assert.equal(gone.status, 404);
+        assert.equal(missing.status, 404);
+    });
+
+    it('only admins change the catalog', async () => {
+        const staff = await createUser(ctx.admin, { role: 'it_staff' });
+
+        const list = await staff.get('/api/asset-types');
+        const create = await staff.post('/api/asset-types', { name: 'Router' });
+
+        assert.equal(list.status, 200);
+        assert.equal(create.status, 403);
+    });
+});
@@ -0,0 +1,231 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, createEmployee, createAsset, assignAsset } = require('./helpers');
+
+describe('assets', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+
+    after(() => stopApp(ctx));
+
+    it('POST /api/assets creates an asset tagged from its type template', async () => {
+        const res = await ctx.admin.post('/api/assets', {
+            assetName: 'ThinkPad X1',
+            assetType: 'Laptop',
+            manufacturerSerial: 'PF-1234',
+            purchaseCost: 1500,
+            purchaseDate: '2024-01-15'
+        });
+
+        assert.equal(res.status, 201);
+        assert.match(res.body.data.SerialNumber, new RegExp(`^LA-${new Date().getFullYear()}-\\d{3}$`));
+        assert.equal(res.body.data.ManufacturerSerial, 'PF-1234');
+        assert.equal(res.body.data.Status, 'InStock');
+    });
+
+    it('POST /api/assets requires a name and a known type', async () => {
+        const missing = await ctx.admin.post('/api/assets', { assetName: 'No type' });
+        const unknown = await ctx.admin.post('/api/assets', { assetName: 'Drone', assetType: 'Drone' });
+
+        assert.equal(missing.status, 400);
+        assert.equal(unknown.status, 400);
+        assert.match(unknown.body.message, /Unknown asset type "Drone"/);
+    });
+
+    it('GET /api/assets lists assets, paged when page or limit is given', async () => {
+        await createAsset(ctx.admin);
+        await createAsset(ctx.admin);
+
+        const all = await ctx.admin.get('/api/assets');
+        const paged = await ctx.admin.get('/api/assets?limit=1&page=2');
+
+        assert.equal(all.status, 200);
+        assert.ok(Array.isArray(all.body));
+        assert.equal(paged.body.items.length, 1);
+        assert.equal(paged.body.total, all.body.length);
+        assert.equal(paged.body.page, 2);
+        assert.equal(paged.body.totalPages, all.body.length);
+    });
+
+    it('GET /api/assets filters by type, status and search, and rejects unknown sorts and repeated filters', async () => {
+        const monitor = await createAsset(ctx.admin, { assetName: 'UltraSharp 27', assetType: 'Monitor' });
+
+        const byType = await ctx.admin.get('/api/assets?type=Monitor');
+        const bySearch = await ctx.admin.get('/api/assets?search=ultrasharp');
+        const byStatus = await ctx.admin.get('/api/assets?status=assigned');
+        const badStatus = await ctx.admin.get('/api/assets?status=broken');
+        const badSort = await ctx.admin.get('/api/assets?sort=price');
+        const repeatedSearch = await ctx.admin.get('/api/assets?search=a&search=b');
+        const repeatedExportType = await ctx.admin.get('/api/assignments/active/export?type=Laptop&type=Monitor');
+
+        assert.deepEqual(byType.body.map(a => a.AssetId), [monitor.AssetId]);
+        assert.deepEqual(bySearch.body.map(a => a.AssetId), [monitor.AssetId]);
+        assert.ok(!byStatus.body.some(a => a.AssetId === monitor.AssetId));
+        assert.equal(badStatus.status, 400);
+        assert.equal(badSort.status, 400);
+        assert.match(badSort.body.message, /sort must be one of/);
+        assert.equal(repeatedSearch.status, 400);
+        assert.equal(repeatedExportType.status, 400);
+    });
+
+    it('GET /api/assets/available lists only assets in stock', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const assigned = await createAsset(ctx.admin);
+        const inStock = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, assigned.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get('/api/assets/available');
+        const ids = res.body.map(a => a.AssetId);
+
+        assert.equal(res.status, 200);
+        assert.ok(ids.includes(inStock.AssetId));
+        assert.ok(!ids.includes(assigned.AssetId));
+    });
+
+    it('GET /api/assets/:assetId returns one asset with its holder', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get(`/api/assets/${asset.AssetId}`);
+        const missing = await ctx.admin.get('/api/assets/9999');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.SerialNumber, asset.SerialNumber);
+        assert.equal(res.body.AssignedTo, employee.FullName);
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'NOT_FOUND');
+    });
+
+    it('GET /api/assets/lookup finds an asset by tag or manufacturer serial with its holder', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin, { manufacturerSerial: 'SCAN-42' });
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const byTag = await ctx.admin.get(`/api/assets/lookup?serial=${asset.SerialNumber}`);
+        const bySerial = await ctx.admin.get('/api/assets/lookup?serial=SCAN-42');
+        const unknown = await ctx.admin.get('/api/assets/lookup?serial=NOPE');
+        const missing = await ctx.admin.get('/api/assets/lookup');
+
+        assert.equal(byTag.status, 200);
+        assert.equal(byTag.body.asset.AssetId, asset.AssetId);
+        assert.equal(byTag.body.assignment.EmployeeId, employee.EmployeeId);
+        assert.equal(bySerial.body.asset.AssetId, asset.AssetId);
+        assert.equal(unknown.status, 404);
+        assert.equal(missing.status, 400);
+    });
+
+    it('GET /api/assets/:assetId/valuation depreciates the purchase cost', async () => {
+        const valued = await createAsset(ctx.admin, { purchaseCost: 1200, purchaseDate: '2020-01-01' });
+        const unvalued = await createAsset(ctx.admin);
+
+        const res = await ctx.admin.get(`/api/assets/${valued.AssetId}/valuation?method=StraightLine&usefulLifeYears=4&asOf=2030-01-01`);
+        const noCost = await ctx.admin.get(`/api/assets/${unvalued.AssetId}/valuation`);
+        const missing = await ctx.admin.get('/api/assets/9999/valuation');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.purchaseCost, 1200);
+        assert.equal(res.body.bookValue, 0);
+        assert.equal(res.body.fullyDepreciated, true);
+        assert.equal(res.body.schedule.length, 4);
+        assert.equal(noCost.status, 400);
+        assert.equal(missing.status, 404);
+    });
+
+    it('GET /api/assets/:assetId/history lists who held the asset', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get(`/api/assets/${asset.AssetId}/history`);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.length, 1);
+        assert.equal(res.body[0].FullName, employee.FullName);
+        assert.equal(res.body[0].ReturnedAt, null);
+    });
+
+    it('PUT /api/assets/:assetId updates an asset', async () => {
+        const asset = await createAsset(ctx.admin);
+
+        const res = await ctx.admin.put(`/api/assets/${asset.AssetId}`, { assetName: 'Renamed', assetType: 'Laptop', location: 'Berlin' });
+        const incomplete = await ctx.admin.put(`/api/assets/${asset.AssetId}`, { assetName: 'Renamed' });
+        const missing = await ctx.admin.put('/api/assets/9999', { assetName: 'Renamed', assetType: 'Laptop' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.AssetName, 'Renamed');
+        assert.equal(res.body.data.Location, 'Berlin');
+        assert.equal(incomplete.status, 400);
+        assert.equal(missing.status, 404);
+    });
+
+    it('DELETE /api/assets/:assetId refuses to archive an assigned asset', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.delete(`/api/assets/${asset.AssetId}`, { reason: 'Broken screen' });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'ASSET_ALREADY_ASSIGNED');
+        assert.match(res.body.message, /currently assigned/);
+    });
+
+    it('DELETE /api/assets/:assetId archives with a reason, and restore brings it back', async () => {
+        const asset = await createAsset(ctx.admin);
+
+        const noReason = await ctx.admin.delete(`/api/assets/${asset.AssetId}`, {});
+        const archived = await ctx.admin.delete(`/api/assets/${asset.AssetId}`, { reason: 'End of life', disposition: 'Disposed' });
+        const listed = await ctx.admin.get('/api/assets');
+        const restored = await ctx.admin.post(`/api/assets/${asset.AssetId}/restore`);
+        const notArchived = await ctx.admin.post(`/api/assets/${asset.AssetId}/restore`);
+        const missing = await ctx.admin.delete('/api/assets/9999', { reason: 'Gone' });
+
+        assert.equal(noReason.status, 400);
+        assert.equal(archived.status, 200);
+        assert.equal(archived.body.data.Status, 'Retired');
+        assert.equal(archived.body.data.ArchiveDisposition, 'Disposed');
+        assert.ok(!listed.body.some(a => a.AssetId === asset.AssetId));
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.data.Status, 'InStock');
+        assert.equal(notArchived.status, 404);
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'NOT_FOUND');
+    });
+
+    it('PUT /api/assets/:assetId/status moves an asset through its lifecycle', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const repair = await ctx.admin.put(`/api/assets/${asset.AssetId}/status`, { status: 'InRepair', note: 'Cracked hinge' });
+        const active = await ctx.admin.get('/api/assignments/active');
+        const retire = await ctx.admin.put(`/api/assets/${asset.AssetId}/status`, { status: 'Retired' });
+        const back = await ctx.admin.put(`/api/assets/${asset.AssetId}/status`, { status: 'InStock' });
+
+        assert.equal(repair.status, 200);
+        assert.equal(repair.body.data.Status, 'InRepair');
+        assert.equal(repair.body.data.StatusNote, 'Cracked hinge');
+        assert.ok(!active.body.some(a => a.AssetId === asset.AssetId), 'leaving Assigned closes the assignment');
+        assert.equal(retire.status, 400);
+        assert.equal(back.body.data.Status, 'InStock');
+    });
+
+    it('PUT /api/assets/:assetId/status leaves archived assets to restore', async () => {
+        const asset = await createAsset(ctx.admin);
+        await ctx.admin.delete(`/api/assets/${asset.AssetId}`, { reason: 'End of life' });
+
+        const res = await ctx.admin.put(`/api/assets/${asset.AssetId}/status`, { status: 'InStock' });
+        const { body: available } = await ctx.admin.get('/api/assets/available');
+        const { body: stored } = await ctx.admin.get(`/api/assets/${asset.AssetId}`);
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+        assert.ok(!available.some(a => a.AssetId === asset.AssetId));
+        assert.equal(stored.Status, 'Retired');
+        assert.ok(stored.ArchivedAt);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, createEmployee, createAsset, assignAsset } = require('./helpers');
+
+describe('assignments', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+
+    after(() => stopApp(ctx));
+
+    it('POST /api/assignments assigns an in-stock asset', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+
+        const res = await ctx.admin.post('/api/assignments', { assetId: asset.AssetId, employeeId: employee.EmployeeId });
+        const { body: updated } = await ctx.admin.get(`/api/assets/lookup?serial=${asset.SerialNumber}`);
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.data.EmployeeName, employee.FullName);
+        assert.equal(res.body.data.ReturnedAt, null);
+        assert.equal(updated.asset.Status, 'Assigned');
+    });
+
+    it('POST /api/assignments allows one active assignment per asset', async () => {
+        const first = await createEmployee(ctx.admin);
+        const second = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, first.EmployeeId);
+
+        const res = await ctx.admin.post('/api/assignments', { assetId: asset.AssetId, employeeId: second.EmployeeId });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.message, 'Asset is already assigned');
+    });
+
+    it('the database enforces one active assignment per asset (UQ_OneAssetOneEmployee)', async () => {
+        const first = await createEmployee(ctx.admin);
+        const second = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, first.EmployeeId);
+
+        const insert = ctx.db.request()
+            .input('assetId', asset.AssetId)
+            .input('employeeId', second.EmployeeId)
+            .query('INSERT INTO AssetAssignments (AssetId, EmployeeId) VALUES (@assetId, @employeeId)');
+
+        await assert.rejects(insert, /UQ_OneAssetOneEmployee/);
+    });
+
+    it('POST /api/assignments rejects deactivated employees and unknown records', async () => {
+        const leaver = await createEmployee(ctx.admin);
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await ctx.admin.delete(`/api/employees/${leaver.EmployeeId}`);
+
+        const deactivated = await ctx.admin.post('/api/assignments', { assetId: asset.AssetId, employeeId: leaver.EmployeeId });
+        const noAsset = await ctx.admin.post('/api/assignments', { assetId: 9999, employeeId: employee.EmployeeId });
+        const noEmployee = await ctx.admin.post('/api/assignments', { assetId: asset.AssetId, employeeId: 9999 });
+
+        assert.equal(deactivated.status, 409);
+        assert.equal(deactivated.body.code, 'EMPLOYEE_INACTIVE');
+        assert.match(deactivated.body.message, /deactivated/);
+        assert.equal(noAsset.status, 404);
+        assert.equal(noAsset.body.code, 'NOT_FOUND');
+        assert.equal(noEmployee.status, 404);
+    });
+
+    it('POST /api/assignments refuses assets that are not in stock', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await ctx.admin.put(`/api/assets/${asset.AssetId}/status`, { status: 'InRepair' });
+
+        const res = await ctx.admin.post('/api/assignments', { assetId: asset.AssetId, employeeId: employee.EmployeeId });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+        assert.match(res.body.message, /in repair/);
+    });
+
+    it('POST /api/assignments/:assignmentId/return puts the asset back in stock', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        const assignment = await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.post(`/api/assignments/${assignment.AssignmentId}/return`);
+        const available = await ctx.admin.get('/api/assets/available');
+        const again = await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.data.ReturnedAt);
+        assert.ok(available.body.some(a => a.AssetId === asset.AssetId));
+        assert.notEqual(again.AssignmentId, assignment.AssignmentId);
+    });
+
+    it('POST /api/assignments/:assignmentId/return rejects unknown and already returned assignments', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        const assignment = await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+        await ctx.admin.post(`/api/assignments/${assignment.AssignmentId}/return`);
+
+        const missing = await ctx.admin.post('/api/assignments/9999/return');
+        const twice = await ctx.admin.post(`/api/assignments/${assignment.AssignmentId}/return`);
+
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'NOT_FOUND');
+        assert.equal(twice.status, 409);
+        assert.equal(twice.body.code, 'INVALID_STATUS_TRANSITION');
+    });
+
+    it('GET /api/assignments/active lists open assignments with employee details', async () => {
+        const employee = await createEmployee(ctx.admin, { position: 'Designer' });
+        const asset = await createAsset(ctx.admin);
+        const assignment = await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get('/api/assignments/active');
+        const row = res.body.find(a => a.AssignmentId === assignment.AssignmentId);
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.every(a => a.ReturnedAt === null));
+        assert.equal(row.EmployeeEmail, employee.Email);
+        assert.equal(row.EmployeePosition, 'Designer');
+        assert.equal(row.SerialNumber, asset.SerialNumber);
+    });
+});
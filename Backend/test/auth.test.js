@@ -0,0 +1,166 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, settle, signIn, signInAsEmployee, createUser, createEmployee } = require('./helpers');
+
+describe('auth and users', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+
+    after(() => stopApp(ctx));
+
+    it('GET /api/health answers without a token', async () => {
+        const res = await ctx.anonymous.get('/api/health');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'ok');
+    });
+
+    it('POST /api/auth/login returns a token and the public user', async () => {
+        const res = await ctx.anonymous.post('/api/auth/login', { username: 'admin', password: 'admin-password' });
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.token);
+        assert.equal(res.body.user.role, 'admin');
+        assert.equal(res.body.user.passwordHash, undefined);
+    });
+
+    it('POST /api/auth/login rejects missing fields and wrong passwords', async () => {
+        const missing = await ctx.anonymous.post('/api/auth/login', { username: 'admin' });
+        const wrong = await ctx.anonymous.post('/api/auth/login', { username: 'admin', password: 'nope' });
+
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.code, 'VALIDATION_FAILED');
+        assert.equal(wrong.status, 401);
+        assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+        assert.equal(wrong.body.message, 'Invalid username or password');
+    });
+
+    it('sign-ins are never written to the audit log, whatever the path spelling', async () => {
+        const credentials = { username: 'admin', password: 'admin-password' };
+        const trailing = await ctx.anonymous.post('/api/auth/login/', credentials);
+        const mixedCase = await ctx.anonymous.post('/api/Auth/Login', credentials);
+        await settle();
+
+        const { body: entries } = await ctx.admin.get('/api/audit?limit=1000');
+
+        assert.equal(trailing.status, 200);
+        assert.equal(mixedCase.status, 200);
+        assert.ok(!entries.some(entry => JSON.stringify(entry).includes(trailing.body.token)));
+        assert.ok(!entries.some(entry => JSON.stringify(entry.AfterValue || {}).includes('"token"')));
+    });
+
+    it('rejects requests without a valid token', async () => {
+        const missing = await ctx.anonymous.get('/api/employees');
+        const invalid = await ctx.anonymous.get('/api/employees').set('Authorization', 'Bearer not-a-token');
+
+        assert.equal(missing.status, 401);
+        assert.equal(invalid.status, 401);
+        assert.equal(invalid.body.success, false);
+        assert.equal(invalid.body.code, 'UNAUTHENTICATED');
+    });
+
+    it('answers unknown API routes and malformed JSON with the error envelope', async () => {
+        const unknown = await ctx.admin.get('/api/nothing-here');
+        const malformed = await ctx.admin.post('/api/employees', '{"fullName":').set('Content-Type', 'application/json');
+
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.code, 'NOT_FOUND');
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.code, 'VALIDATION_FAILED');
+    });
+
+    it('GET /api/auth/me returns the signed-in user', async () => {
+        const res = await ctx.admin.get('/api/auth/me');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.username, 'admin');
+    });
+
+    it('POST /api/auth/change-password checks the current password', async () => {
+        const user = await createUser(ctx.admin, { role: 'read_only' });
+        const { body: me } = await user.get('/api/auth/me');
+
+        const wrong = await user.post('/api/auth/change-password', { currentPassword: 'bad', newPassword: 'another-password' });
+        const short = await user.post('/api/auth/change-password', { currentPassword: 'user-password', newPassword: 'short' });
+        const changed = await user.post('/api/auth/change-password', { currentPassword: 'user-password', newPassword: 'another-password' });
+
+        assert.equal(wrong.status, 400);
+        assert.equal(short.status, 400);
+        assert.equal(changed.status, 200);
+        await signIn(me.username, 'another-password');
+    });
+
+    it('POST /api/auth/change-password is refused for self-service link sessions', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const portal = await signInAsEmployee(ctx.admin, employee.EmployeeId);
+
+        const res = await portal.post('/api/auth/change-password', { currentPassword: 'anything', newPassword: 'another-password' });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'FORBIDDEN');
+    });
+
+    it('GET /api/users lists accounts for admins only', async () => {
+        const readOnly = await createUser(ctx.admin, { role: 'read_only' });
+
+        const res = await ctx.admin.get('/api/users');
+        const forbidden = await readOnly.get('/api/users');
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.some(user => user.username === 'admin'));
+        assert.equal(forbidden.status, 403);
+        assert.equal(forbidden.body.code, 'FORBIDDEN');
+    });
+
+    it('POST /api/users validates the role and rejects a taken username', async () => {
+        const badRole = await ctx.admin.post('/api/users', { username: 'x1', password: 'long-enough', role: 'owner' });
+        const shortPassword = await ctx.admin.post('/api/users', { username: 'x2', password: 'short', role: 'it_staff' });
+        const created = await ctx.admin.post('/api/users', { username: 'staff', password: 'long-enough', role: 'it_staff' });
+        const taken = await ctx.admin.post('/api/users', { username: 'STAFF', password: 'long-enough', role: 'it_staff' });
+
+        assert.equal(badRole.status, 400);
+        assert.equal(shortPassword.status, 400);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.data.role, 'it_staff');
+        assert.equal(taken.status, 409);
+        assert.equal(taken.body.code, 'DUPLICATE_USERNAME');
+    });
+
+    it('PUT /api/users/:userId changes role and link, but never locks out the caller', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const created = await ctx.admin.post('/api/users', { username: 'linked', password: 'long-enough', role: 'read_only' });
+        const { userId } = created.body.data;
+
+        const updated = await ctx.admin.put(`/api/users/${userId}`, { role: 'employee', employeeId: employee.EmployeeId });
+        const { body: me } = await ctx.admin.get('/api/auth/me');
+        const selfDemote = await ctx.admin.put(`/api/users/${me.userId}`, { role: 'read_only' });
+        const missing = await ctx.admin.put('/api/users/9999', { role: 'read_only' });
+
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.data.role, 'employee');
+        assert.equal(updated.body.data.employeeId, employee.EmployeeId);
+        assert.equal(selfDemote.status, 400);
+        assert.equal(missing.status, 404);
+    });
+
+    it('disabled users are signed out immediately', async () => {
+        const created = await ctx.admin.post('/api/users', { username: 'leaver', password: 'long-enough', role: 'it_staff' });
+        const leaver = await signIn('leaver', 'long-enough');
+
+        await ctx.admin.put(`/api/users/${created.body.data.userId}`, { isActive: false });
+        const res = await leaver.get('/api/employees');
+
+        assert.equal(res.status, 401);
+    });
+
+    it('read-only users cannot write', async () => {
+        const readOnly = await createUser(ctx.admin, { role: 'read_only' });
+
+        const res = await readOnly.post('/api/employees', { fullName: 'Nope', email: 'nope@company.com' });
+
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, createEmployee, createAsset, assignAsset } = require('./helpers');
+
+describe('employees', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+
+    after(() => stopApp(ctx));
+
+    it('POST /api/employees creates an employee', async () => {
+        const res = await ctx.admin.post('/api/employees', { fullName: 'Ada Lovelace', email: 'ada@company.com', position: 'Analyst' });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.data.FullName, 'Ada Lovelace');
+        assert.equal(res.body.data.Position, 'Analyst');
+    });
+
+    it('POST /api/employees rejects an email already in use (UQ_Employees_Email)', async () => {
+        await createEmployee(ctx.admin, { email: 'taken@company.com' });
+
+        const res = await ctx.admin.post('/api/employees', { fullName: 'Copy', email: 'TAKEN@company.com' });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.code, 'DUPLICATE_EMAIL');
+        assert.equal(res.body.constraint, 'UQ_Employees_Email');
+    });
+
+    it('POST and PUT /api/employees reject an email that is not an address', async () => {
+        const employee = await createEmployee(ctx.admin);
+
+        const created = await ctx.admin.post('/api/employees', { fullName: 'No Mail', email: 'notanemail' });
+        const updated = await ctx.admin.put(`/api/employees/${employee.EmployeeId}`, { fullName: 'No Mail', email: 'still@notanemail' });
+
+        for (const res of [created, updated]) {
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_FAILED');
+            assert.deepEqual(res.body.errors, ['Email is not a valid email address']);
+        }
+    });
+
+    it('GET /api/employees lists active employees unless includeInactive=true', async () => {
+        const leaver = await createEmployee(ctx.admin);
+        await ctx.admin.delete(`/api/employees/${leaver.EmployeeId}`);
+
+        const active = await ctx.admin.get('/api/employees');
+        const all = await ctx.admin.get('/api/employees?includeInactive=true');
+
+        assert.equal(active.status, 200);
+        assert.ok(!active.body.some(e => e.EmployeeId === leaver.EmployeeId));
+        assert.ok(all.body.some(e => e.EmployeeId === leaver.EmployeeId));
+    });
+
+    it('GET /api/employees/:employeeId returns the employee with their open assignment count', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get(`/api/employees/${employee.EmployeeId}`);
+        const missing = await ctx.admin.get('/api/employees/9999');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.ActiveAssignments, 1);
+        assert.equal(missing.status, 404);
+    });
+
+    it('PUT /api/employees/:employeeId updates details and rejects a duplicate email', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const other = await createEmployee(ctx.admin);
+
+        const updated = await ctx.admin.put(`/api/employees/${employee.EmployeeId}`, { fullName: 'Renamed', email: employee.Email, position: 'Lead' });
+        const duplicate = await ctx.admin.put(`/api/employees/${employee.EmployeeId}`, { fullName: 'Renamed', email: other.Email });
+        const incomplete = await ctx.admin.put(`/api/employees/${employee.EmployeeId}`, { fullName: 'Renamed' });
+        const missing = await ctx.admin.put('/api/employees/9999', { fullName: 'Nobody', email: 'nobody@company.com' });
+
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.data.Position, 'Lead');
+        assert.equal(duplicate.status, 409);
+        assert.equal(incomplete.status, 400);
+        assert.equal(missing.status, 404);
+    });
+
+    it('DELETE /api/employees/:employeeId deactivates, but not while they hold assets', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        const assignment = await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const blocked = await ctx.admin.delete(`/api/employees/${employee.EmployeeId}`);
+        await ctx.admin.post(`/api/assignments/${assignment.AssignmentId}/return`);
+        const deactivated = await ctx.admin.delete(`/api/employees/${employee.EmployeeId}`);
+
+        assert.equal(blocked.status, 409);
+        assert.equal(blocked.body.code, 'EMPLOYEE_HAS_ASSETS');
+        assert.match(blocked.body.message, /still hold 1 asset/);
+        assert.equal(deactivated.status, 200);
+        assert.equal(deactivated.body.data.IsActive, false);
+    });
+
+    it('POST /api/employees/:employeeId/reactivate brings a deactivated employee back', async () => {
+        const employee = await createEmployee(ctx.admin);
+        await ctx.admin.delete(`/api/employees/${employee.EmployeeId}`);
+
+        const res = await ctx.admin.post(`/api/employees/${employee.EmployeeId}/reactivate`);
+        const missing = await ctx.admin.post('/api/employees/9999/reactivate');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.IsActive, true);
+        assert.equal(res.body.data.DeactivatedAt, null);
+        assert.equal(missing.status, 404);
+    });
+
+    it('GET /api/employees/:employeeId/offboarding lists what the employee still holds', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get(`/api/employees/${employee.EmployeeId}/offboarding`);
+        const missing = await ctx.admin.get('/api/employees/9999/offboarding');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.employee.EmployeeId, employee.EmployeeId);
+        assert.deepEqual(res.body.openAssignments.map(a => a.AssetId), [asset.AssetId]);
+        assert.equal(missing.status, 404);
+    });
+
+    it('POST /api/employees/:employeeId/offboard returns held assets when asked, then deactivates', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const refused = await ctx.admin.post(`/api/employees/${employee.EmployeeId}/offboard`, {});
+        const textFlag = await ctx.admin.post(`/api/employees/${employee.EmployeeId}/offboard`, { returnAssets: 'false' });
+        const offboarded = await ctx.admin.post(`/api/employees/${employee.EmployeeId}/offboard`, { returnAssets: true });
+        const assets = await ctx.admin.get('/api/assets/available');
+
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.code, 'EMPLOYEE_HAS_ASSETS');
+        assert.equal(refused.body.openAssignments.length, 1);
+        assert.equal(textFlag.status, 400);
+        assert.equal(textFlag.body.code, 'VALIDATION_FAILED');
+        assert.equal(offboarded.status, 200);
+        assert.equal(offboarded.body.returned.length, 1);
+        assert.equal(offboarded.body.data.IsActive, false);
+        assert.ok(assets.body.some(a => a.AssetId === asset.AssetId));
+    });
+
+    it('POST /api/employees/:employeeId/portal-link creates a link for active employees only', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const leaver = await createEmployee(ctx.admin);
+        await ctx.admin.delete(`/api/employees/${leaver.EmployeeId}`);
+
+        const res = await ctx.admin.post(`/api/employees/${employee.EmployeeId}/portal-link`);
+        const inactive = await ctx.admin.post(`/api/employees/${leaver.EmployeeId}/portal-link`);
+        const missing = await ctx.admin.post('/api/employees/9999/portal-link');
+
+        assert.equal(res.status, 201);
+        assert.match(res.body.data.link, /\?portal=[0-9a-f]{64}$/);
+        assert.equal(inactive.status, 409);
+        assert.equal(inactive.body.code, 'EMPLOYEE_INACTIVE');
+        assert.equal(missing.status, 404);
+    });
+
+    it('GET /api/employees/:employeeId/history lists open and returned assignments', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const first = await createAsset(ctx.admin);
+        const second = await createAsset(ctx.admin);
+        const assignment = await assignAsset(ctx.admin, first.AssetId, employee.EmployeeId);
+        await ctx.admin.post(`/api/assignments/${assignment.AssignmentId}/return`);
+        await assignAsset(ctx.admin, second.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get(`/api/employees/${employee.EmployeeId}/history`);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.length, 2);
+        assert.ok(res.body.every(row => row.DurationDays === 0));
+        assert.equal(res.body.filter(row => row.ReturnedAt === null).length, 1);
+    });
+});
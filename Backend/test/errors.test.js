@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ServiceError, toServiceError } = require('../services/errors');
+
+describe('errors', () => {
+    it('unexpected errors answer INTERNAL_ERROR without their details', () => {
+        const error = toServiceError(new TypeError("Cannot read properties of undefined (reading 'PasswordHash')"));
+
+        assert.equal(error.code, 'INTERNAL_ERROR');
+        assert.equal(error.status, 500);
+        assert.equal(error.message, 'Internal server error');
+    });
+
+    it('service errors keep their code and message', () => {
+        const error = toServiceError(new ServiceError('TYPE_IN_USE', 'Type is in use'));
+
+        assert.equal(error.status, 409);
+        assert.equal(error.message, 'Type is in use');
+    });
+
+    it('SQL Server constraint violations map to their codes', () => {
+        const duplicate = toServiceError(Object.assign(
+            new Error("Cannot insert duplicate key row in object 'dbo.Employees' with unique index 'UQ_Employees_Email'. The duplicate key value is (a@b.com)."),
+            { number: 2601 }
+        ));
+        const check = toServiceError(Object.assign(
+            new Error('The INSERT statement conflicted with the CHECK constraint "CK_Assets_Status". The conflict occurred in database "AssetDB", table "dbo.Assets", column \'Status\'.'),
+            { number: 547 }
+        ));
+
+        assert.equal(duplicate.code, 'DUPLICATE_EMAIL');
+        assert.equal(duplicate.extra.constraint, 'UQ_Employees_Email');
+        assert.equal(check.code, 'CONSTRAINT_VIOLATION');
+        assert.equal(check.extra.constraint, 'CK_Assets_Status');
+    });
+});
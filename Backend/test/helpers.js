@@ -0,0 +1,131 @@
+// =====================================================
+// TEST HARNESS
+// Builds the Express app on a fresh in-memory SQLite database (DB_CLIENT=sqlite), without
+// app.listen, and offers sign-in and fixture helpers. node --test runs every file in its
+// own process, so each file starts from an empty database with only the bootstrap admin.
+// =====================================================
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-password';
+
+const request = require('supertest');
+const { connectDatabase } = require('../db');
+const { app, initialize } = require('../server');
+
+// Counter keeping generated names and emails unique within a file
+let sequence = 0;
+const nextId = () => ++sequence;
+
+// Helper to wait for work the API finishes after responding (audit entries)
+const settle = () => new Promise(resolve => setTimeout(resolve, 25));
+
+// Helper to send requests with a bearer token: client.get(url), client.post(url, body), ...
+const createClient = (token) => {
+    const withAuth = (test) => (token ? test.set('Authorization', `Bearer ${token}`) : test);
+    return {
+        token,
+        get: (url) => withAuth(request(app).get(url)),
+        post: (url, body = {}) => withAuth(request(app).post(url)).send(body),
+        put: (url, body = {}) => withAuth(request(app).put(url)).send(body),
+        delete: (url, body = {}) => withAuth(request(app).delete(url)).send(body)
+    };
+};
+
+// Helper to sign in through the API and get a client for that user
+async function signIn(username, password) {
+    const res = await request(app).post('/api/auth/login').send({ username, password });
+    if (res.status !== 200) {
+        throw new Error(`Sign-in as ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return createClient(res.body.token);
+}
+
+// Start the app on a new database; returns the database (to seed or inspect it directly),
+// a client signed in as the bootstrap admin and one that sends no token
+async function startApp() {
+    const db = await connectDatabase('sqlite', { file: null });
+    await initialize(db);
+
+    return {
+        db,
+        admin: await signIn(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD),
+        anonymous: createClient(null)
+    };
+}
+
+async function stopApp({ db }) {
+    await settle();
+    await db.close();
+}
+
+// Helper to fail with the response body when a fixture request does not succeed
+function expectStatus(res, status) {
+    if (res.status !== status) {
+        throw new Error(`${res.req.method} ${res.req.path} returned ${res.status}, expected ${status}: ${JSON.stringify(res.body)}`);
+    }
+    return res.body;
+}
+
+// =====================================================
+// FIXTURES (created through the API, as a user would)
+// =====================================================
+
+async function createUser(admin, { role, employeeId } = {}) {
+    const username = `user${nextId()}`;
+    const password = 'user-password';
+    expectStatus(await admin.post('/api/users', { username, password, role, employeeId }), 201);
+    return signIn(username, password);
+}
+
+async function createEmployee(client, overrides = {}) {
+    const id = nextId();
+    const body = await client.post('/api/employees', {
+        fullName: `Employee ${id}`,
+        email: `employee${id}@company.com`,
+        position: 'Engineer',
+        ...overrides
+    }).then(res => expectStatus(res, 201));
+    return body.data;
+}
+
+async function createAsset(client, overrides = {}) {
+    const body = await client.post('/api/assets', {
+        assetName: `Laptop ${nextId()}`,
+        assetType: 'Laptop',
+        ...overrides
+    }).then(res => expectStatus(res, 201));
+    return body.data;
+}
+
+async function assignAsset(client, assetId, employeeId) {
+    const body = await client.post('/api/assignments', { assetId, employeeId })
+        .then(res => expectStatus(res, 201));
+    return body.data;
+}
+
+// Helper to sign an employee in through a portal link, as the self-service page does
+async function signInAsEmployee(client, employeeId) {
+    const link = await client.post(`/api/employees/${employeeId}/portal-link`)
+        .then(res => expectStatus(res, 201));
+    const token = new URL(link.data.link).searchParams.get('portal');
+
+    const session = await request(app).post('/api/auth/magic-link').send({ token })
+        .then(res => expectStatus(res, 200));
+    return createClient(session.token);
+}
+
+module.exports = {
+    app,
+    settle,
+    createClient,
+    signIn,
+    startApp,
+    stopApp,
+    expectStatus,
+    createUser,
+    createEmployee,
+    createAsset,
+    assignAsset,
+    signInAsEmployee
+};
@@ -0,0 +1,223 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startApp, stopApp, settle, createUser, createEmployee, createAsset, assignAsset } = require('./helpers');
+
+// Helper to give a date some days from today as YYYY-MM-DD
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('imports, audit, exports, alerts, labels, search and reports', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+
+    after(() => stopApp(ctx));
+
+    it('POST /api/import/employees checks a file first and imports it on request', async () => {
+        const csv = 'Full Name,Email,Position\nGrace Hopper,grace@company.com,Admiral\nAlan Turing,alan@company.com,';
+
+        const dryRun = await ctx.admin.post('/api/import/employees', { csv });
+        const before = await ctx.admin.get('/api/employees');
+        const imported = await ctx.admin.post('/api/import/employees', { csv, dryRun: false });
+        const again = await ctx.admin.post('/api/import/employees', { csv, dryRun: false });
+
+        assert.equal(dryRun.status, 200);
+        assert.equal(dryRun.body.dryRun, true);
+        assert.equal(dryRun.body.data.validRows, 2);
+        assert.ok(!before.body.some(e => e.Email === 'grace@company.com'), 'a dry run imports nothing');
+        assert.equal(imported.status, 201);
+        assert.equal(imported.body.data.imported.length, 2);
+        assert.equal(again.status, 400, 'emails already in use are row errors');
+        assert.equal(again.body.data.errorRows, 2);
+    });
+
+    it('POST /api/import/assets imports nothing when any row has errors', async () => {
+        const csv = 'Name,Type,Purchase Cost\nDell XPS,Laptop,1200\nMystery box,Gizmo,10';
+
+        const res = await ctx.admin.post('/api/import/assets', { csv, dryRun: false });
+        const search = await ctx.admin.get('/api/assets?search=Dell XPS');
+        const empty = await ctx.admin.post('/api/import/assets', { csv: '' });
+        const blankCells = await ctx.admin.post('/api/import/assets', { csv: ',,,\n' });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.data.validRows, 1);
+        assert.equal(res.body.data.rows[1].errors.length, 1);
+        assert.equal(search.body.length, 0);
+        assert.equal(empty.status, 400);
+        assert.equal(blankCells.status, 400);
+        assert.equal(blankCells.body.code, 'VALIDATION_FAILED');
+    });
+
+    it('GET /api/audit records who changed what, for admins only', async () => {
+        const employee = await createEmployee(ctx.admin);
+        await ctx.admin.put(`/api/employees/${employee.EmployeeId}`, { fullName: 'Audited', email: employee.Email });
+        await settle();
+        const readOnly = await createUser(ctx.admin, { role: 'read_only' });
+
+        const res = await ctx.admin.get(`/api/audit?entityType=Employee&entityId=${employee.EmployeeId}`);
+        const forbidden = await readOnly.get('/api/audit');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(row => row.Action), ['UPDATE', 'CREATE']);
+        assert.equal(res.body[0].Actor, 'admin');
+        assert.equal(res.body[0].BeforeValue.FullName, employee.FullName);
+        assert.equal(res.body[0].AfterValue.FullName, 'Audited');
+        assert.equal(forbidden.status, 403);
+    });
+
+    it('GET /api/audit rejects bad date and limit filters', async () => {
+        const badDate = await ctx.admin.get('/api/audit?from=garbage');
+        const badLimit = await ctx.admin.get('/api/audit?limit=-5');
+        const badExport = await ctx.admin.get('/api/audit/export?to=garbage');
+
+        for (const res of [badDate, badLimit, badExport]) {
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_FAILED');
+        }
+    });
+
+    it('exports download as CSV or XLSX', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin, { assetName: 'Exported, "quoted" laptop' });
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+        await settle();
+
+        for (const url of ['/api/assets/export', '/api/assignments/active/export', `/api/assets/${asset.AssetId}/history/export`, '/api/audit/export']) {
+            const csv = await ctx.admin.get(`${url}?format=csv`);
+            const xlsx = await ctx.admin.get(`${url}?format=xlsx`).responseType('blob');
+
+            assert.equal(csv.status, 200, url);
+            assert.match(csv.headers['content-type'], /^text\/csv/, url);
+            assert.match(csv.headers['content-disposition'], /^attachment; filename=".+\.csv"$/, url);
+            assert.ok(csv.text.startsWith('﻿'), url);
+            assert.equal(xlsx.status, 200, url);
+            assert.equal(xlsx.body.subarray(0, 2).toString(), 'PK', url);
+        }
+
+        const { text } = await ctx.admin.get('/api/assets/export?format=csv');
+        const badFormat = await ctx.admin.get('/api/assets/export?format=pdf');
+        const missing = await ctx.admin.get('/api/assets/9999/history/export');
+
+        assert.ok(text.includes('"Exported, ""quoted"" laptop"'));
+        assert.equal(badFormat.status, 400);
+        assert.equal(missing.status, 404);
+    });
+
+    it('exports keep user text from running as a spreadsheet formula', async () => {
+        await createAsset(ctx.admin, { assetName: '=HYPERLINK("http://example.com","Click")' });
+        await createAsset(ctx.admin, { assetName: '@SUM(A1:A2)' });
+
+        const { text } = await ctx.admin.get('/api/assets/export?format=csv');
+        const xlsx = await ctx.admin.get('/api/assets/export?format=xlsx').responseType('blob');
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(xlsx.body);
+        const names = [];
+        workbook.worksheets[0].eachRow(row => names.push(...row.values.filter(value => typeof value === 'string')));
+
+        assert.ok(text.includes(`"'=HYPERLINK(""http://example.com"",""Click"")"`));
+        assert.ok(text.includes(`'@SUM(A1:A2)`));
+        assert.ok(!text.split('\r\n').some(line => line.split(',').some(cell => /^[=+@]/.test(cell))));
+        assert.ok(names.includes(`'=HYPERLINK("http://example.com","Click")`));
+        assert.ok(names.includes(`'@SUM(A1:A2)`));
+    });
+
+    it('expiry alerts are raised once per window and can be acknowledged', async () => {
+        const asset = await createAsset(ctx.admin, { warrantyExpiresAt: daysFromNow(20), leaseEndsAt: daysFromNow(200) });
+
+        const run = await ctx.admin.post('/api/alerts/run');
+        const rerun = await ctx.admin.post('/api/alerts/run');
+        const { body: alerts } = await ctx.admin.get('/api/alerts');
+        const alert = alerts.find(a => a.AssetId === asset.AssetId);
+
+        assert.equal(run.status, 200);
+        assert.equal(run.body.data.created, 1);
+        assert.equal(rerun.body.data.created, 0);
+        assert.equal(alert.AlertType, 'WarrantyExpiry');
+        assert.equal(alert.WindowDays, 30);
+        assert.equal(alert.DaysLeft, 20);
+
+        const acknowledged = await ctx.admin.post(`/api/alerts/${alert.AlertId}/acknowledge`);
+        const twice = await ctx.admin.post(`/api/alerts/${alert.AlertId}/acknowledge`);
+        const open = await ctx.admin.get('/api/alerts');
+        const all = await ctx.admin.get('/api/alerts?includeAcknowledged=true');
+
+        assert.equal(acknowledged.status, 200);
+        assert.equal(acknowledged.body.data.AcknowledgedBy, 'admin');
+        assert.equal(twice.status, 404);
+        assert.ok(!open.body.some(a => a.AlertId === alert.AlertId));
+        assert.ok(all.body.some(a => a.AlertId === alert.AlertId));
+    });
+
+    it('labels render as SVG or PNG, one at a time or as a sheet', async () => {
+        const first = await createAsset(ctx.admin);
+        const second = await createAsset(ctx.admin);
+
+        const svg = await ctx.admin.get(`/api/assets/${first.AssetId}/label`).responseType('blob');
+        const png = await ctx.admin.get(`/api/assets/${first.AssetId}/label?symbology=code128&format=png`).responseType('blob');
+        const badSymbology = await ctx.admin.get(`/api/assets/${first.AssetId}/label?symbology=pdf417`);
+        const missing = await ctx.admin.get('/api/assets/9999/label');
+        const sheet = await ctx.admin.get(`/api/labels?assetIds=${second.AssetId},${first.AssetId},9999&format=png`);
+        const noIds = await ctx.admin.get('/api/labels');
+
+        assert.equal(svg.headers['content-type'], 'image/svg+xml; charset=utf-8');
+        assert.ok(svg.body.toString().startsWith('<svg'));
+        assert.equal(png.headers['content-type'], 'image/png');
+        assert.equal(badSymbology.status, 400);
+        assert.equal(missing.status, 404);
+        assert.deepEqual(sheet.body.labels.map(l => l.LabelText), [second.SerialNumber, first.SerialNumber]);
+        assert.match(sheet.body.labels[0].image, /^data:image\/png;base64,/);
+        assert.deepEqual(sheet.body.missingAssetIds, [9999]);
+        assert.equal(noIds.status, 400);
+    });
+
+    it('GET /api/search ranks assets and employees matching every word', async () => {
+        const employee = await createEmployee(ctx.admin, { fullName: 'Margaret Hamilton' });
+        const asset = await createAsset(ctx.admin, { assetName: 'Apollo Guidance Laptop' });
+        await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+
+        const res = await ctx.admin.get('/api/search?q=hamilton');
+        const both = await ctx.admin.get('/api/search?q=apollo%20hamilton');
+        const missing = await ctx.admin.get('/api/search');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.query, 'hamilton');
+        assert.ok(res.body.results.some(r => r.kind === 'employee' && r.employeeId === employee.EmployeeId));
+        assert.ok(both.body.results.some(r => r.assetId === asset.AssetId));
+        assert.equal(missing.status, 400);
+    });
+
+    it('GET /api/dashboard counts assets by status with their value', async () => {
+        const before = (await ctx.admin.get('/api/dashboard')).body;
+        const employee = await createEmployee(ctx.admin);
+        const assigned = await createAsset(ctx.admin, { purchaseCost: 1000, purchaseDate: daysFromNow(0) });
+        const lost = await createAsset(ctx.admin);
+        await assignAsset(ctx.admin, assigned.AssetId, employee.EmployeeId);
+        await ctx.admin.put(`/api/assets/${lost.AssetId}/status`, { status: 'Lost' });
+
+        const res = await ctx.admin.get('/api/dashboard');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.TotalAssets, before.TotalAssets + 2);
+        assert.equal(res.body.AssignedAssets, before.AssignedAssets + 1);
+        assert.equal(res.body.LostAssets, before.LostAssets + 1);
+        assert.equal(res.body.TotalPurchaseCost, before.TotalPurchaseCost + 1000);
+        assert.equal(res.body.UnvaluedAssets, before.UnvaluedAssets + 1);
+    });
+
+    it('GET /api/reports/book-value totals the fleet by type as of a date', async () => {
+        await createAsset(ctx.admin, { assetType: 'Printer', purchaseCost: 600, purchaseDate: '2020-01-01' });
+
+        const res = await ctx.admin.get('/api/reports/book-value?asOf=2020-01-01');
+        const printers = res.body.types.find(t => t.AssetType === 'Printer');
+        const badDate = await ctx.admin.get('/api/reports/book-value?asOf=someday');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.asOf, '2020-01-01');
+        assert.equal(printers.PurchaseCost, 600);
+        assert.equal(printers.BookValue, 600);
+        assert.equal(badDate.status, 400);
+    });
+});
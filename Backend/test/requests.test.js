@@ -0,0 +1,215 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, createEmployee, createAsset, assignAsset, signInAsEmployee } = require('./helpers');
+
+describe('self-service portal and requests', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+
+    after(() => stopApp(ctx));
+
+    // Helper to give a new employee an item and sign them in to the portal
+    async function employeeWithAsset(assetOverrides) {
+        const employee = await createEmployee(ctx.admin);
+        const asset = await createAsset(ctx.admin, assetOverrides);
+        const assignment = await assignAsset(ctx.admin, asset.AssetId, employee.EmployeeId);
+        const portal = await signInAsEmployee(ctx.admin, employee.EmployeeId);
+        return { employee, asset, assignment, portal };
+    }
+
+    // Helper to raise a service request from the portal
+    async function raiseRequest(portal, assignment, requestType) {
+        const res = await portal.post(`/api/me/assignments/${assignment.AssignmentId}/requests`, { requestType, note: `${requestType} note` });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body.data;
+    }
+
+    it('POST /api/auth/magic-link signs in once per link', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const { body } = await ctx.admin.post(`/api/employees/${employee.EmployeeId}/portal-link`);
+        const token = new URL(body.data.link).searchParams.get('portal');
+
+        const first = await ctx.anonymous.post('/api/auth/magic-link', { token });
+        const second = await ctx.anonymous.post('/api/auth/magic-link', { token });
+        const missing = await ctx.anonymous.post('/api/auth/magic-link', {});
+
+        assert.equal(first.status, 200);
+        assert.equal(first.body.user.role, 'employee');
+        assert.equal(first.body.user.employeeId, employee.EmployeeId);
+        assert.equal(second.status, 401);
+        assert.equal(missing.status, 400);
+    });
+
+    it('portal sessions only reach the employee\'s own routes', async () => {
+        const { portal } = await employeeWithAsset();
+
+        const staffRoute = await portal.get('/api/employees');
+        const adminOnMe = await ctx.admin.get('/api/me/assets');
+
+        assert.equal(staffRoute.status, 403);
+        assert.equal(adminOnMe.status, 403);
+    });
+
+    it('GET /api/me/assets lists the items the employee holds', async () => {
+        const { asset, portal } = await employeeWithAsset();
+
+        const res = await portal.get('/api/me/assets');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(a => a.AssetId), [asset.AssetId]);
+        assert.equal(res.body[0].OpenRequests, 0);
+    });
+
+    it('POST /api/me/assignments/:assignmentId/confirm records receipt of the employee\'s own items only', async () => {
+        const { assignment, portal } = await employeeWithAsset();
+        const other = await employeeWithAsset();
+
+        const res = await portal.post(`/api/me/assignments/${assignment.AssignmentId}/confirm`);
+        const notTheirs = await portal.post(`/api/me/assignments/${other.assignment.AssignmentId}/confirm`);
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.data.ReceiptConfirmedAt);
+        assert.equal(notTheirs.status, 404);
+    });
+
+    it('POST /api/me/assignments/:assignmentId/requests raises one open request per kind', async () => {
+        const { assignment, portal } = await employeeWithAsset();
+
+        const request = await raiseRequest(portal, assignment, 'Damaged');
+        const duplicate = await portal.post(`/api/me/assignments/${assignment.AssignmentId}/requests`, { requestType: 'Damaged' });
+        const badType = await portal.post(`/api/me/assignments/${assignment.AssignmentId}/requests`, { requestType: 'Upgrade' });
+        const mine = await portal.get('/api/me/requests');
+        const assets = await portal.get('/api/me/assets');
+
+        assert.equal(request.Status, 'Open');
+        assert.equal(duplicate.status, 409);
+        assert.equal(badType.status, 400);
+        assert.deepEqual(mine.body.map(r => r.RequestId), [request.RequestId]);
+        assert.equal(assets.body[0].OpenRequests, 1);
+    });
+
+    it('GET /api/service-requests lists the IT queue by status', async () => {
+        const { assignment, portal } = await employeeWithAsset();
+        const request = await raiseRequest(portal, assignment, 'Return');
+
+        const open = await ctx.admin.get('/api/service-requests?status=Open');
+        const resolved = await ctx.admin.get('/api/service-requests?status=Resolved');
+
+        assert.equal(open.status, 200);
+        assert.ok(open.body.some(r => r.RequestId === request.RequestId));
+        assert.ok(!resolved.body.some(r => r.RequestId === request.RequestId));
+    });
+
+    it('PUT /api/service-requests/:requestId applies the request to the asset when resolved', async () => {
+        const expected = { Damaged: 'InRepair', Lost: 'Lost', Return: 'InStock' };
+
+        for (const [requestType, status] of Object.entries(expected)) {
+            const { asset, assignment, portal } = await employeeWithAsset();
+            const request = await raiseRequest(portal, assignment, requestType);
+
+            const res = await ctx.admin.put(`/api/service-requests/${request.RequestId}`, { status: 'Resolved', resolutionNote: 'Done', applyToAsset: true });
+            const { body: lookup } = await ctx.admin.get(`/api/assets/lookup?serial=${asset.SerialNumber}`);
+
+            assert.equal(res.status, 200, requestType);
+            assert.equal(res.body.data.Status, 'Resolved');
+            assert.equal(lookup.asset.Status, status, requestType);
+            assert.equal(lookup.assignment, null, requestType);
+        }
+    });
+
+    it('PUT /api/service-requests/:requestId only decides open requests', async () => {
+        const { assignment, portal } = await employeeWithAsset();
+        const request = await raiseRequest(portal, assignment, 'Lost');
+
+        const badStatus = await ctx.admin.put(`/api/service-requests/${request.RequestId}`, { status: 'Open' });
+        const dismissed = await ctx.admin.put(`/api/service-requests/${request.RequestId}`, { status: 'Dismissed' });
+        const again = await ctx.admin.put(`/api/service-requests/${request.RequestId}`, { status: 'Resolved' });
+        const missing = await ctx.admin.put('/api/service-requests/9999', { status: 'Resolved' });
+
+        assert.equal(badStatus.status, 400);
+        assert.equal(dismissed.status, 200);
+        assert.equal(dismissed.body.data.ResolvedBy, 'admin');
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'INVALID_STATUS_TRANSITION');
+        assert.equal(missing.status, 404);
+    });
+
+    it('asset requests go from request to approval to fulfillment', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const portal = await signInAsEmployee(ctx.admin, employee.EmployeeId);
+        const monitor = await createAsset(ctx.admin, { assetType: 'Monitor' });
+        const laptop = await createAsset(ctx.admin);
+
+        const filed = await portal.post('/api/me/asset-requests', { assetType: 'Monitor', justification: 'Second screen' });
+        const { RequestId } = filed.body.data;
+        const early = await ctx.admin.post(`/api/asset-requests/${RequestId}/fulfill`, { assetId: monitor.AssetId });
+        const approved = await ctx.admin.put(`/api/asset-requests/${RequestId}/status`, { status: 'Approved', note: 'OK' });
+        const wrongType = await ctx.admin.post(`/api/asset-requests/${RequestId}/fulfill`, { assetId: laptop.AssetId });
+        const fulfilled = await ctx.admin.post(`/api/asset-requests/${RequestId}/fulfill`, { assetId: monitor.AssetId });
+        const mine = await portal.get('/api/me/asset-requests');
+        const held = await portal.get('/api/me/assets');
+
+        assert.equal(filed.status, 201);
+        assert.equal(filed.body.data.Status, 'Pending');
+        assert.equal(early.status, 409);
+        assert.equal(early.body.code, 'INVALID_STATUS_TRANSITION');
+        assert.equal(approved.body.data.Status, 'Approved');
+        assert.equal(wrongType.status, 400);
+        assert.equal(fulfilled.status, 200);
+        assert.equal(fulfilled.body.data.Status, 'Fulfilled');
+        assert.equal(mine.body[0].AssetId, monitor.AssetId);
+        assert.deepEqual(held.body.map(a => a.AssetId), [monitor.AssetId]);
+    });
+
+    it('concurrent fulfilments of one request hand over only one item', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const first = await createAsset(ctx.admin, { assetType: 'Tablet' });
+        const second = await createAsset(ctx.admin, { assetType: 'Tablet' });
+        const filed = await ctx.admin.post('/api/asset-requests', { employeeId: employee.EmployeeId, assetType: 'Tablet' });
+        const { RequestId } = filed.body.data;
+        await ctx.admin.put(`/api/asset-requests/${RequestId}/status`, { status: 'Approved' });
+
+        const results = await Promise.all([first, second].map(asset =>
+            ctx.admin.post(`/api/asset-requests/${RequestId}/fulfill`, { assetId: asset.AssetId })));
+        const { body: available } = await ctx.admin.get('/api/assets/available');
+
+        assert.deepEqual(results.map(res => res.status).sort(), [200, 409]);
+        assert.equal([first, second].filter(asset => available.some(a => a.AssetId === asset.AssetId)).length, 1);
+    });
+
+    it('POST /api/asset-requests files for an employee and checks the type', async () => {
+        const employee = await createEmployee(ctx.admin);
+
+        const filed = await ctx.admin.post('/api/asset-requests', { employeeId: employee.EmployeeId, assetType: 'Headset' });
+        const unknownType = await ctx.admin.post('/api/asset-requests', { employeeId: employee.EmployeeId, assetType: 'Jetpack' });
+        const noEmployee = await ctx.admin.post('/api/asset-requests', { employeeId: 9999, assetType: 'Headset' });
+        const pending = await ctx.admin.get('/api/asset-requests?status=Pending');
+
+        assert.equal(filed.status, 201);
+        assert.equal(filed.body.data.RequestedBy, 'admin');
+        assert.equal(unknownType.status, 400);
+        assert.equal(noEmployee.status, 404);
+        assert.ok(pending.body.some(r => r.RequestId === filed.body.data.RequestId));
+    });
+
+    it('PUT /api/asset-requests/:requestId/status follows the allowed transitions', async () => {
+        const employee = await createEmployee(ctx.admin);
+        const { body } = await ctx.admin.post('/api/asset-requests', { employeeId: employee.EmployeeId, assetType: 'Tablet' });
+        const { RequestId } = body.data;
+
+        const rejected = await ctx.admin.put(`/api/asset-requests/${RequestId}/status`, { status: 'Rejected' });
+        const reopened = await ctx.admin.put(`/api/asset-requests/${RequestId}/status`, { status: 'Approved' });
+        const fulfilled = await ctx.admin.put(`/api/asset-requests/${RequestId}/status`, { status: 'Fulfilled' });
+        const missing = await ctx.admin.put('/api/asset-requests/9999/status', { status: 'Approved' });
+
+        assert.equal(rejected.status, 200);
+        assert.equal(reopened.status, 409);
+        assert.equal(reopened.body.code, 'INVALID_STATUS_TRANSITION');
+        assert.equal(fulfilled.status, 400);
+        assert.equal(fulfilled.body.code, 'VALIDATION_FAILED');
+        assert.equal(missing.status, 404);
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateValuation } = require('../services/valuation');
+
+// Helper to value a 1000 purchase made on 2020-01-01 some years later
+const valueAfter = (years, method, usefulLifeYears) => calculateValuation({
+    purchaseCost: 1000,
+    purchaseDate: '2020-01-01',
+    method,
+    usefulLifeYears,
+    asOf: new Date(Date.parse('2020-01-01') + years * 365.25 * 24 * 60 * 60 * 1000)
+});
+
+describe('valuation', () => {
+    it('declining-balance switches to straight-line once that charges more', () => {
+        const { schedule } = valueAfter(0, 'DecliningBalance', 5);
+
+        assert.deepEqual(schedule.map(row => row.depreciation), [400, 240, 144, 108, 108]);
+        assert.deepEqual(schedule.map(row => row.closingValue), [600, 360, 216, 108, 0]);
+    });
+
+    it('declining-balance runs down through the final year instead of dropping to zero', () => {
+        assert.equal(valueAfter(4, 'DecliningBalance', 5).bookValue, 108);
+        assert.equal(valueAfter(4.5, 'DecliningBalance', 5).bookValue, 54);
+        assert.equal(valueAfter(5, 'DecliningBalance', 5).bookValue, 0);
+        assert.equal(valueAfter(5, 'DecliningBalance', 5).fullyDepreciated, true);
+    });
+
+    it('short useful lives keep their value right after purchase', () => {
+        assert.equal(valueAfter(0, 'DecliningBalance', 1).bookValue, 1000);
+        assert.equal(valueAfter(0.5, 'DecliningBalance', 1).bookValue, 500);
+        assert.equal(valueAfter(0.25, 'DecliningBalance', 2).bookValue, 750);
+        assert.equal(valueAfter(0.25, 'StraightLine', 2).bookValue, 875);
+    });
+
+    it('straight-line spreads the cost evenly', () => {
+        const { schedule, bookValue } = valueAfter(1.5, 'StraightLine', 4);
+
+        assert.deepEqual(schedule.map(row => row.depreciation), [250, 250, 250, 250]);
+        assert.equal(bookValue, 625);
+    });
+});
@@ -0,0 +1,44 @@
+// =====================================================
+// ASSET REQUEST (request -> approval -> fulfillment) SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const { ASSET_REQUEST_DECISIONS } = require('../services/asset-requests');
+
+const createAssetRequest = {
+    body: {
+        employeeId: { required: true, type: 'integer', message: 'Employee and asset type are required' },
+        assetType: { required: true, type: 'string', message: 'Employee and asset type are required' },
+        justification: { type: 'string' }
+    }
+};
+
+const createOwnAssetRequest = {
+    body: {
+        assetType: { required: true, type: 'string', message: 'Asset type is required' },
+        justification: { type: 'string' }
+    }
+};
+
+const decideAssetRequest = {
+    body: {
+        status: {
+            required: true,
+            oneOf: ASSET_REQUEST_DECISIONS,
+            message: 'Status must be Approved, Rejected or Cancelled. Use fulfill to hand over an item.'
+        },
+        note: { type: 'string' }
+    }
+};
+
+const fulfillAssetRequest = {
+    body: {
+        assetId: { required: true, type: 'integer', message: 'Pick an asset to fulfill the request with' }
+    }
+};
+
+module.exports = {
+    createAssetRequest,
+    createOwnAssetRequest,
+    decideAssetRequest,
+    fulfillAssetRequest
+};
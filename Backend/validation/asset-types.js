@@ -0,0 +1,17 @@
+// =====================================================
+// ASSET TYPE REQUEST SCHEMAS (see middleware/validate.js)
+// Field definitions, depreciation and tag settings are checked by services/asset-types.js
+// =====================================================
+
+const assetTypeDetails = {
+    body: {
+        name: { required: true, type: 'string', message: 'Type name is required' },
+        description: { type: 'string' },
+        fields: { type: 'array', message: 'Fields must be a list' }
+    }
+};
+
+module.exports = {
+    createAssetType: assetTypeDetails,
+    updateAssetType: assetTypeDetails
+};
@@ -0,0 +1,95 @@
+// =====================================================
+// ASSET REQUEST SCHEMAS (see middleware/validate.js)
+// Custom field values and purchase details depend on the type and are checked by services/assets.js
+// =====================================================
+
+const {
+    ARCHIVE_DISPOSITIONS,
+    MANUAL_ASSET_STATUSES,
+    ASSET_STATUS_FILTERS,
+    ASSET_SORT_COLUMNS,
+    ASSET_PAGE_MAX
+} = require('../services/assets');
+const { exportFormat } = require('./exports');
+
+const PAGE_MESSAGE = `page must be at least 1 and limit between 1 and ${ASSET_PAGE_MAX}`;
+
+// Dashboard filters shared by the list and its export
+const listFilters = {
+    type: { type: 'string' },
+    search: { type: 'string' },
+    status: {
+        oneOf: ['all', ...Object.keys(ASSET_STATUS_FILTERS)],
+        message: `status must be one of: all, ${Object.keys(ASSET_STATUS_FILTERS).join(', ')}`
+    },
+    includeArchived: { type: 'boolean' }
+};
+
+const assetDetails = {
+    body: {
+        assetName: { required: true, type: 'string', message: 'Asset name and type are required' },
+        assetType: { required: true, type: 'string', message: 'Asset name and type are required' }
+    }
+};
+
+const listAssets = {
+    query: {
+        ...listFilters,
+        sort: {
+            oneOf: Object.keys(ASSET_SORT_COLUMNS),
+            message: `sort must be one of: ${Object.keys(ASSET_SORT_COLUMNS).join(', ')}`
+        },
+        order: { oneOf: ['asc', 'desc'], ignoreCase: true, message: 'order must be asc or desc' },
+        page: { type: 'integer', min: 1, message: PAGE_MESSAGE },
+        limit: { type: 'integer', min: 1, max: ASSET_PAGE_MAX, message: PAGE_MESSAGE }
+    }
+};
+
+const exportAssets = {
+    query: {
+        ...listFilters,
+        ...exportFormat
+    }
+};
+
+const lookupAsset = {
+    query: {
+        serial: { required: true, type: 'string', message: 'serial is required' }
+    }
+};
+
+const assetValuation = {
+    query: {
+        asOf: { type: 'date', message: 'asOf must be a date (YYYY-MM-DD)' }
+    }
+};
+
+const archiveAsset = {
+    body: {
+        reason: { required: true, type: 'string', message: 'A reason is required to archive an asset' },
+        disposition: { oneOf: ARCHIVE_DISPOSITIONS, message: `Disposition must be one of: ${ARCHIVE_DISPOSITIONS.join(', ')}` },
+        archivedAt: { type: 'date' }
+    }
+};
+
+const changeAssetStatus = {
+    body: {
+        status: {
+            required: true,
+            oneOf: MANUAL_ASSET_STATUSES,
+            message: `Status must be one of: ${MANUAL_ASSET_STATUSES.join(', ')}. Use assignments to assign and archiving to retire.`
+        },
+        note: { type: 'string' }
+    }
+};
+
+module.exports = {
+    createAsset: assetDetails,
+    updateAsset: assetDetails,
+    listAssets,
+    exportAssets,
+    lookupAsset,
+    assetValuation,
+    archiveAsset,
+    changeAssetStatus
+};
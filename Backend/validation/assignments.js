@@ -0,0 +1,25 @@
+// =====================================================
+// ASSIGNMENT REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const { exportFormat } = require('./exports');
+
+const createAssignment = {
+    body: {
+        assetId: { required: true, type: 'integer', message: 'Asset and employee are required' },
+        employeeId: { required: true, type: 'integer', message: 'Asset and employee are required' }
+    }
+};
+
+const exportActiveAssignments = {
+    query: {
+        type: { type: 'string' },
+        search: { type: 'string' },
+        ...exportFormat
+    }
+};
+
+module.exports = {
+    createAssignment,
+    exportActiveAssignments
+};
@@ -0,0 +1,31 @@
+// =====================================================
+// AUDIT REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const { AUDIT_LIST_MAX } = require('../services/audit');
+const { exportFormat } = require('./exports');
+
+// Date range shared by the viewer and its export
+const auditFilters = {
+    from: { type: 'date', message: 'from must be a date (YYYY-MM-DD)' },
+    to: { type: 'date', message: 'to must be a date (YYYY-MM-DD)' }
+};
+
+const listAudit = {
+    query: {
+        ...auditFilters,
+        limit: { type: 'integer', min: 1, max: AUDIT_LIST_MAX, message: `limit must be between 1 and ${AUDIT_LIST_MAX}` }
+    }
+};
+
+const exportAudit = {
+    query: {
+        ...auditFilters,
+        ...exportFormat
+    }
+};
+
+module.exports = {
+    listAudit,
+    exportAudit
+};
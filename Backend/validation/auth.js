@@ -0,0 +1,28 @@
+// =====================================================
+// AUTH REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const login = {
+    body: {
+        username: { required: true, type: 'string', message: 'Username and password are required' },
+        password: { required: true, type: 'string', message: 'Username and password are required' }
+    }
+};
+
+const magicLink = {
+    body: {
+        token: { required: true, type: 'string', message: 'Token is required' }
+    }
+};
+
+const changePassword = {
+    body: {
+        newPassword: { required: true, type: 'string', minLength: 8, message: 'New password must be at least 8 characters' }
+    }
+};
+
+module.exports = {
+    login,
+    magicLink,
+    changePassword
+};
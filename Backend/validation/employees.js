@@ -0,0 +1,30 @@
+// =====================================================
+// EMPLOYEE REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const { EMAIL_PATTERN } = require('../services/employees');
+
+const employeeDetails = {
+    body: {
+        fullName: { required: true, type: 'string', message: 'Full name and email are required' },
+        email: {
+            required: true,
+            type: 'string',
+            pattern: EMAIL_PATTERN,
+            message: { required: 'Full name and email are required', type: 'Email must be text', pattern: 'Email is not a valid email address' }
+        },
+        position: { type: 'string' }
+    }
+};
+
+const offboardEmployee = {
+    body: {
+        returnAssets: { type: 'boolean' }
+    }
+};
+
+module.exports = {
+    createEmployee: employeeDetails,
+    updateEmployee: employeeDetails,
+    offboardEmployee
+};
@@ -0,0 +1,17 @@
+// =====================================================
+// EXPORT REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+// ?format= of every CSV/XLSX download
+const exportFormat = {
+    format: { oneOf: ['csv', 'xlsx'], ignoreCase: true, message: 'format must be csv or xlsx' }
+};
+
+const exportRequest = {
+    query: exportFormat
+};
+
+module.exports = {
+    exportFormat,
+    exportRequest
+};
@@ -0,0 +1,30 @@
+// =====================================================
+// LABEL REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const { LABEL_SYMBOLOGIES } = require('../services/labels');
+
+const labelOptions = {
+    symbology: {
+        oneOf: Object.keys(LABEL_SYMBOLOGIES),
+        ignoreCase: true,
+        message: `symbology must be one of: ${Object.keys(LABEL_SYMBOLOGIES).join(', ')}`
+    },
+    format: { oneOf: ['svg', 'png'], ignoreCase: true, message: 'format must be svg or png' }
+};
+
+const assetLabel = {
+    query: labelOptions
+};
+
+const labelSheet = {
+    query: {
+        ...labelOptions,
+        assetIds: { required: true, type: 'string', message: 'assetIds is required (comma separated)' }
+    }
+};
+
+module.exports = {
+    assetLabel,
+    labelSheet
+};
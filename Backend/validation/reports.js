@@ -0,0 +1,13 @@
+// =====================================================
+// REPORT REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const bookValue = {
+    query: {
+        asOf: { type: 'date', message: 'asOf must be a date (YYYY-MM-DD)' }
+    }
+};
+
+module.exports = {
+    bookValue
+};
@@ -0,0 +1,13 @@
+// =====================================================
+// SEARCH REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const search = {
+    query: {
+        q: { required: true, type: 'string', message: 'q is required' }
+    }
+};
+
+module.exports = {
+    search
+};
@@ -0,0 +1,33 @@
+// =====================================================
+// SERVICE REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const { SERVICE_REQUEST_TYPES, SERVICE_REQUEST_STATUSES } = require('../services/service-requests');
+
+const createServiceRequest = {
+    body: {
+        requestType: {
+            required: true,
+            oneOf: SERVICE_REQUEST_TYPES,
+            message: `Request type must be one of: ${SERVICE_REQUEST_TYPES.join(', ')}`
+        },
+        note: { type: 'string' }
+    }
+};
+
+const decideServiceRequest = {
+    body: {
+        status: {
+            required: true,
+            oneOf: SERVICE_REQUEST_STATUSES.filter(status => status !== 'Open'),
+            message: 'Status must be Resolved or Dismissed'
+        },
+        resolutionNote: { type: 'string' },
+        applyToAsset: { type: 'boolean' }
+    }
+};
+
+module.exports = {
+    createServiceRequest,
+    decideServiceRequest
+};
@@ -0,0 +1,35 @@
+// =====================================================
+// USER REQUEST SCHEMAS (see middleware/validate.js)
+// =====================================================
+
+const { ROLES } = require('../middleware/auth');
+
+const REQUIRED_MESSAGE = 'Username, password and role are required';
+const ROLE_MESSAGE = `Role must be one of: ${Object.values(ROLES).join(', ')}`;
+const PASSWORD_MESSAGE = 'Password must be at least 8 characters';
+
+const createUser = {
+    body: {
+        username: { required: true, message: REQUIRED_MESSAGE },
+        password: { required: true, type: 'string', minLength: 8, message: { required: REQUIRED_MESSAGE, type: PASSWORD_MESSAGE, minLength: PASSWORD_MESSAGE } },
+        role: { required: true, oneOf: Object.values(ROLES), message: { required: REQUIRED_MESSAGE, oneOf: ROLE_MESSAGE } },
+        employeeId: { type: 'integer' }
+    }
+};
+
+const updateUser = {
+    params: {
+        userId: { type: 'integer' }
+    },
+    body: {
+        role: { oneOf: Object.values(ROLES), message: ROLE_MESSAGE },
+        password: { type: 'string', minLength: 8, message: PASSWORD_MESSAGE },
+        employeeId: { type: 'integer' },
+        isActive: { type: 'boolean' }
+    }
+};
+
+module.exports = {
+    createUser,
+    updateUser
+};
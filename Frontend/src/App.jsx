@@ -2,46 +2,326 @@ import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react'
 import './App.css';
 
 const API_BASE = 'http://localhost:3000/api';
-const CUSTOM_TYPES_KEY = 'asset-tracker-custom-types';
+const AUTH_KEY = 'asset-tracker-auth';
+const AUTH_EXPIRED_EVENT = 'asset-tracker-auth-expired';
 
-// Helper to get custom types config from localStorage
-const getCustomTypesConfig = () => {
+// Role values (Users.Role) -> label shown in the UI
+const ROLE_LABELS = {
+    admin: 'Admin',
+    it_staff: 'IT Staff',
+    read_only: 'Read Only',
+    employee: 'Employee'
+};
+
+// Helper to get the saved session ({ token, user }) from localStorage
+const getStoredAuth = () => {
     try {
-        const saved = localStorage.getItem(CUSTOM_TYPES_KEY);
-        return saved ? JSON.parse(saved) : { added: [], removed: [], renamed: {} };
+        const saved = localStorage.getItem(AUTH_KEY);
+        return saved ? JSON.parse(saved) : null;
     } catch {
-        return { added: [], removed: [], renamed: {} };
+        return null;
+    }
+};
+
+// Helper to call the API as the signed-in user; a 401 signs the app out
+const apiFetch = async (path, options = {}) => {
+    const auth = getStoredAuth();
+    const headers = { ...options.headers };
+    if (auth) headers.Authorization = `Bearer ${auth.token}`;
+
+    const res = await fetch(`${API_BASE}${path}`, { ...options, headers });
+    if (res.status === 401 && auth) {
+        window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
+    return res;
+};
+
+// API error codes (failed responses are { success: false, code, message }, see README "Errors")
+// the UI handles beyond showing the server's message: message replaces that text, refresh reloads
+// the data because the screen was showing something that has since changed
+const ERROR_NOTIFICATIONS = {
+    ASSET_ALREADY_ASSIGNED: { message: 'This asset is already assigned to an employee', refresh: true },
+    NOT_FOUND: { refresh: true },
+    CONFLICT: { refresh: true },
+    INVALID_STATUS_TRANSITION: { refresh: true },
+    TYPE_IN_USE: { refresh: true },
+    DUPLICATE_EMAIL: { message: 'Another employee already uses this email address' },
+    FORBIDDEN: { message: 'Your role does not allow this action' },
+    DATABASE_UNAVAILABLE: { message: 'The server cannot reach the database. Try again in a moment.' }
+};
+
+// Helper to get the text to show for a failed API response; server faults show the fallback
+const getErrorMessage = (data, fallback) => {
+    if (data.code === 'INTERNAL_ERROR') return fallback;
+    return ERROR_NOTIFICATIONS[data.code]?.message || data.message || fallback;
+};
+
+// Lifecycle status (Assets.Status) -> label shown in the UI
+const ASSET_STATUS_LABELS = {
+    InStock: 'Available',
+    Assigned: 'Active',
+    InRepair: 'In Repair',
+    Lost: 'Lost',
+    Retired: 'Archived'
+};
+
+// Statuses staff can pick from each state (mirrors ASSET_STATUS_TRANSITIONS in Backend/services/assets.js,
+// minus Assigned and Retired which go through the assign and archive flows)
+const MANUAL_STATUS_OPTIONS = {
+    InStock: ['InRepair', 'Lost'],
+    Assigned: ['InStock', 'InRepair', 'Lost'],
+    InRepair: ['InStock', 'Lost'],
+    Lost: ['InStock'],
+    Retired: []
+};
+
+// Global search result kinds -> label shown in the command palette
+const SEARCH_KIND_LABELS = {
+    asset: 'Asset',
+    employee: 'Employee',
+    assignment: 'Assignment',
+    note: 'Note'
+};
+
+// Label sheet layouts (Avery US letter and A4 sheets); sizes are CSS lengths
+const LABEL_TEMPLATES = {
+    'avery-5160': { name: 'Avery 5160 / 8160 (30 per sheet, 2.625" × 1")', page: 'letter', columns: 3, rows: 10, width: '2.625in', height: '1in', top: '0.5in', left: '0.1875in', gapX: '0.125in', gapY: '0in' },
+    'avery-5163': { name: 'Avery 5163 / 8163 (10 per sheet, 4" × 2")', page: 'letter', columns: 2, rows: 5, width: '4in', height: '2in', top: '0.5in', left: '0.15625in', gapX: '0.1875in', gapY: '0in' },
+    'avery-l7160': { name: 'Avery L7160 (21 per sheet, 63.5 × 38.1 mm)', page: 'a4', columns: 3, rows: 7, width: '63.5mm', height: '38.1mm', top: '15.15mm', left: '7.25mm', gapX: '2.5mm', gapY: '0mm' },
+    'avery-l7163': { name: 'Avery L7163 (14 per sheet, 99.1 × 38.1 mm)', page: 'a4', columns: 2, rows: 7, width: '99.1mm', height: '38.1mm', top: '15.15mm', left: '4.65mm', gapX: '2.5mm', gapY: '0mm' }
+};
+
+// Page sizes for the label sheet
+const LABEL_PAGE_SIZES = {
+    letter: { width: '8.5in', height: '11in' },
+    a4: { width: '210mm', height: '297mm' }
+};
+
+// Rows per page in the dashboard asset table
+const ASSET_PAGE_SIZE = 25;
+
+// Helper to get the display status of an asset
+const getAssetStatus = (asset) => ASSET_STATUS_LABELS[asset.Status] || 'Available';
+
+// Helper to turn a status label into a css/filter key ("In Repair" -> "in-repair")
+const getStatusKey = (status) => status.toLowerCase().replace(/\s+/g, '-');
+
+// Helper to format a whole number of days as a readable duration
+const formatDuration = (days) => {
+    if (days === null || days === undefined) return 'N/A';
+    if (days < 1) return 'Less than a day';
+    if (days === 1) return '1 day';
+    return `${days} days`;
+};
+
+// Helper to list the fields that differ between two audit snapshots
+const getChangedFields = (before, after) => {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return keys
+        .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+        .map(key => ({ field: key, before: before?.[key], after: after?.[key] }));
+};
+
+// Custom field kinds an asset type can define (AssetTypes.FieldSchema)
+const CUSTOM_FIELD_TYPE_LABELS = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    enum: 'Choice list'
+};
+
+// Depreciation methods an asset type can use (AssetTypes.DepreciationMethod)
+const DEPRECIATION_METHOD_LABELS = {
+    StraightLine: 'Straight-line',
+    DecliningBalance: 'Declining balance'
+};
+
+// Helper to show money amounts (purchase cost, book value)
+const formatMoney = (value) =>
+    value === null || value === undefined
+        ? '—'
+        : Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Purchase, warranty and lease details as edited in the asset forms (DATE columns arrive as ISO strings)
+const getPurchaseFormData = (asset) => ({
+    vendor: asset?.Vendor || '',
+    invoiceNumber: asset?.InvoiceNumber || '',
+    purchaseDate: asset?.PurchaseDate ? asset.PurchaseDate.slice(0, 10) : '',
+    purchaseCost: asset?.PurchaseCost ?? '',
+    warrantyExpiresAt: asset?.WarrantyExpiresAt ? asset.WarrantyExpiresAt.slice(0, 10) : '',
+    leaseEndsAt: asset?.LeaseEndsAt ? asset.LeaseEndsAt.slice(0, 10) : ''
+});
+
+// Identity details kept apart from the internal asset tag (Assets.ManufacturerSerial / Location)
+const getIdentityFormData = (asset) => ({
+    manufacturerSerial: asset?.ManufacturerSerial || '',
+    location: asset?.Location || ''
+});
+
+// Asset tags are built from the type's template (see DEFAULT_TAG_TEMPLATE in the backend)
+const DEFAULT_TAG_TEMPLATE = '{TYPE}-{YYYY}-{SEQ:3}';
+
+// Helper to derive a type's {TYPE} code when none is set: first 2 letters, uppercase (padded with X)
+const deriveTypeCode = (typeName) =>
+    (typeName || '').replace(/[^a-zA-Z]/g, '').substring(0, 2).toUpperCase().padEnd(2, 'X');
+
+// Helper to preview the tag a type's template produces; the counter shows as X's
+const previewAssetTag = (template, typeCode, location) => {
+    const locationCode = String(location || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const year = String(new Date().getFullYear());
+    return (template || DEFAULT_TAG_TEMPLATE).replace(/\{(TYPE|YYYY|YY|LOCATION|SEQ(?::(\d{1,2}))?)\}/g, (token, name, pad) => {
+        if (name === 'TYPE') return typeCode;
+        if (name === 'YYYY') return year;
+        if (name === 'YY') return year.slice(-2);
+        if (name === 'LOCATION') return locationCode || '{LOCATION}';
+        return 'X'.repeat(pad ? parseInt(pad, 10) : 1);
+    });
+};
+
+// Expiry alert kinds (Alerts.AlertType)
+const ALERT_TYPE_LABELS = {
+    WarrantyExpiry: 'Warranty expires',
+    LeaseEnd: 'Lease ends'
+};
+
+// Columns the CSV imports understand (see IMPORT_COLUMNS in the backend)
+const IMPORT_FIELDS = {
+    assets: [
+        { key: 'assetName', label: 'Asset name', required: true },
+        { key: 'assetType', label: 'Asset type', required: true },
+        { key: 'serialNumber', label: 'Asset tag' },
+        { key: 'manufacturerSerial', label: 'Manufacturer serial' },
+        { key: 'location', label: 'Location' },
+        { key: 'vendor', label: 'Vendor' },
+        { key: 'invoiceNumber', label: 'Invoice number' },
+        { key: 'purchaseDate', label: 'Purchase date' },
+        { key: 'purchaseCost', label: 'Purchase cost' },
+        { key: 'warrantyExpiresAt', label: 'Warranty expiry' },
+        { key: 'leaseEndsAt', label: 'Lease end' }
+    ],
+    employees: [
+        { key: 'fullName', label: 'Full name', required: true },
+        { key: 'email', label: 'Email', required: true },
+        { key: 'position', label: 'Position' }
+    ]
+};
+
+// Helper to read the header row of a CSV file (for the column mapping step)
+const readCsvHeaders = (text) => {
+    const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+    const headers = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < firstLine.length; i++) {
+        const char = firstLine[i];
+        if (char === '"' && inQuotes && firstLine[i + 1] === '"') {
+            cell += '"';
+            i++;
+        } else if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            headers.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
     }
+    headers.push(cell.trim());
+    return headers.filter(Boolean);
+};
+
+// Helper to save a file returned by an export endpoint (the server names it via Content-Disposition)
+const saveDownload = async (res, fallbackName) => {
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
 };
 
-// Helper to apply custom types config to a list
-const applyCustomTypesConfig = (types, config) => {
-    let result = types
-        .map(t => config.renamed[t] || t)
-        .filter(t => !config.removed.includes(t));
-    result = [...new Set([...result, ...config.added])].sort();
-    return result;
+// Helper to render an audit value as text
+const formatAuditValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
 };
 
 export default function AssetTrackingApp() {
     const [currentScreen, setCurrentScreen] = useState('dashboard');
     const [dashboardData, setDashboardData] = useState(null);
-    const [allAssets, setAllAssets] = useState([]);
     const [activeAssignments, setActiveAssignments] = useState([]);
     const [assetHistory, setAssetHistory] = useState([]);
     const [notification, setNotification] = useState({ show: false, message: '', type: '' });
     const [confirmModal, setConfirmModal] = useState({ show: false, title: '', message: '', onConfirm: null, confirmText: 'Confirm' });
     const [addAssetModal, setAddAssetModal] = useState(false);
     const [editAssetModal, setEditAssetModal] = useState(null); // null or asset object to edit
+    const [archiveAssetModal, setArchiveAssetModal] = useState(null); // null or asset object to archive
+    const [statusAssetModal, setStatusAssetModal] = useState(null); // null or asset object to change status
     const [manageTypesModal, setManageTypesModal] = useState(false);
+    const [typeFieldsModal, setTypeFieldsModal] = useState(null); // AssetTypes row whose fields are being edited
+    const [valuationAsset, setValuationAsset] = useState(null); // asset whose book value is shown
+    const [importModal, setImportModal] = useState(null); // null, 'assets' or 'employees'
+    const [commandPaletteOpen, setCommandPaletteOpen] = useState(false); // global search (Ctrl/Cmd+K)
     const [searchInput, setSearchInput] = useState(''); // What user types (instant)
     const [searchTerm, setSearchTerm] = useState(''); // Debounced value (for filtering)
     const [filterType, setFilterType] = useState('All');
-    const [statusFilter, setStatusFilter] = useState('all'); // 'all', 'active', 'available'
+    const [statusFilter, setStatusFilter] = useState('all'); // 'all', 'active', 'available', 'in-repair', 'lost', 'archived'
+    const [assetPage, setAssetPage] = useState({ items: [], total: 0, page: 1, limit: ASSET_PAGE_SIZE, totalPages: 1 }); // Dashboard table (one page from the server)
+    const [assetPageNumber, setAssetPageNumber] = useState(1);
+    const [assetSort, setAssetSort] = useState({ sort: 'name', order: 'asc' });
     const [selectedHistoryAsset, setSelectedHistoryAsset] = useState(null);
+    const [selectedAssetIds, setSelectedAssetIds] = useState([]); // dashboard rows ticked for bulk label printing
+    const [labelAssetIds, setLabelAssetIds] = useState([]); // assets on the label sheet screen
+    const [scanInput, setScanInput] = useState('');
+    const [scanResult, setScanResult] = useState(null); // { asset, assignment, recentHistory } of the last scan
+    const [scanEmployeeId, setScanEmployeeId] = useState('');
+    const [scanLog, setScanLog] = useState([]); // this session's scans and check-ins/outs, newest first
+    const [scanBusy, setScanBusy] = useState(false);
+    const [employees, setEmployees] = useState([]);
+    const [employeeFormModal, setEmployeeFormModal] = useState(null); // null, 'new' or employee object to edit
+    const [employeeSearch, setEmployeeSearch] = useState('');
+    const [employeeStatusFilter, setEmployeeStatusFilter] = useState('active'); // 'active', 'inactive', 'all'
+    const [selectedEmployeeId, setSelectedEmployeeId] = useState(null);
+    const [employeeHistory, setEmployeeHistory] = useState([]);
+    const [employeeHistoryLoading, setEmployeeHistoryLoading] = useState(false);
+    const [bookValueReport, setBookValueReport] = useState(null);
+    const [expiryAlerts, setExpiryAlerts] = useState([]);
+    const [auditEntries, setAuditEntries] = useState([]);
+    const [auditLoading, setAuditLoading] = useState(false);
+    const [auditFilters, setAuditFilters] = useState({ entityType: '', actor: '', from: '', to: '' });
+    const [expandedAuditId, setExpandedAuditId] = useState(null);
+    const [auth, setAuth] = useState(getStoredAuth); // null or { token, user }
+    const [users, setUsers] = useState([]);
+    const [userFormModal, setUserFormModal] = useState(null); // null, 'new' or user object to edit
+    const [myAssets, setMyAssets] = useState([]);
+    const [myRequests, setMyRequests] = useState([]);
+    const [reportIssueModal, setReportIssueModal] = useState(null); // null or { assignment, requestType }
+    const [serviceRequests, setServiceRequests] = useState([]);
+    const [serviceRequestFilter, setServiceRequestFilter] = useState('Open'); // 'Open', 'Resolved', 'Dismissed', ''
+    const [resolveRequestModal, setResolveRequestModal] = useState(null); // null or service request to resolve
+    const [portalLinkModal, setPortalLinkModal] = useState(null); // null or { employeeName, link, expiresAt }
+    const [assetRequests, setAssetRequests] = useState([]);
+    const [myAssetRequests, setMyAssetRequests] = useState([]);
+    const [assetRequestFilter, setAssetRequestFilter] = useState('Pending'); // 'Pending', 'Approved', 'Fulfilled', 'Rejected', 'Cancelled', ''
+    const [newAssetRequestModal, setNewAssetRequestModal] = useState(false);
+    const [decideRequestModal, setDecideRequestModal] = useState(null); // null or { request, status }
+    const [fulfillRequestModal, setFulfillRequestModal] = useState(null); // null or approved request to fulfill
+    const [typeCatalog, setTypeCatalog] = useState([]); // AssetTypes rows with AssetCount
+
+    // What the signed-in user may do (the API enforces the same rules)
+    const currentUser = auth?.user || null;
+    const isAdmin = currentUser?.role === 'admin';
+    const canManage = isAdmin || currentUser?.role === 'it_staff';
+    const canView = canManage || currentUser?.role === 'read_only';
 
     // Ref for search input to maintain focus
     const searchInputRef = useRef(null);
+    const scanInputRef = useRef(null);
     const debounceRef = useRef(null);
 
     // Handle search input change with debounce
@@ -55,6 +335,7 @@ export default function AssetTrackingApp() {
         }
         debounceRef.current = setTimeout(() => {
             setSearchTerm(value); // Update filter after 150ms
+            setAssetPageNumber(1);
         }, 150);
     }, []);
 
@@ -62,6 +343,7 @@ export default function AssetTrackingApp() {
     const clearSearch = useCallback(() => {
         setSearchInput('');
         setSearchTerm('');
+        setAssetPageNumber(1);
         if (debounceRef.current) {
             clearTimeout(debounceRef.current);
         }
@@ -77,16 +359,93 @@ export default function AssetTrackingApp() {
         };
     }, []);
 
+    // Ctrl+K / Cmd+K opens global search for staff
+    useEffect(() => {
+        if (!canView) return;
+
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setCommandPaletteOpen(true);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [canView]);
+
     // Show notification
     const showNotification = (message, type = 'success') => {
         setNotification({ show: true, message, type });
         setTimeout(() => setNotification({ show: false, message: '', type: '' }), 4000);
     };
 
+    // Sign in: keep the session so a reload stays signed in
+    const handleLogin = (session) => {
+        localStorage.setItem(AUTH_KEY, JSON.stringify(session));
+        setAuth(session);
+        setCurrentScreen('dashboard');
+    };
+
+    // Sign out and forget the loaded data
+    const handleLogout = useCallback(() => {
+        localStorage.removeItem(AUTH_KEY);
+        setAuth(null);
+        setCurrentScreen('dashboard');
+        setSelectedEmployeeId(null);
+        setSelectedAssetIds([]);
+        setScanResult(null);
+        setScanLog([]);
+        setAssetPage({ items: [], total: 0, page: 1, limit: ASSET_PAGE_SIZE, totalPages: 1 });
+        setActiveAssignments([]);
+        setEmployees([]);
+        setUsers([]);
+        setAuditEntries([]);
+        setMyAssets([]);
+        setMyRequests([]);
+        setServiceRequests([]);
+        setAssetRequests([]);
+        setMyAssetRequests([]);
+    }, []);
+
+    // Self-service links arrive as ?portal=<token>; swap it for a session and clean the URL
+    useEffect(() => {
+        const portalToken = new URLSearchParams(window.location.search).get('portal');
+        if (!portalToken) return;
+        window.history.replaceState(null, '', window.location.pathname);
+
+        (async () => {
+            try {
+                const res = await apiFetch('/auth/magic-link', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token: portalToken })
+                });
+                const data = await res.json();
+                if (data.success) {
+                    handleLogin({ token: data.token, user: data.user });
+                } else {
+                    showNotification(getErrorMessage(data, 'This link could not be used'), 'error');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            }
+        })();
+    }, []);
+
+    // apiFetch fires this when the token is rejected
+    useEffect(() => {
+        const onExpired = () => {
+            handleLogout();
+            setNotification({ show: true, message: 'Your session has ended, please sign in again', type: 'error' });
+        };
+        window.addEventListener(AUTH_EXPIRED_EVENT, onExpired);
+        return () => window.removeEventListener(AUTH_EXPIRED_EVENT, onExpired);
+    }, [handleLogout]);
+
     // Fetch dashboard stats
     const fetchDashboard = async () => {
         try {
-            const res = await fetch(`${API_BASE}/dashboard`);
+            const res = await apiFetch(`/dashboard`);
             if (!res.ok) throw new Error('Failed to fetch dashboard');
             const data = await res.json();
             setDashboardData(data);
@@ -95,22 +454,27 @@ export default function AssetTrackingApp() {
         }
     };
 
-    // Fetch all assets
-    const fetchAllAssets = async () => {
+    // Fetch one page of the dashboard table; filtering, sorting and paging happen on the server
+    const fetchAssetPage = async ({ page, sort, order, status, type, search }) => {
+        const params = new URLSearchParams({ page, limit: ASSET_PAGE_SIZE, sort, order, status, type });
+        if (search.trim()) params.append('search', search.trim());
+
         try {
-            const res = await fetch(`${API_BASE}/assets`);
+            const res = await apiFetch(`/assets?${params.toString()}`);
             if (!res.ok) throw new Error('Failed to fetch assets');
             const data = await res.json();
-            setAllAssets(data);
+            setAssetPage(data);
+            // The last page emptied out (e.g. after archiving); step back to the new last page
+            if (data.page > data.totalPages) setAssetPageNumber(data.totalPages);
         } catch (err) {
-            console.error('Assets error:', err);
+            console.error('Asset page error:', err);
         }
     };
 
     // Fetch active assignments
     const fetchActiveAssignments = async () => {
         try {
-            const res = await fetch(`${API_BASE}/assignments/active`);
+            const res = await apiFetch(`/assignments/active`);
             if (!res.ok) throw new Error('Failed to fetch assignments');
             const data = await res.json();
             setActiveAssignments(data);
@@ -119,24 +483,253 @@ export default function AssetTrackingApp() {
         }
     };
 
-    // Initial data load
+    // Fetch all employees (including deactivated, the employees screen filters them)
+    const fetchEmployees = async () => {
+        try {
+            const res = await apiFetch(`/employees?includeInactive=true`);
+            if (!res.ok) throw new Error('Failed to fetch employees');
+            const data = await res.json();
+            setEmployees(data);
+        } catch (err) {
+            console.error('Employees error:', err);
+        }
+    };
+
+    // Fetch the signed-in employee's items and requests (self-service portal)
+    const fetchMyPortal = async () => {
+        try {
+            const [assetsRes, requestsRes, assetRequestsRes] = await Promise.all([
+                apiFetch('/me/assets'),
+                apiFetch('/me/requests'),
+                apiFetch('/me/asset-requests')
+            ]);
+            if (!assetsRes.ok || !requestsRes.ok || !assetRequestsRes.ok) throw new Error('Failed to fetch portal data');
+            setMyAssets(await assetsRes.json());
+            setMyRequests(await requestsRes.json());
+            setMyAssetRequests(await assetRequestsRes.json());
+        } catch (err) {
+            console.error('Portal error:', err);
+        }
+    };
+
+    // Fetch the IT request queue (all statuses, the requests screen filters them)
+    const fetchServiceRequests = async () => {
+        try {
+            const res = await apiFetch('/service-requests');
+            if (!res.ok) throw new Error('Failed to fetch requests');
+            const data = await res.json();
+            setServiceRequests(data);
+        } catch (err) {
+            console.error('Service requests error:', err);
+        }
+    };
+
+    // Fetch the asset requests inbox (all statuses, the inbox screen filters them)
+    const fetchAssetRequests = async () => {
+        try {
+            const res = await apiFetch('/asset-requests');
+            if (!res.ok) throw new Error('Failed to fetch asset requests');
+            const data = await res.json();
+            setAssetRequests(data);
+        } catch (err) {
+            console.error('Asset requests error:', err);
+        }
+    };
+
+    // Fetch the asset type catalog (single source of truth for type names)
+    const fetchTypeCatalog = async () => {
+        try {
+            const res = await apiFetch('/asset-types');
+            if (!res.ok) throw new Error('Failed to fetch types');
+            const data = await res.json();
+            setTypeCatalog(data);
+        } catch (err) {
+            console.error('Asset types error:', err);
+        }
+    };
+
+    // Fetch user accounts (admin only)
+    const fetchUsers = async () => {
+        try {
+            const res = await apiFetch('/users');
+            if (!res.ok) throw new Error('Failed to fetch users');
+            const data = await res.json();
+            setUsers(data);
+        } catch (err) {
+            console.error('Users error:', err);
+            showNotification('Failed to load users', 'error');
+        }
+    };
+
+    // Fetch audit trail using the current filters
+    const fetchAuditLog = async (filters = auditFilters) => {
+        setAuditLoading(true);
+        try {
+            const params = new URLSearchParams();
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params.append(key, value);
+            });
+            const res = await apiFetch(`/audit?${params.toString()}`);
+            if (!res.ok) throw new Error('Failed to fetch audit log');
+            const data = await res.json();
+            setAuditEntries(data);
+        } catch (err) {
+            console.error('Audit log error:', err);
+            showNotification('Failed to load audit log', 'error');
+        } finally {
+            setAuditLoading(false);
+        }
+    };
+
+    // Fetch open warranty/lease expiry alerts
+    const fetchExpiryAlerts = async () => {
+        try {
+            const res = await apiFetch('/alerts');
+            if (!res.ok) throw new Error('Failed to fetch alerts');
+            const data = await res.json();
+            setExpiryAlerts(data);
+        } catch (err) {
+            console.error('Alerts error:', err);
+        }
+    };
+
+    // Acknowledge an alert so it stops showing on the dashboard
+    const handleAcknowledgeAlert = async (alert) => {
+        try {
+            const res = await apiFetch(`/alerts/${alert.AlertId}/acknowledge`, { method: 'POST' });
+            const data = await res.json();
+
+            if (data.success) {
+                setExpiryAlerts(prev => prev.filter(a => a.AlertId !== alert.AlertId));
+            } else {
+                notifyError(data, 'Failed to acknowledge alert');
+            }
+        } catch {
+            showNotification('Network error', 'error');
+        }
+    };
+
+    // Download a CSV/XLSX export; params are the same filters the screen is showing
+    const handleExport = async (path, params, format, fallbackName) => {
+        const query = new URLSearchParams({ format });
+        Object.entries(params).forEach(([key, value]) => {
+            if (value) query.append(key, value);
+        });
+
+        try {
+            const res = await apiFetch(`${path}?${query.toString()}`);
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                notifyError(data, 'Export failed');
+                return;
+            }
+            await saveDownload(res, `${fallbackName}.${format}`);
+        } catch {
+            showNotification('Network error', 'error');
+        }
+    };
+
+    // Export dropdown: options are [{ label, path, params, filename }], each offered as CSV and Excel
+    const renderExportMenu = (options) => (
+        <details className="export-menu">
+            <summary className="btn-secondary btn-icon">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                    <polyline points="7 10 12 15 17 10"></polyline>
+                    <line x1="12" y1="15" x2="12" y2="3"></line>
+                </svg>
+                Export
+            </summary>
+            <div className="export-menu-list">
+                {options.flatMap(option => [['csv', 'CSV'], ['xlsx', 'Excel']].map(([format, formatLabel]) => (
+                    <button
+                        key={`${option.path}-${format}`}
+                        type="button"
+                        onClick={(e) => {
+                            e.currentTarget.closest('details').open = false;
+                            handleExport(option.path, option.params || {}, format, option.filename);
+                        }}
+                    >
+                        {option.label} ({formatLabel})
+                    </button>
+                )))}
+            </div>
+        </details>
+    );
+
+    // Fetch the fleet book value report
+    const fetchBookValueReport = async () => {
+        try {
+            const res = await apiFetch('/reports/book-value');
+            if (!res.ok) throw new Error('Failed to fetch book value report');
+            const data = await res.json();
+            setBookValueReport(data);
+        } catch (err) {
+            console.error('Book value report error:', err);
+            showNotification('Failed to load book value report', 'error');
+        }
+    };
+
+    // Initial data load, once signed in (staff console or self-service portal)
+    const authToken = auth?.token;
     useEffect(() => {
+        if (!authToken) return;
+        if (!canView) {
+            fetchMyPortal();
+            return;
+        }
         fetchDashboard();
-        fetchAllAssets();
         fetchActiveAssignments();
-    }, []);
+        fetchEmployees();
+        fetchServiceRequests();
+        fetchAssetRequests();
+        fetchTypeCatalog();
+        fetchExpiryAlerts();
+    }, [authToken, canView]);
+
+    // The dashboard table's current filters, sort and page
+    const assetQuery = useMemo(() => ({
+        page: assetPageNumber,
+        sort: assetSort.sort,
+        order: assetSort.order,
+        status: statusFilter,
+        type: filterType,
+        search: searchTerm
+    }), [assetPageNumber, assetSort, statusFilter, filterType, searchTerm]);
+
+    // Reload the dashboard table whenever its filters, sort or page change
+    useEffect(() => {
+        if (!authToken || !canView) return;
+        fetchAssetPage(assetQuery);
+    }, [authToken, canView, assetQuery]);
+
+    // Sort the dashboard table by a column; clicking the active column flips the direction
+    const handleSortAssets = (sort) => {
+        setAssetSort(prev => ({
+            sort,
+            order: prev.sort === sort && prev.order === 'asc' ? 'desc' : 'asc'
+        }));
+        setAssetPageNumber(1);
+    };
 
     // Refresh all data with loading indicator
     const [isRefreshing, setIsRefreshing] = useState(false);
 
+    const loadAllData = () => Promise.all([
+        fetchDashboard(),
+        fetchAssetPage(assetQuery),
+        fetchActiveAssignments(),
+        fetchEmployees(),
+        fetchServiceRequests(),
+        fetchAssetRequests(),
+        fetchTypeCatalog(),
+        fetchExpiryAlerts()
+    ]);
+
     const refreshData = async () => {
         setIsRefreshing(true);
         try {
-            await Promise.all([
-                fetchDashboard(),
-                fetchAllAssets(),
-                fetchActiveAssignments()
-            ]);
+            await loadAllData();
             showNotification('Data refreshed successfully');
         } catch (err) {
             showNotification('Failed to refresh', 'error');
@@ -145,6 +738,14 @@ export default function AssetTrackingApp() {
         }
     };
 
+    // Show a failed API response; codes meaning the screen is out of date also reload the data quietly
+    const notifyError = (data, fallback) => {
+        showNotification(getErrorMessage(data, fallback), 'error');
+        if (canView && ERROR_NOTIFICATIONS[data.code]?.refresh) {
+            loadAllData().catch(() => {});
+        }
+    };
+
     // Handle return asset
     const handleReturn = (assignmentId, assetName) => {
         setConfirmModal({
@@ -155,13 +756,13 @@ export default function AssetTrackingApp() {
             onConfirm: async () => {
                 setConfirmModal({ ...confirmModal, show: false });
                 try {
-                    const res = await fetch(`${API_BASE}/assignments/${assignmentId}/return`, { method: 'POST' });
+                    const res = await apiFetch(`/assignments/${assignmentId}/return`, { method: 'POST' });
                     const data = await res.json();
                     if (data.success) {
                         showNotification('Asset returned successfully');
                         refreshData();
                     } else {
-                        showNotification(data.message || 'Failed to return asset', 'error');
+                        notifyError(data, 'Failed to return asset');
                     }
                 } catch (err) {
                     showNotification('Network error', 'error');
@@ -170,44 +771,41 @@ export default function AssetTrackingApp() {
         });
     };
 
-    // Handle delete asset
-    const handleDeleteAsset = (asset) => {
-        const isAssigned = assignmentMap.has(asset.AssetId);
-
-        if (isAssigned) {
-            showNotification('Cannot delete asset while it is assigned. Return it first.', 'error');
+    // Handle archive asset (opens the archive modal)
+    const handleArchiveAsset = (asset) => {
+        if (asset.Status === 'Assigned') {
+            showNotification('Cannot archive asset while it is assigned. Return it first.', 'error');
             return;
         }
 
+        setArchiveAssetModal(asset);
+    };
+
+    // Handle restore archived asset
+    const handleRestoreAsset = (asset) => {
         setConfirmModal({
             show: true,
-            title: 'Delete Asset',
-            message: `Are you sure you want to delete "${asset.AssetName}"? This action cannot be undone and will also delete all assignment history for this asset.`,
-            confirmText: 'Yes, Delete Asset',
+            title: 'Restore Asset',
+            message: `Restore "${asset.AssetName}" to the active inventory? It will become available for assignment again.`,
+            confirmText: 'Yes, Restore Asset',
             onConfirm: async () => {
                 setConfirmModal({ ...confirmModal, show: false });
                 try {
-                    const res = await fetch(`${API_BASE}/assets/${asset.AssetId}`, { method: 'DELETE' });
+                    const res = await apiFetch(`/assets/${asset.AssetId}/restore`, { method: 'POST' });
                     const data = await res.json();
                     if (data.success) {
-                        showNotification('Asset deleted successfully');
+                        showNotification('Asset restored successfully');
                         refreshData();
                     } else {
-                        showNotification(data.message || 'Failed to delete asset', 'error');
+                        notifyError(data, 'Failed to restore asset');
                     }
-                } catch (err) {
+                } catch {
                     showNotification('Network error', 'error');
                 }
             }
         });
     };
 
-    // Get asset status
-    const getAssetStatus = (assetId) => {
-        const assignment = activeAssignments.find(a => a.AssetId === assetId);
-        return assignment ? 'Active' : 'Available';
-    };
-
     // Create a map of asset assignments for fast lookup
     const assignmentMap = useMemo(() => {
         const map = new Map();
@@ -235,81 +833,334 @@ export default function AssetTrackingApp() {
         };
     }, [assignmentMap]);
 
-    // Filter assets - search by name, serial, type, and assigned employee
-    const filteredAssets = useMemo(() => {
-        const search = searchTerm.toLowerCase().trim();
+    // Asset types for the filter, from the catalog - memoized
+    const assetTypes = useMemo(() =>
+        ['All', ...typeCatalog.map(t => t.Name)],
+        [typeCatalog]
+    );
 
-        return allAssets.filter(asset => {
-            // Filter by status (from stat card click)
-            const isAssigned = assignmentMap.has(asset.AssetId);
-            if (statusFilter === 'active' && !isAssigned) return false;
-            if (statusFilter === 'available' && isAssigned) return false;
+    // Type names offered in the add/edit asset forms
+    const typeNames = useMemo(() => typeCatalog.map(t => t.Name), [typeCatalog]);
 
-            if (filterType !== 'All' && asset.AssetType !== filterType) {
-                return false;
-            }
+    // Custom fields the catalog defines for a type
+    const getTypeFields = (typeName) =>
+        typeCatalog.find(t => t.Name === typeName)?.FieldSchema || [];
 
-            if (!search) return true;
+    // Preview of the next tag for a type, from its catalog template and code
+    const getTagPreview = (typeName, location) => {
+        const type = typeCatalog.find(t => t.Name === typeName);
+        return previewAssetTag(type?.TagTemplate, type?.TypeCode || deriveTypeCode(typeName), location);
+    };
 
-            // Check asset fields
-            if (asset.AssetName.toLowerCase().includes(search)) return true;
-            if (asset.SerialNumber?.toLowerCase().includes(search)) return true;
-            if (asset.AssetType.toLowerCase().includes(search)) return true;
+    // Form inputs for the manufacturer serial and location (shared by the add and edit asset forms)
+    const renderIdentityInputs = (values, onChange, disabled) => (
+        <div className="form-grid">
+            <div className="form-group">
+                <label>Manufacturer Serial</label>
+                <input
+                    type="text"
+                    placeholder="e.g., C02XK1JHJG5J"
+                    value={values.manufacturerSerial}
+                    onChange={e => onChange('manufacturerSerial', e.target.value)}
+                    disabled={disabled}
+                />
+            </div>
+            <div className="form-group">
+                <label>Location</label>
+                <input
+                    type="text"
+                    placeholder="e.g., Berlin HQ"
+                    value={values.location}
+                    onChange={e => onChange('location', e.target.value)}
+                    disabled={disabled}
+                />
+            </div>
+        </div>
+    );
 
-            // Check assigned employee
-            const assignment = assignmentMap.get(asset.AssetId);
-            if (assignment) {
-                const empName = (assignment.EmployeeName || assignment.FullName || '').toLowerCase();
-                if (empName.includes(search)) return true;
-            }
+    // Form inputs for purchase and warranty details (shared by the add and edit asset forms)
+    const renderPurchaseInputs = (values, onChange, disabled) => (
+        <div className="purchase-section">
+            <h3 className="form-section-title">Purchase, Warranty & Lease</h3>
+            <div className="form-grid">
+                <div className="form-group">
+                    <label>Vendor</label>
+                    <input type="text" value={values.vendor} onChange={e => onChange('vendor', e.target.value)} disabled={disabled} />
+                </div>
+                <div className="form-group">
+                    <label>Invoice Number</label>
+                    <input type="text" value={values.invoiceNumber} onChange={e => onChange('invoiceNumber', e.target.value)} disabled={disabled} />
+                </div>
+                <div className="form-group">
+                    <label>Purchase Date</label>
+                    <input type="date" value={values.purchaseDate} onChange={e => onChange('purchaseDate', e.target.value)} disabled={disabled} />
+                </div>
+                <div className="form-group">
+                    <label>Purchase Cost</label>
+                    <input type="number" min="0" step="0.01" value={values.purchaseCost} onChange={e => onChange('purchaseCost', e.target.value)} disabled={disabled} />
+                </div>
+                <div className="form-group">
+                    <label>Warranty Expires</label>
+                    <input type="date" value={values.warrantyExpiresAt} onChange={e => onChange('warrantyExpiresAt', e.target.value)} disabled={disabled} />
+                </div>
+                <div className="form-group">
+                    <label>Lease Ends</label>
+                    <input type="date" value={values.leaseEndsAt} onChange={e => onChange('leaseEndsAt', e.target.value)} disabled={disabled} />
+                </div>
+            </div>
+        </div>
+    );
+
+    // Form inputs for a type's custom fields (shared by the add and edit asset forms)
+    const renderCustomFieldInputs = (fields, values, onChange, disabled) => fields.map(field => (
+        <div className="form-group" key={field.key}>
+            <label>{field.label}{field.required ? ' *' : ''}</label>
+            {field.type === 'enum' ? (
+                <select
+                    value={values[field.key] ?? ''}
+                    onChange={e => onChange(field.key, e.target.value)}
+                    disabled={disabled}
+                >
+                    <option value="">Select...</option>
+                    {field.options.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                    ))}
+                </select>
+            ) : (
+                <input
+                    type={field.type === 'text' ? 'text' : field.type}
+                    value={values[field.key] ?? ''}
+                    onChange={e => onChange(field.key, e.target.value)}
+                    disabled={disabled}
+                />
+            )}
+        </div>
+    ));
+
+    // Make sure a typed type name is in the catalog; admins add new ones on the fly
+    const ensureAssetType = async (name) => {
+        if (typeNames.includes(name)) return true;
+
+        if (!isAdmin) {
+            showNotification(`"${name}" is not a known asset type. Ask an admin to add it.`, 'error');
+            return false;
+        }
 
+        try {
+            const res = await apiFetch('/asset-types', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            const data = await res.json();
+            if (!data.success) {
+                notifyError(data, 'Failed to add type');
+                return false;
+            }
+            fetchTypeCatalog();
+            return true;
+        } catch {
+            showNotification('Network error', 'error');
             return false;
+        }
+    };
+
+    // Group active assignments by employee (assets each person currently holds)
+    const assignmentsByEmployee = useMemo(() => {
+        const map = new Map();
+        activeAssignments.forEach(a => {
+            if (!map.has(a.EmployeeId)) map.set(a.EmployeeId, []);
+            map.get(a.EmployeeId).push(a);
         });
-    }, [allAssets, searchTerm, filterType, statusFilter, assignmentMap]);
+        return map;
+    }, [activeAssignments]);
 
-    // Get unique asset types for filter - memoized
-    const assetTypes = useMemo(() =>
-        ['All', ...new Set(allAssets.map(a => a.AssetType).filter(Boolean))],
-        [allAssets]
-    );
+    // Filter employees - search by name, email and position
+    const filteredEmployees = useMemo(() => {
+        const search = employeeSearch.toLowerCase().trim();
 
-    // Get icon based on asset type - auto-generated icons
-    const getAssetIcon = (assetType) => {
-        const type = (assetType || '').toLowerCase();
+        return employees.filter(emp => {
+            if (employeeStatusFilter === 'active' && !emp.IsActive) return false;
+            if (employeeStatusFilter === 'inactive' && emp.IsActive) return false;
 
-        if (type.includes('laptop') || type.includes('macbook') || type.includes('notebook')) {
-            return (
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
-                    <line x1="2" y1="20" x2="22" y2="20"></line>
-                </svg>
-            );
-        }
-        if (type.includes('phone') || type.includes('mobile') || type.includes('iphone') || type.includes('android')) {
-            return (
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <rect x="5" y="2" width="14" height="20" rx="2" ry="2"></rect>
-                    <line x1="12" y1="18" x2="12.01" y2="18"></line>
-                </svg>
-            );
-        }
-        if (type.includes('monitor') || type.includes('display') || type.includes('screen')) {
-            return (
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
-                    <line x1="8" y1="21" x2="16" y2="21"></line>
-                    <line x1="12" y1="17" x2="12" y2="21"></line>
-                </svg>
-            );
+            if (!search) return true;
+
+            return emp.FullName.toLowerCase().includes(search) ||
+                emp.Email.toLowerCase().includes(search) ||
+                (emp.Position || '').toLowerCase().includes(search);
+        });
+    }, [employees, employeeSearch, employeeStatusFilter]);
+
+    const selectedEmployee = employees.find(e => e.EmployeeId === selectedEmployeeId) || null;
+
+    // Load full assignment history for one employee
+    const loadEmployeeHistory = async (employeeId) => {
+        setEmployeeHistoryLoading(true);
+        try {
+            const res = await apiFetch(`/employees/${employeeId}/history`);
+            if (!res.ok) throw new Error('Failed to fetch employee history');
+            const data = await res.json();
+            setEmployeeHistory(data);
+        } catch (err) {
+            console.error('Employee history error:', err);
+            showNotification('Failed to load employee history', 'error');
+        } finally {
+            setEmployeeHistoryLoading(false);
         }
-        if (type.includes('keyboard')) {
-            return (
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <rect x="2" y="4" width="20" height="16" rx="2" ry="2"></rect>
-                    <line x1="6" y1="8" x2="6" y2="8"></line>
-                    <line x1="10" y1="8" x2="10" y2="8"></line>
-                    <line x1="14" y1="8" x2="14" y2="8"></line>
-                    <line x1="18" y1="8" x2="18" y2="8"></line>
+    };
+
+    // Open the details panel for an employee
+    const openEmployeeDetails = (employeeId) => {
+        setSelectedEmployeeId(employeeId);
+        setEmployeeHistory([]);
+        loadEmployeeHistory(employeeId);
+    };
+
+    // Handle offboarding - returns every held asset and deactivates the employee
+    const handleOffboardEmployee = (employee) => {
+        const heldCount = (assignmentsByEmployee.get(employee.EmployeeId) || []).length;
+
+        setConfirmModal({
+            show: true,
+            title: 'Offboard Employee',
+            message: heldCount > 0
+                ? `"${employee.FullName}" still holds ${heldCount} asset(s). Offboarding will return all of them and deactivate the employee.`
+                : `Are you sure you want to deactivate "${employee.FullName}"? They will no longer be able to receive assets.`,
+            confirmText: 'Yes, Offboard',
+            onConfirm: async () => {
+                setConfirmModal({ ...confirmModal, show: false });
+                try {
+                    const res = await apiFetch(`/employees/${employee.EmployeeId}/offboard`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ returnAssets: true })
+                    });
+                    const data = await res.json();
+                    if (data.success) {
+                        showNotification(data.message);
+                        refreshData();
+                        loadEmployeeHistory(employee.EmployeeId);
+                    } else {
+                        notifyError(data, 'Failed to offboard employee');
+                    }
+                } catch {
+                    showNotification('Network error', 'error');
+                }
+            }
+        });
+    };
+
+    // Handle reactivating a deactivated employee
+    const handleReactivateEmployee = async (employee) => {
+        try {
+            const res = await apiFetch(`/employees/${employee.EmployeeId}/reactivate`, { method: 'POST' });
+            const data = await res.json();
+            if (data.success) {
+                showNotification(`${employee.FullName} reactivated`);
+                fetchEmployees();
+            } else {
+                notifyError(data, 'Failed to reactivate employee');
+            }
+        } catch {
+            showNotification('Network error', 'error');
+        }
+    };
+
+    // Handle creating a one-time self-service link for an employee
+    const handleCreatePortalLink = async (employee) => {
+        try {
+            const res = await apiFetch(`/employees/${employee.EmployeeId}/portal-link`, { method: 'POST' });
+            const data = await res.json();
+            if (data.success) {
+                setPortalLinkModal({ employeeName: employee.FullName, ...data.data });
+            } else {
+                notifyError(data, 'Failed to create link');
+            }
+        } catch {
+            showNotification('Network error', 'error');
+        }
+    };
+
+    // Open the new asset request form (staff on behalf of someone, or an employee for themselves)
+    const openNewAssetRequest = () => {
+        fetchTypeCatalog();
+        setNewAssetRequestModal(true);
+    };
+
+    // Handle an employee confirming they received an item
+    const handleConfirmReceipt = async (assignment) => {
+        try {
+            const res = await apiFetch(`/me/assignments/${assignment.AssignmentId}/confirm`, { method: 'POST' });
+            const data = await res.json();
+            if (data.success) {
+                showNotification(`Receipt of "${assignment.AssetName}" confirmed`);
+                fetchMyPortal();
+            } else {
+                notifyError(data, 'Failed to confirm receipt');
+            }
+        } catch {
+            showNotification('Network error', 'error');
+        }
+    };
+
+    // Pending self-service requests, shown as a badge on the dashboard
+    const openServiceRequestCount = useMemo(
+        () => serviceRequests.filter(r => r.Status === 'Open').length,
+        [serviceRequests]
+    );
+
+    const pendingAssetRequestCount = useMemo(
+        () => assetRequests.filter(r => r.Status === 'Pending').length,
+        [assetRequests]
+    );
+
+    const filteredAssetRequests = useMemo(
+        () => assetRequests.filter(r => !assetRequestFilter || r.Status === assetRequestFilter),
+        [assetRequests, assetRequestFilter]
+    );
+
+    const filteredServiceRequests = useMemo(
+        () => serviceRequests.filter(r => !serviceRequestFilter || r.Status === serviceRequestFilter),
+        [serviceRequests, serviceRequestFilter]
+    );
+
+    // Get icon based on asset type - auto-generated icons
+    const getAssetIcon = (assetType) => {
+        const type = (assetType || '').toLowerCase();
+
+        if (type.includes('laptop') || type.includes('macbook') || type.includes('notebook')) {
+            return (
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
+                    <line x1="2" y1="20" x2="22" y2="20"></line>
+                </svg>
+            );
+        }
+        if (type.includes('phone') || type.includes('mobile') || type.includes('iphone') || type.includes('android')) {
+            return (
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="5" y="2" width="14" height="20" rx="2" ry="2"></rect>
+                    <line x1="12" y1="18" x2="12.01" y2="18"></line>
+                </svg>
+            );
+        }
+        if (type.includes('monitor') || type.includes('display') || type.includes('screen')) {
+            return (
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
+                    <line x1="8" y1="21" x2="16" y2="21"></line>
+                    <line x1="12" y1="17" x2="12" y2="21"></line>
+                </svg>
+            );
+        }
+        if (type.includes('keyboard')) {
+            return (
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="2" y="4" width="20" height="16" rx="2" ry="2"></rect>
+                    <line x1="6" y1="8" x2="6" y2="8"></line>
+                    <line x1="10" y1="8" x2="10" y2="8"></line>
+                    <line x1="14" y1="8" x2="14" y2="8"></line>
+                    <line x1="18" y1="8" x2="18" y2="8"></line>
                     <line x1="6" y1="12" x2="18" y2="12"></line>
                     <line x1="6" y1="16" x2="18" y2="16"></line>
                 </svg>
@@ -375,25 +1226,17 @@ export default function AssetTrackingApp() {
     // ==========================================
     // ADD ASSET MODAL COMPONENT
     // ==========================================
-    // Get serial prefix from asset type (first 2 letters uppercase)
-    const getSerialPrefix = (type) => {
-        if (!type) return 'XX';
-        return type.replace(/[^a-zA-Z]/g, '').substring(0, 2).toUpperCase().padEnd(2, 'X');
-    };
-
     const AddAssetModal = () => {
-        const [formData, setFormData] = useState({ assetName: '', assetType: '' });
+        const [formData, setFormData] = useState({ assetName: '', assetType: '', customFields: {} });
+        const [purchase, setPurchase] = useState(getPurchaseFormData(null));
+        const [identity, setIdentity] = useState(getIdentityFormData(null));
         const [isSubmitting, setIsSubmitting] = useState(false);
         const [typeDropdownOpen, setTypeDropdownOpen] = useState(false);
         const [typeSearch, setTypeSearch] = useState('');
         const typeInputRef = useRef(null);
 
-        // Default types + types from database + custom types from localStorage
-        const defaultTypes = ['Laptop', 'Mobile', 'Monitor', 'Keyboard', 'Mouse', 'Headset', 'Tablet', 'Camera', 'Printer', 'Other'];
-        const dbTypes = allAssets.map(a => a.AssetType).filter(Boolean);
-        const baseTypes = [...new Set([...defaultTypes, ...dbTypes])];
-        const config = getCustomTypesConfig();
-        const assetTypeOptions = applyCustomTypesConfig(baseTypes, config);
+        // Types come from the shared catalog
+        const assetTypeOptions = typeNames;
 
         // Filter options based on search
         const filteredTypeOptions = assetTypeOptions.filter(type =>
@@ -439,24 +1282,34 @@ export default function AssetTrackingApp() {
             }
 
             setIsSubmitting(true);
+            if (!(await ensureAssetType(formData.assetType.trim()))) {
+                setIsSubmitting(false);
+                return;
+            }
+
             try {
-                const res = await fetch(`${API_BASE}/assets`, {
+                const res = await apiFetch(`/assets`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
                         assetName: formData.assetName,
-                        assetType: formData.assetType
+                        assetType: formData.assetType.trim(),
+                        customFields: formData.customFields,
+                        ...identity,
+                        ...purchase
                     })
                 });
                 const data = await res.json();
 
                 if (data.success) {
-                    showNotification(`Asset added! Serial: ${data.data.SerialNumber}`);
+                    showNotification(`Asset added! Tag: ${data.data.SerialNumber}`);
                     setAddAssetModal(false);
-                    setFormData({ assetName: '', assetType: '' });
+                    setFormData({ assetName: '', assetType: '', customFields: {} });
+                    setIdentity(getIdentityFormData(null));
+                    setPurchase(getPurchaseFormData(null));
                     refreshData();
                 } else {
-                    showNotification(data.message || 'Failed to add asset', 'error');
+                    notifyError(data, 'Failed to add asset');
                 }
             } catch (err) {
                 showNotification('Network error', 'error');
@@ -467,8 +1320,9 @@ export default function AssetTrackingApp() {
 
         if (!addAssetModal) return null;
 
-        const year = new Date().getFullYear();
-        const previewPrefix = getSerialPrefix(formData.assetType);
+        const typeFields = getTypeFields(formData.assetType);
+        const setCustomField = (key, value) =>
+            setFormData({ ...formData, customFields: { ...formData.customFields, [key]: value } });
 
         return (
             <div className="modal-overlay" onClick={() => setAddAssetModal(false)}>
@@ -528,16 +1382,16 @@ export default function AssetTrackingApp() {
                                                     className="dropdown-item custom-type"
                                                     onMouseDown={(e) => handleItemMouseDown(e, typeSearch)}
                                                 >
-                                                    <span>Use custom type: </span>
+                                                    <span>{isAdmin ? 'Add new type: ' : 'Not in catalog: '}</span>
                                                     <strong>{typeSearch}</strong>
                                                 </div>
                                             )}
-                                            {typeSearch && !assetTypeOptions.includes(typeSearch) && filteredTypeOptions.length > 0 && (
+                                            {isAdmin && typeSearch && !assetTypeOptions.includes(typeSearch) && filteredTypeOptions.length > 0 && (
                                                 <div
                                                     className="dropdown-item custom-type"
                                                     onMouseDown={(e) => handleItemMouseDown(e, typeSearch)}
                                                 >
-                                                    <span>+ Add as custom: </span>
+                                                    <span>+ Add as new type: </span>
                                                     <strong>{typeSearch}</strong>
                                                 </div>
                                             )}
@@ -545,11 +1399,17 @@ export default function AssetTrackingApp() {
                                     )}
                                 </div>
                                 <span className="form-hint">
-                                    Select from list or type a custom type
+                                    {isAdmin ? 'Select from list or type a new type to add it to the catalog' : 'Select a type from the catalog'}
                                 </span>
                             </div>
 
-                            {/* Serial Number Preview */}
+                            {renderIdentityInputs(identity, (key, value) => setIdentity({ ...identity, [key]: value }), isSubmitting)}
+
+                            {renderCustomFieldInputs(typeFields, formData.customFields, setCustomField, isSubmitting)}
+
+                            {renderPurchaseInputs(purchase, (key, value) => setPurchase({ ...purchase, [key]: value }), isSubmitting)}
+
+                            {/* Asset Tag Preview */}
                             <div className="serial-preview">
                                 <div className="serial-preview-icon">
                                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -559,10 +1419,10 @@ export default function AssetTrackingApp() {
                                     </svg>
                                 </div>
                                 <div className="serial-preview-text">
-                                    <span className="serial-preview-label">Serial Number (Auto-generated)</span>
+                                    <span className="serial-preview-label">Asset Tag (Auto-generated)</span>
                                     <span className="serial-preview-value">
                                         {formData.assetType
-                                            ? `${previewPrefix}-${year}-XXX`
+                                            ? getTagPreview(formData.assetType.trim(), identity.location)
                                             : 'Enter asset type to preview'
                                         }
                                     </span>
@@ -594,19 +1454,14 @@ export default function AssetTrackingApp() {
         const [newType, setNewType] = useState('');
         const [isSubmitting, setIsSubmitting] = useState(false);
 
-        // Save custom types config to localStorage
-        const saveCustomTypesConfig = (config) => {
-            localStorage.setItem(CUSTOM_TYPES_KEY, JSON.stringify(config));
-        };
-
-        // Fetch types from API and apply local customizations
+        // Fetch the catalog with per-type usage counts
         const fetchTypes = async () => {
             try {
-                const res = await fetch(`${API_BASE}/asset-types`);
-                const apiTypes = await res.json();
-                const config = getCustomTypesConfig();
-                const finalTypes = applyCustomTypesConfig(apiTypes, config);
-                setTypesList(finalTypes);
+                const res = await apiFetch(`/asset-types`);
+                if (!res.ok) throw new Error('Failed to fetch types');
+                const data = await res.json();
+                setTypesList(data);
+                setTypeCatalog(data);
             } catch (err) {
                 console.error('Failed to fetch types:', err);
             } finally {
@@ -622,13 +1477,18 @@ export default function AssetTrackingApp() {
         }, [manageTypesModal]);
 
         // Get count of assets using each type
-        const getTypeCount = (type) => {
-            return allAssets.filter(a => a.AssetType === type).length;
+        const getTypeCount = (type) => type.AssetCount;
+
+        // Types referenced by assets or asset requests cannot be deleted
+        const getDeleteBlocker = (type) => {
+            if (type.AssetCount > 0) return `${type.AssetCount} asset(s) are using it`;
+            if (type.RequestCount > 0) return `${type.RequestCount} asset request(s) reference it`;
+            return null;
         };
 
         // Handle rename
-        const handleRename = async (oldType) => {
-            if (!editValue.trim() || editValue.trim() === oldType) {
+        const handleRename = async (type) => {
+            if (!editValue.trim() || editValue.trim() === type.Name) {
                 setEditingType(null);
                 setEditValue('');
                 return;
@@ -637,58 +1497,32 @@ export default function AssetTrackingApp() {
             const newTypeName = editValue.trim();
 
             // Check if new type already exists (case-insensitive)
-            if (typesList.some(t => t.toLowerCase() === newTypeName.toLowerCase() && t !== oldType)) {
+            if (typesList.some(t => t.Name.toLowerCase() === newTypeName.toLowerCase() && t.AssetTypeId !== type.AssetTypeId)) {
                 showNotification(`Type "${newTypeName}" already exists`, 'error');
-                setEditValue(oldType);
+                setEditValue(type.Name);
                 return;
             }
 
-            const assetCount = getTypeCount(oldType);
-
-            // If type has assets, update via API
-            if (assetCount > 0) {
-                setIsSubmitting(true);
-                try {
-                    const res = await fetch(`${API_BASE}/asset-types/rename`, {
-                        method: 'PUT',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ oldType, newType: newTypeName })
-                    });
-                    const data = await res.json();
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/asset-types/${type.AssetTypeId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name: newTypeName })
+                });
+                const data = await res.json();
 
-                    if (data.success) {
-                        showNotification(data.message);
-                        await fetchTypes();
-                        refreshData();
-                    } else {
-                        showNotification(data.message, 'error');
-                    }
-                } catch (err) {
-                    showNotification('Failed to rename type', 'error');
-                } finally {
-                    setIsSubmitting(false);
-                    setEditingType(null);
-                    setEditValue('');
-                }
-            } else {
-                // If type has no assets, save rename to localStorage
-                const config = getCustomTypesConfig();
-
-                // Track the rename (handle chained renames)
-                const originalName = Object.keys(config.renamed).find(k => config.renamed[k] === oldType) || oldType;
-                if (config.added.includes(oldType)) {
-                    // If it was a custom added type, update the added list
-                    config.added = config.added.map(t => t === oldType ? newTypeName : t);
+                if (data.success) {
+                    showNotification(data.message);
+                    await fetchTypes();
+                    if (type.AssetCount > 0) refreshData();
                 } else {
-                    // Track rename of default type
-                    config.renamed[originalName] = newTypeName;
+                    notifyError(data, 'Failed to rename type');
                 }
-                saveCustomTypesConfig(config);
-
-                setTypesList(prev =>
-                    prev.map(t => t === oldType ? newTypeName : t).sort()
-                );
-                showNotification(`Type "${oldType}" renamed to "${newTypeName}"`);
+            } catch {
+                showNotification('Failed to rename type', 'error');
+            } finally {
+                setIsSubmitting(false);
                 setEditingType(null);
                 setEditValue('');
             }
@@ -696,70 +1530,70 @@ export default function AssetTrackingApp() {
 
         // Handle delete
         const handleDelete = (type) => {
-            const count = getTypeCount(type);
-            if (count > 0) {
-                showNotification(`Cannot delete "${type}". ${count} asset(s) are using it.`, 'error');
+            const blocker = getDeleteBlocker(type);
+            if (blocker) {
+                showNotification(`Cannot delete "${type.Name}". ${blocker}.`, 'error');
                 return;
             }
 
             setConfirmModal({
                 show: true,
                 title: 'Delete Type',
-                message: `Are you sure you want to remove "${type}" from the list?`,
+                message: `Are you sure you want to remove "${type.Name}" from the catalog?`,
                 confirmText: 'Delete',
                 onConfirm: async () => {
                     setConfirmModal({ ...confirmModal, show: false });
+                    try {
+                        const res = await apiFetch(`/asset-types/${type.AssetTypeId}`, { method: 'DELETE' });
+                        const data = await res.json();
 
-                    // Save deletion to localStorage
-                    const config = getCustomTypesConfig();
-
-                    if (config.added.includes(type)) {
-                        // If it was a custom added type, just remove from added list
-                        config.added = config.added.filter(t => t !== type);
-                    } else {
-                        // If it's a default or renamed type, add to removed list
-                        const originalName = Object.keys(config.renamed).find(k => config.renamed[k] === type);
-                        if (originalName) {
-                            // Remove the rename entry and add original to removed
-                            delete config.renamed[originalName];
-                            config.removed.push(originalName);
+                        if (data.success) {
+                            showNotification(data.message);
+                            await fetchTypes();
                         } else {
-                            config.removed.push(type);
+                            notifyError(data, 'Failed to delete type');
+                            // Assets or requests took the type meanwhile: show the current counts
+                            if (data.code === 'TYPE_IN_USE') await fetchTypes();
                         }
+                    } catch {
+                        showNotification('Failed to delete type', 'error');
                     }
-                    saveCustomTypesConfig(config);
-
-                    setTypesList(prev => prev.filter(t => t !== type));
-                    showNotification(`Type "${type}" removed`);
                 }
             });
         };
 
         // Handle add new type
-        const handleAddType = () => {
+        const handleAddType = async () => {
             if (!newType.trim()) return;
 
             const typeName = newType.trim();
 
-            if (typesList.some(t => t.toLowerCase() === typeName.toLowerCase())) {
+            if (typesList.some(t => t.Name.toLowerCase() === typeName.toLowerCase())) {
                 showNotification(`Type "${typeName}" already exists`, 'error');
                 return;
             }
 
-            // Save to localStorage
-            const config = getCustomTypesConfig();
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/asset-types`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name: typeName })
+                });
+                const data = await res.json();
 
-            // Check if this was a previously removed default type
-            if (config.removed.includes(typeName)) {
-                config.removed = config.removed.filter(t => t !== typeName);
-            } else {
-                config.added.push(typeName);
+                if (data.success) {
+                    showNotification(data.message);
+                    setNewType('');
+                    await fetchTypes();
+                } else {
+                    notifyError(data, 'Failed to add type');
+                }
+            } catch {
+                showNotification('Failed to add type', 'error');
+            } finally {
+                setIsSubmitting(false);
             }
-            saveCustomTypesConfig(config);
-
-            setTypesList(prev => [...prev, typeName].sort());
-            showNotification(`Type "${typeName}" added`);
-            setNewType('');
         };
 
         if (!manageTypesModal) return null; const totalAssets = typesList.reduce((sum, type) => sum + getTypeCount(type), 0);
@@ -798,7 +1632,7 @@ export default function AssetTrackingApp() {
                                 <button
                                     className="btn-primary btn-sm"
                                     onClick={handleAddType}
-                                    disabled={!newType.trim()}
+                                    disabled={!newType.trim() || isSubmitting}
                                 >
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
                                         <path d="M12 5v14M5 12h14"></path>
@@ -838,9 +1672,9 @@ export default function AssetTrackingApp() {
                                 </div>
                             ) : (
                                 typesList.map((type, index) => (
-                                    <div key={type} className={`type-row ${editingType === type ? 'editing' : ''}`}>
+                                    <div key={type.AssetTypeId} className={`type-row ${editingType === type.AssetTypeId ? 'editing' : ''}`}>
                                         <span className="type-index">{index + 1}</span>
-                                        {editingType === type ? (
+                                        {editingType === type.AssetTypeId ? (
                                             <input
                                                 type="text"
                                                 value={editValue}
@@ -856,15 +1690,15 @@ export default function AssetTrackingApp() {
                                             />
                                         ) : (
                                             <span className="type-name" onDoubleClick={() => {
-                                                setEditingType(type);
-                                                setEditValue(type);
-                                            }}>{type}</span>
+                                                setEditingType(type.AssetTypeId);
+                                                setEditValue(type.Name);
+                                            }}>{type.Name}</span>
                                         )}
                                         <span className={`type-count ${getTypeCount(type) === 0 ? 'zero' : ''}`}>
                                             {getTypeCount(type)}
                                         </span>
                                         <div className="type-actions">
-                                            {editingType === type ? (
+                                            {editingType === type.AssetTypeId ? (
                                                 <>
                                                     <button
                                                         className="btn-icon-sm btn-success"
@@ -892,8 +1726,8 @@ export default function AssetTrackingApp() {
                                                     <button
                                                         className="btn-icon-sm"
                                                         onClick={() => {
-                                                            setEditingType(type);
-                                                            setEditValue(type);
+                                                            setEditingType(type.AssetTypeId);
+                                                            setEditValue(type.Name);
                                                         }}
                                                         title="Rename (or double-click)"
                                                         disabled={isSubmitting}
@@ -903,11 +1737,26 @@ export default function AssetTrackingApp() {
                                                             <path d="m18.5 2.5 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                                                         </svg>
                                                     </button>
+                                                    <button
+                                                        className="btn-icon-sm"
+                                                        onClick={() => setTypeFieldsModal(type)}
+                                                        title={`Custom fields (${type.FieldSchema.length}) and depreciation`}
+                                                        disabled={isSubmitting}
+                                                    >
+                                                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                            <line x1="8" y1="6" x2="21" y2="6"></line>
+                                                            <line x1="8" y1="12" x2="21" y2="12"></line>
+                                                            <line x1="8" y1="18" x2="21" y2="18"></line>
+                                                            <line x1="3" y1="6" x2="3.01" y2="6"></line>
+                                                            <line x1="3" y1="12" x2="3.01" y2="12"></line>
+                                                            <line x1="3" y1="18" x2="3.01" y2="18"></line>
+                                                        </svg>
+                                                    </button>
                                                     <button
                                                         className="btn-icon-sm btn-danger"
                                                         onClick={() => handleDelete(type)}
-                                                        title={getTypeCount(type) > 0 ? `Cannot delete - ${getTypeCount(type)} asset(s) using this type` : 'Delete type'}
-                                                        disabled={getTypeCount(type) > 0 || isSubmitting}
+                                                        title={getDeleteBlocker(type) ? `Cannot delete - ${getDeleteBlocker(type)}` : 'Delete type'}
+                                                        disabled={!!getDeleteBlocker(type) || isSubmitting}
                                                     >
                                                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                                             <polyline points="3 6 5 6 21 6"></polyline>
@@ -928,7 +1777,7 @@ export default function AssetTrackingApp() {
                                 <circle cx="12" cy="12" r="10"></circle>
                                 <path d="M12 16v-4M12 8h.01"></path>
                             </svg>
-                            Double-click a type name to rename
+                            Double-click a type name to rename, use the list icon for custom fields and depreciation
                         </p>
                         <button className="btn-secondary" onClick={() => setManageTypesModal(false)}>
                             Done
@@ -940,99 +1789,82 @@ export default function AssetTrackingApp() {
     };
 
     // ==========================================
-    // EDIT ASSET MODAL
+    // TYPE FIELDS MODAL (custom fields per asset type)
     // ==========================================
-    const EditAssetModal = () => {
-        const [formData, setFormData] = useState({
-            assetName: editAssetModal?.AssetName || '',
-            assetType: editAssetModal?.AssetType || ''
+    const TypeFieldsModal = () => {
+        // Enum options are edited as comma-separated text
+        const [fields, setFields] = useState(() => (typeFieldsModal?.FieldSchema || []).map(field => ({
+            ...field,
+            optionsText: (field.options || []).join(', ')
+        })));
+        const [depreciation, setDepreciation] = useState({
+            depreciationMethod: typeFieldsModal?.DepreciationMethod || 'StraightLine',
+            usefulLifeYears: typeFieldsModal?.UsefulLifeYears || 3
+        });
+        const [tags, setTags] = useState({
+            tagTemplate: typeFieldsModal?.TagTemplate || '',
+            typeCode: typeFieldsModal?.TypeCode || ''
         });
         const [isSubmitting, setIsSubmitting] = useState(false);
-        const [typeDropdownOpen, setTypeDropdownOpen] = useState(false);
-        const [typeSearch, setTypeSearch] = useState(editAssetModal?.AssetType || '');
-
-        // Reset form when modal opens with new asset
-        useEffect(() => {
-            if (editAssetModal) {
-                setFormData({
-                    assetName: editAssetModal.AssetName,
-                    assetType: editAssetModal.AssetType
-                });
-                setTypeSearch(editAssetModal.AssetType);
-            }
-        }, [editAssetModal]);
-
-        // Default types + types from database + custom types
-        const defaultTypes = ['Laptop', 'Mobile', 'Monitor', 'Keyboard', 'Mouse', 'Headset', 'Tablet', 'Camera', 'Printer', 'Other'];
-        const dbTypes = allAssets.map(a => a.AssetType).filter(Boolean);
-        const baseTypes = [...new Set([...defaultTypes, ...dbTypes])];
-        const config = getCustomTypesConfig();
-        const assetTypeOptions = applyCustomTypesConfig(baseTypes, config);
-
-        const filteredTypeOptions = assetTypeOptions.filter(type =>
-            type.toLowerCase().includes(typeSearch.toLowerCase())
-        );
 
-        const selectType = (type) => {
-            setFormData({ ...formData, assetType: type });
-            setTypeSearch(type);
-            setTypeDropdownOpen(false);
-        };
+        const updateField = (index, changes) =>
+            setFields(fields.map((field, i) => i === index ? { ...field, ...changes } : field));
 
-        const handleTypeInput = (e) => {
-            const value = e.target.value;
-            setTypeSearch(value);
-            setFormData({ ...formData, assetType: value });
-            setTypeDropdownOpen(true);
-        };
+        const addField = () =>
+            setFields([...fields, { label: '', type: 'text', required: false, optionsText: '' }]);
 
-        // Handle mouse down on dropdown item (prevents blur from firing first)
-        const handleItemMouseDown = (e, type) => {
-            e.preventDefault();
-            selectType(type);
-        };
+        const removeField = (index) =>
+            setFields(fields.filter((_, i) => i !== index));
 
         const handleSubmit = async (e) => {
             e.preventDefault();
-            if (!formData.assetName || !formData.assetType) {
-                showNotification('Please fill all fields', 'error');
-                return;
-            }
 
             setIsSubmitting(true);
             try {
-                const res = await fetch(`${API_BASE}/assets/${editAssetModal.AssetId}`, {
+                const res = await apiFetch(`/asset-types/${typeFieldsModal.AssetTypeId}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
-                        assetName: formData.assetName,
-                        assetType: formData.assetType
+                        name: typeFieldsModal.Name,
+                        depreciationMethod: depreciation.depreciationMethod,
+                        usefulLifeYears: Number(depreciation.usefulLifeYears),
+                        tagTemplate: tags.tagTemplate.trim(),
+                        typeCode: tags.typeCode.trim(),
+                        fields: fields.map(({ optionsText, ...field }) => ({
+                            ...field,
+                            options: field.type === 'enum'
+                                ? optionsText.split(',').map(o => o.trim()).filter(Boolean)
+                                : undefined
+                        }))
                     })
                 });
                 const data = await res.json();
 
                 if (data.success) {
-                    showNotification('Asset updated successfully');
-                    setEditAssetModal(null);
-                    refreshData();
+                    showNotification(`Settings for "${typeFieldsModal.Name}" saved`);
+                    setTypeFieldsModal(null);
+                    fetchTypeCatalog();
                 } else {
-                    showNotification(data.message || 'Failed to update asset', 'error');
+                    notifyError(data, 'Failed to save fields');
                 }
-            } catch (err) {
+            } catch {
                 showNotification('Network error', 'error');
             } finally {
                 setIsSubmitting(false);
             }
         };
 
-        if (!editAssetModal) return null;
+        if (!typeFieldsModal) return null;
 
         return (
-            <div className="modal-overlay" onClick={() => setEditAssetModal(null)}>
-                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+            <div className="modal-overlay" onClick={() => setTypeFieldsModal(null)}>
+                <div className="modal-container modal-types" onClick={e => e.stopPropagation()}>
                     <div className="modal-header">
-                        <h2>Edit Asset</h2>
-                        <button className="modal-close" onClick={() => setEditAssetModal(null)}>
+                        <div className="modal-header-content">
+                            <h2>Type Settings</h2>
+                            <p className="modal-subtitle">{typeFieldsModal.Name} • {fields.length} custom field(s)</p>
+                        </div>
+                        <button className="modal-close" onClick={() => setTypeFieldsModal(null)}>
                             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                 <line x1="18" y1="6" x2="6" y2="18"></line>
                                 <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -1041,66 +1873,133 @@ export default function AssetTrackingApp() {
                     </div>
                     <form onSubmit={handleSubmit}>
                         <div className="modal-body">
-                            <div className="form-group">
-                                <label>Asset Name *</label>
-                                <input
-                                    type="text"
-                                    placeholder="e.g., MacBook Pro 16&quot;"
-                                    value={formData.assetName}
-                                    onChange={e => setFormData({ ...formData, assetName: e.target.value })}
-                                    disabled={isSubmitting}
-                                />
-                            </div>
-                            <div className="form-group">
-                                <label>Asset Type *</label>
-                                <div className="searchable-dropdown">
+                            <h3 className="form-section-title">Depreciation</h3>
+                            <div className="form-grid">
+                                <div className="form-group">
+                                    <label>Method</label>
+                                    <select
+                                        value={depreciation.depreciationMethod}
+                                        onChange={e => setDepreciation({ ...depreciation, depreciationMethod: e.target.value })}
+                                        disabled={isSubmitting}
+                                    >
+                                        {Object.entries(DEPRECIATION_METHOD_LABELS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Useful Life (years)</label>
                                     <input
-                                        type="text"
-                                        placeholder="Search or type asset type..."
-                                        value={typeSearch}
-                                        onChange={handleTypeInput}
-                                        onFocus={() => setTypeDropdownOpen(true)}
-                                        onBlur={() => setTimeout(() => setTypeDropdownOpen(false), 200)}
+                                        type="number"
+                                        min="1"
+                                        max="50"
+                                        value={depreciation.usefulLifeYears}
+                                        onChange={e => setDepreciation({ ...depreciation, usefulLifeYears: e.target.value })}
                                         disabled={isSubmitting}
-                                        className="dropdown-input"
                                     />
-                                    <svg className="dropdown-arrow" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                        <polyline points="6 9 12 15 18 9"></polyline>
-                                    </svg>
-                                    {typeDropdownOpen && (
-                                        <div className="dropdown-menu">
-                                            {filteredTypeOptions.map(type => (
-                                                <div
-                                                    key={type}
-                                                    className={`dropdown-item ${formData.assetType === type ? 'selected' : ''}`}
-                                                    onMouseDown={(e) => handleItemMouseDown(e, type)}
-                                                >
-                                                    {type}
-                                                </div>
-                                            ))}
-                                        </div>
-                                    )}
                                 </div>
                             </div>
 
-                            {/* Serial Number (read-only) */}
-                            <div className="form-group">
-                                <label>Serial Number</label>
-                                <input
-                                    type="text"
-                                    value={editAssetModal.SerialNumber || 'N/A'}
-                                    disabled
-                                    className="input-disabled"
-                                />
-                                <span className="form-hint">Serial number cannot be changed</span>
+                            <h3 className="form-section-title">Asset Tag</h3>
+                            <div className="form-grid">
+                                <div className="form-group">
+                                    <label>Type Code</label>
+                                    <input
+                                        type="text"
+                                        maxLength={10}
+                                        placeholder={deriveTypeCode(typeFieldsModal.Name)}
+                                        value={tags.typeCode}
+                                        onChange={e => setTags({ ...tags, typeCode: e.target.value.toUpperCase() })}
+                                        disabled={isSubmitting}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label>Template</label>
+                                    <input
+                                        type="text"
+                                        maxLength={60}
+                                        placeholder={DEFAULT_TAG_TEMPLATE}
+                                        value={tags.tagTemplate}
+                                        onChange={e => setTags({ ...tags, tagTemplate: e.target.value })}
+                                        disabled={isSubmitting}
+                                    />
+                                </div>
                             </div>
+                            <p className="form-hint">
+                                Tokens: {'{TYPE}'}, {'{YYYY}'}, {'{YY}'}, {'{LOCATION}'} and {'{SEQ:n}'} (counter padded to n digits).
+                                Next tag looks like <strong className="tag-template-preview">
+                                    {previewAssetTag(tags.tagTemplate.trim(), tags.typeCode.trim() || deriveTypeCode(typeFieldsModal.Name))}
+                                </strong>
+                            </p>
+
+                            <h3 className="form-section-title">Custom Fields</h3>
+                            {fields.length === 0 ? (
+                                <p className="form-hint">No custom fields yet. Add RAM, IMEI, screen size, license key...</p>
+                            ) : (
+                                <div className="custom-field-list">
+                                    {fields.map((field, index) => (
+                                        <div key={index} className="custom-field-row">
+                                            <input
+                                                type="text"
+                                                placeholder="Label, e.g. RAM (GB)"
+                                                value={field.label}
+                                                onChange={e => updateField(index, { label: e.target.value })}
+                                                disabled={isSubmitting}
+                                            />
+                                            <select
+                                                value={field.type}
+                                                onChange={e => updateField(index, { type: e.target.value })}
+                                                disabled={isSubmitting}
+                                            >
+                                                {Object.entries(CUSTOM_FIELD_TYPE_LABELS).map(([value, label]) => (
+                                                    <option key={value} value={value}>{label}</option>
+                                                ))}
+                                            </select>
+                                            <label className="checkbox-label">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={field.required}
+                                                    onChange={e => updateField(index, { required: e.target.checked })}
+                                                    disabled={isSubmitting}
+                                                />
+                                                Required
+                                            </label>
+                                            <button
+                                                type="button"
+                                                className="btn-icon-sm btn-danger"
+                                                onClick={() => removeField(index)}
+                                                title="Remove field"
+                                                disabled={isSubmitting}
+                                            >
+                                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                                                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                                                </svg>
+                                            </button>
+                                            {field.type === 'enum' && (
+                                                <input
+                                                    type="text"
+                                                    className="custom-field-options"
+                                                    placeholder="Options, comma separated (e.g. 13 inch, 14 inch, 16 inch)"
+                                                    value={field.optionsText}
+                                                    onChange={e => updateField(index, { optionsText: e.target.value })}
+                                                    disabled={isSubmitting}
+                                                />
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            <button type="button" className="btn-secondary custom-field-add" onClick={addField} disabled={isSubmitting}>
+                                + Add Field
+                            </button>
                         </div>
                         <div className="modal-footer">
-                            <button type="button" className="btn-secondary" onClick={() => setEditAssetModal(null)}>
+                            <button type="button" className="btn-secondary" onClick={() => setTypeFieldsModal(null)}>
                                 Cancel
                             </button>
-                            <button type="submit" className="btn-primary" disabled={isSubmitting || !formData.assetName || !formData.assetType}>
-                                {isSubmitting ? 'Saving...' : 'Save Changes'}
+                            <button type="submit" className="btn-primary" disabled={isSubmitting || fields.some(f => !f.label.trim())}>
+                                {isSubmitting ? 'Saving...' : 'Save Settings'}
                             </button>
                         </div>
                     </form>
@@ -1109,277 +2008,3857 @@ export default function AssetTrackingApp() {
         );
     };
 
+    // Open a global search hit: assets, assignments and asset notes go to the asset's history,
+    // employees to their details, request notes to their queue
+    const openSearchResult = (result) => {
+        setCommandPaletteOpen(false);
+
+        if (result.kind === 'employee') {
+            setCurrentScreen('employees');
+            openEmployeeDetails(result.employeeId);
+        } else if (result.requestType === 'service') {
+            setCurrentScreen('requests');
+        } else if (result.requestType === 'asset') {
+            setCurrentScreen('asset-requests');
+        } else {
+            // The history screen loads the asset's details from its id
+            setSelectedHistoryAsset({ AssetId: result.assetId });
+            setCurrentScreen('history');
+        }
+    };
+
+    // Scan screen: keep a short log of this session's scans and check-ins/outs
+    const addScanLog = (text, type = 'info') => {
+        setScanLog(prev => [{ id: Date.now() + Math.random(), at: new Date(), text, type }, ...prev].slice(0, 50));
+    };
+
+    // Ready the scan box for the next item
+    const focusScanInput = () => {
+        setScanInput('');
+        setTimeout(() => scanInputRef.current?.focus(), 0);
+    };
+
+    // Look up a scanned or typed serial number; returns the lookup or null
+    const lookupSerial = async (serial) => {
+        const res = await apiFetch(`/assets/lookup?serial=${encodeURIComponent(serial)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(getErrorMessage(data, 'Lookup failed'));
+        return data;
+    };
+
+    const handleScanLookup = async (e) => {
+        e.preventDefault();
+        const serial = scanInput.trim();
+        if (!serial) return;
+
+        setScanBusy(true);
+        try {
+            const data = await lookupSerial(serial);
+            setScanResult(data);
+            setScanEmployeeId('');
+            addScanLog(`Scanned ${data.asset.AssetName} (${serial})`);
+        } catch (err) {
+            setScanResult(null);
+            addScanLog(err.message, 'error');
+            showNotification(err.message, 'error');
+        } finally {
+            setScanBusy(false);
+            focusScanInput();
+        }
+    };
+
+    // Reload the scanned asset and the data the dashboard shows after a check-in/out
+    const afterScanAction = async (asset) => {
+        const serial = asset.SerialNumber || `AST-${String(asset.AssetId).padStart(3, '0')}`;
+        try {
+            setScanResult(await lookupSerial(serial));
+        } catch {
+            setScanResult(null);
+        }
+        fetchDashboard();
+        fetchActiveAssignments();
+        fetchAssetPage(assetQuery);
+        focusScanInput();
+    };
+
+    const handleScanAssign = async () => {
+        if (!scanResult || !scanEmployeeId) return;
+        const { asset } = scanResult;
+        const employee = employees.find(emp => String(emp.EmployeeId) === scanEmployeeId);
+
+        setScanBusy(true);
+        try {
+            const res = await apiFetch('/assignments', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ assetId: asset.AssetId, employeeId: parseInt(scanEmployeeId, 10) })
+            });
+            const data = await res.json();
+            if (data.success) {
+                showNotification(`${asset.AssetName} checked out to ${employee?.FullName}`);
+                addScanLog(`Checked out ${asset.AssetName} to ${employee?.FullName}`, 'success');
+                await afterScanAction(asset);
+            } else {
+                notifyError(data, 'Failed to assign asset');
+                addScanLog(getErrorMessage(data, 'Failed to assign asset'), 'error');
+            }
+        } catch {
+            showNotification('Network error', 'error');
+        } finally {
+            setScanBusy(false);
+        }
+    };
+
+    const handleScanReturn = async () => {
+        if (!scanResult?.assignment) return;
+        const { asset, assignment } = scanResult;
+
+        setScanBusy(true);
+        try {
+            const res = await apiFetch(`/assignments/${assignment.AssignmentId}/return`, { method: 'POST' });
+            const data = await res.json();
+            if (data.success) {
+                showNotification(`${asset.AssetName} checked in from ${assignment.EmployeeName}`);
+                addScanLog(`Checked in ${asset.AssetName} from ${assignment.EmployeeName}`, 'success');
+                await afterScanAction(asset);
+            } else {
+                notifyError(data, 'Failed to return asset');
+                addScanLog(getErrorMessage(data, 'Failed to return asset'), 'error');
+            }
+        } catch {
+            showNotification('Network error', 'error');
+        } finally {
+            setScanBusy(false);
+        }
+    };
+
+    // Open the printable label sheet for one or more assets
+    const openLabelSheet = (assetIds) => {
+        setLabelAssetIds(assetIds);
+        setCurrentScreen('labels');
+    };
+
+    // Tick or untick a dashboard row for bulk label printing
+    const toggleAssetSelected = (assetId) => {
+        setSelectedAssetIds(prev => (prev.includes(assetId) ? prev.filter(id => id !== assetId) : [...prev, assetId]));
+    };
+
     // ==========================================
-    // DASHBOARD SCREEN (JSX, not a component)
+    // COMMAND PALETTE (global search, Ctrl/Cmd+K)
     // ==========================================
-    const DashboardScreen = (
-        <div className="dashboard">
-            {/* Header */}
-            <div className="page-header-main">
-                <div className="header-title-row">
-                    <h1><strong>Asset Management and Tracking System</strong></h1>
-                    <div className="header-actions">
-                        <button className={`btn-secondary btn-icon ${isRefreshing ? 'btn-loading' : ''}`} onClick={refreshData} disabled={isRefreshing}>
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className={isRefreshing ? 'spin' : ''}>
-                                <path d="M21 12a9 9 0 11-3-6.7"></path>
-                                <path d="M21 3v6h-6"></path>
-                            </svg>
-                            {isRefreshing ? 'Refreshing...' : 'Refresh'}
-                        </button>
-                        <button className="btn-primary btn-icon" onClick={() => setAddAssetModal(true)}>
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <line x1="12" y1="5" x2="12" y2="19"></line>
-                                <line x1="5" y1="12" x2="19" y2="12"></line>
-                            </svg>
-                            Add Asset
-                        </button>
-                        <button className="btn-secondary btn-icon" onClick={() => setManageTypesModal(true)}>
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <path d="M12 3h7a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-7m0-18H5a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h7m0-18v18"></path>
-                            </svg>
-                            Manage Types
-                        </button>
+    const CommandPalette = () => {
+        const [query, setQuery] = useState('');
+        const [results, setResults] = useState([]);
+        const [activeIndex, setActiveIndex] = useState(0);
+        const [isSearching, setIsSearching] = useState(false);
+
+        // Search as the user types, once they pause
+        useEffect(() => {
+            const trimmed = query.trim();
+            if (!trimmed) {
+                setResults([]);
+                return;
+            }
+
+            const timer = setTimeout(async () => {
+                setIsSearching(true);
+                try {
+                    const res = await apiFetch(`/search?q=${encodeURIComponent(trimmed)}`);
+                    const data = await res.json();
+                    setResults(res.ok ? data.results : []);
+                    setActiveIndex(0);
+                } catch {
+                    setResults([]);
+                } finally {
+                    setIsSearching(false);
+                }
+            }, 200);
+            return () => clearTimeout(timer);
+        }, [query]);
+
+        if (!commandPaletteOpen) return null;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                setCommandPaletteOpen(false);
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                setActiveIndex(i => Math.min(i + 1, results.length - 1));
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                setActiveIndex(i => Math.max(i - 1, 0));
+            } else if (e.key === 'Enter' && results[activeIndex]) {
+                e.preventDefault();
+                openSearchResult(results[activeIndex]);
+            }
+        };
+
+        return (
+            <div className="modal-overlay command-palette-overlay" onClick={() => setCommandPaletteOpen(false)}>
+                <div className="command-palette" onClick={e => e.stopPropagation()}>
+                    <div className="command-palette-input">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <circle cx="11" cy="11" r="8"></circle>
+                            <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                        </svg>
+                        <input
+                            type="text"
+                            placeholder="Search assets, employees, assignments and notes..."
+                            value={query}
+                            onChange={e => setQuery(e.target.value)}
+                            onKeyDown={handleKeyDown}
+                            autoFocus
+                            autoComplete="off"
+                        />
+                        <kbd>Esc</kbd>
                     </div>
+                    <ul className="command-palette-results">
+                        {results.map((result, index) => (
+                            <li
+                                key={`${result.kind}-${result.id}`}
+                                className={index === activeIndex ? 'active' : ''}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                onClick={() => openSearchResult(result)}
+                            >
+                                <span className={`command-palette-kind ${result.kind}`}>{SEARCH_KIND_LABELS[result.kind]}</span>
+                                <div className="command-palette-text">
+                                    <span className="command-palette-title">{result.title}</span>
+                                    <span className="command-palette-subtitle">{result.subtitle}</span>
+                                </div>
+                            </li>
+                        ))}
+                        {query.trim() && !isSearching && results.length === 0 && (
+                            <li className="command-palette-empty">No matches for "{query.trim()}"</li>
+                        )}
+                    </ul>
                 </div>
-                <p className="header-subtitle-main">Track and manage company assets for your staffing organization</p>
             </div>
+        );
+    };
 
-            {/* Metrics */}
-            <div className="metrics-grid">
-                <div className="metric-card">
-                    <div className="metric-icon blue">
-                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
-                            <line x1="8" y1="21" x2="16" y2="21"></line>
-                            <line x1="12" y1="17" x2="12" y2="21"></line>
-                        </svg>
-                    </div>
-                    <div className="metric-content">
-                        <div className="metric-label">Total Assets</div>
-                        <div className="metric-value">{dashboardData?.TotalAssets || 0}</div>
+    // ==========================================
+    // IMPORT MODAL (CSV upload -> column mapping -> dry run -> import)
+    // ==========================================
+    const ImportModal = () => {
+        const [csv, setCsv] = useState('');
+        const [fileName, setFileName] = useState('');
+        const [headers, setHeaders] = useState([]);
+        const [mapping, setMapping] = useState({});
+        const [report, setReport] = useState(null);
+        const [error, setError] = useState('');
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const fields = IMPORT_FIELDS[importModal] || [];
+
+        const sendImport = async (dryRun, content = csv, columnMapping = mapping) => {
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/import/${importModal}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ csv: content, mapping: columnMapping, dryRun })
+                });
+                const data = await res.json();
+
+                if (!dryRun && data.success) {
+                    showNotification(data.message);
+                    setImportModal(null);
+                    refreshData();
+                    return;
+                }
+
+                // Dry runs and rejected imports both come back with the per-row report
+                setReport(data.data || null);
+                setError(data.success ? '' : getErrorMessage(data, 'Import failed'));
+                if (data.data?.mapping) setMapping(data.data.mapping);
+            } catch {
+                setError('Network error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        const handleFile = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                const content = String(reader.result);
+                setCsv(content);
+                setFileName(file.name);
+                setHeaders(readCsvHeaders(content));
+                setMapping({});
+                setReport(null);
+                sendImport(true, content, {});
+            };
+            reader.readAsText(file);
+        };
+
+        if (!importModal) return null;
+
+        const summaryKeys = fields.slice(0, 3).map(f => f.key);
+
+        return (
+            <div className="modal-overlay" onClick={() => setImportModal(null)}>
+                <div className="modal-container modal-import" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>Import {importModal === 'assets' ? 'Assets' : 'Employees'}</h2>
+                            <p className="modal-subtitle">
+                                {fileName || 'Upload a CSV file with a header row'}
+                            </p>
+                        </div>
+                        <button className="modal-close" onClick={() => setImportModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
                     </div>
-                </div>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label>CSV File</label>
+                            <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={isSubmitting} />
+                            <span className="form-hint">
+                                Columns: {fields.map(f => f.label + (f.required ? ' *' : '')).join(', ')}
+                                {importModal === 'assets' ? '. Extra columns named like a custom field fill that field.' : ''}
+                            </span>
+                        </div>
 
-                <div className="metric-card">
-                    <div className="metric-icon yellow">
-                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
-                            <polyline points="22 4 12 14.01 9 11.01"></polyline>
-                        </svg>
+                        {headers.length > 0 && (
+                            <>
+                                <h3 className="form-section-title">Column Mapping</h3>
+                                <div className="form-grid">
+                                    {fields.map(field => (
+                                        <div className="form-group" key={field.key}>
+                                            <label>{field.label}{field.required ? ' *' : ''}</label>
+                                            <select
+                                                value={mapping[field.key] || ''}
+                                                onChange={e => setMapping({ ...mapping, [field.key]: e.target.value })}
+                                                disabled={isSubmitting}
+                                            >
+                                                <option value="">Not imported</option>
+                                                {headers.map(header => (
+                                                    <option key={header} value={header}>{header}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    ))}
+                                </div>
+                            </>
+                        )}
+
+                        {error && <p className="login-error">{error}</p>}
+
+                        {report && (
+                            <>
+                                <h3 className="form-section-title">
+                                    Preview • {report.validRows} ready, {report.errorRows} with errors
+                                </h3>
+                                <div className="import-preview">
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>ROW</th>
+                                                {summaryKeys.map(key => (
+                                                    <th key={key}>{fields.find(f => f.key === key).label.toUpperCase()}</th>
+                                                ))}
+                                                <th>CHECK</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {report.rows.map(row => (
+                                                <tr key={row.row} className={row.errors.length > 0 ? 'import-row-error' : ''}>
+                                                    <td className="text-muted">{row.row}</td>
+                                                    {summaryKeys.map(key => (
+                                                        <td key={key}>{row.values[key] || <span className="text-muted">—</span>}</td>
+                                                    ))}
+                                                    <td>
+                                                        {row.errors.length > 0 ? row.errors.join('; ') : 'OK'}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
                     </div>
-                    <div className="metric-content">
-                        <div className="metric-label">Active Assignments</div>
-                        <div className="metric-value yellow">{dashboardData?.AssignedAssets || 0}</div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn-secondary" onClick={() => setImportModal(null)}>
+                            Cancel
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => sendImport(true)}
+                            disabled={!csv || isSubmitting}
+                        >
+                            Check Again
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-primary"
+                            onClick={() => sendImport(false)}
+                            disabled={!report || report.errorRows > 0 || isSubmitting}
+                        >
+                            {isSubmitting ? 'Working...' : `Import ${report ? report.validRows : ''} Row(s)`}
+                        </button>
                     </div>
                 </div>
+            </div>
+        );
+    };
 
-                <div className="metric-card">
-                    <div className="metric-icon green">
-                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
-                            <circle cx="9" cy="7" r="4"></circle>
-                            <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
-                            <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
-                        </svg>
+    // ==========================================
+    // VALUATION MODAL (book value and depreciation schedule)
+    // ==========================================
+    const ValuationModal = () => {
+        const [method, setMethod] = useState('');
+        const [valuation, setValuation] = useState(null);
+        const [error, setError] = useState('');
+
+        useEffect(() => {
+            if (!valuationAsset) return;
+
+            const loadValuation = async () => {
+                try {
+                    const query = method ? `?method=${method}` : '';
+                    const res = await apiFetch(`/assets/${valuationAsset.AssetId}/valuation${query}`);
+                    const data = await res.json();
+                    if (!res.ok) {
+                        setError(getErrorMessage(data, 'Failed to load valuation'));
+                        return;
+                    }
+                    setValuation(data);
+                    setError('');
+                } catch {
+                    setError('Network error');
+                }
+            };
+            loadValuation();
+        }, [method]);
+
+        if (!valuationAsset) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setValuationAsset(null)}>
+                <div className="modal-container modal-types" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>Valuation</h2>
+                            <p className="modal-subtitle">{valuationAsset.AssetName} • {valuationAsset.SerialNumber}</p>
+                        </div>
+                        <button className="modal-close" onClick={() => setValuationAsset(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
                     </div>
-                    <div className="metric-content">
-                        <div className="metric-label">Available</div>
-                        <div className="metric-value green">{dashboardData?.AvailableAssets || 0}</div>
-                        <div className="metric-sub">Ready to assign</div>
+                    <div className="modal-body">
+                        {error ? (
+                            <p className="form-hint">{error}</p>
+                        ) : !valuation ? (
+                            <p className="form-hint">Loading valuation...</p>
+                        ) : (
+                            <>
+                                <div className="valuation-summary">
+                                    <div>
+                                        <span className="valuation-label">Purchase Cost</span>
+                                        <strong>{formatMoney(valuation.purchaseCost)}</strong>
+                                    </div>
+                                    <div>
+                                        <span className="valuation-label">Book Value</span>
+                                        <strong>{formatMoney(valuation.bookValue)}</strong>
+                                    </div>
+                                    <div>
+                                        <span className="valuation-label">Depreciated</span>
+                                        <strong>{formatMoney(valuation.accumulatedDepreciation)}</strong>
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label>Method (what-if)</label>
+                                    <select value={method || valuation.method} onChange={e => setMethod(e.target.value)}>
+                                        {Object.entries(DEPRECIATION_METHOD_LABELS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <span className="form-hint">
+                                        Bought {new Date(valuation.purchaseDate).toLocaleDateString()} • {valuation.ageYears} of {valuation.usefulLifeYears} years used
+                                        {valuation.fullyDepreciated ? ' • fully depreciated' : ''}
+                                    </span>
+                                </div>
+                                <table className="data-table valuation-schedule">
+                                    <thead>
+                                        <tr>
+                                            <th>YEAR</th>
+                                            <th>STARTS</th>
+                                            <th>OPENING</th>
+                                            <th>DEPRECIATION</th>
+                                            <th>CLOSING</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {valuation.schedule.map(row => (
+                                            <tr key={row.year}>
+                                                <td>{row.year}</td>
+                                                <td className="text-muted">{new Date(row.startsOn).toLocaleDateString()}</td>
+                                                <td>{formatMoney(row.openingValue)}</td>
+                                                <td>{formatMoney(row.depreciation)}</td>
+                                                <td>{formatMoney(row.closingValue)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </>
+                        )}
+                    </div>
+                    <div className="modal-footer">
+                        <button className="btn-secondary" onClick={() => setValuationAsset(null)}>
+                            Close
+                        </button>
                     </div>
                 </div>
             </div>
+        );
+    };
 
-            {/* Asset Inventory */}
-            <div className="content-card">
-                <div className="card-header-extended">
-                    <div className="card-title-section">
-                        <h2>Asset Inventory</h2>
-                        <p>Manage all assets assigned to staff members</p>
-                    </div>
-                    <div className="card-actions">
+    // ==========================================
+    // EDIT ASSET MODAL
+    // ==========================================
+    const EditAssetModal = () => {
+        const [formData, setFormData] = useState({
+            assetName: editAssetModal?.AssetName || '',
+            assetType: editAssetModal?.AssetType || '',
+            customFields: editAssetModal?.CustomFields || {}
+        });
+        const [purchase, setPurchase] = useState(getPurchaseFormData(editAssetModal));
+        const [identity, setIdentity] = useState(getIdentityFormData(editAssetModal));
+        const [isSubmitting, setIsSubmitting] = useState(false);
+        const [typeDropdownOpen, setTypeDropdownOpen] = useState(false);
+        const [typeSearch, setTypeSearch] = useState(editAssetModal?.AssetType || '');
+
+        // Reset form when modal opens with new asset
+        useEffect(() => {
+            if (editAssetModal) {
+                setFormData({
+                    assetName: editAssetModal.AssetName,
+                    assetType: editAssetModal.AssetType,
+                    customFields: editAssetModal.CustomFields || {}
+                });
+                setPurchase(getPurchaseFormData(editAssetModal));
+                setIdentity(getIdentityFormData(editAssetModal));
+                setTypeSearch(editAssetModal.AssetType);
+            }
+        }, [editAssetModal]);
+
+        // Types come from the shared catalog
+        const assetTypeOptions = typeNames;
+
+        const filteredTypeOptions = assetTypeOptions.filter(type =>
+            type.toLowerCase().includes(typeSearch.toLowerCase())
+        );
+
+        const selectType = (type) => {
+            setFormData({ ...formData, assetType: type });
+            setTypeSearch(type);
+            setTypeDropdownOpen(false);
+        };
+
+        const handleTypeInput = (e) => {
+            const value = e.target.value;
+            setTypeSearch(value);
+            setFormData({ ...formData, assetType: value });
+            setTypeDropdownOpen(true);
+        };
+
+        // Handle mouse down on dropdown item (prevents blur from firing first)
+        const handleItemMouseDown = (e, type) => {
+            e.preventDefault();
+            selectType(type);
+        };
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (!formData.assetName || !formData.assetType) {
+                showNotification('Please fill all fields', 'error');
+                return;
+            }
+
+            setIsSubmitting(true);
+            if (!(await ensureAssetType(formData.assetType.trim()))) {
+                setIsSubmitting(false);
+                return;
+            }
+
+            try {
+                const res = await apiFetch(`/assets/${editAssetModal.AssetId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        assetName: formData.assetName,
+                        assetType: formData.assetType.trim(),
+                        customFields: formData.customFields,
+                        ...identity,
+                        ...purchase
+                    })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification('Asset updated successfully');
+                    setEditAssetModal(null);
+                    refreshData();
+                } else {
+                    notifyError(data, 'Failed to update asset');
+                }
+            } catch (err) {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!editAssetModal) return null;
+
+        const typeFields = getTypeFields(formData.assetType);
+        const setCustomField = (key, value) =>
+            setFormData({ ...formData, customFields: { ...formData.customFields, [key]: value } });
+
+        return (
+            <div className="modal-overlay" onClick={() => setEditAssetModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h2>Edit Asset</h2>
+                        <button className="modal-close" onClick={() => setEditAssetModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            <div className="form-group">
+                                <label>Asset Name *</label>
+                                <input
+                                    type="text"
+                                    placeholder="e.g., MacBook Pro 16&quot;"
+                                    value={formData.assetName}
+                                    onChange={e => setFormData({ ...formData, assetName: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Asset Type *</label>
+                                <div className="searchable-dropdown">
+                                    <input
+                                        type="text"
+                                        placeholder="Search or type asset type..."
+                                        value={typeSearch}
+                                        onChange={handleTypeInput}
+                                        onFocus={() => setTypeDropdownOpen(true)}
+                                        onBlur={() => setTimeout(() => setTypeDropdownOpen(false), 200)}
+                                        disabled={isSubmitting}
+                                        className="dropdown-input"
+                                    />
+                                    <svg className="dropdown-arrow" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <polyline points="6 9 12 15 18 9"></polyline>
+                                    </svg>
+                                    {typeDropdownOpen && (
+                                        <div className="dropdown-menu">
+                                            {filteredTypeOptions.map(type => (
+                                                <div
+                                                    key={type}
+                                                    className={`dropdown-item ${formData.assetType === type ? 'selected' : ''}`}
+                                                    onMouseDown={(e) => handleItemMouseDown(e, type)}
+                                                >
+                                                    {type}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+
+                            {renderIdentityInputs(identity, (key, value) => setIdentity({ ...identity, [key]: value }), isSubmitting)}
+
+                            {renderCustomFieldInputs(typeFields, formData.customFields, setCustomField, isSubmitting)}
+
+                            {renderPurchaseInputs(purchase, (key, value) => setPurchase({ ...purchase, [key]: value }), isSubmitting)}
+
+                            {/* Asset Tag (read-only) */}
+                            <div className="form-group">
+                                <label>Asset Tag</label>
+                                <input
+                                    type="text"
+                                    value={editAssetModal.SerialNumber || 'N/A'}
+                                    disabled
+                                    className="input-disabled"
+                                />
+                                <span className="form-hint">Asset tag cannot be changed</span>
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setEditAssetModal(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting || !formData.assetName || !formData.assetType}>
+                                {isSubmitting ? 'Saving...' : 'Save Changes'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // ARCHIVE ASSET MODAL
+    // ==========================================
+    const ArchiveAssetModal = () => {
+        const [formData, setFormData] = useState({
+            disposition: 'Retired',
+            archivedAt: new Date().toISOString().slice(0, 10),
+            reason: ''
+        });
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (!formData.reason.trim()) {
+                showNotification('Please enter a reason', 'error');
+                return;
+            }
+
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/assets/${archiveAssetModal.AssetId}`, {
+                    method: 'DELETE',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        disposition: formData.disposition,
+                        archivedAt: formData.archivedAt,
+                        reason: formData.reason.trim()
+                    })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(`"${archiveAssetModal.AssetName}" archived`);
+                    setArchiveAssetModal(null);
+                    refreshData();
+                } else {
+                    notifyError(data, 'Failed to archive asset');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!archiveAssetModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setArchiveAssetModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>Archive Asset</h2>
+                            <p className="modal-subtitle">{archiveAssetModal.AssetName} • {archiveAssetModal.SerialNumber || 'N/A'}</p>
+                        </div>
+                        <button className="modal-close" onClick={() => setArchiveAssetModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            <div className="form-group">
+                                <label>Disposition *</label>
+                                <select
+                                    value={formData.disposition}
+                                    onChange={e => setFormData({ ...formData, disposition: e.target.value })}
+                                    disabled={isSubmitting}
+                                >
+                                    <option value="Retired">Retired</option>
+                                    <option value="Disposed">Disposed</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Date *</label>
+                                <input
+                                    type="date"
+                                    value={formData.archivedAt}
+                                    onChange={e => setFormData({ ...formData, archivedAt: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Reason *</label>
+                                <textarea
+                                    rows="3"
+                                    placeholder="e.g., Battery failure, beyond economical repair"
+                                    value={formData.reason}
+                                    onChange={e => setFormData({ ...formData, reason: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                                <span className="form-hint">The asset leaves the inventory but its assignment history is kept</span>
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setArchiveAssetModal(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-danger-solid" disabled={isSubmitting || !formData.reason.trim()}>
+                                {isSubmitting ? 'Archiving...' : 'Archive Asset'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // CHANGE STATUS MODAL
+    // ==========================================
+    const ChangeStatusModal = () => {
+        const options = statusAssetModal ? (MANUAL_STATUS_OPTIONS[statusAssetModal.Status] || []) : [];
+        const [formData, setFormData] = useState({ status: options[0] || '', note: '' });
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/assets/${statusAssetModal.AssetId}/status`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        status: formData.status,
+                        note: formData.note.trim()
+                    })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(data.message);
+                    setStatusAssetModal(null);
+                    refreshData();
+                } else {
+                    notifyError(data, 'Failed to change status');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!statusAssetModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setStatusAssetModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>Change Status</h2>
+                            <p className="modal-subtitle">
+                                {statusAssetModal.AssetName} • currently {getAssetStatus(statusAssetModal)}
+                            </p>
+                        </div>
+                        <button className="modal-close" onClick={() => setStatusAssetModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            <div className="form-group">
+                                <label>New Status *</label>
+                                <select
+                                    value={formData.status}
+                                    onChange={e => setFormData({ ...formData, status: e.target.value })}
+                                    disabled={isSubmitting}
+                                >
+                                    {options.map(option => (
+                                        <option key={option} value={option}>{ASSET_STATUS_LABELS[option]}</option>
+                                    ))}
+                                </select>
+                                {statusAssetModal.Status === 'Assigned' && (
+                                    <span className="form-hint">The current assignment will be closed</span>
+                                )}
+                            </div>
+                            <div className="form-group">
+                                <label>Note</label>
+                                <textarea
+                                    rows="3"
+                                    placeholder="e.g., Sent to vendor for screen replacement"
+                                    value={formData.note}
+                                    onChange={e => setFormData({ ...formData, note: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setStatusAssetModal(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting || !formData.status}>
+                                {isSubmitting ? 'Saving...' : 'Update Status'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // EMPLOYEE FORM MODAL (create + edit)
+    // ==========================================
+    const EmployeeFormModal = () => {
+        const isEdit = employeeFormModal && employeeFormModal !== 'new';
+        const [formData, setFormData] = useState({
+            fullName: isEdit ? employeeFormModal.FullName : '',
+            email: isEdit ? employeeFormModal.Email : '',
+            position: isEdit ? (employeeFormModal.Position || '') : ''
+        });
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (!formData.fullName.trim() || !formData.email.trim()) {
+                showNotification('Name and email are required', 'error');
+                return;
+            }
+
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(
+                    isEdit ? `/employees/${employeeFormModal.EmployeeId}` : '/employees',
+                    {
+                        method: isEdit ? 'PUT' : 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            fullName: formData.fullName.trim(),
+                            email: formData.email.trim(),
+                            position: formData.position.trim()
+                        })
+                    }
+                );
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(isEdit ? 'Employee updated successfully' : `Employee "${data.data.FullName}" added`);
+                    setEmployeeFormModal(null);
+                    fetchEmployees();
+                    if (isEdit) fetchActiveAssignments();
+                } else {
+                    notifyError(data, 'Failed to save employee');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!employeeFormModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setEmployeeFormModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h2>{isEdit ? 'Edit Employee' : 'Add Employee'}</h2>
+                        <button className="modal-close" onClick={() => setEmployeeFormModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            <div className="form-group">
+                                <label>Full Name *</label>
+                                <input
+                                    type="text"
+                                    placeholder="e.g., Sita Thapa"
+                                    value={formData.fullName}
+                                    onChange={e => setFormData({ ...formData, fullName: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Email *</label>
+                                <input
+                                    type="email"
+                                    placeholder="e.g., sita.thapa@company.com"
+                                    value={formData.email}
+                                    onChange={e => setFormData({ ...formData, email: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Position</label>
+                                <input
+                                    type="text"
+                                    placeholder="e.g., Staff"
+                                    value={formData.position}
+                                    onChange={e => setFormData({ ...formData, position: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setEmployeeFormModal(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting || !formData.fullName || !formData.email}>
+                                {isSubmitting ? 'Saving...' : (isEdit ? 'Save Changes' : 'Add Employee')}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // LOGIN SCREEN
+    // ==========================================
+    const LoginScreen = () => {
+        const [credentials, setCredentials] = useState({ username: '', password: '' });
+        const [isSubmitting, setIsSubmitting] = useState(false);
+        const [error, setError] = useState('');
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            setIsSubmitting(true);
+            setError('');
+            try {
+                const res = await apiFetch('/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        username: credentials.username.trim(),
+                        password: credentials.password
+                    })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    handleLogin({ token: data.token, user: data.user });
+                } else {
+                    setError(getErrorMessage(data, 'Sign in failed'));
+                }
+            } catch {
+                setError('Network error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        return (
+            <div className="login-page">
+                <form className="login-card" onSubmit={handleSubmit}>
+                    <h1>Asset Management and Tracking System</h1>
+                    <p className="header-subtitle">Sign in to continue</p>
+                    {error && <div className="login-error">{error}</div>}
+                    <div className="form-group">
+                        <label>Username</label>
+                        <input
+                            type="text"
+                            autoComplete="username"
+                            value={credentials.username}
+                            onChange={e => setCredentials({ ...credentials, username: e.target.value })}
+                            disabled={isSubmitting}
+                            autoFocus
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Password</label>
+                        <input
+                            type="password"
+                            autoComplete="current-password"
+                            value={credentials.password}
+                            onChange={e => setCredentials({ ...credentials, password: e.target.value })}
+                            disabled={isSubmitting}
+                        />
+                    </div>
+                    <button
+                        type="submit"
+                        className="btn-primary btn-full"
+                        disabled={isSubmitting || !credentials.username || !credentials.password}
+                    >
+                        {isSubmitting ? 'Signing in...' : 'Sign In'}
+                    </button>
+                </form>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // USER FORM MODAL (create + edit, admin only)
+    // ==========================================
+    const UserFormModal = () => {
+        const isEdit = userFormModal && userFormModal !== 'new';
+        const [formData, setFormData] = useState({
+            username: isEdit ? userFormModal.username : '',
+            password: '',
+            role: isEdit ? userFormModal.role : 'read_only',
+            employeeId: isEdit && userFormModal.employeeId ? String(userFormModal.employeeId) : '',
+            isActive: isEdit ? userFormModal.isActive : true
+        });
+        const [isSubmitting, setIsSubmitting] = useState(false);
+        const isSelf = isEdit && userFormModal.userId === currentUser?.userId;
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (formData.password && formData.password.length < 8) {
+                showNotification('Password must be at least 8 characters', 'error');
+                return;
+            }
+
+            const body = {
+                role: formData.role,
+                employeeId: formData.employeeId ? parseInt(formData.employeeId) : null
+            };
+            if (isEdit) {
+                body.isActive = formData.isActive;
+                if (formData.password) body.password = formData.password;
+            } else {
+                body.username = formData.username.trim();
+                body.password = formData.password;
+            }
+
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(isEdit ? `/users/${userFormModal.userId}` : '/users', {
+                    method: isEdit ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(isEdit ? 'User updated successfully' : `User "${data.data.username}" created`);
+                    setUserFormModal(null);
+                    fetchUsers();
+                } else {
+                    notifyError(data, 'Failed to save user');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!userFormModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setUserFormModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h2>{isEdit ? `Edit ${userFormModal.username}` : 'Add User'}</h2>
+                        <button className="modal-close" onClick={() => setUserFormModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            {!isEdit && (
+                                <div className="form-group">
+                                    <label>Username *</label>
+                                    <input
+                                        type="text"
+                                        placeholder="e.g., sita.thapa"
+                                        value={formData.username}
+                                        onChange={e => setFormData({ ...formData, username: e.target.value })}
+                                        disabled={isSubmitting}
+                                    />
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label>{isEdit ? 'New Password (leave blank to keep)' : 'Password *'}</label>
+                                <input
+                                    type="password"
+                                    autoComplete="new-password"
+                                    placeholder="At least 8 characters"
+                                    value={formData.password}
+                                    onChange={e => setFormData({ ...formData, password: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Role *</label>
+                                <select
+                                    value={formData.role}
+                                    onChange={e => setFormData({ ...formData, role: e.target.value })}
+                                    disabled={isSubmitting || isSelf}
+                                >
+                                    {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Linked Employee</label>
+                                <select
+                                    value={formData.employeeId}
+                                    onChange={e => setFormData({ ...formData, employeeId: e.target.value })}
+                                    disabled={isSubmitting}
+                                >
+                                    <option value="">None</option>
+                                    {employees.filter(emp => emp.IsActive).map(emp => (
+                                        <option key={emp.EmployeeId} value={emp.EmployeeId}>
+                                            {emp.FullName} ({emp.Email})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            {isEdit && !isSelf && (
+                                <div className="form-group">
+                                    <label className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.isActive}
+                                            onChange={e => setFormData({ ...formData, isActive: e.target.checked })}
+                                            disabled={isSubmitting}
+                                        />
+                                        Account enabled
+                                    </label>
+                                </div>
+                            )}
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setUserFormModal(null)}>
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                className="btn-primary"
+                                disabled={isSubmitting || (!isEdit && (!formData.username || !formData.password))}
+                            >
+                                {isSubmitting ? 'Saving...' : (isEdit ? 'Save Changes' : 'Add User')}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // REPORT ISSUE MODAL (self-service: damaged, lost, return)
+    // ==========================================
+    const REQUEST_TYPE_TITLES = {
+        Damaged: 'Report Damage',
+        Lost: 'Report Lost',
+        Return: 'Request Return'
+    };
+
+    const ReportIssueModal = () => {
+        const [note, setNote] = useState('');
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/me/assignments/${reportIssueModal.assignment.AssignmentId}/requests`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ requestType: reportIssueModal.requestType, note: note.trim() })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(data.message);
+                    setReportIssueModal(null);
+                    fetchMyPortal();
+                } else {
+                    notifyError(data, 'Failed to send request');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!reportIssueModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setReportIssueModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>{REQUEST_TYPE_TITLES[reportIssueModal.requestType]}</h2>
+                            <p className="modal-subtitle">
+                                {reportIssueModal.assignment.AssetName} • {reportIssueModal.assignment.SerialNumber || 'N/A'}
+                            </p>
+                        </div>
+                        <button className="modal-close" onClick={() => setReportIssueModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            <div className="form-group">
+                                <label>{reportIssueModal.requestType === 'Return' ? 'Why are you returning it?' : 'What happened?'}</label>
+                                <textarea
+                                    rows="3"
+                                    placeholder="Optional details for IT"
+                                    value={note}
+                                    onChange={e => setNote(e.target.value)}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setReportIssueModal(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                                {isSubmitting ? 'Sending...' : 'Send to IT'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // RESOLVE REQUEST MODAL (IT queue)
+    // ==========================================
+    const REQUEST_ASSET_ACTIONS = {
+        Damaged: 'Take the item back and send it to repair',
+        Lost: 'Close the assignment and mark the item lost',
+        Return: 'Take the item back into stock'
+    };
+
+    const ResolveRequestModal = () => {
+        const [status, setStatus] = useState('Resolved');
+        const [resolutionNote, setResolutionNote] = useState('');
+        const [applyToAsset, setApplyToAsset] = useState(true);
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/service-requests/${resolveRequestModal.RequestId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        status,
+                        resolutionNote: resolutionNote.trim(),
+                        applyToAsset: status === 'Resolved' && applyToAsset
+                    })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(data.message);
+                    setResolveRequestModal(null);
+                    refreshData();
+                } else {
+                    notifyError(data, 'Failed to update request');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!resolveRequestModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setResolveRequestModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>{REQUEST_TYPE_TITLES[resolveRequestModal.RequestType]}</h2>
+                            <p className="modal-subtitle">{resolveRequestModal.AssetName} • {resolveRequestModal.EmployeeName}</p>
+                        </div>
+                        <button className="modal-close" onClick={() => setResolveRequestModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            {resolveRequestModal.Note && (
+                                <div className="form-group">
+                                    <label>Employee's note</label>
+                                    <p className="service-request-note">{resolveRequestModal.Note}</p>
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label>Outcome</label>
+                                <select value={status} onChange={e => setStatus(e.target.value)} disabled={isSubmitting}>
+                                    <option value="Resolved">Resolved</option>
+                                    <option value="Dismissed">Dismissed</option>
+                                </select>
+                            </div>
+                            {status === 'Resolved' && (
+                                <div className="form-group">
+                                    <label className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={applyToAsset}
+                                            onChange={e => setApplyToAsset(e.target.checked)}
+                                            disabled={isSubmitting}
+                                        />
+                                        {REQUEST_ASSET_ACTIONS[resolveRequestModal.RequestType]}
+                                    </label>
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label>Note to employee</label>
+                                <textarea
+                                    rows="3"
+                                    placeholder="Optional"
+                                    value={resolutionNote}
+                                    onChange={e => setResolutionNote(e.target.value)}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setResolveRequestModal(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                                {isSubmitting ? 'Saving...' : 'Save'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // PORTAL LINK MODAL (shows a freshly created self-service link)
+    // ==========================================
+    const PortalLinkModal = () => {
+        if (!portalLinkModal) return null;
+
+        const copyLink = async () => {
+            try {
+                await navigator.clipboard.writeText(portalLinkModal.link);
+                showNotification('Link copied to clipboard');
+            } catch {
+                showNotification('Could not copy, select the link and copy it manually', 'error');
+            }
+        };
+
+        return (
+            <div className="modal-overlay" onClick={() => setPortalLinkModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h2>Self-Service Link</h2>
+                        <button className="modal-close" onClick={() => setPortalLinkModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label>Send this one-time link to {portalLinkModal.employeeName}</label>
+                            <input type="text" value={portalLinkModal.link} readOnly onFocus={e => e.target.select()} />
+                            <p className="text-muted portal-link-expiry">
+                                Valid until {new Date(portalLinkModal.expiresAt).toLocaleString()}
+                            </p>
+                        </div>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn-secondary" onClick={() => setPortalLinkModal(null)}>
+                            Close
+                        </button>
+                        <button type="button" className="btn-primary" onClick={copyLink}>
+                            Copy Link
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // NEW ASSET REQUEST MODAL
+    // ==========================================
+    const NewAssetRequestModal = () => {
+        const [formData, setFormData] = useState({ employeeId: '', assetType: '', justification: '' });
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            setIsSubmitting(true);
+            try {
+                // Employees file for themselves; staff pick who the request is for
+                const res = await apiFetch(canView ? '/asset-requests' : '/me/asset-requests', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        employeeId: canView ? parseInt(formData.employeeId) : undefined,
+                        assetType: formData.assetType,
+                        justification: formData.justification.trim()
+                    })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(data.message);
+                    setNewAssetRequestModal(false);
+                    if (canView) fetchAssetRequests();
+                    else fetchMyPortal();
+                } else {
+                    notifyError(data, 'Failed to file request');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!newAssetRequestModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setNewAssetRequestModal(false)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h2>{canView ? 'New Asset Request' : 'Request an Item'}</h2>
+                        <button className="modal-close" onClick={() => setNewAssetRequestModal(false)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            {canView && (
+                                <div className="form-group">
+                                    <label>For Employee *</label>
+                                    <select
+                                        value={formData.employeeId}
+                                        onChange={e => setFormData({ ...formData, employeeId: e.target.value })}
+                                        disabled={isSubmitting}
+                                    >
+                                        <option value="">Select employee</option>
+                                        {employees.filter(emp => emp.IsActive).map(emp => (
+                                            <option key={emp.EmployeeId} value={emp.EmployeeId}>
+                                                {emp.FullName} ({emp.Email})
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label>Asset Type *</label>
+                                <select
+                                    value={formData.assetType}
+                                    onChange={e => setFormData({ ...formData, assetType: e.target.value })}
+                                    disabled={isSubmitting}
+                                >
+                                    <option value="">Select type</option>
+                                    {typeCatalog.map(type => (
+                                        <option key={type.AssetTypeId} value={type.Name}>{type.Name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Why is it needed?</label>
+                                <textarea
+                                    rows="3"
+                                    placeholder="e.g., Second monitor for design work"
+                                    value={formData.justification}
+                                    onChange={e => setFormData({ ...formData, justification: e.target.value })}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setNewAssetRequestModal(false)}>
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                className="btn-primary"
+                                disabled={isSubmitting || !formData.assetType || (canView && !formData.employeeId)}
+                            >
+                                {isSubmitting ? 'Sending...' : 'Submit Request'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // DECIDE REQUEST MODAL (approve / reject / cancel)
+    // ==========================================
+    const DECISION_TITLES = {
+        Approved: 'Approve Request',
+        Rejected: 'Reject Request',
+        Cancelled: 'Cancel Request'
+    };
+
+    const DecideRequestModal = () => {
+        const [note, setNote] = useState('');
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/asset-requests/${decideRequestModal.request.RequestId}/status`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ status: decideRequestModal.status, note: note.trim() })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(data.message);
+                    setDecideRequestModal(null);
+                    fetchAssetRequests();
+                } else {
+                    notifyError(data, 'Failed to update request');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!decideRequestModal) return null;
+        const { request, status } = decideRequestModal;
+
+        return (
+            <div className="modal-overlay" onClick={() => setDecideRequestModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>{DECISION_TITLES[status]}</h2>
+                            <p className="modal-subtitle">{request.AssetType} for {request.EmployeeName}</p>
+                        </div>
+                        <button className="modal-close" onClick={() => setDecideRequestModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            {request.Justification && (
+                                <div className="form-group">
+                                    <label>Justification</label>
+                                    <p className="service-request-note">{request.Justification}</p>
+                                </div>
+                            )}
+                            <div className="form-group">
+                                <label>Note</label>
+                                <textarea
+                                    rows="3"
+                                    placeholder="Optional, shown to the requester"
+                                    value={note}
+                                    onChange={e => setNote(e.target.value)}
+                                    disabled={isSubmitting}
+                                />
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setDecideRequestModal(null)}>
+                                Back
+                            </button>
+                            <button
+                                type="submit"
+                                className={status === 'Approved' ? 'btn-primary' : 'btn-danger-solid'}
+                                disabled={isSubmitting}
+                            >
+                                {isSubmitting ? 'Saving...' : DECISION_TITLES[status]}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // FULFILL REQUEST MODAL (pick an available item of the requested type)
+    // ==========================================
+    const FulfillRequestModal = () => {
+        const [availableAssets, setAvailableAssets] = useState([]);
+        const [selectedAsset, setSelectedAsset] = useState('');
+        const [isLoading, setIsLoading] = useState(true);
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        useEffect(() => {
+            if (!fulfillRequestModal) return;
+            const fetchAvailable = async () => {
+                try {
+                    const res = await apiFetch('/assets/available');
+                    const data = await res.json();
+                    setAvailableAssets(data.filter(a => a.AssetType === fulfillRequestModal.AssetType));
+                } catch {
+                    showNotification('Failed to load available assets', 'error');
+                } finally {
+                    setIsLoading(false);
+                }
+            };
+            fetchAvailable();
+        }, []);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/asset-requests/${fulfillRequestModal.RequestId}/fulfill`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ assetId: parseInt(selectedAsset) })
+                });
+                const data = await res.json();
+
+                if (data.success) {
+                    showNotification(data.message);
+                    setFulfillRequestModal(null);
+                    refreshData();
+                } else {
+                    notifyError(data, 'Failed to fulfill request');
+                }
+            } catch {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        if (!fulfillRequestModal) return null;
+
+        return (
+            <div className="modal-overlay" onClick={() => setFulfillRequestModal(null)}>
+                <div className="modal-container modal-form" onClick={e => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <div className="modal-header-content">
+                            <h2>Fulfill Request</h2>
+                            <p className="modal-subtitle">{fulfillRequestModal.AssetType} for {fulfillRequestModal.EmployeeName}</p>
+                        </div>
+                        <button className="modal-close" onClick={() => setFulfillRequestModal(null)}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                        </button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
+                            <div className="form-group">
+                                <label>Available {fulfillRequestModal.AssetType} *</label>
+                                <select
+                                    value={selectedAsset}
+                                    onChange={e => setSelectedAsset(e.target.value)}
+                                    disabled={isLoading || isSubmitting}
+                                >
+                                    <option value="">
+                                        {isLoading ? 'Loading...' : availableAssets.length === 0 ? 'Nothing in stock' : 'Select asset'}
+                                    </option>
+                                    {availableAssets.map(asset => (
+                                        <option key={asset.AssetId} value={asset.AssetId}>
+                                            {asset.AssetName} ({asset.SerialNumber || 'N/A'})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn-secondary" onClick={() => setFulfillRequestModal(null)}>
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-primary" disabled={isSubmitting || !selectedAsset}>
+                                {isSubmitting ? 'Assigning...' : 'Assign & Fulfill'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // DASHBOARD SCREEN (JSX, not a component)
+    // ==========================================
+    const DashboardScreen = (
+        <div className="dashboard">
+            {/* Header */}
+            <div className="page-header-main">
+                <div className="header-title-row">
+                    <h1><strong>Asset Management and Tracking System</strong></h1>
+                    <div className="header-actions">
+                        <button className="btn-secondary btn-icon" onClick={() => setCommandPaletteOpen(true)} title="Search everything (Ctrl+K)">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <circle cx="11" cy="11" r="8"></circle>
+                                <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                            </svg>
+                            Search
+                            <kbd>Ctrl K</kbd>
+                        </button>
+                        <button className="btn-secondary btn-icon" onClick={() => {
+                            setCurrentScreen('scan');
+                            focusScanInput();
+                        }}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M3 7V5a2 2 0 0 1 2-2h2"></path>
+                                <path d="M17 3h2a2 2 0 0 1 2 2v2"></path>
+                                <path d="M21 17v2a2 2 0 0 1-2 2h-2"></path>
+                                <path d="M7 21H5a2 2 0 0 1-2-2v-2"></path>
+                                <line x1="7" y1="12" x2="17" y2="12"></line>
+                            </svg>
+                            Scan
+                        </button>
+                        <button className={`btn-secondary btn-icon ${isRefreshing ? 'btn-loading' : ''}`} onClick={refreshData} disabled={isRefreshing}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className={isRefreshing ? 'spin' : ''}>
+                                <path d="M21 12a9 9 0 11-3-6.7"></path>
+                                <path d="M21 3v6h-6"></path>
+                            </svg>
+                            {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                        </button>
+                        {canManage && (
+                            <button className="btn-primary btn-icon" onClick={() => setAddAssetModal(true)}>
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <line x1="12" y1="5" x2="12" y2="19"></line>
+                                    <line x1="5" y1="12" x2="19" y2="12"></line>
+                                </svg>
+                                Add Asset
+                            </button>
+                        )}
+                        {canManage && (
+                            <button className="btn-secondary btn-icon" onClick={() => setImportModal('assets')}>
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                                    <polyline points="17 8 12 3 7 8"></polyline>
+                                    <line x1="12" y1="3" x2="12" y2="15"></line>
+                                </svg>
+                                Import
+                            </button>
+                        )}
+                        {isAdmin && (
+                            <button className="btn-secondary btn-icon" onClick={() => setManageTypesModal(true)}>
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M12 3h7a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-7m0-18H5a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h7m0-18v18"></path>
+                                </svg>
+                                Manage Types
+                            </button>
+                        )}
+                        <button className="btn-secondary btn-icon" onClick={() => setCurrentScreen('employees')}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                                <circle cx="9" cy="7" r="4"></circle>
+                                <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
+                                <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
+                            </svg>
+                            Employees
+                        </button>
+                        <button className="btn-secondary btn-icon" onClick={() => setCurrentScreen('requests')}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <polyline points="22 12 16 12 14 15 10 15 8 12 2 12"></polyline>
+                                <path d="M5.45 5.11 2 12v6a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2v-6l-3.45-6.89A2 2 0 0 0 16.76 4H7.24a2 2 0 0 0-1.79 1.11z"></path>
+                            </svg>
+                            Issues
+                            {openServiceRequestCount > 0 && <span className="count-badge">{openServiceRequestCount}</span>}
+                        </button>
+                        <button className="btn-secondary btn-icon" onClick={() => setCurrentScreen('asset-requests')}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M9 11l3 3L22 4"></path>
+                                <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+                            </svg>
+                            Asset Requests
+                            {pendingAssetRequestCount > 0 && <span className="count-badge">{pendingAssetRequestCount}</span>}
+                        </button>
+                        {isAdmin && (
+                            <button className="btn-secondary btn-icon" onClick={() => {
+                                setCurrentScreen('audit');
+                                fetchAuditLog();
+                            }}>
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+                                    <polyline points="14 2 14 8 20 8"></polyline>
+                                    <line x1="16" y1="13" x2="8" y2="13"></line>
+                                    <line x1="16" y1="17" x2="8" y2="17"></line>
+                                </svg>
+                                Audit Log
+                            </button>
+                        )}
+                        {isAdmin && (
+                            <button className="btn-secondary btn-icon" onClick={() => {
+                                setCurrentScreen('users');
+                                fetchUsers();
+                            }}>
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                                    <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+                                </svg>
+                                Users
+                            </button>
+                        )}
+                        <div className="user-badge">
+                            <span>{currentUser.username}</span>
+                            <span className="user-role">{ROLE_LABELS[currentUser.role]}</span>
+                        </div>
+                        <button className="btn-secondary" onClick={handleLogout}>
+                            Sign Out
+                        </button>
+                    </div>
+                </div>
+                <p className="header-subtitle-main">Track and manage company assets for your staffing organization</p>
+            </div>
+
+            {/* Metrics */}
+            <div className="metrics-grid">
+                <div className="metric-card">
+                    <div className="metric-icon blue">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect>
+                            <line x1="8" y1="21" x2="16" y2="21"></line>
+                            <line x1="12" y1="17" x2="12" y2="21"></line>
+                        </svg>
+                    </div>
+                    <div className="metric-content">
+                        <div className="metric-label">Total Assets</div>
+                        <div className="metric-value">{dashboardData?.TotalAssets || 0}</div>
+                        {dashboardData?.ArchivedAssets > 0 && (
+                            <div className="metric-sub">{dashboardData.ArchivedAssets} archived</div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="metric-card">
+                    <div className="metric-icon yellow">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
+                            <polyline points="22 4 12 14.01 9 11.01"></polyline>
+                        </svg>
+                    </div>
+                    <div className="metric-content">
+                        <div className="metric-label">Active Assignments</div>
+                        <div className="metric-value yellow">{dashboardData?.AssignedAssets || 0}</div>
+                    </div>
+                </div>
+
+                <div className="metric-card">
+                    <div className="metric-icon green">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                            <circle cx="9" cy="7" r="4"></circle>
+                            <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
+                            <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
+                        </svg>
+                    </div>
+                    <div className="metric-content">
+                        <div className="metric-label">Available</div>
+                        <div className="metric-value green">{dashboardData?.AvailableAssets || 0}</div>
+                        <div className="metric-sub">Ready to assign</div>
+                    </div>
+                </div>
+
+                <div className="metric-card">
+                    <div className="metric-icon red">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path>
+                            <line x1="12" y1="9" x2="12" y2="13"></line>
+                            <line x1="12" y1="17" x2="12.01" y2="17"></line>
+                        </svg>
+                    </div>
+                    <div className="metric-content">
+                        <div className="metric-label">Out of Service</div>
+                        <div className="metric-value red">{(dashboardData?.InRepairAssets || 0) + (dashboardData?.LostAssets || 0)}</div>
+                        <div className="metric-sub">{dashboardData?.InRepairAssets || 0} in repair • {dashboardData?.LostAssets || 0} lost</div>
+                    </div>
+                </div>
+
+                <div className="metric-card metric-card-link" onClick={() => {
+                    setCurrentScreen('book-value');
+                    fetchBookValueReport();
+                }}>
+                    <div className="metric-icon blue">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="12" y1="1" x2="12" y2="23"></line>
+                            <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path>
+                        </svg>
+                    </div>
+                    <div className="metric-content">
+                        <div className="metric-label">Book Value</div>
+                        <div className="metric-value">{formatMoney(dashboardData?.TotalBookValue || 0)}</div>
+                        <div className="metric-sub">
+                            of {formatMoney(dashboardData?.TotalPurchaseCost || 0)} purchase cost
+                            {dashboardData?.UnvaluedAssets > 0 ? ` • ${dashboardData.UnvaluedAssets} without cost` : ''}
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Expiry alerts */}
+            {expiryAlerts.length > 0 && (
+                <div className="content-card alerts-card">
+                    <div className="card-header-extended">
+                        <div className="card-title-section">
+                            <h2>Expiring Soon</h2>
+                            <p>Warranties and leases ending in the next few weeks</p>
+                        </div>
+                    </div>
+                    <ul className="alert-list">
+                        {expiryAlerts.map(alert => (
+                            <li key={alert.AlertId} className={alert.DaysLeft <= 7 ? 'urgent' : ''}>
+                                <div className="alert-text">
+                                    <strong>{alert.AssetName}</strong>
+                                    <span className="text-muted"> {alert.SerialNumber}</span>
+                                    <div className="alert-detail">
+                                        {ALERT_TYPE_LABELS[alert.AlertType]} {new Date(alert.ExpiresAt).toLocaleDateString()}
+                                        {' • '}
+                                        {alert.DaysLeft === 0 ? 'today' : `in ${alert.DaysLeft} day${alert.DaysLeft === 1 ? '' : 's'}`}
+                                    </div>
+                                </div>
+                                {canManage && (
+                                    <button className="btn-secondary" onClick={() => handleAcknowledgeAlert(alert)}>
+                                        Acknowledge
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {/* Asset Inventory */}
+            <div className="content-card">
+                <div className="card-header-extended">
+                    <div className="card-title-section">
+                        <h2>Asset Inventory</h2>
+                        <p>Manage all assets assigned to staff members</p>
+                    </div>
+                    <div className="card-actions">
                         <select
                             className="status-filter-select"
                             value={statusFilter}
-                            onChange={(e) => setStatusFilter(e.target.value)}
+                            onChange={(e) => {
+                                setStatusFilter(e.target.value);
+                                setAssetPageNumber(1);
+                            }}
+                        >
+                            <option value="all">All Status</option>
+                            <option value="active">Active Assignments</option>
+                            <option value="available">Available</option>
+                            <option value="in-repair">In Repair</option>
+                            <option value="lost">Lost</option>
+                            <option value="archived">Archived</option>
+                        </select>
+                        <select
+                            className="status-filter-select"
+                            value={filterType}
+                            onChange={(e) => {
+                                setFilterType(e.target.value);
+                                setAssetPageNumber(1);
+                            }}
+                        >
+                            {assetTypes.map(type => (
+                                <option key={type} value={type}>
+                                    {type === 'All' ? 'All Types' : type}
+                                </option>
+                            ))}
+                        </select>
+                        <div className={`search-box ${searchInput ? 'has-value' : ''}`}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <circle cx="11" cy="11" r="8"></circle>
+                                <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                            </svg>
+                            <input
+                                ref={searchInputRef}
+                                type="text"
+                                placeholder="Search assets..."
+                                value={searchInput}
+                                onChange={handleSearchChange}
+                                autoComplete="off"
+                            />
+                            {searchInput && (
+                                <button
+                                    className="search-clear"
+                                    onClick={clearSearch}
+                                    title="Clear search"
+                                    type="button"
+                                >
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                                    </svg>
+                                </button>
+                            )}
+                        </div>
+                        <button className="btn-secondary btn-icon" onClick={() => {
+                            setSelectedHistoryAsset(null);
+                            setCurrentScreen('history');
+                        }}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <circle cx="12" cy="12" r="10"></circle>
+                                <polyline points="12 6 12 12 16 14"></polyline>
+                            </svg>
+                            History
+                        </button>
+                        {renderExportMenu([
+                            {
+                                label: 'Assets',
+                                path: '/assets/export',
+                                params: { type: filterType, status: statusFilter, search: searchTerm },
+                                filename: 'assets'
+                            },
+                            {
+                                label: 'Active Assignments',
+                                path: '/assignments/active/export',
+                                params: { type: filterType, search: searchTerm },
+                                filename: 'active-assignments'
+                            }
+                        ])}
+                        {canManage && (
+                            <button className="btn-secondary btn-icon" onClick={() => setCurrentScreen('assign')}>
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                                    <circle cx="8.5" cy="7" r="4"></circle>
+                                    <line x1="20" y1="8" x2="20" y2="14"></line>
+                                    <line x1="23" y1="11" x2="17" y2="11"></line>
+                                </svg>
+                                Assign Asset
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {selectedAssetIds.length > 0 && (
+                    <div className="bulk-actions-bar">
+                        <span>{selectedAssetIds.length} asset(s) selected</span>
+                        <button className="btn-primary" onClick={() => openLabelSheet(selectedAssetIds)}>
+                            Print Labels
+                        </button>
+                        <button className="btn-secondary" onClick={() => setSelectedAssetIds([])}>
+                            Clear Selection
+                        </button>
+                    </div>
+                )}
+
+                {/* Table */}
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th className="col-select">
+                                    <input
+                                        type="checkbox"
+                                        title="Select this page"
+                                        checked={assetPage.items.length > 0 && assetPage.items.every(a => selectedAssetIds.includes(a.AssetId))}
+                                        onChange={(e) => {
+                                            const pageIds = assetPage.items.map(a => a.AssetId);
+                                            setSelectedAssetIds(prev => e.target.checked
+                                                ? [...new Set([...prev, ...pageIds])]
+                                                : prev.filter(id => !pageIds.includes(id)));
+                                        }}
+                                    />
+                                </th>
+                                <th className="col-number">#</th>
+                                {[['name', 'ASSET'], ['assignedTo', 'ASSIGNED TO'], ['type', 'TYPE'], ['serial', 'ASSET TAG'], ['status', 'STATUS']].map(([key, label]) => (
+                                    <th
+                                        key={key}
+                                        className={`sortable ${assetSort.sort === key ? 'sorted' : ''}`}
+                                        onClick={() => handleSortAssets(key)}
+                                    >
+                                        {label}
+                                        {assetSort.sort === key && (assetSort.order === 'asc' ? ' ▲' : ' ▼')}
+                                    </th>
+                                ))}
+                                <th>ACTIONS</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {assetPage.items.length === 0 ? (
+                                <tr>
+                                    <td colSpan="8" className="empty-row">
+                                        No assets found
+                                    </td>
+                                </tr>
+                            ) : (
+                                assetPage.items.map((asset, index) => {
+                                    const status = getAssetStatus(asset);
+                                    const employeeDetails = getEmployeeDetails(asset.AssetId);
+                                    const assignment = activeAssignments.find(a => a.AssetId === asset.AssetId);
+
+                                    return (
+                                        <tr key={asset.AssetId}>
+                                            <td className="col-select">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selectedAssetIds.includes(asset.AssetId)}
+                                                    onChange={() => toggleAssetSelected(asset.AssetId)}
+                                                />
+                                            </td>
+                                            <td className="col-number">{(assetPage.page - 1) * assetPage.limit + index + 1}</td>
+                                            <td>
+                                                <div className="asset-cell">
+                                                    <div className="asset-icon">
+                                                        {getAssetIcon(asset.AssetType)}
+                                                    </div>
+                                                    <div className="asset-info">
+                                                        <span className="asset-name">{asset.AssetName}</span>
+                                                        <span className="asset-id">AST-{String(asset.AssetId).padStart(3, '0')}</span>
+                                                    </div>
+                                                </div>
+                                            </td>
+                                            <td>
+                                                {employeeDetails ? (
+                                                    <div className="employee-cell">
+                                                        <span className="employee-name">{employeeDetails.name}</span>
+                                                        <span className="employee-details">
+                                                            ID: EMP-{String(employeeDetails.id).padStart(3, '0')} • {employeeDetails.position}
+                                                        </span>
+                                                    </div>
+                                                ) : (
+                                                    <span className="text-muted">Unassigned</span>
+                                                )}
+                                            </td>
+                                            <td>{asset.AssetType}</td>
+                                            <td className="text-muted">
+                                                {asset.SerialNumber || 'N/A'}
+                                                {asset.ManufacturerSerial && (
+                                                    <span className="manufacturer-serial">S/N {asset.ManufacturerSerial}</span>
+                                                )}
+                                            </td>
+                                            <td>
+                                                <span className={`status-badge ${getStatusKey(status)}`} title={asset.StatusNote || ''}>
+                                                    {status}
+                                                </span>
+                                            </td>
+                                            <td>
+                                                <div className="action-buttons">
+                                                    {canManage && status === 'Active' && assignment && (
+                                                        <button
+                                                            className="btn-action"
+                                                            onClick={() => handleReturn(assignment.AssignmentId, asset.AssetName)}
+                                                            title="Return Asset"
+                                                        >
+                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                                <polyline points="9 10 4 15 9 20"></polyline>
+                                                                <path d="M20 4v7a4 4 0 0 1-4 4H4"></path>
+                                                            </svg>
+                                                        </button>
+                                                    )}
+                                                    {canManage && MANUAL_STATUS_OPTIONS[asset.Status]?.length > 0 && (
+                                                        <button
+                                                            className="btn-action"
+                                                            onClick={() => setStatusAssetModal(asset)}
+                                                            title="Change Status"
+                                                        >
+                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                                <path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"></path>
+                                                            </svg>
+                                                        </button>
+                                                    )}
+                                                    {canManage && status !== 'Archived' && (
+                                                        <button
+                                                            className="btn-action"
+                                                            onClick={() => setEditAssetModal(asset)}
+                                                            title="Edit Asset"
+                                                        >
+                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                                                <path d="m18.5 2.5 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                                                            </svg>
+                                                        </button>
+                                                    )}
+                                                    {asset.PurchaseCost !== null && asset.PurchaseDate && (
+                                                        <button
+                                                            className="btn-action"
+                                                            onClick={() => setValuationAsset(asset)}
+                                                            title="Valuation"
+                                                        >
+                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                                <line x1="12" y1="1" x2="12" y2="23"></line>
+                                                                <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path>
+                                                            </svg>
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        className="btn-action"
+                                                        onClick={() => openLabelSheet([asset.AssetId])}
+                                                        title="Print Label"
+                                                    >
+                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                            <rect x="3" y="3" width="7" height="7"></rect>
+                                                            <rect x="14" y="3" width="7" height="7"></rect>
+                                                            <rect x="3" y="14" width="7" height="7"></rect>
+                                                            <line x1="14" y1="14" x2="14" y2="21"></line>
+                                                            <line x1="18" y1="14" x2="18" y2="21"></line>
+                                                            <line x1="21" y1="14" x2="21" y2="21"></line>
+                                                        </svg>
+                                                    </button>
+                                                    <button
+                                                        className="btn-action"
+                                                        onClick={() => {
+                                                            setSelectedHistoryAsset(asset);
+                                                            setCurrentScreen('history');
+                                                        }}
+                                                        title="View History"
+                                                    >
+                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                            <circle cx="12" cy="12" r="10"></circle>
+                                                            <polyline points="12 6 12 12 16 14"></polyline>
+                                                        </svg>
+                                                    </button>
+                                                    {canManage && (status === 'Archived' ? (
+                                                        <button
+                                                            className="btn-action"
+                                                            onClick={() => handleRestoreAsset(asset)}
+                                                            title="Restore Asset"
+                                                        >
+                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                                <polyline points="1 4 1 10 7 10"></polyline>
+                                                                <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                                                            </svg>
+                                                        </button>
+                                                    ) : (
+                                                        <button
+                                                            className={`btn-action btn-action-danger ${status === 'Active' ? 'disabled' : ''}`}
+                                                            onClick={() => handleArchiveAsset(asset)}
+                                                            title={status === 'Active' ? 'Return asset first to archive' : 'Archive Asset'}
+                                                            disabled={status === 'Active'}
+                                                        >
+                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                                <polyline points="21 8 21 21 3 21 3 8"></polyline>
+                                                                <rect x="1" y="3" width="22" height="5"></rect>
+                                                                <line x1="10" y1="12" x2="14" y2="12"></line>
+                                                            </svg>
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                {/* Pagination */}
+                <div className="table-pagination">
+                    <span className="text-muted">
+                        {assetPage.total === 0
+                            ? 'No assets'
+                            : `Showing ${(assetPage.page - 1) * assetPage.limit + 1}–${(assetPage.page - 1) * assetPage.limit + assetPage.items.length} of ${assetPage.total}`}
+                    </span>
+                    <div className="pagination-buttons">
+                        <button
+                            className="btn-secondary"
+                            onClick={() => setAssetPageNumber(assetPage.page - 1)}
+                            disabled={assetPage.page <= 1}
                         >
-                            <option value="all">All Status</option>
-                            <option value="active">Active Assignments</option>
-                            <option value="available">Available</option>
-                        </select>
-                        <select
-                            className="status-filter-select"
-                            value={filterType}
-                            onChange={(e) => setFilterType(e.target.value)}
+                            Previous
+                        </button>
+                        <span>Page {assetPage.page} of {assetPage.totalPages}</span>
+                        <button
+                            className="btn-secondary"
+                            onClick={() => setAssetPageNumber(assetPage.page + 1)}
+                            disabled={assetPage.page >= assetPage.totalPages}
                         >
-                            {assetTypes.map(type => (
-                                <option key={type} value={type}>
-                                    {type === 'All' ? 'All Types' : type}
-                                </option>
-                            ))}
-                        </select>
-                        <div className={`search-box ${searchInput ? 'has-value' : ''}`}>
+                            Next
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+
+    // ==========================================
+    // ASSIGN ASSET SCREEN
+    // ==========================================
+    const AssignAssetScreen = () => {
+        const [selectedEmployee, setSelectedEmployee] = useState('');
+        const [selectedAsset, setSelectedAsset] = useState('');
+        const [localEmployees, setLocalEmployees] = useState([]);
+        const [localAssets, setLocalAssets] = useState([]);
+        const [isLoading, setIsLoading] = useState(true);
+        const [isSubmitting, setIsSubmitting] = useState(false);
+
+        useEffect(() => {
+            const fetchData = async () => {
+                setIsLoading(true);
+                try {
+                    const [empRes, assetRes] = await Promise.all([
+                        apiFetch(`/employees`),
+                        apiFetch(`/assets/available`)
+                    ]);
+                    const empData = await empRes.json();
+                    const assetData = await assetRes.json();
+                    setLocalEmployees(empData);
+                    setLocalAssets(assetData);
+                } catch (err) {
+                    showNotification('Failed to load data', 'error');
+                } finally {
+                    setIsLoading(false);
+                }
+            };
+            fetchData();
+        }, []);
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            if (!selectedEmployee || !selectedAsset) {
+                showNotification('Please select both employee and asset', 'error');
+                return;
+            }
+
+            setIsSubmitting(true);
+            try {
+                const res = await apiFetch(`/assignments`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        assetId: parseInt(selectedAsset),
+                        employeeId: parseInt(selectedEmployee)
+                    })
+                });
+                const result = await res.json();
+
+                if (result.success) {
+                    showNotification('Asset assigned successfully!');
+                    setTimeout(() => {
+                        refreshData();
+                        setCurrentScreen('dashboard');
+                    }, 1000);
+                } else {
+                    notifyError(result, 'Failed to assign asset');
+                }
+            } catch (err) {
+                showNotification('Network error', 'error');
+            } finally {
+                setIsSubmitting(false);
+            }
+        };
+
+        return (
+            <div className="assign-page">
+                <div className="assign-container">
+                    <div className="assign-header">
+                        <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="19" y1="12" x2="5" y2="12"></line>
+                                <polyline points="12 19 5 12 12 5"></polyline>
+                            </svg>
+                        </button>
+                        <div className="assign-title">
+                            <h1>Assign Asset</h1>
+                            <p>Assign an available asset to an employee</p>
+                        </div>
+                    </div>
+
+                    {isLoading ? (
+                        <div className="loading-container">
+                            <div className="spinner"></div>
+                            <p>Loading...</p>
+                        </div>
+                    ) : (
+                        <div className="assign-card">
+                            <div className="assign-icon">
+                                <svg width="48\" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+                                    <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                                    <circle cx="8.5" cy="7" r="4"></circle>
+                                    <line x1="20" y1="8" x2="20" y2="14"></line>
+                                    <line x1="23" y1="11" x2="17" y2="11"></line>
+                                </svg>
+                            </div>
+                            <form onSubmit={handleSubmit}>
+                                <div className="assign-form-group">
+                                    <label>Select Employee *</label>
+                                    <select
+                                        value={selectedEmployee}
+                                        onChange={e => setSelectedEmployee(e.target.value)}
+                                        disabled={isSubmitting}
+                                        className={selectedEmployee ? 'has-value' : ''}
+                                    >
+                                        <option value="">Choose an employee...</option>
+                                        {localEmployees.map(emp => (
+                                            <option key={emp.EmployeeId} value={emp.EmployeeId}>
+                                                {emp.FullName} ({emp.Email})
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {localEmployees.length === 0 && (
+                                        <span className="form-error">No employees found in database</span>
+                                    )}
+                                </div>
+
+                                <div className="assign-form-group">
+                                    <label>Select Asset *</label>
+                                    <select
+                                        value={selectedAsset}
+                                        onChange={e => setSelectedAsset(e.target.value)}
+                                        disabled={isSubmitting}
+                                        className={selectedAsset ? 'has-value' : ''}
+                                    >
+                                        <option value="">Choose an available asset...</option>
+                                        {localAssets.map(asset => (
+                                            <option key={asset.AssetId} value={asset.AssetId}>
+                                                {asset.AssetName} - {asset.AssetType} ({asset.SerialNumber})
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {localAssets.length === 0 ? (
+                                        <span className="form-error">No available assets</span>
+                                    ) : (
+                                        <span className="form-hint">{localAssets.length} asset(s) available for assignment</span>
+                                    )}
+                                </div>
+
+                                <div className="assign-actions">
+                                    <button type="button" className="btn-secondary btn-full" onClick={() => setCurrentScreen('dashboard')}>
+                                        Cancel
+                                    </button>
+                                    <button
+                                        type="submit"
+                                        className="btn-primary btn-full"
+                                        disabled={isSubmitting || !selectedEmployee || !selectedAsset}
+                                    >
+                                        {isSubmitting ? 'Assigning...' : 'Assign Asset'}
+                                    </button>
+                                </div>
+                            </form>
+                        </div>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // ASSET HISTORY SCREEN
+    // ==========================================
+    const AssetHistoryScreen = () => {
+        const [selectedAsset, setSelectedAsset] = useState(
+            selectedHistoryAsset ? String(selectedHistoryAsset.AssetId) : ''
+        );
+        const [isLoading, setIsLoading] = useState(false);
+        const [localHistory, setLocalHistory] = useState([]);
+        const [currentAsset, setCurrentAsset] = useState(selectedHistoryAsset?.AssetName ? selectedHistoryAsset : null);
+        const [assetSearch, setAssetSearch] = useState('');
+        const [assetOptions, setAssetOptions] = useState([]);
+
+        // Search hits open the screen with only an asset id; load the rest of its details
+        useEffect(() => {
+            if (!selectedHistoryAsset || selectedHistoryAsset.AssetName) return;
+
+            (async () => {
+                try {
+                    const res = await apiFetch(`/assets/${selectedHistoryAsset.AssetId}`);
+                    if (res.ok) setCurrentAsset(await res.json());
+                } catch (err) {
+                    console.error('Failed to load asset:', err);
+                }
+            })();
+        }, []); // Only run once on mount
+
+        // The picker offers one page of matches (archived included), never the whole inventory
+        useEffect(() => {
+            let cancelled = false;
+            const timer = setTimeout(async () => {
+                const params = new URLSearchParams({ includeArchived: 'true', page: 1, limit: ASSET_PAGE_SIZE, search: assetSearch.trim() });
+                try {
+                    const res = await apiFetch(`/assets?${params.toString()}`);
+                    if (!res.ok) throw new Error('Failed to search assets');
+                    const data = await res.json();
+                    if (!cancelled) setAssetOptions(data.items);
+                } catch (err) {
+                    console.error('Asset search error:', err);
+                }
+            }, 250);
+
+            return () => {
+                cancelled = true;
+                clearTimeout(timer);
+            };
+        }, [assetSearch]);
+
+        // Load history for specific asset on initial mount
+        useEffect(() => {
+            const loadInitialHistory = async () => {
+                if (selectedHistoryAsset) {
+                    setIsLoading(true);
+                    try {
+                        const res = await apiFetch(`/assets/${selectedHistoryAsset.AssetId}/history`);
+                        const data = await res.json();
+                        setLocalHistory(data);
+                    } catch (err) {
+                        console.error('Failed to load history:', err);
+                    } finally {
+                        setIsLoading(false);
+                    }
+                }
+            };
+            loadInitialHistory();
+        }, []); // Only run once on mount
+
+        const handleSelectAsset = async (e) => {
+            const assetId = e.target.value;
+            setSelectedAsset(assetId);
+            setCurrentAsset(assetOptions.find(a => String(a.AssetId) === assetId) || null);
+
+            if (assetId) {
+                setIsLoading(true);
+                try {
+                    const res = await apiFetch(`/assets/${assetId}/history`);
+                    const data = await res.json();
+                    setLocalHistory(data);
+                } catch (err) {
+                    showNotification('Failed to load history', 'error');
+                } finally {
+                    setIsLoading(false);
+                }
+            } else {
+                setLocalHistory([]);
+            }
+        };
+
+        // The selected asset stays in the picker even when it is not among the matches
+        const pickerAssets = currentAsset && !assetOptions.some(a => a.AssetId === currentAsset.AssetId)
+            ? [currentAsset, ...assetOptions]
+            : assetOptions;
+
+        return (
+            <div className="history-page">
+                <div className="history-container">
+                    {/* Header */}
+                    <div className="history-header">
+                        <button className="btn-back" onClick={() => {
+                            setSelectedHistoryAsset(null);
+                            setCurrentScreen('dashboard');
+                        }}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="19" y1="12" x2="5" y2="12"></line>
+                                <polyline points="12 19 5 12 12 5"></polyline>
+                            </svg>
+                        </button>
+                        <div className="history-title">
+                            <h1>{currentAsset ? currentAsset.AssetName : 'Assignment History'}</h1>
+                            <p>{currentAsset
+                                ? `${currentAsset.AssetType} • ${currentAsset.SerialNumber || 'No Serial'}`
+                                : 'View the assignment timeline for any asset'
+                            }</p>
+                            {currentAsset?.ArchivedAt && (
+                                <p className="archived-note">
+                                    {currentAsset.ArchiveDisposition} on {new Date(currentAsset.ArchivedAt).toLocaleDateString()}: {currentAsset.ArchiveReason}
+                                </p>
+                            )}
+                        </div>
+                        {currentAsset && (
+                            <div className="history-header-actions">
+                                {renderExportMenu([{
+                                    label: 'History',
+                                    path: `/assets/${currentAsset.AssetId}/history/export`,
+                                    filename: `history-${currentAsset.SerialNumber || currentAsset.AssetId}`
+                                }])}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Asset Selector Card */}
+                    <div className="history-card">
+                        <div className="history-icon">
+                            <svg width="32" height="32" viewBox="0 0 50 50" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                                {/* Document */}
+                                <path d="M8 6C8 4.34315 9.34315 3 11 3H28L38 13V42C38 43.6569 36.6569 45 35 45H11C9.34315 45 8 43.6569 8 42V6Z"></path>
+                                <path d="M28 3V13H38"></path>
+                                {/* Lines on document */}
+                                <line x1="14" y1="22" x2="26" y2="22"></line>
+                                <line x1="14" y1="28" x2="26" y2="28"></line>
+                                <line x1="14" y1="34" x2="22" y2="34"></line>
+                                {/* Clock circle */}
+                                <circle cx="38" cy="32" r="10" fill="white"></circle>
+                                <circle cx="38" cy="32" r="10"></circle>
+                                {/* Clock hands */}
+                                <polyline points="38 27 38 32 42 34"></polyline>
+                            </svg>
+                        </div>
+                        <div className="history-form-group">
+                            <label>{currentAsset ? 'Change Asset' : 'Select Asset'}</label>
+                            <input
+                                type="search"
+                                className="history-asset-search"
+                                placeholder="Search by name, tag, serial or holder..."
+                                value={assetSearch}
+                                onChange={(e) => setAssetSearch(e.target.value)}
+                            />
+                            <select
+                                onChange={handleSelectAsset}
+                                value={selectedAsset}
+                                className={selectedAsset ? 'has-value' : ''}
+                            >
+                                <option value="">Choose an asset to view history...</option>
+                                {pickerAssets.map(asset => (
+                                    <option key={asset.AssetId} value={asset.AssetId}>
+                                        {asset.AssetName} - {asset.AssetType} ({asset.SerialNumber || 'N/A'}){asset.ArchivedAt ? ' - Archived' : ''}
+                                    </option>
+                                ))}
+                            </select>
+                            <span className="form-hint">
+                                {currentAsset
+                                    ? 'Select a different asset or go back to dashboard'
+                                    : 'Select an asset to see its complete assignment history'
+                                }
+                            </span>
+                        </div>
+                    </div>
+
+                    {/* Loading State */}
+                    {isLoading && (
+                        <div className="history-card">
+                            <div className="loading-container">
+                                <div className="spinner"></div>
+                                <p>Loading history...</p>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Timeline Card */}
+                    {!isLoading && localHistory.length > 0 && (
+                        <div className="history-card timeline-card">
+                            <h2 className="timeline-title">Assignment Timeline</h2>
+                            <div className="timeline">
+                                {localHistory.map((record, index) => (
+                                    <div key={record.AssignmentId} className={`timeline-item ${index === 0 ? 'first' : ''}`}>
+                                        <div className="timeline-marker"></div>
+                                        <div className="timeline-content">
+                                            <div className="timeline-header">
+                                                <span className="timeline-name">{record.FullName}</span>
+                                                {!record.ReturnedAt && (
+                                                    <span className="status-badge active">Currently Assigned</span>
+                                                )}
+                                            </div>
+                                            <div className="timeline-meta">
+                                                <div className="timeline-date">
+                                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
+                                                        <line x1="16" y1="2" x2="16" y2="6"></line>
+                                                        <line x1="8" y1="2" x2="8" y2="6"></line>
+                                                        <line x1="3" y1="10" x2="21" y2="10"></line>
+                                                    </svg>
+                                                    <span>Assigned: {new Date(record.AssignedAt).toLocaleString()}</span>
+                                                </div>
+                                                {record.ReturnedAt && (
+                                                    <div className="timeline-date returned">
+                                                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                            <polyline points="9 10 4 15 9 20"></polyline>
+                                                            <path d="M20 4v7a4 4 0 0 1-4 4H4"></path>
+                                                        </svg>
+                                                        <span>Returned: {new Date(record.ReturnedAt).toLocaleString()}</span>
+                                                    </div>
+                                                )}
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Empty State */}
+                    {!isLoading && localHistory.length === 0 && selectedAsset && (
+                        <div className="history-card">
+                            <div className="empty-state">
+                                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#94A3B8" strokeWidth="1.5">
+                                    <circle cx="12" cy="12" r="10"></circle>
+                                    <line x1="12" y1="8" x2="12" y2="12"></line>
+                                    <line x1="12" y1="16" x2="12.01" y2="16"></line>
+                                </svg>
+                                <p>No assignment history found for this asset</p>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    // ==========================================
+    // EMPLOYEES SCREEN (JSX, not a component)
+    // ==========================================
+    const selectedEmployeeAssets = selectedEmployee ? (assignmentsByEmployee.get(selectedEmployee.EmployeeId) || []) : [];
+
+    const EmployeesScreen = (
+        <div className="employees-page">
+            <div className="page-header">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => {
+                        setSelectedEmployeeId(null);
+                        setCurrentScreen('dashboard');
+                    }}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Employees</h1>
+                        <p className="header-subtitle">Manage staff members and the assets they hold</p>
+                    </div>
+                </div>
+                <div className="header-actions">
+                    {canManage && (
+                        <button className="btn-primary btn-icon" onClick={() => setEmployeeFormModal('new')}>
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <circle cx="11" cy="11" r="8"></circle>
-                                <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                                <line x1="12" y1="5" x2="12" y2="19"></line>
+                                <line x1="5" y1="12" x2="19" y2="12"></line>
+                            </svg>
+                            Add Employee
+                        </button>
+                    )}
+                    {canManage && (
+                        <button className="btn-secondary btn-icon" onClick={() => setImportModal('employees')}>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                                <polyline points="17 8 12 3 7 8"></polyline>
+                                <line x1="12" y1="3" x2="12" y2="15"></line>
+                            </svg>
+                            Import
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className={`employees-layout ${selectedEmployee ? 'with-panel' : ''}`}>
+                {/* Employee List */}
+                <div className="content-card">
+                    <div className="card-header-extended">
+                        <div className="card-title-section">
+                            <h2>Staff Directory</h2>
+                            <p>{filteredEmployees.length} of {employees.length} employees</p>
+                        </div>
+                        <div className="card-actions">
+                            <select
+                                className="status-filter-select"
+                                value={employeeStatusFilter}
+                                onChange={(e) => setEmployeeStatusFilter(e.target.value)}
+                            >
+                                <option value="active">Active</option>
+                                <option value="inactive">Deactivated</option>
+                                <option value="all">All Employees</option>
+                            </select>
+                            <div className={`search-box ${employeeSearch ? 'has-value' : ''}`}>
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <circle cx="11" cy="11" r="8"></circle>
+                                    <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                                </svg>
+                                <input
+                                    type="text"
+                                    placeholder="Search name, email, position..."
+                                    value={employeeSearch}
+                                    onChange={(e) => setEmployeeSearch(e.target.value)}
+                                    autoComplete="off"
+                                />
+                                {employeeSearch && (
+                                    <button
+                                        className="search-clear"
+                                        onClick={() => setEmployeeSearch('')}
+                                        title="Clear search"
+                                        type="button"
+                                    >
+                                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                                        </svg>
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="table-wrapper">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th className="col-number">#</th>
+                                    <th>EMPLOYEE</th>
+                                    <th>EMAIL</th>
+                                    <th>ASSETS HELD</th>
+                                    <th>STATUS</th>
+                                    <th>ACTIONS</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredEmployees.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="6" className="empty-row">
+                                            No employees found
+                                        </td>
+                                    </tr>
+                                ) : (
+                                    filteredEmployees.map((emp, index) => (
+                                        <tr
+                                            key={emp.EmployeeId}
+                                            className={`clickable-row ${selectedEmployeeId === emp.EmployeeId ? 'selected' : ''}`}
+                                            onClick={() => openEmployeeDetails(emp.EmployeeId)}
+                                        >
+                                            <td className="col-number">{index + 1}</td>
+                                            <td>
+                                                <div className="employee-cell">
+                                                    <span className="employee-name">{emp.FullName}</span>
+                                                    <span className="employee-details">
+                                                        ID: EMP-{String(emp.EmployeeId).padStart(3, '0')} • {emp.Position || 'N/A'}
+                                                    </span>
+                                                </div>
+                                            </td>
+                                            <td className="text-muted">{emp.Email}</td>
+                                            <td>{(assignmentsByEmployee.get(emp.EmployeeId) || []).length}</td>
+                                            <td>
+                                                <span className={`status-badge ${emp.IsActive ? 'active' : 'inactive'}`}>
+                                                    {emp.IsActive ? 'Active' : 'Deactivated'}
+                                                </span>
+                                            </td>
+                                            <td>
+                                                <div className="action-buttons">
+                                                    {canManage && (
+                                                        <button
+                                                            className="btn-action"
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                setEmployeeFormModal(emp);
+                                                            }}
+                                                            title="Edit Employee"
+                                                        >
+                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                                                <path d="m18.5 2.5 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                                                            </svg>
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                {/* Employee Details Panel */}
+                {selectedEmployee && (
+                    <div className="content-card employee-panel">
+                        <div className="employee-panel-header">
+                            <div>
+                                <h2>{selectedEmployee.FullName}</h2>
+                                <p>{selectedEmployee.Position || 'N/A'} • {selectedEmployee.Email}</p>
+                            </div>
+                            <button className="modal-close" onClick={() => setSelectedEmployeeId(null)}>
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                                </svg>
+                            </button>
+                        </div>
+
+                        <div className="employee-panel-meta">
+                            <span className={`status-badge ${selectedEmployee.IsActive ? 'active' : 'inactive'}`}>
+                                {selectedEmployee.IsActive ? 'Active' : 'Deactivated'}
+                            </span>
+                            <span className="text-muted">
+                                Joined {new Date(selectedEmployee.CreatedAt).toLocaleDateString()}
+                                {selectedEmployee.DeactivatedAt && ` • Left ${new Date(selectedEmployee.DeactivatedAt).toLocaleDateString()}`}
+                            </span>
+                        </div>
+
+                        {canManage && (
+                            <div className="employee-panel-actions">
+                                <button className="btn-secondary" onClick={() => setEmployeeFormModal(selectedEmployee)}>
+                                    Edit
+                                </button>
+                                {selectedEmployee.IsActive && (
+                                    <button className="btn-secondary" onClick={() => handleCreatePortalLink(selectedEmployee)}>
+                                        Portal Link
+                                    </button>
+                                )}
+                                {selectedEmployee.IsActive ? (
+                                    <button className="btn-danger-solid" onClick={() => handleOffboardEmployee(selectedEmployee)}>
+                                        Offboard
+                                    </button>
+                                ) : (
+                                    <button className="btn-primary" onClick={() => handleReactivateEmployee(selectedEmployee)}>
+                                        Reactivate
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        <h3 className="employee-panel-section">Currently Holding ({selectedEmployeeAssets.length})</h3>
+                        {selectedEmployeeAssets.length === 0 ? (
+                            <p className="text-muted employee-panel-empty">No assets assigned</p>
+                        ) : (
+                            <ul className="employee-asset-list">
+                                {selectedEmployeeAssets.map(a => (
+                                    <li key={a.AssignmentId}>
+                                        <div className="asset-icon">{getAssetIcon(a.AssetType)}</div>
+                                        <div className="asset-info">
+                                            <span className="asset-name">{a.AssetName}</span>
+                                            <span className="asset-id">
+                                                {a.AssetType} • {a.SerialNumber || 'N/A'} • since {new Date(a.AssignedAt).toLocaleDateString()}
+                                                {!a.ReceiptConfirmedAt && ' • receipt not confirmed'}
+                                            </span>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <div className="employee-panel-section-row">
+                            <h3 className="employee-panel-section">Assignment History</h3>
+                            <button
+                                className="btn-secondary"
+                                onClick={() => setCurrentScreen('employee-report')}
+                                disabled={employeeHistoryLoading}
+                            >
+                                Full Report
+                            </button>
+                        </div>
+                        {employeeHistoryLoading ? (
+                            <div className="loading-container">
+                                <div className="spinner"></div>
+                                <p>Loading history...</p>
+                            </div>
+                        ) : employeeHistory.length === 0 ? (
+                            <p className="text-muted employee-panel-empty">No assignment history</p>
+                        ) : (
+                            <div className="timeline">
+                                {employeeHistory.map((record, index) => (
+                                    <div key={record.AssignmentId} className={`timeline-item ${index === 0 ? 'first' : ''}`}>
+                                        <div className="timeline-marker"></div>
+                                        <div className="timeline-content">
+                                            <div className="timeline-header">
+                                                <span className="timeline-name">{record.AssetName}</span>
+                                                {!record.ReturnedAt && (
+                                                    <span className="status-badge active">Currently Assigned</span>
+                                                )}
+                                            </div>
+                                            <div className="timeline-meta">
+                                                <div className="timeline-date">
+                                                    <span>Assigned: {new Date(record.AssignedAt).toLocaleString()}</span>
+                                                </div>
+                                                {record.ReturnedAt && (
+                                                    <div className="timeline-date returned">
+                                                        <span>Returned: {new Date(record.ReturnedAt).toLocaleString()}</span>
+                                                    </div>
+                                                )}
+                                                <div className="timeline-date">
+                                                    <span>Held for: {formatDuration(record.DurationDays)}</span>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+
+    // ==========================================
+    // EMPLOYEE HISTORY REPORT SCREEN (JSX, not a component)
+    // ==========================================
+    const reportSummary = {
+        total: employeeHistory.length,
+        open: employeeHistory.filter(r => !r.ReturnedAt).length,
+        returned: employeeHistory.filter(r => r.ReturnedAt).length,
+        totalDays: employeeHistory.reduce((sum, r) => sum + (r.DurationDays || 0), 0)
+    };
+
+    // ==========================================
+    // LABEL SHEET SCREEN (printable QR / barcode labels)
+    // ==========================================
+    const LabelSheetScreen = () => {
+        const [templateKey, setTemplateKey] = useState('avery-5160');
+        const [custom, setCustom] = useState({ page: 'letter', columns: 3, rows: 10, widthMm: 66, heightMm: 25 });
+        const [symbology, setSymbology] = useState('qr');
+        const [companyName, setCompanyName] = useState('');
+        const [sheet, setSheet] = useState(null);
+        const [error, setError] = useState('');
+
+        useEffect(() => {
+            if (labelAssetIds.length === 0) return;
+
+            const loadLabels = async () => {
+                try {
+                    const res = await apiFetch(`/labels?assetIds=${labelAssetIds.join(',')}&symbology=${symbology}`);
+                    const data = await res.json();
+                    if (!res.ok) {
+                        setError(getErrorMessage(data, 'Failed to load labels'));
+                        return;
+                    }
+                    setSheet(data);
+                    setCompanyName(name => name || data.companyName);
+                    setError('');
+                } catch {
+                    setError('Network error');
+                }
+            };
+            loadLabels();
+        }, [symbology]);
+
+        // Custom layouts spread the labels evenly over a 10 mm page margin
+        const template = templateKey === 'custom'
+            ? {
+                page: custom.page,
+                columns: Math.max(1, Number(custom.columns) || 1),
+                rows: Math.max(1, Number(custom.rows) || 1),
+                width: `${custom.widthMm}mm`,
+                height: `${custom.heightMm}mm`,
+                top: '10mm',
+                left: '10mm',
+                gapX: '2mm',
+                gapY: '2mm'
+            }
+            : LABEL_TEMPLATES[templateKey];
+        const perPage = template.columns * template.rows;
+        const labels = sheet?.labels || [];
+        const pages = [];
+        for (let i = 0; i < labels.length; i += perPage) {
+            pages.push(labels.slice(i, i + perPage));
+        }
+
+        return (
+            <div className="label-sheet-page">
+                <style>{`@page { size: ${template.page === 'a4' ? 'A4' : 'letter'}; margin: 0; }`}</style>
+                <div className="page-header no-print">
+                    <div className="header-left">
+                        <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <line x1="19" y1="12" x2="5" y2="12"></line>
+                                <polyline points="12 19 5 12 12 5"></polyline>
                             </svg>
-                            <input
-                                ref={searchInputRef}
-                                type="text"
-                                placeholder="Search assets..."
-                                value={searchInput}
-                                onChange={handleSearchChange}
-                                autoComplete="off"
-                            />
-                            {searchInput && (
-                                <button
-                                    className="search-clear"
-                                    onClick={clearSearch}
-                                    title="Clear search"
-                                    type="button"
-                                >
-                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                        <line x1="18" y1="6" x2="6" y2="18"></line>
-                                        <line x1="6" y1="6" x2="18" y2="18"></line>
-                                    </svg>
-                                </button>
-                            )}
+                        </button>
+                        <div>
+                            <h1>Print Labels</h1>
+                            <p className="header-subtitle">{labels.length} label(s) on {pages.length} sheet(s)</p>
                         </div>
-                        <button className="btn-secondary btn-icon" onClick={() => {
-                            setSelectedHistoryAsset(null);
-                            setCurrentScreen('history');
-                        }}>
+                    </div>
+                    <div className="header-actions">
+                        <button className="btn-primary btn-icon" onClick={() => window.print()} disabled={labels.length === 0}>
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <circle cx="12" cy="12" r="10"></circle>
-                                <polyline points="12 6 12 12 16 14"></polyline>
+                                <polyline points="6 9 6 2 18 2 18 9"></polyline>
+                                <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"></path>
+                                <rect x="6" y="14" width="12" height="8"></rect>
                             </svg>
-                            History
+                            Print
                         </button>
-                        <button className="btn-secondary btn-icon" onClick={() => setCurrentScreen('assign')}>
+                    </div>
+                </div>
+
+                <div className="content-card label-options no-print">
+                    <div className="form-grid">
+                        <div className="form-group">
+                            <label>Sheet</label>
+                            <select value={templateKey} onChange={e => setTemplateKey(e.target.value)}>
+                                {Object.entries(LABEL_TEMPLATES).map(([key, t]) => (
+                                    <option key={key} value={key}>{t.name}</option>
+                                ))}
+                                <option value="custom">Custom grid</option>
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Code</label>
+                            <select value={symbology} onChange={e => setSymbology(e.target.value)}>
+                                <option value="qr">QR code</option>
+                                <option value="code128">Code128 barcode</option>
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Company Name</label>
+                            <input type="text" value={companyName} onChange={e => setCompanyName(e.target.value)} />
+                        </div>
+                    </div>
+                    {templateKey === 'custom' && (
+                        <div className="form-grid">
+                            <div className="form-group">
+                                <label>Paper</label>
+                                <select value={custom.page} onChange={e => setCustom({ ...custom, page: e.target.value })}>
+                                    <option value="letter">US Letter</option>
+                                    <option value="a4">A4</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Columns</label>
+                                <input type="number" min="1" max="10" value={custom.columns} onChange={e => setCustom({ ...custom, columns: e.target.value })} />
+                            </div>
+                            <div className="form-group">
+                                <label>Rows</label>
+                                <input type="number" min="1" max="30" value={custom.rows} onChange={e => setCustom({ ...custom, rows: e.target.value })} />
+                            </div>
+                            <div className="form-group">
+                                <label>Label Width (mm)</label>
+                                <input type="number" min="10" value={custom.widthMm} onChange={e => setCustom({ ...custom, widthMm: e.target.value })} />
+                            </div>
+                            <div className="form-group">
+                                <label>Label Height (mm)</label>
+                                <input type="number" min="10" value={custom.heightMm} onChange={e => setCustom({ ...custom, heightMm: e.target.value })} />
+                            </div>
+                        </div>
+                    )}
+                    {error && <p className="form-hint">{error}</p>}
+                    {sheet?.missingAssetIds.length > 0 && (
+                        <p className="form-hint">{sheet.missingAssetIds.length} selected asset(s) no longer exist and were skipped.</p>
+                    )}
+                </div>
+
+                {pages.map((pageLabels, pageIndex) => (
+                    <div
+                        key={pageIndex}
+                        className="label-sheet"
+                        style={{
+                            width: LABEL_PAGE_SIZES[template.page].width,
+                            height: LABEL_PAGE_SIZES[template.page].height,
+                            paddingTop: template.top,
+                            paddingLeft: template.left,
+                            gridTemplateColumns: `repeat(${template.columns}, ${template.width})`,
+                            gridAutoRows: template.height,
+                            columnGap: template.gapX,
+                            rowGap: template.gapY
+                        }}
+                    >
+                        {pageLabels.map(label => (
+                            <div key={label.AssetId} className={`asset-label ${symbology}`}>
+                                <div className="asset-label-code" dangerouslySetInnerHTML={{ __html: label.image }} />
+                                <div className="asset-label-text">
+                                    <span className="asset-label-company">{companyName}</span>
+                                    <span className="asset-label-name">{label.AssetName}</span>
+                                    {symbology === 'qr' && <span className="asset-label-serial">{label.LabelText}</span>}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    const EmployeeReportScreen = selectedEmployee && (
+        <div className="employee-report">
+            <div className="page-header no-print">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => setCurrentScreen('employees')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Assignment History Report</h1>
+                        <p className="header-subtitle">Every asset this employee has held, for audits and exit interviews</p>
+                    </div>
+                </div>
+                <div className="header-actions">
+                    <button className="btn-primary btn-icon" onClick={() => window.print()}>
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <polyline points="6 9 6 2 18 2 18 9"></polyline>
+                            <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"></path>
+                            <rect x="6" y="14" width="12" height="8"></rect>
+                        </svg>
+                        Print Report
+                    </button>
+                </div>
+            </div>
+
+            <div className="content-card report-card">
+                <div className="report-heading">
+                    <h2>{selectedEmployee.FullName}</h2>
+                    <p>
+                        EMP-{String(selectedEmployee.EmployeeId).padStart(3, '0')} • {selectedEmployee.Position || 'N/A'} • {selectedEmployee.Email}
+                    </p>
+                    <p className="text-muted">
+                        {selectedEmployee.IsActive ? 'Active' : `Deactivated ${new Date(selectedEmployee.DeactivatedAt).toLocaleDateString()}`}
+                        {' • '}Report generated {new Date().toLocaleString()}
+                    </p>
+                </div>
+
+                <div className="report-summary">
+                    <div>
+                        <span className="metric-label">Assets Ever Held</span>
+                        <span className="metric-value">{reportSummary.total}</span>
+                    </div>
+                    <div>
+                        <span className="metric-label">Currently Holding</span>
+                        <span className="metric-value yellow">{reportSummary.open}</span>
+                    </div>
+                    <div>
+                        <span className="metric-label">Returned</span>
+                        <span className="metric-value green">{reportSummary.returned}</span>
+                    </div>
+                    <div>
+                        <span className="metric-label">Average Duration</span>
+                        <span className="metric-value">
+                            {reportSummary.total ? formatDuration(Math.round(reportSummary.totalDays / reportSummary.total)) : 'N/A'}
+                        </span>
+                    </div>
+                </div>
+
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th className="col-number">#</th>
+                                <th>ASSET</th>
+                                <th>TYPE</th>
+                                <th>SERIAL NUMBER</th>
+                                <th>ASSIGNED</th>
+                                <th>RETURNED</th>
+                                <th>DURATION</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {employeeHistory.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="empty-row">
+                                        No assignment history
+                                    </td>
+                                </tr>
+                            ) : (
+                                employeeHistory.map((record, index) => (
+                                    <tr key={record.AssignmentId}>
+                                        <td className="col-number">{index + 1}</td>
+                                        <td>{record.AssetName}</td>
+                                        <td>{record.AssetType}</td>
+                                        <td className="text-muted">{record.SerialNumber || 'N/A'}</td>
+                                        <td>{new Date(record.AssignedAt).toLocaleDateString()}</td>
+                                        <td>
+                                            {record.ReturnedAt
+                                                ? new Date(record.ReturnedAt).toLocaleDateString()
+                                                : <span className="status-badge active">Still Held</span>
+                                            }
+                                        </td>
+                                        <td>{formatDuration(record.DurationDays)}</td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+
+    // ==========================================
+    // AUDIT LOG SCREEN (JSX, not a component)
+    // ==========================================
+    const BookValueScreen = (
+        <div className="book-value-page">
+            <div className="page-header">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Book Value</h1>
+                        <p className="header-subtitle">
+                            Depreciated value of the fleet by type{bookValueReport ? ` as of ${new Date(bookValueReport.asOf).toLocaleDateString()}` : ''}
+                        </p>
+                    </div>
+                </div>
+            </div>
+
+            <div className="content-card">
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>TYPE</th>
+                                <th>METHOD</th>
+                                <th>ASSETS</th>
+                                <th>PURCHASE COST</th>
+                                <th>DEPRECIATED</th>
+                                <th>BOOK VALUE</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {!bookValueReport ? (
+                                <tr>
+                                    <td colSpan="6" className="empty-row">Loading report...</td>
+                                </tr>
+                            ) : bookValueReport.types.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="empty-row">No assets in the fleet</td>
+                                </tr>
+                            ) : (
+                                [...bookValueReport.types, { ...bookValueReport.totals, AssetType: 'Total' }].map(row => (
+                                    <tr key={row.AssetType} className={row.AssetType === 'Total' ? 'report-total-row' : ''}>
+                                        <td>{row.AssetType}</td>
+                                        <td className="text-muted">
+                                            {row.DepreciationMethod
+                                                ? `${DEPRECIATION_METHOD_LABELS[row.DepreciationMethod]}, ${row.UsefulLifeYears} yr`
+                                                : ''}
+                                        </td>
+                                        <td>
+                                            {row.AssetCount}
+                                            {row.ValuedCount < row.AssetCount && (
+                                                <span className="text-muted"> ({row.AssetCount - row.ValuedCount} without cost)</span>
+                                            )}
+                                        </td>
+                                        <td>{formatMoney(row.PurchaseCost)}</td>
+                                        <td>{formatMoney(row.AccumulatedDepreciation)}</td>
+                                        <td><strong>{formatMoney(row.BookValue)}</strong></td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+
+    const AuditLogScreen = (
+        <div className="audit-page">
+            <div className="page-header">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Audit Log</h1>
+                        <p className="header-subtitle">Every change made to employees, assets, assignments and types</p>
+                    </div>
+                </div>
+                <div className="header-actions">
+                    {renderExportMenu([{ label: 'Audit Log', path: '/audit/export', params: auditFilters, filename: 'audit-log' }])}
+                </div>
+            </div>
+
+            <div className="content-card">
+                <form
+                    className="audit-filters"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        fetchAuditLog();
+                    }}
+                >
+                    <select
+                        className="status-filter-select"
+                        value={auditFilters.entityType}
+                        onChange={(e) => setAuditFilters({ ...auditFilters, entityType: e.target.value })}
+                    >
+                        <option value="">All Entities</option>
+                        <option value="Employee">Employees</option>
+                        <option value="Asset">Assets</option>
+                        <option value="Assignment">Assignments</option>
+                        <option value="AssetType">Asset Types</option>
+                    </select>
+                    <div className="search-box">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <circle cx="11" cy="11" r="8"></circle>
+                            <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                        </svg>
+                        <input
+                            type="text"
+                            placeholder="Actor..."
+                            value={auditFilters.actor}
+                            onChange={(e) => setAuditFilters({ ...auditFilters, actor: e.target.value })}
+                        />
+                    </div>
+                    <label className="audit-date">
+                        From
+                        <input
+                            type="date"
+                            value={auditFilters.from}
+                            onChange={(e) => setAuditFilters({ ...auditFilters, from: e.target.value })}
+                        />
+                    </label>
+                    <label className="audit-date">
+                        To
+                        <input
+                            type="date"
+                            value={auditFilters.to}
+                            onChange={(e) => setAuditFilters({ ...auditFilters, to: e.target.value })}
+                        />
+                    </label>
+                    <button type="submit" className="btn-primary">Apply</button>
+                    <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => {
+                            const cleared = { entityType: '', actor: '', from: '', to: '' };
+                            setAuditFilters(cleared);
+                            fetchAuditLog(cleared);
+                        }}
+                    >
+                        Clear
+                    </button>
+                </form>
+
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>WHEN</th>
+                                <th>ACTOR</th>
+                                <th>ACTION</th>
+                                <th>ENTITY</th>
+                                <th>SUMMARY</th>
+                                <th>CHANGES</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {auditLoading ? (
+                                <tr>
+                                    <td colSpan="6" className="empty-row">Loading audit log...</td>
+                                </tr>
+                            ) : auditEntries.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="empty-row">No audit entries found</td>
+                                </tr>
+                            ) : (
+                                auditEntries.map(entry => {
+                                    const changes = getChangedFields(entry.BeforeValue, entry.AfterValue);
+                                    const isExpanded = expandedAuditId === entry.AuditId;
+
+                                    return (
+                                        <React.Fragment key={entry.AuditId}>
+                                            <tr>
+                                                <td className="text-muted">{new Date(entry.CreatedAt).toLocaleString()}</td>
+                                                <td>{entry.Actor}</td>
+                                                <td><span className="audit-action">{entry.Action}</span></td>
+                                                <td>{entry.EntityType}{entry.EntityId ? ` #${entry.EntityId}` : ''}</td>
+                                                <td>{entry.Summary || '—'}</td>
+                                                <td>
+                                                    {changes.length > 0 ? (
+                                                        <button
+                                                            className="btn-secondary audit-toggle"
+                                                            onClick={() => setExpandedAuditId(isExpanded ? null : entry.AuditId)}
+                                                        >
+                                                            {isExpanded ? 'Hide' : `${changes.length} field(s)`}
+                                                        </button>
+                                                    ) : (
+                                                        <span className="text-muted">—</span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                            {isExpanded && (
+                                                <tr className="audit-diff-row">
+                                                    <td colSpan="6">
+                                                        <table className="audit-diff">
+                                                            <thead>
+                                                                <tr>
+                                                                    <th>Field</th>
+                                                                    <th>Before</th>
+                                                                    <th>After</th>
+                                                                </tr>
+                                                            </thead>
+                                                            <tbody>
+                                                                {changes.map(change => (
+                                                                    <tr key={change.field}>
+                                                                        <td>{change.field}</td>
+                                                                        <td className="audit-before">{formatAuditValue(change.before)}</td>
+                                                                        <td className="audit-after">{formatAuditValue(change.after)}</td>
+                                                                    </tr>
+                                                                ))}
+                                                            </tbody>
+                                                        </table>
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+
+    // ==========================================
+    // ASSET REQUESTS INBOX (JSX, not a component)
+    // ==========================================
+    // ==========================================
+    // SCAN SCREEN (JSX, not a component)
+    // ==========================================
+    const scannedAsset = scanResult?.asset;
+    const scannedHolder = scanResult?.assignment;
+
+    const ScanScreen = (
+        <div className="scan-page">
+            <div className="page-header">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Scan</h1>
+                        <p className="header-subtitle">Scan or type a serial number to look up, check out or check in an asset</p>
+                    </div>
+                </div>
+            </div>
+
+            <div className="content-card scan-card">
+                <form className="scan-form" onSubmit={handleScanLookup}>
+                    <input
+                        ref={scanInputRef}
+                        type="text"
+                        className="scan-input"
+                        placeholder="Scan barcode or type serial number, then Enter"
+                        value={scanInput}
+                        onChange={(e) => setScanInput(e.target.value)}
+                        autoFocus
+                        autoComplete="off"
+                        disabled={scanBusy}
+                    />
+                    <button type="submit" className="btn-primary" disabled={scanBusy || !scanInput.trim()}>
+                        Look Up
+                    </button>
+                </form>
+
+                {scannedAsset && (
+                    <div className="scan-result">
+                        <div className="scan-result-header">
+                            <div className="asset-icon">{getAssetIcon(scannedAsset.AssetType)}</div>
+                            <div className="asset-info">
+                                <span className="asset-name">{scannedAsset.AssetName}</span>
+                                <span className="asset-id">
+                                    {scannedAsset.AssetType} • {scannedAsset.SerialNumber || `AST-${String(scannedAsset.AssetId).padStart(3, '0')}`}
+                                </span>
+                            </div>
+                            <span className={`status-badge ${getStatusKey(getAssetStatus(scannedAsset))}`}>
+                                {getAssetStatus(scannedAsset)}
+                            </span>
+                        </div>
+
+                        {scannedHolder ? (
+                            <div className="scan-holder">
+                                <div>
+                                    <span className="employee-name">Held by {scannedHolder.EmployeeName}</span>
+                                    <span className="employee-details">
+                                        {scannedHolder.EmployeeEmail} • since {new Date(scannedHolder.AssignedAt).toLocaleDateString()}
+                                    </span>
+                                </div>
+                                {canManage && (
+                                    <button className="btn-primary" onClick={handleScanReturn} disabled={scanBusy}>
+                                        Check In
+                                    </button>
+                                )}
+                            </div>
+                        ) : scannedAsset.Status === 'InStock' ? (
+                            canManage && (
+                                <div className="scan-holder">
+                                    <select
+                                        className="status-filter-select"
+                                        value={scanEmployeeId}
+                                        onChange={(e) => setScanEmployeeId(e.target.value)}
+                                        disabled={scanBusy}
+                                    >
+                                        <option value="">Check out to...</option>
+                                        {employees.filter(emp => emp.IsActive).map(emp => (
+                                            <option key={emp.EmployeeId} value={emp.EmployeeId}>
+                                                {emp.FullName} ({emp.Email})
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button className="btn-primary" onClick={handleScanAssign} disabled={scanBusy || !scanEmployeeId}>
+                                        Check Out
+                                    </button>
+                                </div>
+                            )
+                        ) : (
+                            <p className="form-hint">
+                                This asset is {getAssetStatus(scannedAsset).toLowerCase()} and cannot be checked out
+                                {scannedAsset.StatusNote ? `: ${scannedAsset.StatusNote}` : '.'}
+                            </p>
+                        )}
+
+                        <div className="scan-result-links">
+                            <button
+                                className="btn-secondary"
+                                onClick={() => {
+                                    setSelectedHistoryAsset(scannedAsset);
+                                    setCurrentScreen('history');
+                                }}
+                            >
+                                Full History
+                            </button>
+                            {scanResult.recentHistory.length > 0 && (
+                                <span className="text-muted">
+                                    Last holders: {scanResult.recentHistory.map(h => h.FullName).join(', ')}
+                                </span>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {scanLog.length > 0 && (
+                <div className="content-card scan-log">
+                    <h2>This Session</h2>
+                    <ul>
+                        {scanLog.map(entry => (
+                            <li key={entry.id} className={entry.type}>
+                                <span className="text-muted">{entry.at.toLocaleTimeString()}</span>
+                                {entry.text}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+
+    const AssetRequestsScreen = (
+        <div className="requests-page">
+            <div className="page-header">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Asset Requests</h1>
+                        <p className="header-subtitle">Approve requests for equipment and hand over items from stock</p>
+                    </div>
+                </div>
+                <div className="header-actions">
+                    <select
+                        className="status-filter-select"
+                        value={assetRequestFilter}
+                        onChange={(e) => setAssetRequestFilter(e.target.value)}
+                    >
+                        <option value="Pending">Pending</option>
+                        <option value="Approved">Approved</option>
+                        <option value="Fulfilled">Fulfilled</option>
+                        <option value="Rejected">Rejected</option>
+                        <option value="Cancelled">Cancelled</option>
+                        <option value="">All</option>
+                    </select>
+                    {canManage && (
+                        <button className="btn-primary btn-icon" onClick={openNewAssetRequest}>
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
-                                <circle cx="8.5" cy="7" r="4"></circle>
-                                <line x1="20" y1="8" x2="20" y2="14"></line>
-                                <line x1="23" y1="11" x2="17" y2="11"></line>
+                                <line x1="12" y1="5" x2="12" y2="19"></line>
+                                <line x1="5" y1="12" x2="19" y2="12"></line>
                             </svg>
-                            Assign Asset
+                            New Request
                         </button>
-                    </div>
+                    )}
                 </div>
+            </div>
 
-                {/* Table */}
+            <div className="content-card">
                 <div className="table-wrapper">
                     <table className="data-table">
                         <thead>
                             <tr>
-                                <th className="col-number">#</th>
-                                <th>ASSET</th>
-                                <th>ASSIGNED TO</th>
+                                <th>RAISED</th>
+                                <th>FOR</th>
                                 <th>TYPE</th>
-                                <th>SERIAL NUMBER</th>
+                                <th>JUSTIFICATION</th>
                                 <th>STATUS</th>
                                 <th>ACTIONS</th>
                             </tr>
                         </thead>
                         <tbody>
-                            {filteredAssets.length === 0 ? (
+                            {filteredAssetRequests.length === 0 ? (
                                 <tr>
-                                    <td colSpan="7" className="empty-row">
-                                        No assets found
-                                    </td>
+                                    <td colSpan="6" className="empty-row">No requests found</td>
                                 </tr>
                             ) : (
-                                filteredAssets.map((asset, index) => {
-                                    const status = getAssetStatus(asset.AssetId);
-                                    const employeeDetails = getEmployeeDetails(asset.AssetId);
-                                    const assignment = activeAssignments.find(a => a.AssetId === asset.AssetId);
-
-                                    return (
-                                        <tr key={asset.AssetId}>
-                                            <td className="col-number">{index + 1}</td>
-                                            <td>
-                                                <div className="asset-cell">
-                                                    <div className="asset-icon">
-                                                        {getAssetIcon(asset.AssetType)}
-                                                    </div>
-                                                    <div className="asset-info">
-                                                        <span className="asset-name">{asset.AssetName}</span>
-                                                        <span className="asset-id">AST-{String(asset.AssetId).padStart(3, '0')}</span>
-                                                    </div>
-                                                </div>
-                                            </td>
-                                            <td>
-                                                {employeeDetails ? (
-                                                    <div className="employee-cell">
-                                                        <span className="employee-name">{employeeDetails.name}</span>
-                                                        <span className="employee-details">
-                                                            ID: EMP-{String(employeeDetails.id).padStart(3, '0')} • {employeeDetails.position}
-                                                        </span>
-                                                    </div>
-                                                ) : (
-                                                    <span className="text-muted">Unassigned</span>
-                                                )}
-                                            </td>
-                                            <td>{asset.AssetType}</td>
-                                            <td className="text-muted">{asset.SerialNumber || 'N/A'}</td>
-                                            <td>
-                                                <span className={`status-badge ${status.toLowerCase()}`}>
-                                                    {status}
-                                                </span>
-                                            </td>
-                                            <td>
+                                filteredAssetRequests.map(request => (
+                                    <tr key={request.RequestId}>
+                                        <td className="text-muted">
+                                            {new Date(request.CreatedAt).toLocaleString()}
+                                            <div>by {request.RequestedBy}</div>
+                                        </td>
+                                        <td>
+                                            <div className="employee-cell">
+                                                <span className="employee-name">{request.EmployeeName}</span>
+                                                <span className="employee-details">{request.EmployeeEmail}</span>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            {request.AssetType}
+                                            {request.AssetName && (
+                                                <div className="text-muted">{request.AssetName} ({request.SerialNumber || 'N/A'})</div>
+                                            )}
+                                        </td>
+                                        <td className="text-muted">
+                                            {request.Justification || '—'}
+                                            {request.DecisionNote && <div>{request.DecidedBy}: {request.DecisionNote}</div>}
+                                        </td>
+                                        <td>
+                                            <span className={`status-badge ${getStatusKey(request.Status)}`}>{request.Status}</span>
+                                        </td>
+                                        <td>
+                                            {canManage && request.Status === 'Pending' && (
                                                 <div className="action-buttons">
-                                                    {status === 'Active' && assignment && (
-                                                        <button
-                                                            className="btn-action"
-                                                            onClick={() => handleReturn(assignment.AssignmentId, asset.AssetName)}
-                                                            title="Return Asset"
-                                                        >
-                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                                                <polyline points="9 10 4 15 9 20"></polyline>
-                                                                <path d="M20 4v7a4 4 0 0 1-4 4H4"></path>
-                                                            </svg>
-                                                        </button>
-                                                    )}
-                                                    <button
-                                                        className="btn-action"
-                                                        onClick={() => setEditAssetModal(asset)}
-                                                        title="Edit Asset"
-                                                    >
-                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                                                            <path d="m18.5 2.5 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                                                        </svg>
+                                                    <button className="btn-primary" onClick={() => setDecideRequestModal({ request, status: 'Approved' })}>
+                                                        Approve
                                                     </button>
-                                                    <button
-                                                        className="btn-action"
-                                                        onClick={() => {
-                                                            setSelectedHistoryAsset(asset);
-                                                            setCurrentScreen('history');
-                                                        }}
-                                                        title="View History"
-                                                    >
-                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                                            <circle cx="12" cy="12" r="10"></circle>
-                                                            <polyline points="12 6 12 12 16 14"></polyline>
-                                                        </svg>
+                                                    <button className="btn-secondary" onClick={() => setDecideRequestModal({ request, status: 'Rejected' })}>
+                                                        Reject
                                                     </button>
-                                                    <button
-                                                        className={`btn-action btn-action-danger ${status === 'Active' ? 'disabled' : ''}`}
-                                                        onClick={() => handleDeleteAsset(asset)}
-                                                        title={status === 'Active' ? 'Return asset first to delete' : 'Delete Asset'}
-                                                        disabled={status === 'Active'}
-                                                    >
-                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                                            <polyline points="3 6 5 6 21 6"></polyline>
-                                                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                                                        </svg>
+                                                </div>
+                                            )}
+                                            {canManage && request.Status === 'Approved' && (
+                                                <div className="action-buttons">
+                                                    <button className="btn-primary" onClick={() => setFulfillRequestModal(request)}>
+                                                        Fulfill
+                                                    </button>
+                                                    <button className="btn-secondary" onClick={() => setDecideRequestModal({ request, status: 'Cancelled' })}>
+                                                        Cancel
                                                     </button>
                                                 </div>
-                                            </td>
-                                        </tr>
-                                    );
-                                })
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))
                             )}
                         </tbody>
                     </table>
@@ -1389,360 +5868,359 @@ export default function AssetTrackingApp() {
     );
 
     // ==========================================
-    // ASSIGN ASSET SCREEN
+    // SERVICE REQUESTS SCREEN (JSX, not a component)
     // ==========================================
-    const AssignAssetScreen = () => {
-        const [selectedEmployee, setSelectedEmployee] = useState('');
-        const [selectedAsset, setSelectedAsset] = useState('');
-        const [localEmployees, setLocalEmployees] = useState([]);
-        const [localAssets, setLocalAssets] = useState([]);
-        const [isLoading, setIsLoading] = useState(true);
-        const [isSubmitting, setIsSubmitting] = useState(false);
-
-        useEffect(() => {
-            const fetchData = async () => {
-                setIsLoading(true);
-                try {
-                    const [empRes, assetRes] = await Promise.all([
-                        fetch(`${API_BASE}/employees`),
-                        fetch(`${API_BASE}/assets/available`)
-                    ]);
-                    const empData = await empRes.json();
-                    const assetData = await assetRes.json();
-                    setLocalEmployees(empData);
-                    setLocalAssets(assetData);
-                } catch (err) {
-                    showNotification('Failed to load data', 'error');
-                } finally {
-                    setIsLoading(false);
-                }
-            };
-            fetchData();
-        }, []);
-
-        const handleSubmit = async (e) => {
-            e.preventDefault();
-            if (!selectedEmployee || !selectedAsset) {
-                showNotification('Please select both employee and asset', 'error');
-                return;
-            }
-
-            setIsSubmitting(true);
-            try {
-                const res = await fetch(`${API_BASE}/assignments`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        assetId: parseInt(selectedAsset),
-                        employeeId: parseInt(selectedEmployee)
-                    })
-                });
-                const result = await res.json();
-
-                if (result.success) {
-                    showNotification('Asset assigned successfully!');
-                    setTimeout(() => {
-                        refreshData();
-                        setCurrentScreen('dashboard');
-                    }, 1000);
-                } else {
-                    showNotification(result.message || 'Failed to assign asset', 'error');
-                }
-            } catch (err) {
-                showNotification('Network error', 'error');
-            } finally {
-                setIsSubmitting(false);
-            }
-        };
-
-        return (
-            <div className="assign-page">
-                <div className="assign-container">
-                    <div className="assign-header">
-                        <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
-                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <line x1="19" y1="12" x2="5" y2="12"></line>
-                                <polyline points="12 19 5 12 12 5"></polyline>
-                            </svg>
-                        </button>
-                        <div className="assign-title">
-                            <h1>Assign Asset</h1>
-                            <p>Assign an available asset to an employee</p>
-                        </div>
+    const ServiceRequestsScreen = (
+        <div className="requests-page">
+            <div className="page-header">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Issues & Returns</h1>
+                        <p className="header-subtitle">Damage and loss reports and return requests from the self-service portal</p>
                     </div>
-
-                    {isLoading ? (
-                        <div className="loading-container">
-                            <div className="spinner"></div>
-                            <p>Loading...</p>
-                        </div>
-                    ) : (
-                        <div className="assign-card">
-                            <div className="assign-icon">
-                                <svg width="48\" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
-                                    <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
-                                    <circle cx="8.5" cy="7" r="4"></circle>
-                                    <line x1="20" y1="8" x2="20" y2="14"></line>
-                                    <line x1="23" y1="11" x2="17" y2="11"></line>
-                                </svg>
-                            </div>
-                            <form onSubmit={handleSubmit}>
-                                <div className="assign-form-group">
-                                    <label>Select Employee *</label>
-                                    <select
-                                        value={selectedEmployee}
-                                        onChange={e => setSelectedEmployee(e.target.value)}
-                                        disabled={isSubmitting}
-                                        className={selectedEmployee ? 'has-value' : ''}
-                                    >
-                                        <option value="">Choose an employee...</option>
-                                        {localEmployees.map(emp => (
-                                            <option key={emp.EmployeeId} value={emp.EmployeeId}>
-                                                {emp.FullName} ({emp.Email})
-                                            </option>
-                                        ))}
-                                    </select>
-                                    {localEmployees.length === 0 && (
-                                        <span className="form-error">No employees found in database</span>
-                                    )}
-                                </div>
-
-                                <div className="assign-form-group">
-                                    <label>Select Asset *</label>
-                                    <select
-                                        value={selectedAsset}
-                                        onChange={e => setSelectedAsset(e.target.value)}
-                                        disabled={isSubmitting}
-                                        className={selectedAsset ? 'has-value' : ''}
-                                    >
-                                        <option value="">Choose an available asset...</option>
-                                        {localAssets.map(asset => (
-                                            <option key={asset.AssetId} value={asset.AssetId}>
-                                                {asset.AssetName} - {asset.AssetType} ({asset.SerialNumber})
-                                            </option>
-                                        ))}
-                                    </select>
-                                    {localAssets.length === 0 ? (
-                                        <span className="form-error">No available assets</span>
-                                    ) : (
-                                        <span className="form-hint">{localAssets.length} asset(s) available for assignment</span>
-                                    )}
-                                </div>
-
-                                <div className="assign-actions">
-                                    <button type="button" className="btn-secondary btn-full" onClick={() => setCurrentScreen('dashboard')}>
-                                        Cancel
-                                    </button>
-                                    <button
-                                        type="submit"
-                                        className="btn-primary btn-full"
-                                        disabled={isSubmitting || !selectedEmployee || !selectedAsset}
-                                    >
-                                        {isSubmitting ? 'Assigning...' : 'Assign Asset'}
-                                    </button>
-                                </div>
-                            </form>
-                        </div>
-                    )}
+                </div>
+                <div className="header-actions">
+                    <select
+                        className="status-filter-select"
+                        value={serviceRequestFilter}
+                        onChange={(e) => setServiceRequestFilter(e.target.value)}
+                    >
+                        <option value="Open">Open</option>
+                        <option value="Resolved">Resolved</option>
+                        <option value="Dismissed">Dismissed</option>
+                        <option value="">All</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="content-card">
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>RAISED</th>
+                                <th>EMPLOYEE</th>
+                                <th>ASSET</th>
+                                <th>REQUEST</th>
+                                <th>NOTE</th>
+                                <th>STATUS</th>
+                                <th>ACTIONS</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filteredServiceRequests.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="empty-row">No requests found</td>
+                                </tr>
+                            ) : (
+                                filteredServiceRequests.map(request => (
+                                    <tr key={request.RequestId}>
+                                        <td className="text-muted">{new Date(request.CreatedAt).toLocaleString()}</td>
+                                        <td>
+                                            <div className="employee-cell">
+                                                <span className="employee-name">{request.EmployeeName}</span>
+                                                <span className="employee-details">{request.EmployeeEmail}</span>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <div className="asset-info">
+                                                <span className="asset-name">{request.AssetName}</span>
+                                                <span className="asset-id">{request.SerialNumber || 'N/A'}</span>
+                                            </div>
+                                        </td>
+                                        <td>{REQUEST_TYPE_TITLES[request.RequestType]}</td>
+                                        <td className="text-muted">
+                                            {request.Note || '—'}
+                                            {request.ResolutionNote && <div>IT: {request.ResolutionNote}</div>}
+                                        </td>
+                                        <td>
+                                            <span className={`status-badge ${getStatusKey(request.Status)}`}>{request.Status}</span>
+                                        </td>
+                                        <td>
+                                            {canManage && request.Status === 'Open' ? (
+                                                <button className="btn-secondary" onClick={() => setResolveRequestModal(request)}>
+                                                    Handle
+                                                </button>
+                                            ) : (
+                                                <span className="text-muted">{request.ResolvedBy || '—'}</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
                 </div>
             </div>
-        );
-    };
+        </div>
+    );
 
     // ==========================================
-    // ASSET HISTORY SCREEN
+    // SELF-SERVICE PORTAL SCREEN (JSX, not a component)
     // ==========================================
-    const AssetHistoryScreen = () => {
-        const [selectedAsset, setSelectedAsset] = useState(
-            selectedHistoryAsset ? String(selectedHistoryAsset.AssetId) : ''
-        );
-        const [isLoading, setIsLoading] = useState(false);
-        const [localHistory, setLocalHistory] = useState([]);
-
-        // Load history for specific asset on initial mount
-        useEffect(() => {
-            const loadInitialHistory = async () => {
-                if (selectedHistoryAsset) {
-                    setIsLoading(true);
-                    try {
-                        const res = await fetch(`${API_BASE}/assets/${selectedHistoryAsset.AssetId}/history`);
-                        const data = await res.json();
-                        setLocalHistory(data);
-                    } catch (err) {
-                        console.error('Failed to load history:', err);
-                    } finally {
-                        setIsLoading(false);
-                    }
-                }
-            };
-            loadInitialHistory();
-        }, []); // Only run once on mount
-
-        const handleSelectAsset = async (e) => {
-            const assetId = e.target.value;
-            setSelectedAsset(assetId);
-
-            if (assetId) {
-                setIsLoading(true);
-                try {
-                    const res = await fetch(`${API_BASE}/assets/${assetId}/history`);
-                    const data = await res.json();
-                    setLocalHistory(data);
-                } catch (err) {
-                    showNotification('Failed to load history', 'error');
-                } finally {
-                    setIsLoading(false);
-                }
-            } else {
-                setLocalHistory([]);
-            }
-        };
+    const PortalScreen = (
+        <div className="portal-page">
+            <div className="page-header">
+                <div>
+                    <h1>My Assets</h1>
+                    <p className="header-subtitle">Signed in as {currentUser?.username}</p>
+                </div>
+                <div className="header-actions">
+                    <button className="btn-primary" onClick={openNewAssetRequest}>
+                        Request an Item
+                    </button>
+                    <button className="btn-secondary" onClick={fetchMyPortal}>
+                        Refresh
+                    </button>
+                    <button className="btn-secondary" onClick={handleLogout}>
+                        Sign Out
+                    </button>
+                </div>
+            </div>
 
-        // Get current asset info for display
-        const currentAsset = allAssets.find(a => String(a.AssetId) === selectedAsset);
+            <div className="content-card">
+                <div className="card-header">
+                    <h2>Items you hold ({myAssets.length})</h2>
+                </div>
+                {myAssets.length === 0 ? (
+                    <p className="text-muted employee-panel-empty">You have no assets assigned</p>
+                ) : (
+                    <ul className="employee-asset-list portal-asset-list">
+                        {myAssets.map(a => (
+                            <li key={a.AssignmentId}>
+                                <div className="asset-icon">{getAssetIcon(a.AssetType)}</div>
+                                <div className="asset-info">
+                                    <span className="asset-name">{a.AssetName}</span>
+                                    <span className="asset-id">
+                                        {a.AssetType} • {a.SerialNumber || 'N/A'} • since {new Date(a.AssignedAt).toLocaleDateString()}
+                                        {a.ReceiptConfirmedAt && ` • received ${new Date(a.ReceiptConfirmedAt).toLocaleDateString()}`}
+                                    </span>
+                                </div>
+                                <div className="portal-asset-actions">
+                                    {!a.ReceiptConfirmedAt && (
+                                        <button className="btn-primary" onClick={() => handleConfirmReceipt(a)}>
+                                            Confirm Receipt
+                                        </button>
+                                    )}
+                                    {Object.keys(REQUEST_TYPE_TITLES).map(requestType => (
+                                        <button
+                                            key={requestType}
+                                            className="btn-secondary"
+                                            onClick={() => setReportIssueModal({ assignment: a, requestType })}
+                                        >
+                                            {REQUEST_TYPE_TITLES[requestType]}
+                                        </button>
+                                    ))}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
 
-        return (
-            <div className="history-page">
-                <div className="history-container">
-                    {/* Header */}
-                    <div className="history-header">
-                        <button className="btn-back" onClick={() => {
-                            setSelectedHistoryAsset(null);
-                            setCurrentScreen('dashboard');
-                        }}>
-                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <line x1="19" y1="12" x2="5" y2="12"></line>
-                                <polyline points="12 19 5 12 12 5"></polyline>
-                            </svg>
-                        </button>
-                        <div className="history-title">
-                            <h1>{currentAsset ? currentAsset.AssetName : 'Assignment History'}</h1>
-                            <p>{currentAsset
-                                ? `${currentAsset.AssetType} • ${currentAsset.SerialNumber || 'No Serial'}`
-                                : 'View the assignment timeline for any asset'
-                            }</p>
-                        </div>
+            <div className="content-card">
+                <div className="card-header">
+                    <h2>Items you asked for</h2>
+                </div>
+                {myAssetRequests.length === 0 ? (
+                    <p className="text-muted employee-panel-empty">You have not asked for any items</p>
+                ) : (
+                    <div className="table-wrapper">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>RAISED</th>
+                                    <th>TYPE</th>
+                                    <th>STATUS</th>
+                                    <th>NOTE</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {myAssetRequests.map(request => (
+                                    <tr key={request.RequestId}>
+                                        <td className="text-muted">{new Date(request.CreatedAt).toLocaleDateString()}</td>
+                                        <td>
+                                            {request.AssetType}
+                                            {request.AssetName && <div className="text-muted">{request.AssetName}</div>}
+                                        </td>
+                                        <td>
+                                            <span className={`status-badge ${getStatusKey(request.Status)}`}>{request.Status}</span>
+                                        </td>
+                                        <td className="text-muted">{request.DecisionNote || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                     </div>
+                )}
+            </div>
 
-                    {/* Asset Selector Card */}
-                    <div className="history-card">
-                        <div className="history-icon">
-                            <svg width="32" height="32" viewBox="0 0 50 50" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-                                {/* Document */}
-                                <path d="M8 6C8 4.34315 9.34315 3 11 3H28L38 13V42C38 43.6569 36.6569 45 35 45H11C9.34315 45 8 43.6569 8 42V6Z"></path>
-                                <path d="M28 3V13H38"></path>
-                                {/* Lines on document */}
-                                <line x1="14" y1="22" x2="26" y2="22"></line>
-                                <line x1="14" y1="28" x2="26" y2="28"></line>
-                                <line x1="14" y1="34" x2="22" y2="34"></line>
-                                {/* Clock circle */}
-                                <circle cx="38" cy="32" r="10" fill="white"></circle>
-                                <circle cx="38" cy="32" r="10"></circle>
-                                {/* Clock hands */}
-                                <polyline points="38 27 38 32 42 34"></polyline>
-                            </svg>
-                        </div>
-                        <div className="history-form-group">
-                            <label>{currentAsset ? 'Change Asset' : 'Select Asset'}</label>
-                            <select
-                                onChange={handleSelectAsset}
-                                value={selectedAsset}
-                                className={selectedAsset ? 'has-value' : ''}
-                            >
-                                <option value="">Choose an asset to view history...</option>
-                                {allAssets.map(asset => (
-                                    <option key={asset.AssetId} value={asset.AssetId}>
-                                        {asset.AssetName} - {asset.AssetType} ({asset.SerialNumber || 'N/A'})
-                                    </option>
+            <div className="content-card">
+                <div className="card-header">
+                    <h2>Your issue reports</h2>
+                </div>
+                {myRequests.length === 0 ? (
+                    <p className="text-muted employee-panel-empty">You have not raised any requests</p>
+                ) : (
+                    <div className="table-wrapper">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>RAISED</th>
+                                    <th>ASSET</th>
+                                    <th>REQUEST</th>
+                                    <th>STATUS</th>
+                                    <th>IT RESPONSE</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {myRequests.map(request => (
+                                    <tr key={request.RequestId}>
+                                        <td className="text-muted">{new Date(request.CreatedAt).toLocaleDateString()}</td>
+                                        <td>{request.AssetName}</td>
+                                        <td>{REQUEST_TYPE_TITLES[request.RequestType]}</td>
+                                        <td>
+                                            <span className={`status-badge ${getStatusKey(request.Status)}`}>{request.Status}</span>
+                                        </td>
+                                        <td className="text-muted">{request.ResolutionNote || '—'}</td>
+                                    </tr>
                                 ))}
-                            </select>
-                            <span className="form-hint">
-                                {currentAsset
-                                    ? 'Select a different asset or go back to dashboard'
-                                    : 'Select an asset to see its complete assignment history'
-                                }
-                            </span>
-                        </div>
+                            </tbody>
+                        </table>
                     </div>
+                )}
+            </div>
+        </div>
+    );
 
-                    {/* Loading State */}
-                    {isLoading && (
-                        <div className="history-card">
-                            <div className="loading-container">
-                                <div className="spinner"></div>
-                                <p>Loading history...</p>
-                            </div>
-                        </div>
-                    )}
+    // ==========================================
+    // USERS SCREEN (JSX, not a component)
+    // ==========================================
+    const UsersScreen = (
+        <div className="users-page">
+            <div className="page-header">
+                <div className="header-left">
+                    <button className="btn-back" onClick={() => setCurrentScreen('dashboard')}>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="19" y1="12" x2="5" y2="12"></line>
+                            <polyline points="12 19 5 12 12 5"></polyline>
+                        </svg>
+                    </button>
+                    <div>
+                        <h1>Users</h1>
+                        <p className="header-subtitle">Who can sign in and what they are allowed to do</p>
+                    </div>
+                </div>
+                <div className="header-actions">
+                    <button className="btn-primary btn-icon" onClick={() => setUserFormModal('new')}>
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="12" y1="5" x2="12" y2="19"></line>
+                            <line x1="5" y1="12" x2="19" y2="12"></line>
+                        </svg>
+                        Add User
+                    </button>
+                </div>
+            </div>
 
-                    {/* Timeline Card */}
-                    {!isLoading && localHistory.length > 0 && (
-                        <div className="history-card timeline-card">
-                            <h2 className="timeline-title">Assignment Timeline</h2>
-                            <div className="timeline">
-                                {localHistory.map((record, index) => (
-                                    <div key={record.AssignmentId} className={`timeline-item ${index === 0 ? 'first' : ''}`}>
-                                        <div className="timeline-marker"></div>
-                                        <div className="timeline-content">
-                                            <div className="timeline-header">
-                                                <span className="timeline-name">{record.FullName}</span>
-                                                {!record.ReturnedAt && (
-                                                    <span className="status-badge active">Currently Assigned</span>
-                                                )}
-                                            </div>
-                                            <div className="timeline-meta">
-                                                <div className="timeline-date">
-                                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                                        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
-                                                        <line x1="16" y1="2" x2="16" y2="6"></line>
-                                                        <line x1="8" y1="2" x2="8" y2="6"></line>
-                                                        <line x1="3" y1="10" x2="21" y2="10"></line>
+            <div className="content-card">
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>USERNAME</th>
+                                <th>ROLE</th>
+                                <th>EMPLOYEE</th>
+                                <th>LAST SIGN IN</th>
+                                <th>STATUS</th>
+                                <th>ACTIONS</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="empty-row">No users found</td>
+                                </tr>
+                            ) : (
+                                users.map(user => (
+                                    <tr key={user.userId}>
+                                        <td>{user.username}</td>
+                                        <td>{ROLE_LABELS[user.role] || user.role}</td>
+                                        <td className="text-muted">{user.employeeName || '—'}</td>
+                                        <td className="text-muted">
+                                            {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                                        </td>
+                                        <td>
+                                            <span className={`status-badge ${user.isActive ? 'active' : 'inactive'}`}>
+                                                {user.isActive ? 'Enabled' : 'Disabled'}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            <div className="action-buttons">
+                                                <button
+                                                    className="btn-action"
+                                                    onClick={() => setUserFormModal(user)}
+                                                    title="Edit User"
+                                                >
+                                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                                        <path d="m18.5 2.5 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                                                     </svg>
-                                                    <span>Assigned: {new Date(record.AssignedAt).toLocaleString()}</span>
-                                                </div>
-                                                {record.ReturnedAt && (
-                                                    <div className="timeline-date returned">
-                                                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                                            <polyline points="9 10 4 15 9 20"></polyline>
-                                                            <path d="M20 4v7a4 4 0 0 1-4 4H4"></path>
-                                                        </svg>
-                                                        <span>Returned: {new Date(record.ReturnedAt).toLocaleString()}</span>
-                                                    </div>
-                                                )}
+                                                </button>
                                             </div>
-                                        </div>
-                                    </div>
-                                ))}
-                            </div>
-                        </div>
-                    )}
-
-                    {/* Empty State */}
-                    {!isLoading && localHistory.length === 0 && selectedAsset && (
-                        <div className="history-card">
-                            <div className="empty-state">
-                                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#94A3B8" strokeWidth="1.5">
-                                    <circle cx="12" cy="12" r="10"></circle>
-                                    <line x1="12" y1="8" x2="12" y2="12"></line>
-                                    <line x1="12" y1="16" x2="12.01" y2="16"></line>
-                                </svg>
-                                <p>No assignment history found for this asset</p>
-                            </div>
-                        </div>
-                    )}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
                 </div>
             </div>
-        );
-    };
+        </div>
+    );
 
     // ==========================================
     // MAIN RENDER
     // ==========================================
+    if (!auth) {
+        return (
+            <div className="app">
+                {notification.show && (
+                    <div className={`notification no-print ${notification.type}`}>
+                        <span>{notification.message}</span>
+                    </div>
+                )}
+                <LoginScreen />
+            </div>
+        );
+    }
+
+    // Employees only get the self-service portal
+    if (!canView) {
+        return (
+            <div className="app">
+                {notification.show && (
+                    <div className={`notification no-print ${notification.type}`}>
+                        <span>{notification.message}</span>
+                    </div>
+                )}
+                <ReportIssueModal />
+                <NewAssetRequestModal />
+                {PortalScreen}
+            </div>
+        );
+    }
+
     return (
         <div className="app">
             {/* Notification */}
             {notification.show && (
-                <div className={`notification ${notification.type}`}>
+                <div className={`notification no-print ${notification.type}`}>
                     <span>{notification.message}</span>
                 </div>
             )}
@@ -1751,12 +6229,34 @@ export default function AssetTrackingApp() {
             <AddAssetModal />
             <EditAssetModal />
             <ManageTypesModal />
+            <TypeFieldsModal />
+            <ValuationModal />
+            <ImportModal />
+            <CommandPalette />
+            <ArchiveAssetModal />
+            <ChangeStatusModal />
+            <EmployeeFormModal />
+            <UserFormModal />
+            <ResolveRequestModal />
+            <PortalLinkModal />
+            <NewAssetRequestModal />
+            <DecideRequestModal />
+            <FulfillRequestModal />
             <ConfirmModal />
 
             {/* Screens */}
             {currentScreen === 'dashboard' && DashboardScreen}
             {currentScreen === 'assign' && <AssignAssetScreen />}
             {currentScreen === 'history' && <AssetHistoryScreen />}
+            {currentScreen === 'employees' && EmployeesScreen}
+            {currentScreen === 'employee-report' && EmployeeReportScreen}
+            {currentScreen === 'audit' && AuditLogScreen}
+            {currentScreen === 'book-value' && BookValueScreen}
+            {currentScreen === 'users' && UsersScreen}
+            {currentScreen === 'requests' && ServiceRequestsScreen}
+            {currentScreen === 'asset-requests' && AssetRequestsScreen}
+            {currentScreen === 'labels' && <LabelSheetScreen />}
+            {currentScreen === 'scan' && ScanScreen}
         </div>
     );
 }
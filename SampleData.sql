@@ -0,0 +1,38 @@
+-- =====================================================
+-- SAMPLE DATA (optional)
+-- Demo employees and assets. Run after "npm run migrate" has built the schema.
+-- =====================================================
+
+USE AssetTrackingDB;
+GO
+
+INSERT INTO Employees (FullName, Email) VALUES
+('John Smith', 'john@company.com'),
+('Sarah Johnson', 'sarah@company.com'),
+('Mike Chen', 'mike@company.com'),
+('Aarav Sharma', 'aarav.sharma@company.com'),
+('Sita Thapa', 'sita.thapa@company.com'),
+('Bikash Gurung', 'bikash.gurung@company.com'),
+('Priya Shrestha', 'priya.shrestha@company.com'),
+('Rajesh Adhikari', 'rajesh.adhikari@company.com'),
+('Anita Rai', 'anita.rai@company.com'),
+('Sunil Tamang', 'sunil.tamang@company.com'),
+('Kabita Magar', 'kabita.magar@company.com'),
+('Dipesh Bhandari', 'dipesh.bhandari@company.com'),
+('Manisha Karki', 'manisha.karki@company.com');
+GO
+
+-- Every asset type must exist in the catalog first
+INSERT INTO AssetTypes (Name)
+SELECT 'Phone' WHERE NOT EXISTS (SELECT 1 FROM AssetTypes WHERE Name = 'Phone');
+GO
+
+INSERT INTO Assets (AssetName, AssetType, SerialNumber) VALUES
+('MacBook Pro 16"', 'Laptop', 'MBP-001'),
+('iPhone 15 Pro', 'Phone', 'IPH-001'),
+('Dell Monitor', 'Monitor', 'MON-001');
+GO
+
+-- Verify the data
+SELECT * FROM Employees;
+SELECT * FROM Assets;